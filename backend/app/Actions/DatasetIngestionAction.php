@@ -8,8 +8,10 @@
 use App\Http\Requests\DatasetIngestRequest;
 use App\Jobs\IngestRemoteDataset;
 use App\Models\Dataset;
+use App\Models\DatasetUpload;
 use App\Models\User;
 use App\Services\DatasetProcessingService;
+use App\Services\Datasets\ChunkedUploadService;
 use App\Services\Datasets\SchemaMapper;
 use App\Support\Filesystem\CsvCombiner;
 use App\Support\Queue\QueueConnectionDiagnostics;
@@ -17,7 +19,9 @@
 use Illuminate\Support\Arr;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Facades\Validator;
 use Illuminate\Support\Str;
+use Illuminate\Validation\ValidationException;
 use RuntimeException;
 use Throwable;
 
@@ -27,6 +31,7 @@ public function __construct(
         private readonly DatasetProcessingService $processingService,
         private readonly SchemaMapper $schemaMapper,
         private readonly CsvCombiner $csvCombiner,
+        private readonly ChunkedUploadService $chunkedUploads,
     ) {
     }
 
@@ -62,6 +67,14 @@ public function execute(DatasetIngestRequest $request): Dataset
             $this->storeUploadedFiles($dataset, $uploadedFiles);
         }
 
+        $chunkedUpload = isset($validated['upload_id'])
+            ? DatasetUpload::query()->findOrFail($validated['upload_id'])
+            : null;
+
+        if ($chunkedUpload !== null) {
+            $this->storeChunkedUpload($dataset, $chunkedUpload);
+        }
+
         $dataset->save();
         $dataset->refresh();
 
@@ -77,7 +90,17 @@ public function execute(DatasetIngestRequest $request): Dataset
 
         $additionalMetadata = [];
 
-        if ($uploadedFiles !== []) {
+        if ($chunkedUpload !== null) {
+            $additionalMetadata = [
+                'source_files' => [$chunkedUpload->filename],
+                'source_file_count' => 1,
+            ];
+            $dataset->metadata = $this->processingService->mergeMetadata(
+                $dataset->metadata,
+                $additionalMetadata
+            );
+            $dataset->save();
+        } elseif ($uploadedFiles !== []) {
             $additionalMetadata = $this->buildSourceFilesMetadata($uploadedFiles);
             $dataset->metadata = $this->processingService->mergeMetadata(
                 $dataset->metadata,
@@ -206,6 +229,32 @@ private function storeUploadedFiles(Dataset $dataset, array $files): void
         $dataset->checksum = hash_file('sha256', Storage::disk('local')->path($path));
     }
 
+    /**
+     * Assembles a chunked upload and applies the same file checks a direct upload gets, except the
+     * request size limit that chunking exists to get around.
+     */
+    private function storeChunkedUpload(Dataset $dataset, DatasetUpload $upload): void
+    {
+        $path = $this->chunkedUploads->assemble($upload);
+        $disk = Storage::disk('local');
+        $file = new UploadedFile($disk->path($path), $upload->filename, $upload->mime_type, null, true);
+
+        // Bail before the format rules so an oversized GeoJSON file is never decoded
+        $validator = Validator::make(['upload_id' => $file], [
+            'upload_id' => ['bail', ...DatasetIngestRequest::datasetFileRules(DatasetUpload::maxSizeKb($upload->filename))],
+        ]);
+
+        if ($validator->fails()) {
+            $disk->delete($path);
+
+            throw ValidationException::withMessages($validator->errors()->toArray());
+        }
+
+        $dataset->file_path = $path;
+        $dataset->mime_type = $file->getMimeType();
+        $dataset->checksum = $upload->checksum;
+    }
+
     private function shouldRefreshAfterQueue(): bool
     {
         $connection = (string) config('queue.default', 'sync');
@@ -0,0 +1,43 @@
+<?php
+
+namespace App\Enums;
+
+enum DatasetFormat: string
+{
+    case Csv = 'csv';
+    case Json = 'json';
+    case GeoJson = 'geojson';
+    case Xlsx = 'xlsx';
+    case Parquet = 'parquet';
+
+    /**
+     * Resolve the format of a stored dataset file, preferring its extension over the detected MIME type.
+     */
+    public static function detect(string $path, ?string $mimeType = null): self
+    {
+        $extension = strtolower((string) pathinfo($path, PATHINFO_EXTENSION));
+
+        $byExtension = match ($extension) {
+            'csv', 'txt' => self::Csv,
+            'json' => self::Json,
+            'geojson' => self::GeoJson,
+            'xlsx' => self::Xlsx,
+            'parquet', 'pq' => self::Parquet,
+            default => null,
+        };
+
+        if ($byExtension !== null) {
+            return $byExtension;
+        }
+
+        $mimeType = $mimeType !== null ? strtolower($mimeType) : '';
+
+        return match (true) {
+            str_contains($mimeType, 'spreadsheetml') => self::Xlsx,
+            str_contains($mimeType, 'parquet') => self::Parquet,
+            str_contains($mimeType, 'geo+json') => self::GeoJson,
+            str_contains($mimeType, 'json') => self::Json,
+            default => self::Csv,
+        };
+    }
+}
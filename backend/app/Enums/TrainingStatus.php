@@ -8,4 +8,5 @@ enum TrainingStatus: string
     case Running = 'running';
     case Completed = 'completed';
     case Failed = 'failed';
+    case Cancelled = 'cancelled';
 }
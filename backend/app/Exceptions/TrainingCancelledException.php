@@ -0,0 +1,13 @@
+<?php
+
+namespace App\Exceptions;
+
+use RuntimeException;
+
+class TrainingCancelledException extends RuntimeException
+{
+    public static function forRun(string $trainingRunId): self
+    {
+        return new self(sprintf('Training run "%s" was cancelled.', $trainingRunId));
+    }
+}
@@ -0,0 +1,99 @@
+<?php
+
+namespace App\Http\Controllers\Api\v1;
+
+use App\Http\Requests\DatasetUploadChunkRequest;
+use App\Http\Requests\DatasetUploadRequest;
+use App\Http\Requests\StoreDatasetUploadRequest;
+use App\Http\Resources\DatasetUploadResource;
+use App\Models\DatasetUpload;
+use App\Services\Datasets\ChunkedUploadService;
+use Illuminate\Http\JsonResponse;
+use Symfony\Component\HttpFoundation\Response;
+
+class DatasetUploadController extends BaseController
+{
+    public function __construct(private readonly ChunkedUploadService $uploads)
+    {
+        $this->middleware(['auth.api', 'throttle:api']);
+    }
+
+    /**
+     * Starts a resumable upload and returns the chunk layout the client should follow.
+     *
+     * @param StoreDatasetUploadRequest $request
+     *
+     * @return JsonResponse
+     */
+    public function store(StoreDatasetUploadRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+        $userId = $request->user()?->getAuthIdentifier();
+
+        $upload = $this->uploads->create(
+            $userId !== null ? (int) $userId : null,
+            $validated['filename'],
+            (int) $validated['size'],
+            $validated['mime_type'] ?? null,
+        );
+
+        return $this->successResponse(
+            new DatasetUploadResource($upload),
+            Response::HTTP_CREATED
+        );
+    }
+
+    /**
+     * Returns the upload with the chunks received so far, so an interrupted upload can resume.
+     *
+     * @param DatasetUploadRequest $request
+     * @param DatasetUpload $upload
+     *
+     * @return JsonResponse
+     */
+    public function show(DatasetUploadRequest $request, DatasetUpload $upload): JsonResponse
+    {
+        return $this->successResponse(
+            new DatasetUploadResource($upload)
+        );
+    }
+
+    /**
+     * Stores one chunk after checking it against its SHA-256 checksum.
+     *
+     * @param DatasetUploadChunkRequest $request
+     * @param DatasetUpload $upload
+     *
+     * @return JsonResponse
+     */
+    public function chunk(DatasetUploadChunkRequest $request, DatasetUpload $upload): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $upload = $this->uploads->storeChunk(
+            $upload,
+            (int) $validated['index'],
+            $request->file('chunk'),
+            $validated['checksum'],
+        );
+
+        return $this->successResponse(
+            new DatasetUploadResource($upload)
+        );
+    }
+
+    /**
+     * Abandons an upload and deletes its stored chunks.
+     *
+     * @param DatasetUploadRequest $request
+     * @param DatasetUpload $upload
+     *
+     * @return Response
+     */
+    public function destroy(DatasetUploadRequest $request, DatasetUpload $upload): Response
+    {
+        $this->uploads->discard($upload);
+
+        return response()->noContent();
+    }
+}
@@ -0,0 +1,65 @@
+<?php
+
+namespace App\Http\Controllers\Api\v1;
+
+use App\Http\Requests\GazetteerRequest;
+use App\Http\Requests\GeocodeRequest;
+use App\Services\Geocoding\GazetteerService;
+use App\Services\Geocoding\RemoteGeocoder;
+use Illuminate\Http\JsonResponse;
+
+class GeocodeController extends BaseController
+{
+    public function __construct()
+    {
+        $this->middleware(['auth.api', 'throttle:map']);
+    }
+
+    /**
+     * Resolve a free-text place or postcode through the configured upstream geocoder.
+     *
+     * @param GeocodeRequest $request
+     * @param RemoteGeocoder $geocoder
+     *
+     * @return JsonResponse
+     */
+    public function search(GeocodeRequest $request, RemoteGeocoder $geocoder): JsonResponse
+    {
+        $validated = $request->validated();
+
+        if (! $geocoder->enabled()) {
+            return $this->successResponse([
+                'results' => [],
+                'remote_enabled' => false,
+            ]);
+        }
+
+        $results = $geocoder->search($validated['q'], $validated['type'], $validated['limit']);
+
+        if ($results === null) {
+            return $this->errorResponse('The geocoding service is unavailable.', [], JsonResponse::HTTP_BAD_GATEWAY);
+        }
+
+        return $this->successResponse([
+            'results' => $results,
+            'remote_enabled' => true,
+        ]);
+    }
+
+    /**
+     * List named places derived from ingested dataset features for client-side lookup.
+     *
+     * @param GazetteerRequest $request
+     * @param GazetteerService $gazetteer
+     *
+     * @return JsonResponse
+     */
+    public function gazetteer(GazetteerRequest $request, GazetteerService $gazetteer): JsonResponse
+    {
+        $validated = $request->validated();
+
+        return $this->successResponse([
+            'places' => $gazetteer->places($validated['dataset_id'], $validated['limit']),
+        ]);
+    }
+}
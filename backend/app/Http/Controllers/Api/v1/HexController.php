@@ -3,6 +3,7 @@
 namespace App\Http\Controllers\Api\v1;
 
 use App\Http\Requests\HexAggregationRequest;
+use App\Http\Requests\HexRecordsRequest;
 use App\Services\H3AggregationService;
 use App\Services\H3GeometryService;
 use Illuminate\Http\JsonResponse;
@@ -17,6 +18,8 @@ public function __construct()
     /**
      * Aggregate points into H3 hexagons within a bounding box.
      *
+     * Pass include_records to also receive the most recent raw records behind the cells.
+     *
      * @param HexAggregationRequest $request
      * @param H3AggregationService $service
      *
@@ -49,9 +52,55 @@ public function index(HexAggregationRequest $request, H3AggregationService $serv
             ];
         }
 
-        return $this->successResponse([
+        $payload = [
             'resolution' => $validated['resolution'],
             'cells' => $cells,
+        ];
+
+        if ($validated['include_records']) {
+            $payload['records'] = $service->recordsByBbox(
+                $validated['bbox'],
+                $validated['resolution'],
+                $validated['from'] ?? null,
+                $validated['to'] ?? null,
+                $validated['dataset_type'] ?? null,
+                $validated['time_of_day_start'] ?? null,
+                $validated['time_of_day_end'] ?? null,
+                $validated['severity'] ?? null,
+                $validated['records_limit'],
+            );
+        }
+
+        return $this->successResponse($payload);
+    }
+
+    /**
+     * Return the most recent raw records indexed to a single H3 cell, without aggregating the bounding box.
+     *
+     * @param HexRecordsRequest $request
+     * @param H3AggregationService $service
+     *
+     * @return JsonResponse
+     */
+    public function records(HexRecordsRequest $request, H3AggregationService $service): JsonResponse
+    {
+        $validated = $request->validated();
+
+        return $this->successResponse([
+            'resolution' => $validated['resolution'],
+            'cell' => $validated['cell'],
+            'records' => $service->recordsByBbox(
+                $validated['bbox'],
+                $validated['resolution'],
+                $validated['from'] ?? null,
+                $validated['to'] ?? null,
+                $validated['dataset_type'] ?? null,
+                $validated['time_of_day_start'] ?? null,
+                $validated['time_of_day_end'] ?? null,
+                $validated['severity'] ?? null,
+                $validated['records_limit'],
+                $validated['cell'],
+            ),
         ]);
     }
 
@@ -8,10 +8,12 @@
 use App\Http\Requests\ModelStatusRequest;
 use App\Http\Requests\RollbackModelRequest;
 use App\Http\Requests\TrainModelRequest;
+use App\Http\Requests\TuneModelRequest;
 use App\Enums\TrainingStatus;
 use App\Http\Resources\ModelCollection;
 use App\Http\Resources\ModelResource;
 use App\Jobs\Factories\ModelJobFactory;
+use App\Jobs\TrainModelJob;
 use App\Models\PredictiveModel;
 use App\Repositories\PredictiveModelRepositoryInterface;
 use App\Models\TrainingRun;
@@ -19,13 +21,17 @@
 use App\Services\IdempotencyService;
 use App\Services\ModelStatusService;
 use App\Services\ModelRegistry;
+use App\Services\TrainingCancellationService;
+use App\Support\ErrorSanitizer;
 use App\Support\InteractsWithPagination;
 use Illuminate\Auth\Access\AuthorizationException;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Support\Facades\DB;
 use Illuminate\Support\Facades\RateLimiter;
 use Illuminate\Support\Facades\Storage;
 use Illuminate\Support\Str;
 use RuntimeException;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 use Throwable;
 
 class ModelController extends BaseController
@@ -191,6 +197,7 @@ public function artifacts(string $id): JsonResponse
 
             $artifacts[] = [
                 'version' => pathinfo($file, PATHINFO_FILENAME),
+                'training_run_id' => $payload['training_run_id'] ?? null,
                 'trained_at' => $payload['trained_at'] ?? null,
                 'model_type' => $payload['model_type'] ?? null,
                 'metrics' => $payload['metrics'] ?? null,
@@ -204,6 +211,33 @@ public function artifacts(string $id): JsonResponse
         return $this->successResponse(['artifacts' => $artifacts]);
     }
 
+    /**
+     * Download a single artifact of the specified predictive model.
+     *
+     * @param string $id
+     * @param string $version
+     *
+     * @return StreamedResponse|JsonResponse
+     * @throws AuthorizationException
+     */
+    public function downloadArtifact(string $id, string $version): StreamedResponse|JsonResponse
+    {
+        $model = $this->models->findOrFail($id);
+
+        $this->authorize('view', $model);
+
+        $disk = Storage::disk('local');
+        $artifactPath = sprintf('models/%s/%s.json', $model->getKey(), $version);
+
+        if (preg_match('/^[A-Za-z0-9_-]+$/', $version) !== 1 || ! $disk->exists($artifactPath)) {
+            return $this->errorResponse(ErrorSanitizer::ERROR_ARTIFACT_NOT_FOUND);
+        }
+
+        return $disk->download($artifactPath, sprintf('%s-%s.json', Str::slug($model->name) ?: $model->getKey(), $version), [
+            'Content-Type' => 'application/json',
+        ]);
+    }
+
     /**
      * Display training metrics and evaluations for the specified predictive model.
      *
@@ -227,6 +261,12 @@ public function metrics(string $id): JsonResponse
             $evaluations = array_values(array_filter($metadata['evaluations'], static fn ($entry) => is_array($entry)));
         }
 
+        $lineage = [];
+
+        if (is_array($metadata) && isset($metadata['lineage']) && is_array($metadata['lineage'])) {
+            $lineage = array_values(array_filter($metadata['lineage'], static fn ($entry) => is_array($entry)));
+        }
+
         $trainingRuns = $model->trainingRuns->map(static function (TrainingRun $run): array {
             return [
                 'id' => $run->id,
@@ -243,6 +283,7 @@ public function metrics(string $id): JsonResponse
             'current_metrics' => $model->metrics,
             'current_hyperparameters' => $model->hyperparameters,
             'evaluations' => $evaluations,
+            'lineage' => $lineage,
             'training_runs' => $trainingRuns,
         ]);
     }
@@ -252,11 +293,12 @@ public function metrics(string $id): JsonResponse
      *
      * @param string $id
      * @param RollbackModelRequest $request
+     * @param ModelRegistry $registry
      *
      * @return JsonResponse
      * @throws AuthorizationException
      */
-    public function rollback(string $id, RollbackModelRequest $request): JsonResponse
+    public function rollback(string $id, RollbackModelRequest $request, ModelRegistry $registry): JsonResponse
     {
         $model = $this->models->findOrFail($id);
 
@@ -292,13 +334,21 @@ public function rollback(string $id, RollbackModelRequest $request): JsonRespons
         }
 
         $metadata['artifact_path'] = $artifactPath;
+        $previousVersion = $model->version;
 
         $model->fill([
             'version' => $version,
             'metrics' => $payload['metrics'] ?? null,
             'hyperparameters' => $payload['hyperparameters'] ?? null,
             'metadata' => $metadata,
-        ])->save();
+        ]);
+
+        $registry->recordEvent($model, 'rolled_back', [
+            'from_version' => $previousVersion,
+            'user_id' => $request->user()?->getKey(),
+        ]);
+
+        $model->save();
 
         return $this->successResponse([
             'message' => 'Model rolled back successfully',
@@ -346,34 +396,18 @@ public function train(
 
         $user = $request->user();
         $initiatedBy = $user instanceof User ? $user->getKey() : null;
-        $hyperparameters = $validated['hyperparameters'] ?? [];
-
-        $run = new TrainingRun([
-            'id' => (string) Str::uuid(),
-            'status' => TrainingStatus::Queued,
-            'hyperparameters' => $hyperparameters,
-            'queued_at' => now(),
-            'initiated_by' => $initiatedBy,
-        ]);
-
-        $run->model()->associate($model);
-        $run->save();
-
-        $statusService->markQueued($model->id, 'training');
 
-        $job = ModelJobFactory::training(
-            $run->id,
-            $hyperparameters ?: null,
-            $validated['webhook_url'] ?? null,
+        $queued = $this->queueTrainingRun(
+            $model,
+            $validated['hyperparameters'] ?? [],
             $initiatedBy,
+            $validated['webhook_url'] ?? null,
+            $statusService,
         );
 
-        $dispatch = dispatch($job);
-
         $responsePayload = [
             'message' => 'Training job queued',
-            'training_run_id' => $run->id,
-            'job_id' => $dispatch?->id ?? $run->id,
+            ...$queued,
         ];
 
         $idempotencyService->storeResponse($request, 'models.train', $responsePayload, $model->id);
@@ -384,6 +418,77 @@ public function train(
         );
     }
 
+    /**
+     * Creates one model per hyperparameter trial and queues all of their training runs in a single request,
+     * so a tuning search counts once against the training rate limit. Nothing is kept or queued if any trial fails.
+     *
+     * @param TuneModelRequest $request
+     * @param ModelStatusService $statusService
+     *
+     * @return JsonResponse
+     * @throws AuthorizationException
+     */
+    public function tune(TuneModelRequest $request, ModelStatusService $statusService): JsonResponse
+    {
+        if ($response = $this->enforceModelRateLimit(
+            'model-train',
+            (int) config('api.model_training_rate_limit', 0),
+            $request->user()?->getAuthIdentifier(),
+            'You have reached the model training rate limit. Please wait before trying again.'
+        )) {
+            return $response;
+        }
+
+        $this->authorize('create', PredictiveModel::class);
+
+        $validated = $request->validated();
+        $user = $request->user();
+        $initiatedBy = $user instanceof User ? $user->getKey() : null;
+
+        // Jobs are only dispatched once every model and run is committed, so workers never see uncommitted
+        // runs and a failed trial leaves neither rows nor queued jobs behind
+        $pending = DB::transaction(function () use ($validated, $initiatedBy): array {
+            $pending = [];
+
+            foreach (array_values($validated['trials']) as $index => $trial) {
+                $model = new PredictiveModel();
+                $model->id = (string) Str::uuid();
+                $model->name = sprintf('%s · trial %d', $validated['name'], $index + 1);
+                $model->dataset_id = $validated['dataset_id'];
+                $model->version = '1.0.0';
+                $model->tag = $validated['tag'] ?? null;
+                $model->area = $validated['area'] ?? null;
+                $model->hyperparameters = $trial['hyperparameters'];
+                $model->metadata = $trial['metadata'] ?? null;
+                $model->created_by = $initiatedBy;
+                $model->save();
+
+                $pending[] = [$model, ...$this->createTrainingRun($model, $trial['hyperparameters'], $initiatedBy, null)];
+            }
+
+            return $pending;
+        });
+
+        $trials = [];
+
+        foreach ($pending as [$model, $run, $job]) {
+            $queued = $this->dispatchTrainingRun($model, $run, $job, $statusService);
+
+            $trials[] = [
+                'model' => new ModelResource($model->fresh(['trainingRuns'])),
+                ...$queued,
+            ];
+        }
+
+        return $this->successResponse(
+            [
+                'message' => sprintf('%d training jobs queued', count($trials)),
+                'trials' => $trials,
+            ],
+            JsonResponse::HTTP_ACCEPTED
+        );
+    }
+
     /**
      * Evaluates the specified predictive model.
      *
@@ -487,6 +592,56 @@ public function deactivate(string $id, ModelRegistry $registry): JsonResponse
         return $this->successResponse(new ModelResource($model));
     }
 
+    /**
+     * Cancels the in-progress training run of the specified predictive model.
+     *
+     * Queued runs are cancelled immediately; running jobs are flagged and stop at their next progress checkpoint.
+     *
+     * @throws AuthorizationException
+     */
+    public function cancelTraining(
+        string $id,
+        ModelStatusService $statusService,
+        TrainingCancellationService $cancellations,
+    ): JsonResponse {
+        $model = $this->models->findOrFail($id);
+
+        $this->authorize('train', $model);
+
+        $run = $model->trainingRuns()
+            ->whereIn('status', [TrainingStatus::Queued->value, TrainingStatus::Running->value])
+            ->latest('created_at')
+            ->first();
+
+        if (! $run instanceof TrainingRun) {
+            return $this->errorResponse('No training run is in progress for this model.', [], JsonResponse::HTTP_CONFLICT);
+        }
+
+        if ($run->status === TrainingStatus::Queued) {
+            $run->fill([
+                'status' => TrainingStatus::Cancelled,
+                'error_message' => 'Training cancelled',
+                'finished_at' => now(),
+            ])->save();
+
+            $statusService->markCancelled($model->id, 'Training cancelled');
+
+            return $this->successResponse([
+                'message' => 'Training run cancelled',
+                'training_run_id' => $run->id,
+                'status' => $run->status->value,
+            ]);
+        }
+
+        $cancellations->request($run->id);
+
+        return $this->successResponse([
+            'message' => 'Cancellation requested',
+            'training_run_id' => $run->id,
+            'status' => $run->status->value,
+        ], JsonResponse::HTTP_ACCEPTED);
+    }
+
     /**
      * Check the status of model training or evaluation.
      *
@@ -502,12 +657,19 @@ public function status(ModelStatusRequest $request, ModelStatusService $statusSe
         $this->authorize('view', $model);
 
         $status = $statusService->getStatus($model);
+        $startedAt = null;
+
+        if ($status['state'] === 'training') {
+            $run = $model->trainingRuns()->latest('created_at')->first();
+            $startedAt = $run?->started_at?->toIso8601String() ?? $run?->queued_at?->toIso8601String();
+        }
 
         return $this->successResponse([
             'state' => $status['state'],
             'progress' => $status['progress'],
             'updated_at' => $status['updated_at'],
             'message' => $status['message'] ?? null,
+            'started_at' => $startedAt,
         ]);
     }
 
@@ -525,6 +687,76 @@ private function freshModelForResponse(PredictiveModel $model): PredictiveModel
         ]) ?? $model;
     }
 
+    /**
+     * @param array<string, mixed> $hyperparameters
+     *
+     * @return array{training_run_id: string, job_id: string}
+     */
+    private function queueTrainingRun(
+        PredictiveModel $model,
+        array $hyperparameters,
+        ?int $initiatedBy,
+        ?string $webhookUrl,
+        ModelStatusService $statusService,
+    ): array {
+        [$run, $job] = $this->createTrainingRun($model, $hyperparameters, $initiatedBy, $webhookUrl);
+
+        return $this->dispatchTrainingRun($model, $run, $job, $statusService);
+    }
+
+    /**
+     * Store a queued training run and build its job without dispatching it.
+     *
+     * @param array<string, mixed> $hyperparameters
+     *
+     * @return array{0: TrainingRun, 1: TrainModelJob}
+     */
+    private function createTrainingRun(
+        PredictiveModel $model,
+        array $hyperparameters,
+        ?int $initiatedBy,
+        ?string $webhookUrl,
+    ): array {
+        $run = new TrainingRun([
+            'id' => (string) Str::uuid(),
+            'status' => TrainingStatus::Queued,
+            'hyperparameters' => $hyperparameters,
+            'queued_at' => now(),
+            'initiated_by' => $initiatedBy,
+        ]);
+
+        $run->model()->associate($model);
+        $run->save();
+
+        $job = ModelJobFactory::training(
+            $run->id,
+            $hyperparameters ?: null,
+            $webhookUrl,
+            $initiatedBy,
+        );
+
+        return [$run, $job];
+    }
+
+    /**
+     * @return array{training_run_id: string, job_id: string}
+     */
+    private function dispatchTrainingRun(
+        PredictiveModel $model,
+        TrainingRun $run,
+        TrainModelJob $job,
+        ModelStatusService $statusService,
+    ): array {
+        $statusService->markQueued($model->id, 'training');
+
+        $dispatch = dispatch($job);
+
+        return [
+            'training_run_id' => $run->id,
+            'job_id' => $dispatch?->id ?? $run->id,
+        ];
+    }
+
     private function enforceModelRateLimit(string $prefix, int $limit, ?string $identifier, string $message): ?JsonResponse
     {
         if ($limit <= 0) {
@@ -17,7 +17,12 @@ public function __invoke(NaturalLanguageQueryRequest $request): JsonResponse
         $validated = $request->validated();
 
         $question = (string) $validated['question'];
-        $answer = $this->nlqService->answer($question);
+        $context = array_map(
+            static fn (array $turn): string => (string) $turn['question'],
+            $validated['context'] ?? []
+        );
+
+        $answer = $this->nlqService->answer($question, $context);
 
         return $this->successResponse($answer);
     }
@@ -3,8 +3,10 @@
 namespace App\Http\Requests;
 
 use App\Enums\Role;
+use App\Rules\ValidBinaryDataset;
 use App\Rules\ValidGeoJson;
 use App\Support\ResolvesRoles;
+use Illuminate\Contracts\Validation\ValidationRule;
 use Illuminate\Foundation\Http\FormRequest;
 use Illuminate\Http\UploadedFile;
 use Illuminate\Support\Arr;
@@ -58,29 +60,51 @@ public function authorize(): bool
     public function rules(): array
     {
         $maxKb = max((int) config('api.payload_limits.ingest', 204_800), 1);
-        $mimeRules = config('api.allowed_ingest_mimes', []);
-        $baseFileRules = array_filter([
-            'file',
-            'max:' . $maxKb,
-            $mimeRules !== [] ? 'mimetypes:' . implode(',', $mimeRules) : null,
-            new ValidGeoJson(),
-        ]);
+        $baseFileRules = self::datasetFileRules($maxKb);
 
         return [
             'name' => ['required', 'string', 'max:255'],
             'description' => ['nullable', 'string', 'max:1000'],
             'source_type' => ['required', Rule::in(['file', 'url'])],
             'file' => array_merge([
-                Rule::requiredIf(fn () => $this->input('source_type') === 'file' && $this->resolveUploadedFiles() === []),
+                Rule::requiredIf(fn () => $this->input('source_type') === 'file'
+                    && $this->resolveUploadedFiles() === []
+                    && ! $this->filled('upload_id')),
             ], $baseFileRules),
             'files' => ['nullable', 'array'],
             'files.*' => $baseFileRules,
+            'upload_id' => [
+                'nullable',
+                'uuid',
+                'prohibits:file,files',
+                Rule::exists('dataset_uploads', 'id')
+                    ->where('user_id', $this->user()?->getAuthIdentifier())
+                    ->whereNull('completed_at'),
+            ],
             'source_uri' => ['required_if:source_type,url', 'url'],
             'metadata' => ['nullable', 'array'],
             'schema' => ['nullable', 'array'],
         ];
     }
 
+    /**
+     * Rules for a dataset file, shared with chunked uploads once their chunks are assembled.
+     *
+     * @return array<int, string|ValidationRule>
+     */
+    public static function datasetFileRules(?int $maxKb = null): array
+    {
+        $mimeRules = config('api.allowed_ingest_mimes', []);
+
+        return array_values(array_filter([
+            'file',
+            $maxKb !== null ? 'max:' . $maxKb : null,
+            $mimeRules !== [] ? 'mimetypes:' . implode(',', $mimeRules) : null,
+            new ValidGeoJson(),
+            new ValidBinaryDataset(),
+        ]));
+    }
+
     /**
      * @return array<int, UploadedFile>
      */
@@ -0,0 +1,18 @@
+<?php
+
+namespace App\Http\Requests;
+
+class DatasetUploadChunkRequest extends DatasetUploadRequest
+{
+    /**
+     * @return array<string, array<int, string>>
+     */
+    public function rules(): array
+    {
+        return [
+            'index' => ['required', 'integer', 'min:0'],
+            'checksum' => ['required', 'string', 'regex:/^[A-Fa-f0-9]{64}$/'],
+            'chunk' => ['required', 'file'],
+        ];
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\Role;
+use App\Models\DatasetUpload;
+use App\Support\ResolvesRoles;
+use Illuminate\Foundation\Http\FormRequest;
+
+/**
+ * Shared authorisation for requests against an existing upload: only its owner may read,
+ * extend or discard it.
+ */
+class DatasetUploadRequest extends FormRequest
+{
+    use ResolvesRoles;
+
+    public function authorize(): bool
+    {
+        $role = $this->resolveRole($this->user());
+
+        if (! in_array($role, [Role::Admin, Role::Analyst], true)) {
+            return false;
+        }
+
+        $upload = $this->route('upload');
+
+        return $upload instanceof DatasetUpload
+            && $upload->user_id !== null
+            && $upload->user_id === (int) $this->user()?->getAuthIdentifier();
+    }
+
+    /**
+     * @return array<string, array<int, string>>
+     */
+    public function rules(): array
+    {
+        return [];
+    }
+}
@@ -0,0 +1,31 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+class GazetteerRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'dataset_id' => ['nullable', 'uuid'],
+            'limit' => ['sometimes', 'integer', 'between:1,5000'],
+        ];
+    }
+
+    public function validated($key = null, $default = null): array
+    {
+        $validated = parent::validated($key, $default);
+
+        $validated['dataset_id'] = $validated['dataset_id'] ?? null;
+        $validated['limit'] = (int) ($validated['limit'] ?? 2000);
+
+        return $validated;
+    }
+}
@@ -0,0 +1,34 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class GeocodeRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'q' => ['required', 'string', 'min:2', 'max:200'],
+            'type' => ['sometimes', 'string', Rule::in(['place', 'postcode'])],
+            'limit' => ['sometimes', 'integer', 'between:1,20'],
+        ];
+    }
+
+    public function validated($key = null, $default = null): array
+    {
+        $validated = parent::validated($key, $default);
+
+        $validated['q'] = trim((string) $validated['q']);
+        $validated['type'] = (string) ($validated['type'] ?? 'place');
+        $validated['limit'] = (int) ($validated['limit'] ?? 8);
+
+        return $validated;
+    }
+}
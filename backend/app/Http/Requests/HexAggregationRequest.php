@@ -26,6 +26,8 @@ public function rules(): array
             'time_of_day_start' => ['nullable', 'integer', 'between:0,23'],
             'time_of_day_end' => ['nullable', 'integer', 'between:0,23'],
             'confidence_level' => ['nullable', 'numeric', 'gt:0', 'lt:1'],
+            'include_records' => ['sometimes', 'boolean'],
+            'records_limit' => ['sometimes', 'integer', 'between:1,200'],
         ];
     }
 
@@ -34,6 +36,8 @@ public function validated($key = null, $default = null): array
         $validated = parent::validated($key, $default);
 
         $validated['resolution'] = (int) ($validated['resolution'] ?? 7);
+        $validated['include_records'] = $this->boolean('include_records');
+        $validated['records_limit'] = (int) ($validated['records_limit'] ?? 50);
 
         foreach (['time_of_day_start', 'time_of_day_end'] as $timeKey) {
             if (array_key_exists($timeKey, $validated)) {
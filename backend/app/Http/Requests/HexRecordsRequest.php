@@ -0,0 +1,23 @@
+<?php
+
+namespace App\Http\Requests;
+
+class HexRecordsRequest extends HexAggregationRequest
+{
+    public function rules(): array
+    {
+        return [
+            ...parent::rules(),
+            'cell' => ['required', 'string', 'regex:/^[0-9a-fA-F]{15}$/'],
+        ];
+    }
+
+    public function validated($key = null, $default = null): array
+    {
+        $validated = parent::validated($key, $default);
+
+        $validated['cell'] = strtolower($validated['cell']);
+
+        return $validated;
+    }
+}
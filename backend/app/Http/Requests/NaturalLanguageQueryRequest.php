@@ -14,7 +14,10 @@ public function authorize(): bool
     public function rules(): array
     {
         return [
-            'question' => ['required', 'string', 'min:3'],
+            'question' => ['required', 'string', 'min:3', 'max:500'],
+            'context' => ['sometimes', 'array', 'max:10'],
+            'context.*.question' => ['required', 'string', 'max:500'],
+            'context.*.answer' => ['nullable', 'string'],
         ];
     }
 }
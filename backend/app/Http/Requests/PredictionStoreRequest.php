@@ -27,6 +27,13 @@ public function rules(): array
             'model_id' => ['required', 'uuid', Rule::exists('models', 'id')],
             'dataset_id' => ['nullable', 'uuid', Rule::exists('datasets', 'id')],
             'parameters' => ['nullable', 'array'],
+            'parameters.area' => ['sometimes', 'nullable', 'array'],
+            'parameters.area.name' => ['nullable', 'string', 'max:120'],
+            'parameters.area.polygon' => ['required_with:parameters.area', 'array', 'min:4', 'max:1000'],
+            'parameters.area.polygon.*' => ['array', 'size:2'],
+            'parameters.area.h3_cells' => ['nullable', 'array', 'max:5000'],
+            'parameters.area.h3_cells.*' => ['string', 'max:16'],
+            'parameters.area.resolution' => ['nullable', 'integer', 'between:0,15'],
             'generate_tiles' => ['sometimes', 'boolean'],
             'metadata' => ['sometimes', 'array'],
         ];
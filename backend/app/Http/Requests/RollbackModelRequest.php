@@ -22,7 +22,7 @@ public function authorize(): bool
     public function rules(): array
     {
         return [
-            'version' => ['required', 'string'],
+            'version' => ['required', 'string', 'max:64', 'regex:/^[A-Za-z0-9_-]+$/'],
         ];
     }
 }
@@ -0,0 +1,45 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Enums\Role;
+use App\Models\DatasetUpload;
+use App\Support\ResolvesRoles;
+use Illuminate\Foundation\Http\FormRequest;
+
+class StoreDatasetUploadRequest extends FormRequest
+{
+    use ResolvesRoles;
+
+    public function authorize(): bool
+    {
+        $role = $this->resolveRole($this->user());
+
+        return in_array($role, [Role::Admin, Role::Analyst], true);
+    }
+
+    /**
+     * @return array<string, array<int, string>>
+     */
+    public function rules(): array
+    {
+        return [
+            'filename' => ['required', 'string', 'max:255', 'regex:/\.(csv|txt|json|geojson|xlsx|parquet|pq)$/i'],
+            'size' => ['required', 'integer', 'min:1', 'max:' . DatasetUpload::maxSizeKb((string) $this->input('filename')) * 1024],
+            'mime_type' => ['nullable', 'string', 'max:255'],
+        ];
+    }
+
+    /**
+     * @return array<string, string>
+     */
+    public function messages(): array
+    {
+        return [
+            'filename.regex' => 'Upload a CSV, JSON, GeoJSON, Excel (.xlsx) or Parquet file.',
+            'size.max' => DatasetUpload::isStreamedFilename((string) $this->input('filename'))
+                ? 'The file exceeds the maximum upload size.'
+                : 'JSON, GeoJSON and Excel files exceed the maximum upload size; convert large exports to CSV or Parquet.',
+        ];
+    }
+}
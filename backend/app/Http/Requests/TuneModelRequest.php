@@ -0,0 +1,50 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Support\ResolvesRoles;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\ValidationException;
+
+class TuneModelRequest extends FormRequest
+{
+    use ResolvesRoles;
+
+    public function authorize(): bool
+    {
+        $role = $this->resolveRole($this->user());
+
+        return $role->canManageModels() && $role->canQueueTraining();
+    }
+
+    /**
+     * @return array<string, array<int, string|Rule>>
+     */
+    public function rules(): array
+    {
+        $maxTrials = max((int) config('api.model_tuning_max_trials', 24), 1);
+
+        return [
+            'name' => ['required', 'string', 'max:200'],
+            'dataset_id' => ['required', 'uuid', Rule::exists('datasets', 'id')],
+            'tag' => ['nullable', 'string', 'max:100'],
+            'area' => ['nullable', 'string', 'max:255'],
+            'trials' => ['required', 'array', 'min:1', 'max:' . $maxTrials],
+            'trials.*.hyperparameters' => ['required', 'array'],
+            'trials.*.metadata' => ['nullable', 'array'],
+        ];
+    }
+
+    protected function passedValidation(): void
+    {
+        $payloadSize = strlen((string) json_encode($this->all()));
+        $limitKb = max((int) config('api.payload_limits.predict', 10_240), 1);
+
+        if ($payloadSize > $limitKb * 1024) {
+            throw ValidationException::withMessages([
+                'payload' => sprintf('Payload exceeds maximum allowed size of %dKB.', $limitKb),
+            ]);
+        }
+    }
+}
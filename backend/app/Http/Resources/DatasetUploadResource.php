@@ -0,0 +1,30 @@
+<?php
+
+namespace App\Http\Resources;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\Resources\Json\JsonResource;
+
+class DatasetUploadResource extends JsonResource
+{
+    /**
+     * Transform the resource into an array.
+     *
+     * @return array<string, mixed>
+     */
+    public function toArray(Request $request): array
+    {
+        return [
+            'id' => $this->id,
+            'filename' => $this->filename,
+            'mime_type' => $this->mime_type,
+            'size' => $this->size,
+            'chunk_size' => $this->chunk_size,
+            'total_chunks' => $this->total_chunks,
+            'received_chunks' => $this->completed_at === null ? $this->receivedChunks() : [],
+            'checksum' => $this->checksum,
+            'completed_at' => optional($this->completed_at)->toIso8601String(),
+            'expires_at' => optional($this->expires_at)->toIso8601String(),
+        ];
+    }
+}
@@ -533,8 +533,9 @@ private function filterEntries(LazyCollection $entries, array $parameters): Lazy
         $radiusKm = $this->resolveFloat($parameters['radius_km'] ?? $parameters['radiusKm'] ?? null);
         $observedAt = $this->resolveTimestamp($parameters['observed_at'] ?? $parameters['timestamp'] ?? $parameters['ts_end'] ?? null);
         $horizonHours = $this->resolveFloat($parameters['horizon_hours'] ?? $parameters['horizon'] ?? $parameters['horizonHours'] ?? null);
+        $area = $this->resolveAreaRing($parameters['area'] ?? null);
 
-        if ($center === null && $radiusKm !== null) {
+        if (($center === null && $radiusKm !== null) || $area !== null) {
             $radiusKm = null;
         }
 
@@ -555,7 +556,11 @@ private function filterEntries(LazyCollection $entries, array $parameters): Lazy
         }
 
         return $entries
-            ->filter(function (array $entry) use ($center, $radiusKm, $start, $end): bool {
+            ->filter(function (array $entry) use ($center, $radiusKm, $area, $start, $end): bool {
+                if ($area !== null && ! $this->containsPoint($area, $entry['latitude'], $entry['longitude'])) {
+                    return false;
+                }
+
                 if ($center !== null && $radiusKm !== null) {
                     $distance = $this->haversine($center['lat'], $center['lng'], $entry['latitude'], $entry['longitude']);
 
@@ -687,6 +692,58 @@ private function resolveCenter(mixed $value): ?array
         return ['lat' => $lat, 'lng' => $lng];
     }
 
+    /**
+     * Resolve the drawn area of interest into a closed ring of [lng, lat] vertices.
+     *
+     * @return list<array{0: float, 1: float}>|null
+     */
+    private function resolveAreaRing(mixed $value): ?array
+    {
+        if (! is_array($value) || ! isset($value['polygon']) || ! is_array($value['polygon'])) {
+            return null;
+        }
+
+        $ring = [];
+
+        foreach ($value['polygon'] as $vertex) {
+            if (! is_array($vertex)) {
+                continue;
+            }
+
+            $lng = $this->resolveFloat($vertex[0] ?? null);
+            $lat = $this->resolveFloat($vertex[1] ?? null);
+
+            if ($lng !== null && $lat !== null) {
+                $ring[] = [$lng, $lat];
+            }
+        }
+
+        return count($ring) >= 3 ? $ring : null;
+    }
+
+    /**
+     * Ray-casting point-in-polygon test against an area ring.
+     *
+     * @param list<array{0: float, 1: float}> $ring
+     */
+    private function containsPoint(array $ring, float $lat, float $lng): bool
+    {
+        $inside = false;
+        $count = count($ring);
+
+        for ($i = 0, $j = $count - 1; $i < $count; $j = $i++) {
+            [$xi, $yi] = $ring[$i];
+            [$xj, $yj] = $ring[$j];
+
+            if ((($yi > $lat) !== ($yj > $lat))
+                && ($lng < ($xj - $xi) * ($lat - $yi) / ($yj - $yi) + $xi)) {
+                $inside = ! $inside;
+            }
+        }
+
+        return $inside;
+    }
+
     private function resolveFloat(mixed $value): ?float
     {
         if ($value === null) {
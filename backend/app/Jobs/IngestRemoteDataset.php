@@ -226,6 +226,9 @@ private function resolveExtension(string $uri, ?string $mimeType): string
                 'application/csv' => 'csv',
                 'application/json' => 'json',
                 'application/geo+json' => 'geojson',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' => 'xlsx',
+                'application/vnd.apache.parquet' => 'parquet',
+                'application/x-parquet' => 'parquet',
             ];
 
             $normalised = strtolower($mimeType);
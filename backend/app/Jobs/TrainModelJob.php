@@ -6,6 +6,7 @@
 use App\Domain\Models\Events\ModelTrained;
 use App\Enums\ModelStatus;
 use App\Enums\TrainingStatus;
+use App\Exceptions\TrainingCancelledException;
 use App\Jobs\Concerns\TracksProgress;
 use App\Jobs\Middleware\EnsureJobIsAuthorized;
 use App\Jobs\Middleware\LogJobExecution;
@@ -15,6 +16,7 @@
 use App\Models\User;
 use App\Services\ModelStatusService;
 use App\Services\ModelTrainingService;
+use App\Services\TrainingCancellationService;
 use DateTimeInterface;
 use Illuminate\Bus\Queueable;
 use Illuminate\Contracts\Queue\Job as QueueJobContract;
@@ -121,8 +123,11 @@ public function authorize(): bool
      * @throws Throwable
      * @throws RandomException
      */
-    public function handle(ModelTrainingService $trainingService, ModelStatusService $statusService): void
-    {
+    public function handle(
+        ModelTrainingService $trainingService,
+        ModelStatusService $statusService,
+        TrainingCancellationService $cancellations,
+    ): void {
         $run = TrainingRun::query()->with('model')->findOrFail($this->trainingRunId);
         $model = $run->model;
 
@@ -131,6 +136,14 @@ public function handle(ModelTrainingService $trainingService, ModelStatusService
             return;
         }
 
+        if ($run->status === TrainingStatus::Cancelled) {
+            Log::info('Skipping cancelled training run', ['training_run_id' => $run->id]);
+            $cancellations->clear($run->id);
+            return;
+        }
+
+        $previousStatus = $model->status;
+
         $this->progressRun = $run;
         $this->progressModel = $model;
         $this->progressEntityId = $model->id;
@@ -159,11 +172,15 @@ public function handle(ModelTrainingService $trainingService, ModelStatusService
         $this->notifyProgressStage($statusService, $model, 45);
 
         try {
+            $this->throwIfCancelled($cancellations, $run);
+
             $result = $trainingService->train(
                 $run,
                 $model,
                 $effectiveHyperparameters,
-                function (float $progress, ?string $message = null) use ($statusService, $model, $totalEpochs): void {
+                function (float $progress, ?string $message = null) use ($statusService, $model, $totalEpochs, $cancellations, $run): void {
+                    $this->throwIfCancelled($cancellations, $run);
+
                     $normalised = (int) round($progress);
                     $resolvedMessage = $message ?? $this->defaultProgressMessage($normalised);
                     $epochMetrics = $this->buildEpochMetrics($normalised, $totalEpochs);
@@ -174,6 +191,8 @@ function (float $progress, ?string $message = null) use ($statusService, $model,
                 }
             );
 
+            $this->throwIfCancelled($cancellations, $run);
+
             $this->notifyProgressStage(
                 $statusService,
                 $model,
@@ -220,6 +239,27 @@ function (float $progress, ?string $message = null) use ($statusService, $model,
             $model->refresh();
 
             event(new ModelTrained($model));
+        } catch (TrainingCancelledException $exception) {
+            $message = 'Training cancelled';
+
+            $run->fill([
+                'status' => TrainingStatus::Cancelled,
+                'error_message' => $message,
+                'finished_at' => now(),
+            ])->save();
+
+            // The previous artifact is untouched, so the model returns to the state it had before this run
+            $model->fill([
+                'status' => $previousStatus === ModelStatus::Training ? ModelStatus::Draft : $previousStatus,
+            ])->save();
+
+            $cancellations->clear($run->id);
+
+            Log::info('Training job cancelled', ['training_run_id' => $run->id]);
+
+            $statusService->markCancelled($model->id, $message);
+            $this->updateProgress(100, $message);
+            $this->recordQueueProgress(100.0);
         } catch (Throwable $exception) {
             $run->fill([
                 'status' => TrainingStatus::Failed,
@@ -249,6 +289,13 @@ function (float $progress, ?string $message = null) use ($statusService, $model,
         }
     }
 
+    private function throwIfCancelled(TrainingCancellationService $cancellations, TrainingRun $run): void
+    {
+        if ($cancellations->isRequested($run->id)) {
+            throw TrainingCancelledException::forRun($run->id);
+        }
+    }
+
     public function failed(Throwable $exception): void
     {
         Log::error('Training job failed in queue', [
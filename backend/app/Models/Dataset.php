@@ -3,6 +3,7 @@
 namespace App\Models;
 
 use App\Enums\DatasetStatus;
+use App\Services\Datasets\CsvParser;
 use Illuminate\Database\Eloquent\Concerns\HasUuids;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
@@ -61,4 +62,55 @@ public function models(): HasMany
     {
         return $this->hasMany(PredictiveModel::class);
     }
+
+    /**
+     * Reader options chosen at upload time, such as the spreadsheet sheet to ingest.
+     *
+     * @return array{sheet?: string}
+     */
+    public function sourceOptions(): array
+    {
+        $options = is_array($this->metadata) ? ($this->metadata['source_options'] ?? null) : null;
+
+        if (! is_array($options)) {
+            return [];
+        }
+
+        $sheet = $options['sheet'] ?? null;
+
+        return is_string($sheet) && trim($sheet) !== '' ? ['sheet' => $sheet] : [];
+    }
+
+    /**
+     * How the uploaded CSV was read in the upload preview, when that differs from comma-separated UTF-8 with
+     * a header row. Empty once the file has been rewritten into that form.
+     *
+     * @return array{delimiter?: string, encoding?: string, has_header?: bool}
+     */
+    public function csvOptions(): array
+    {
+        $options = is_array($this->metadata) ? ($this->metadata['source_options'] ?? null) : null;
+
+        if (! is_array($options)) {
+            return [];
+        }
+
+        $csvOptions = [];
+
+        if (in_array($options['delimiter'] ?? null, CsvParser::DELIMITERS, true) && $options['delimiter'] !== ',') {
+            $csvOptions['delimiter'] = $options['delimiter'];
+        }
+
+        $encoding = is_string($options['encoding'] ?? null) ? strtolower($options['encoding']) : null;
+
+        if ($encoding !== null && $encoding !== 'utf-8' && array_key_exists($encoding, CsvParser::ENCODINGS)) {
+            $csvOptions['encoding'] = $encoding;
+        }
+
+        if (($options['has_header'] ?? true) === false) {
+            $csvOptions['has_header'] = false;
+        }
+
+        return $csvOptions;
+    }
 }
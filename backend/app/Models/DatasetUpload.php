@@ -0,0 +1,127 @@
+<?php
+
+namespace App\Models;
+
+use Carbon\CarbonImmutable;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Concerns\HasUuids;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Prunable;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Support\Facades\Storage;
+
+/**
+ * A resumable, chunked dataset upload. Chunks are stored on the local disk until the upload
+ * is attached to a dataset, and abandoned uploads are pruned once they expire.
+ *
+ * @property string $id
+ * @property int|null $user_id
+ * @property string $filename
+ * @property string|null $mime_type
+ * @property int $size
+ * @property int $chunk_size
+ * @property int $total_chunks
+ * @property string|null $checksum
+ * @property CarbonImmutable|null $completed_at
+ * @property CarbonImmutable $expires_at
+ */
+class DatasetUpload extends Model
+{
+    use HasUuids;
+    use Prunable;
+
+    /**
+     * Formats read in batches during ingestion. Only these may use the chunked upload size limit;
+     * JSON, GeoJSON and Excel files are decoded whole and keep the regular ingest limit.
+     */
+    public const STREAMED_EXTENSIONS = ['csv', 'txt', 'parquet', 'pq'];
+
+    /**
+     * @var list<string>
+     */
+    protected $fillable = [
+        'user_id',
+        'filename',
+        'mime_type',
+        'size',
+        'chunk_size',
+        'total_chunks',
+        'checksum',
+        'completed_at',
+        'expires_at',
+    ];
+
+    /**
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'user_id' => 'integer',
+        'size' => 'integer',
+        'chunk_size' => 'integer',
+        'total_chunks' => 'integer',
+        'completed_at' => 'immutable_datetime',
+        'expires_at' => 'immutable_datetime',
+    ];
+
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    public function chunkDirectory(): string
+    {
+        return 'dataset-uploads/' . $this->id;
+    }
+
+    /**
+     * Indexes of the chunks stored so far, read from disk so concurrent chunk requests never race on a column.
+     *
+     * @return list<int>
+     */
+    public function receivedChunks(): array
+    {
+        $indexes = [];
+
+        foreach (Storage::disk('local')->files($this->chunkDirectory()) as $path) {
+            if (preg_match('/(\d+)\.part$/', $path, $matches) === 1 && (int) $matches[1] < $this->total_chunks) {
+                $indexes[] = (int) $matches[1];
+            }
+        }
+
+        sort($indexes);
+
+        return $indexes;
+    }
+
+    public static function isStreamedFilename(string $filename): bool
+    {
+        return in_array(strtolower(pathinfo($filename, PATHINFO_EXTENSION)), self::STREAMED_EXTENSIONS, true);
+    }
+
+    /**
+     * The largest file, in kilobytes, an upload with this filename may hold.
+     */
+    public static function maxSizeKb(string $filename): int
+    {
+        if (self::isStreamedFilename($filename)) {
+            return max((int) config('api.chunked_uploads.max_size_kb', 4_194_304), 1);
+        }
+
+        return max((int) config('api.payload_limits.ingest', 204_800), 1);
+    }
+
+    public function isExpired(): bool
+    {
+        return $this->expires_at->isPast();
+    }
+
+    public function prunable(): Builder
+    {
+        return static::query()->where('expires_at', '<', now());
+    }
+
+    protected function pruning(): void
+    {
+        Storage::disk('local')->deleteDirectory($this->chunkDirectory());
+    }
+}
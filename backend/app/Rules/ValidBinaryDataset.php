@@ -0,0 +1,89 @@
+<?php
+
+namespace App\Rules;
+
+use App\Enums\DatasetFormat;
+use Closure;
+use Illuminate\Contracts\Validation\ValidationRule;
+use Illuminate\Http\UploadedFile;
+use ZipArchive;
+
+/**
+ * Checks that Excel and Parquet uploads really are what their extension claims. Both are commonly
+ * detected as generic binary or zip content, so the MIME allow-list alone cannot tell them apart.
+ */
+class ValidBinaryDataset implements ValidationRule
+{
+    private const GENERIC_MIME_TYPES = [
+        'application/octet-stream',
+        'application/zip',
+    ];
+
+    public function validate(string $attribute, mixed $value, Closure $fail): void
+    {
+        if (! $value instanceof UploadedFile) {
+            return;
+        }
+
+        $mimeType = strtolower((string) $value->getMimeType());
+        $format = DatasetFormat::detect((string) $value->getClientOriginalName(), $mimeType);
+
+        if (! in_array($format, [DatasetFormat::Xlsx, DatasetFormat::Parquet], true)) {
+            if (in_array($mimeType, self::GENERIC_MIME_TYPES, true)) {
+                $fail('The :attribute must be a CSV, JSON, GeoJSON, Excel (.xlsx) or Parquet file.');
+            }
+
+            return;
+        }
+
+        $path = $value->getRealPath();
+
+        if ($path === false) {
+            $fail('The :attribute could not be read.');
+
+            return;
+        }
+
+        if ($format === DatasetFormat::Xlsx && ! $this->isWorkbook($path)) {
+            $fail('The :attribute is not a valid Excel workbook.');
+        }
+
+        if ($format === DatasetFormat::Parquet && ! $this->isParquet($path)) {
+            $fail('The :attribute is not a valid Parquet file.');
+        }
+    }
+
+    private function isWorkbook(string $path): bool
+    {
+        $zip = new ZipArchive();
+
+        if ($zip->open($path, ZipArchive::RDONLY) !== true) {
+            return false;
+        }
+
+        try {
+            return $zip->locateName('xl/workbook.xml') !== false;
+        } finally {
+            $zip->close();
+        }
+    }
+
+    private function isParquet(string $path): bool
+    {
+        $handle = @fopen($path, 'rb');
+
+        if ($handle === false) {
+            return false;
+        }
+
+        try {
+            $head = fread($handle, 4);
+            fseek($handle, -4, SEEK_END);
+            $tail = fread($handle, 4);
+        } finally {
+            fclose($handle);
+        }
+
+        return $head === 'PAR1' && $tail === 'PAR1';
+    }
+}
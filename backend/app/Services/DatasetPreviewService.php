@@ -2,7 +2,9 @@
 
 namespace App\Services;
 
-use Illuminate\Support\Str;
+use App\Enums\DatasetFormat;
+use App\Services\Datasets\CsvParser;
+use App\Services\Datasets\GeoJsonReader;
 use RuntimeException;
 
 use function array_is_list;
@@ -11,27 +13,58 @@ class DatasetPreviewService
 {
     private const PREVIEW_LIMIT = 5;
 
+    public function __construct(
+        private readonly CsvParser $parser = new CsvParser(),
+        private readonly GeoJsonReader $geoJsonReader = new GeoJsonReader(),
+    ) {
+    }
+
     /**
      * Generate a small summary of the supplied dataset file, including the row count and a preview of the
-     * first few rows. The service currently supports CSV and JSON/GeoJSON payloads.
+     * first few rows. The service supports CSV, JSON/GeoJSON, Excel (.xlsx) and Parquet files.
+     *
+     * @param array{sheet?: string|null} $options
      *
      * @return array{headers: list<string>, row_count: int, preview_rows: list<array<string, mixed>>}
      */
-    public function summarise(string $path, ?string $mimeType = null): array
+    public function summarise(string $path, ?string $mimeType = null, array $options = []): array
     {
-        $mimeType = $mimeType !== null ? strtolower($mimeType) : null;
+        return match (DatasetFormat::detect($path, $mimeType)) {
+            DatasetFormat::Json, DatasetFormat::GeoJson => $this->summariseJson($path),
+            DatasetFormat::Xlsx, DatasetFormat::Parquet => $this->summariseRows(
+                $this->parser->readDatasetRows($path, $mimeType, $options)
+            ),
+            DatasetFormat::Csv => $this->summariseCsv($path),
+        };
+    }
 
-        if ($mimeType !== null && str_contains($mimeType, 'json')) {
-            return $this->summariseJson($path);
-        }
+    /**
+     * Summarise already-associative rows. Headers are collected across every row, in first-seen order.
+     *
+     * @param iterable<int, array<string, mixed>> $rows
+     *
+     * @return array{headers: list<string>, row_count: int, preview_rows: list<array<string, mixed>>}
+     */
+    private function summariseRows(iterable $rows): array
+    {
+        $headers = [];
+        $rowCount = 0;
+        $preview = [];
 
-        $extension = strtolower((string) pathinfo($path, PATHINFO_EXTENSION));
+        foreach ($rows as $row) {
+            $rowCount++;
+            $headers += array_fill_keys(array_keys($row), true);
 
-        if ($extension === 'json' || $extension === 'geojson') {
-            return $this->summariseJson($path);
+            if (count($preview) < self::PREVIEW_LIMIT) {
+                $preview[] = $row;
+            }
         }
 
-        return $this->summariseCsv($path);
+        return [
+            'headers' => array_map('strval', array_keys($headers)),
+            'row_count' => $rowCount,
+            'preview_rows' => $preview,
+        ];
     }
 
     /**
@@ -52,7 +85,7 @@ private function summariseCsv(string $path): array
         try {
             while (($row = fgetcsv($handle)) !== false) {
                 if ($headers === null) {
-                    $headers = $this->normaliseHeaders($row);
+                    $headers = $this->parser->normaliseHeaders($row);
 
                     if ($headers === []) {
                         break;
@@ -110,28 +143,18 @@ private function summariseJson(string $path): array
         }
 
         if (is_array($decoded)) {
-            if (array_key_exists('type', $decoded) && Str::lower((string) $decoded['type']) === 'featurecollection') {
-                $features = isset($decoded['features']) && is_array($decoded['features']) ? $decoded['features'] : [];
-
+            if ($this->geoJsonReader->isFeatureCollection($decoded)) {
                 $rows = [];
 
-                foreach ($features as $feature) {
-                    if (!is_array($feature)) {
-                        continue;
-                    }
+                foreach ($decoded['features'] as $feature) {
+                    $row = is_array($feature) ? $this->geoJsonReader->flattenFeature($feature) : null;
 
-                    $rows[] = [
-                        'type' => $feature['type'] ?? null,
-                        'properties' => $feature['properties'] ?? null,
-                        'geometry' => $feature['geometry'] ?? null,
-                    ];
+                    if ($row !== null) {
+                        $rows[] = $row;
+                    }
                 }
 
-                return [
-                    'headers' => ['type', 'properties', 'geometry'],
-                    'row_count' => count($rows),
-                    'preview_rows' => array_slice($rows, 0, self::PREVIEW_LIMIT),
-                ];
+                return $this->summariseRows($rows);
             }
 
             if (array_is_list($decoded)) {
@@ -170,29 +193,6 @@ private function summariseJson(string $path): array
         ];
     }
 
-    /**
-     * @param array<int, string|null> $headers
-     * @return list<string>
-     */
-    private function normaliseHeaders(array $headers): array
-    {
-        $normalised = [];
-
-        foreach ($headers as $header) {
-            if ($header === null) {
-                $normalised[] = '';
-                continue;
-            }
-
-            $value = preg_replace('/^\xEF\xBB\xBF/', '', $header);
-            $value = trim((string) $value);
-
-            $normalised[] = $value;
-        }
-
-        return $normalised;
-    }
-
     /**
      * @param array<int, string|null> $row
      */
@@ -8,6 +8,7 @@
 use App\Jobs\NotifyDatasetReady;
 use App\Models\Dataset;
 use App\Repositories\DatasetRepositoryInterface;
+use App\Services\Datasets\CsvNormaliser;
 use App\Services\Datasets\DatasetRepository;
 use App\Services\Datasets\FeatureGenerator;
 use App\Services\Datasets\SchemaMapper;
@@ -26,6 +27,7 @@ public function __construct(
         private readonly FeatureGenerator $featureGenerator,
         private readonly SchemaMapper $schemaMapper,
         private readonly DatasetRepository $datasetRepository,
+        private readonly CsvNormaliser $csvNormaliser,
     ) {
     }
 
@@ -44,6 +46,8 @@ public function finalise(Dataset $dataset, array $schemaMapping = [], array $add
             $dataset->metadata = $this->datasetRepository->mergeMetadata($dataset->metadata, $additionalMetadata);
         }
 
+        $this->csvNormaliser->normalise($dataset);
+
         $this->dispatchProgress($dataset, 0.1);
 
         $preview = $this->generatePreview($dataset);
@@ -307,7 +311,8 @@ private function generatePreview(Dataset $dataset): ?array
         try {
             return $this->previewService->summarise(
                 Storage::disk('local')->path($path),
-                $dataset->mime_type
+                $dataset->mime_type,
+                $dataset->sourceOptions()
             );
         } catch (Throwable $exception) {
             Log::warning('Failed to generate dataset preview', [
@@ -0,0 +1,155 @@
+<?php
+
+namespace App\Services\Datasets;
+
+use App\Models\DatasetUpload;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Support\Str;
+use Illuminate\Validation\ValidationException;
+use RuntimeException;
+
+/**
+ * Stores resumable dataset uploads chunk by chunk and stitches them back together once every
+ * chunk has arrived. Each chunk carries a SHA-256 checksum so corrupted chunks are rejected on
+ * arrival instead of surfacing as a broken file during ingestion.
+ */
+class ChunkedUploadService
+{
+    public function create(?int $userId, string $filename, int $size, ?string $mimeType = null): DatasetUpload
+    {
+        $chunkSize = $this->chunkSize();
+
+        return DatasetUpload::create([
+            'user_id' => $userId,
+            'filename' => $filename,
+            'mime_type' => $mimeType,
+            'size' => $size,
+            'chunk_size' => $chunkSize,
+            'total_chunks' => max(1, (int) ceil($size / $chunkSize)),
+            'expires_at' => now()->addHours($this->ttlHours()),
+        ]);
+    }
+
+    public function storeChunk(DatasetUpload $upload, int $index, UploadedFile $chunk, string $checksum): DatasetUpload
+    {
+        if ($upload->completed_at !== null || $upload->isExpired()) {
+            throw ValidationException::withMessages([
+                'chunk' => 'This upload is no longer accepting chunks. Start the upload again.',
+            ]);
+        }
+
+        if ($index >= $upload->total_chunks) {
+            throw ValidationException::withMessages([
+                'index' => sprintf('The chunk index must be less than %d.', $upload->total_chunks),
+            ]);
+        }
+
+        $expectedSize = $this->expectedChunkSize($upload, $index);
+
+        if ($chunk->getSize() !== $expectedSize) {
+            throw ValidationException::withMessages([
+                'chunk' => sprintf('Chunk %d must be %d bytes, received %d.', $index, $expectedSize, $chunk->getSize()),
+            ]);
+        }
+
+        $path = $chunk->getRealPath();
+
+        if ($path === false || ! hash_equals(strtolower($checksum), (string) hash_file('sha256', $path))) {
+            throw ValidationException::withMessages([
+                'checksum' => sprintf('Chunk %d does not match its checksum. It may have been corrupted in transit.', $index),
+            ]);
+        }
+
+        if ($chunk->storeAs($upload->chunkDirectory(), $index . '.part', 'local') === false) {
+            throw new RuntimeException('Unable to store the uploaded chunk.');
+        }
+
+        // Keep uploads that are still making progress from being pruned mid-transfer
+        $upload->expires_at = now()->addHours($this->ttlHours());
+        $upload->save();
+
+        return $upload;
+    }
+
+    /**
+     * Joins the chunks into a dataset file on the local disk and returns its storage path.
+     */
+    public function assemble(DatasetUpload $upload): string
+    {
+        $missing = $upload->total_chunks - count($upload->receivedChunks());
+
+        if ($missing > 0) {
+            throw ValidationException::withMessages([
+                'upload_id' => sprintf('The upload is incomplete: %d of %d chunks are missing.', $missing, $upload->total_chunks),
+            ]);
+        }
+
+        $disk = Storage::disk('local');
+        $extension = strtolower((string) pathinfo($upload->filename, PATHINFO_EXTENSION));
+        $path = sprintf('datasets/%s.%s', Str::uuid(), $extension);
+        $disk->makeDirectory('datasets');
+
+        $target = fopen($disk->path($path), 'wb');
+
+        if ($target === false) {
+            throw new RuntimeException('Unable to assemble the uploaded dataset file.');
+        }
+
+        try {
+            for ($index = 0; $index < $upload->total_chunks; $index++) {
+                $source = fopen($disk->path(sprintf('%s/%d.part', $upload->chunkDirectory(), $index)), 'rb');
+
+                if ($source === false) {
+                    throw new RuntimeException(sprintf('Unable to read chunk %d of the upload.', $index));
+                }
+
+                stream_copy_to_stream($source, $target);
+                fclose($source);
+            }
+        } finally {
+            fclose($target);
+        }
+
+        if ($disk->size($path) !== $upload->size) {
+            $disk->delete($path);
+
+            throw ValidationException::withMessages([
+                'upload_id' => 'The assembled file does not match the size declared when the upload started.',
+            ]);
+        }
+
+        $upload->checksum = hash_file('sha256', $disk->path($path));
+        $upload->completed_at = now();
+        $upload->save();
+
+        $disk->deleteDirectory($upload->chunkDirectory());
+
+        return $path;
+    }
+
+    public function discard(DatasetUpload $upload): void
+    {
+        Storage::disk('local')->deleteDirectory($upload->chunkDirectory());
+        $upload->delete();
+    }
+
+    private function chunkSize(): int
+    {
+        return max((int) config('api.chunked_uploads.chunk_size_kb', 8_192), 1) * 1024;
+    }
+
+    private function expectedChunkSize(DatasetUpload $upload, int $index): int
+    {
+        if ($index < $upload->total_chunks - 1) {
+            return $upload->chunk_size;
+        }
+
+        return $upload->size - $upload->chunk_size * ($upload->total_chunks - 1);
+    }
+
+    private function ttlHours(): int
+    {
+        return max((int) config('api.chunked_uploads.ttl_hours', 24), 1);
+    }
+}
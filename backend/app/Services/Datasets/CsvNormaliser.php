@@ -0,0 +1,102 @@
+<?php
+
+namespace App\Services\Datasets;
+
+use App\Enums\DatasetFormat;
+use App\Models\Dataset;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Storage;
+use RuntimeException;
+use Throwable;
+
+/**
+ * Rewrites CSV uploads that are not comma-separated UTF-8 with a header row into that form before ingestion.
+ *
+ * The upload wizard sniffs semicolon, tab and pipe delimiters, UTF-16 and Windows-1252 encodings and
+ * headerless files, and the schema mapping is built from what it saw. Normalising the stored file once
+ * means the preview, feature generation, training and heatmap readers all see those same columns.
+ */
+class CsvNormaliser
+{
+    public function __construct(private readonly CsvParser $parser = new CsvParser())
+    {
+    }
+
+    /**
+     * Returns true when the dataset file was rewritten.
+     */
+    public function normalise(Dataset $dataset): bool
+    {
+        $options = $dataset->csvOptions();
+
+        if ($options === [] || $dataset->file_path === null) {
+            return false;
+        }
+
+        $disk = Storage::disk('local');
+
+        if (! $disk->exists($dataset->file_path)
+            || DatasetFormat::detect($dataset->file_path, $dataset->mime_type) !== DatasetFormat::Csv) {
+            return false;
+        }
+
+        $this->rewrite($disk->path($dataset->file_path), $options);
+
+        // Record what the file was converted from, and stop it from being converted a second time
+        $metadata = is_array($dataset->metadata) ? $dataset->metadata : [];
+        $sourceOptions = Arr::except($metadata['source_options'] ?? [], ['delimiter', 'encoding', 'has_header']);
+        $metadata['source_options'] = $sourceOptions;
+        $metadata['normalised_from'] = $options;
+
+        if ($sourceOptions === []) {
+            unset($metadata['source_options']);
+        }
+
+        $dataset->metadata = $metadata;
+        $dataset->save();
+
+        return true;
+    }
+
+    /**
+     * @param array{delimiter?: string, encoding?: string, has_header?: bool} $options
+     */
+    private function rewrite(string $path, array $options): void
+    {
+        $temporaryPath = $path . '.normalising';
+        $output = fopen($temporaryPath, 'wb');
+
+        if ($output === false) {
+            throw new RuntimeException(sprintf('Unable to open "%s" for writing.', $temporaryPath));
+        }
+
+        $hasHeader = $options['has_header'] ?? true;
+
+        try {
+            foreach ($this->parser->readCsvRecords($path, $options) as $index => $record) {
+                if ($index === 0) {
+                    if ($hasHeader) {
+                        $record = $this->parser->normaliseHeaders($record);
+                    } else {
+                        fputcsv($output, $this->parser->generatedHeaders(count($record)), ',', '"', '');
+                    }
+                }
+
+                fputcsv($output, $record, ',', '"', '');
+            }
+        } catch (Throwable $exception) {
+            fclose($output);
+            @unlink($temporaryPath);
+
+            throw $exception;
+        }
+
+        fclose($output);
+
+        if (! rename($temporaryPath, $path)) {
+            @unlink($temporaryPath);
+
+            throw new RuntimeException(sprintf('Unable to replace dataset file "%s".', $path));
+        }
+    }
+}
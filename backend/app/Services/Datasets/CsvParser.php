@@ -2,86 +2,160 @@
 
 namespace App\Services\Datasets;
 
+use App\Enums\DatasetFormat;
+use Generator;
 use Illuminate\Support\LazyCollection;
+use RuntimeException;
 
 class CsvParser
 {
+    public const DELIMITERS = [',', ';', "\t", '|'];
+
+    /**
+     * Encodings the upload preview can detect, mapped to their iconv names.
+     */
+    public const ENCODINGS = [
+        'utf-8' => 'UTF-8',
+        'utf-16le' => 'UTF-16LE',
+        'utf-16be' => 'UTF-16BE',
+        'windows-1252' => 'CP1252',
+        'iso-8859-1' => 'ISO-8859-1',
+    ];
+
+    public function __construct(
+        private readonly XlsxReader $xlsxReader = new XlsxReader(),
+        private readonly GeoJsonReader $geoJsonReader = new GeoJsonReader(),
+        private readonly ParquetReader $parquetReader = new ParquetReader(),
+    ) {
+    }
+
     /**
-     * Read dataset rows from the given file path based on its MIME type or extension.
+     * Read dataset rows from the given file path based on its extension or MIME type.
+     *
+     * GeoJSON FeatureCollections are flattened to their properties plus latitude/longitude; other JSON
+     * payloads yield no rows. Spreadsheets read the sheet named in $options['sheet'], or the first one.
+     * CSV files honour the delimiter, encoding and has_header options described on readCsvRecords().
      *
      * @param string $path
      * @param string|null $mimeType
+     * @param array{sheet?: string|null, delimiter?: string, encoding?: string, has_header?: bool} $options
      *
      * @return LazyCollection<int, array<string, mixed>>
      */
-    public function readDatasetRows(string $path, ?string $mimeType): LazyCollection
+    public function readDatasetRows(string $path, ?string $mimeType, array $options = []): LazyCollection
     {
-        $mimeType = $mimeType !== null ? strtolower($mimeType) : null;
-
-        if ($mimeType !== null && str_contains($mimeType, 'json')) {
-            return LazyCollection::empty();
-        }
-
-        $extension = strtolower((string) pathinfo($path, PATHINFO_EXTENSION));
-
-        if (in_array($extension, ['json', 'geojson'], true)) {
-            return LazyCollection::empty();
-        }
-
-        return $this->readCsvRows($path);
+        return match (DatasetFormat::detect($path, $mimeType)) {
+            DatasetFormat::Json, DatasetFormat::GeoJson => $this->geoJsonReader->readRows($path),
+            DatasetFormat::Xlsx => LazyCollection::make(fn () => yield from $this->associateRows(
+                $this->xlsxReader->readRows($path, $options['sheet'] ?? null)
+            )),
+            DatasetFormat::Parquet => LazyCollection::make(function () use ($path) {
+                foreach ($this->parquetReader->readRows($path) as $row) {
+                    if (! $this->isEmptyRow($row)) {
+                        yield $row;
+                    }
+                }
+            }),
+            DatasetFormat::Csv => $this->readCsvRows($path, $options),
+        };
     }
 
     /**
      * Read rows from a CSV file at the given path.
      *
      * @param string $path
+     * @param array{delimiter?: string, encoding?: string, has_header?: bool} $options
      *
      * @return LazyCollection<int, array<string, mixed>>
      */
-    public function readCsvRows(string $path): LazyCollection
+    public function readCsvRows(string $path, array $options = []): LazyCollection
     {
-        return LazyCollection::make(function () use ($path) {
-            $handle = fopen($path, 'rb');
+        return LazyCollection::make(fn () => yield from $this->associateRows(
+            $this->readCsvRecords($path, $options),
+            $options['has_header'] ?? true
+        ));
+    }
 
-            if ($handle === false) {
-                return;
-            }
+    /**
+     * Read positional CSV records. The delimiter defaults to a comma and the encoding to UTF-8; other
+     * encodings are converted to UTF-8 as the file streams.
+     *
+     * @param string $path
+     * @param array{delimiter?: string, encoding?: string} $options
+     *
+     * @return Generator<int, array<int, string|null>>
+     */
+    public function readCsvRecords(string $path, array $options = []): Generator
+    {
+        $handle = fopen($path, 'rb');
 
-            try {
-                $headers = null;
+        if ($handle === false) {
+            return;
+        }
 
-                while (($row = fgetcsv($handle)) !== false) {
-                    if ($headers === null) {
-                        $headers = $this->normaliseHeaders($row);
+        try {
+            $encoding = self::ENCODINGS[strtolower($options['encoding'] ?? 'utf-8')] ?? 'UTF-8';
 
-                        if ($headers === []) {
-                            break;
-                        }
+            if ($encoding !== 'UTF-8'
+                && stream_filter_append($handle, sprintf('convert.iconv.%s/UTF-8', $encoding), STREAM_FILTER_READ) === false) {
+                throw new RuntimeException(sprintf('Unable to read CSV files encoded as %s.', $encoding));
+            }
 
-                        continue;
-                    }
+            $delimiter = in_array($options['delimiter'] ?? ',', self::DELIMITERS, true) ? ($options['delimiter'] ?? ',') : ',';
 
-                    if ($this->isEmptyRow($row)) {
-                        continue;
-                    }
+            while (($row = fgetcsv($handle, null, $delimiter, '"', '')) !== false) {
+                yield $row;
+            }
+        } finally {
+            fclose($handle);
+        }
+    }
 
-                    $assoc = $this->combineRow($headers, $row);
+    /**
+     * Turn positional rows into associative rows, using the first row as the header. Files without a
+     * header row get column_1, column_2, … names, matching the upload preview.
+     *
+     * @param iterable<int, array<int, string|null>> $rows
+     *
+     * @return Generator<int, array<string, string|null>>
+     */
+    public function associateRows(iterable $rows, bool $hasHeader = true): Generator
+    {
+        $headers = null;
 
-                    if ($assoc === null || $assoc === []) {
-                        continue;
-                    }
+        foreach ($rows as $row) {
+            if ($headers === null) {
+                $headers = $hasHeader ? $this->normaliseHeaders($row) : $this->generatedHeaders(count($row));
+
+                if ($headers === []) {
+                    return;
+                }
 
-                    yield $assoc;
+                if ($hasHeader) {
+                    continue;
                 }
-            } finally {
-                fclose($handle);
             }
-        });
+
+            if ($this->isEmptyRow($row)) {
+                continue;
+            }
+
+            $assoc = $this->combineRow($headers, $row);
+
+            if ($assoc === null || $assoc === []) {
+                continue;
+            }
+
+            yield $assoc;
+        }
     }
 
     /**
      * Normalise CSV headers by removing BOM characters and trimming whitespace.
      *
+     * Blank headers become column_N and repeated headers gain _2, _3 suffixes, matching the names the upload
+     * preview shows, so every column can be mapped and none overwrites another.
+     *
      * @param array<int, string|null> $headers
      *
      * @return list<string>
@@ -89,26 +163,31 @@ public function readCsvRows(string $path): LazyCollection
     public function normaliseHeaders(array $headers): array
     {
         $normalised = [];
+        $seen = [];
 
-        foreach ($headers as $header) {
-            if ($header === null) {
-                $normalised[] = '';
-                continue;
-            }
-
-            $value = preg_replace('/^\xEF\xBB\xBF/', '', $header);
-            $value = trim((string) $value);
+        foreach (array_values($headers) as $index => $header) {
+            $value = trim((string) preg_replace('/^\xEF\xBB\xBF/', '', (string) $header));
+            $base = $value !== '' ? $value : 'column_' . ($index + 1);
+            $seen[$base] = ($seen[$base] ?? 0) + 1;
 
-            $normalised[] = $value;
+            $normalised[] = $seen[$base] > 1 ? $base . '_' . $seen[$base] : $base;
         }
 
         return $normalised;
     }
 
     /**
-     * Check if a CSV row is empty (all values are null or empty strings).
+     * @return list<string>
+     */
+    public function generatedHeaders(int $count): array
+    {
+        return array_map(static fn (int $index): string => 'column_' . $index, $count > 0 ? range(1, $count) : []);
+    }
+
+    /**
+     * Check if a row is empty (all values are null or empty strings).
      *
-     * @param array<int, string|null> $row
+     * @param array<int|string, mixed> $row
      */
     public function isEmptyRow(array $row): bool
     {
@@ -52,7 +52,7 @@ public function populateFromMapping(
 
         try {
             $this->csvParser
-                ->readDatasetRows($path, $dataset->mime_type)
+                ->readDatasetRows($path, $dataset->mime_type, $dataset->sourceOptions())
                 ->chunk($batchSize)
                 ->each(function (LazyCollection $chunk) use ($dataset, $schema, &$index, $progressCallback, $expectedRowCount) {
                     $batch = [];
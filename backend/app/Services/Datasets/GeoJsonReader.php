@@ -0,0 +1,277 @@
+<?php
+
+namespace App\Services\Datasets;
+
+use Illuminate\Support\LazyCollection;
+use JsonException;
+use RuntimeException;
+
+class GeoJsonReader
+{
+    /**
+     * Read a GeoJSON FeatureCollection as flat rows.
+     *
+     * @return LazyCollection<int, array<string, mixed>>
+     */
+    public function readRows(string $path): LazyCollection
+    {
+        return LazyCollection::make(function () use ($path) {
+            $payload = $this->decode($path);
+
+            if ($payload === null || ! $this->isFeatureCollection($payload)) {
+                return;
+            }
+
+            foreach ($payload['features'] as $feature) {
+                $row = is_array($feature) ? $this->flattenFeature($feature) : null;
+
+                if ($row !== null) {
+                    yield $row;
+                }
+            }
+        });
+    }
+
+    /**
+     * @return array<string, mixed>|null
+     */
+    public function decode(string $path): ?array
+    {
+        $contents = @file_get_contents($path);
+
+        if ($contents === false) {
+            throw new RuntimeException(sprintf('Unable to read GeoJSON file "%s".', $path));
+        }
+
+        try {
+            $decoded = json_decode($contents, true, 512, JSON_THROW_ON_ERROR);
+        } catch (JsonException) {
+            return null;
+        }
+
+        return is_array($decoded) ? $decoded : null;
+    }
+
+    /**
+     * @param array<string, mixed> $payload
+     */
+    public function isFeatureCollection(array $payload): bool
+    {
+        return is_string($payload['type'] ?? null)
+            && strtolower($payload['type']) === 'featurecollection'
+            && is_array($payload['features'] ?? null);
+    }
+
+    /**
+     * Flatten a feature into its properties plus latitude/longitude taken from the geometry: the point itself,
+     * or the centroid for lines and polygons. Geometry coordinates take precedence over same-named properties.
+     *
+     * @param array<string, mixed> $feature
+     *
+     * @return array<string, mixed>|null
+     */
+    public function flattenFeature(array $feature): ?array
+    {
+        $row = [];
+
+        if (isset($feature['id']) && is_scalar($feature['id'])) {
+            $row['feature_id'] = $feature['id'];
+        }
+
+        $properties = is_array($feature['properties'] ?? null) ? $feature['properties'] : [];
+
+        foreach ($properties as $key => $value) {
+            $row[(string) $key] = is_array($value) ? json_encode($value) : $value;
+        }
+
+        $geometry = is_array($feature['geometry'] ?? null) ? $feature['geometry'] : null;
+        $centroid = $geometry !== null ? $this->centroid($geometry) : null;
+
+        if ($centroid !== null) {
+            [$row['longitude'], $row['latitude']] = $centroid;
+        }
+
+        if ($geometry !== null && is_string($geometry['type'] ?? null)) {
+            $row['geometry_type'] = $geometry['type'];
+        }
+
+        return $row === [] ? null : $row;
+    }
+
+    /**
+     * Representative [longitude, latitude] for a geometry. Polygons use their area-weighted centroid (holes
+     * subtracted), lines their length-weighted midpoint and point sets their mean.
+     *
+     * @param array<string, mixed> $geometry
+     *
+     * @return array{0: float, 1: float}|null
+     */
+    public function centroid(array $geometry): ?array
+    {
+        $type = is_string($geometry['type'] ?? null) ? $geometry['type'] : '';
+        $coordinates = $geometry['coordinates'] ?? null;
+
+        if ($type === 'GeometryCollection') {
+            $points = [];
+
+            foreach ((array) ($geometry['geometries'] ?? []) as $child) {
+                $point = is_array($child) ? $this->centroid($child) : null;
+
+                if ($point !== null) {
+                    $points[] = $point;
+                }
+            }
+
+            return $this->meanOf($points);
+        }
+
+        if (! is_array($coordinates)) {
+            return null;
+        }
+
+        return match ($type) {
+            'Point' => $this->position($coordinates),
+            'MultiPoint' => $this->meanOf(array_filter(array_map(fn ($position) => $this->position($position), $coordinates))),
+            'LineString' => $this->lineCentroid([$coordinates]),
+            'MultiLineString' => $this->lineCentroid($coordinates),
+            'Polygon' => $this->polygonCentroid([$coordinates]),
+            'MultiPolygon' => $this->polygonCentroid($coordinates),
+            default => null,
+        };
+    }
+
+    /**
+     * @return array{0: float, 1: float}|null
+     */
+    private function position(mixed $position): ?array
+    {
+        if (! is_array($position) || ! isset($position[0], $position[1]) || ! is_numeric($position[0]) || ! is_numeric($position[1])) {
+            return null;
+        }
+
+        return [(float) $position[0], (float) $position[1]];
+    }
+
+    /**
+     * @param array<int, array{0: float, 1: float}> $points
+     *
+     * @return array{0: float, 1: float}|null
+     */
+    private function meanOf(array $points): ?array
+    {
+        if ($points === []) {
+            return null;
+        }
+
+        $x = 0.0;
+        $y = 0.0;
+
+        foreach ($points as [$px, $py]) {
+            $x += $px;
+            $y += $py;
+        }
+
+        return [$x / count($points), $y / count($points)];
+    }
+
+    /**
+     * @param array<int, mixed> $lines
+     *
+     * @return array{0: float, 1: float}|null
+     */
+    private function lineCentroid(array $lines): ?array
+    {
+        $length = 0.0;
+        $x = 0.0;
+        $y = 0.0;
+        $vertices = [];
+
+        foreach ($lines as $line) {
+            $previous = null;
+
+            foreach ((array) $line as $position) {
+                $point = $this->position($position);
+
+                if ($point === null) {
+                    continue;
+                }
+
+                $vertices[] = $point;
+
+                if ($previous !== null) {
+                    $segment = hypot($point[0] - $previous[0], $point[1] - $previous[1]);
+                    $length += $segment;
+                    $x += $segment * ($point[0] + $previous[0]) / 2;
+                    $y += $segment * ($point[1] + $previous[1]) / 2;
+                }
+
+                $previous = $point;
+            }
+        }
+
+        return $length > 0 ? [$x / $length, $y / $length] : $this->meanOf($vertices);
+    }
+
+    /**
+     * @param array<int, mixed> $polygons
+     *
+     * @return array{0: float, 1: float}|null
+     */
+    private function polygonCentroid(array $polygons): ?array
+    {
+        $area = 0.0;
+        $x = 0.0;
+        $y = 0.0;
+        $vertices = [];
+
+        foreach ($polygons as $rings) {
+            foreach (array_values((array) $rings) as $index => $ring) {
+                $points = array_values(array_filter(array_map(fn ($position) => $this->position($position), (array) $ring)));
+                array_push($vertices, ...$points);
+
+                [$ringArea, $ringX, $ringY] = $this->ringMoments($points);
+                // The first ring is the exterior; any further rings are holes
+                $sign = $index === 0 ? 1 : -1;
+                $area += $sign * $ringArea;
+                $x += $sign * $ringX;
+                $y += $sign * $ringY;
+            }
+        }
+
+        return abs($area) > 1e-12 ? [$x / $area, $y / $area] : $this->meanOf($vertices);
+    }
+
+    /**
+     * Unsigned area of a ring and its first moments (area × centroid), via the shoelace formula.
+     *
+     * @param list<array{0: float, 1: float}> $points
+     *
+     * @return array{0: float, 1: float, 2: float}
+     */
+    private function ringMoments(array $points): array
+    {
+        $count = count($points);
+        $signedArea = 0.0;
+        $x = 0.0;
+        $y = 0.0;
+
+        for ($i = 0; $i < $count; $i++) {
+            [$x0, $y0] = $points[$i];
+            [$x1, $y1] = $points[($i + 1) % $count];
+            $cross = $x0 * $y1 - $x1 * $y0;
+            $signedArea += $cross;
+            $x += ($x0 + $x1) * $cross;
+            $y += ($y0 + $y1) * $cross;
+        }
+
+        $signedArea /= 2;
+
+        if ($signedArea === 0.0) {
+            return [0.0, 0.0, 0.0];
+        }
+
+        $direction = $signedArea < 0 ? -1 : 1;
+
+        return [abs($signedArea), $direction * $x / 6, $direction * $y / 6];
+    }
+}
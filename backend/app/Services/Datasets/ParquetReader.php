@@ -0,0 +1,760 @@
+<?php
+
+namespace App\Services\Datasets;
+
+use Carbon\CarbonImmutable;
+use Generator;
+use RuntimeException;
+
+/**
+ * Minimal Parquet reader for the flat files produced by pandas, Spark and most GIS exports.
+ *
+ * Supports top-level required/optional columns, PLAIN and dictionary encodings, data pages v1 and v2, and
+ * uncompressed, Snappy or gzip column chunks (zstd when the zstd extension is loaded). Rows are streamed a page
+ * at a time. Nested columns and delta encodings are rejected with a descriptive exception.
+ */
+class ParquetReader
+{
+    private const MAGIC = 'PAR1';
+
+    private const TYPE_BOOLEAN = 0;
+    private const TYPE_INT32 = 1;
+    private const TYPE_INT64 = 2;
+    private const TYPE_INT96 = 3;
+    private const TYPE_FLOAT = 4;
+    private const TYPE_DOUBLE = 5;
+    private const TYPE_BYTE_ARRAY = 6;
+    private const TYPE_FIXED_LEN_BYTE_ARRAY = 7;
+
+    private const ENCODING_PLAIN = 0;
+    private const ENCODING_PLAIN_DICTIONARY = 2;
+    private const ENCODING_RLE = 3;
+    private const ENCODING_RLE_DICTIONARY = 8;
+
+    private const PAGE_DATA = 0;
+    private const PAGE_DICTIONARY = 2;
+    private const PAGE_DATA_V2 = 3;
+
+    private const CODEC_UNCOMPRESSED = 0;
+    private const CODEC_SNAPPY = 1;
+    private const CODEC_GZIP = 2;
+    private const CODEC_ZSTD = 6;
+
+    // Legacy converted types
+    private const CONVERTED_DECIMAL = 5;
+    private const CONVERTED_DATE = 6;
+    private const CONVERTED_TIMESTAMP_MILLIS = 9;
+    private const CONVERTED_TIMESTAMP_MICROS = 10;
+
+    private const REPETITION_OPTIONAL = 1;
+    private const REPETITION_REPEATED = 2;
+
+    // Julian day number of the Unix epoch, used by INT96 timestamps
+    private const JULIAN_UNIX_EPOCH = 2440588;
+
+    /**
+     * List the column names of a Parquet file.
+     *
+     * @return list<string>
+     */
+    public function columnNames(string $path): array
+    {
+        $handle = $this->open($path);
+
+        try {
+            return array_column($this->columns($this->readMetadata($handle)), 'name');
+        } finally {
+            fclose($handle);
+        }
+    }
+
+    /**
+     * Stream rows as associative arrays keyed by column name.
+     *
+     * Each column chunk is read one page at a time, so memory use is bounded by the page size rather than
+     * the row group size.
+     *
+     * @return Generator<int, array<string, mixed>>
+     */
+    public function readRows(string $path): Generator
+    {
+        $handle = $this->open($path);
+
+        try {
+            $metadata = $this->readMetadata($handle);
+            $columns = $this->columns($metadata);
+
+            foreach ($metadata[4] ?? [] as $rowGroup) {
+                $rowCount = (int) ($rowGroup[3] ?? 0);
+                $cursors = [];
+
+                foreach ($rowGroup[1] ?? [] as $index => $chunk) {
+                    if (isset($columns[$index])) {
+                        $cursors[$index] = $this->columnValues($handle, $chunk[3] ?? [], $columns[$index], $rowCount);
+                    }
+                }
+
+                for ($row = 0; $row < $rowCount; $row++) {
+                    $record = [];
+
+                    foreach ($columns as $index => $column) {
+                        $cursor = $cursors[$index] ?? null;
+                        $record[$column['name']] = $cursor?->valid() ? $cursor->current() : null;
+                        $cursor?->next();
+                    }
+
+                    yield $record;
+                }
+            }
+        } finally {
+            fclose($handle);
+        }
+    }
+
+    /**
+     * @return resource
+     */
+    private function open(string $path)
+    {
+        $handle = @fopen($path, 'rb');
+
+        if ($handle === false) {
+            throw new RuntimeException(sprintf('Unable to open Parquet file "%s".', $path));
+        }
+
+        return $handle;
+    }
+
+    /**
+     * Decode the FileMetaData footer into nested arrays keyed by Thrift field id.
+     *
+     * @param resource $handle
+     *
+     * @return array<int, mixed>
+     */
+    private function readMetadata($handle): array
+    {
+        $size = fstat($handle)['size'] ?? 0;
+
+        if ($size < 12 || $this->readAt($handle, 0, 4) !== self::MAGIC || $this->readAt($handle, $size - 4, 4) !== self::MAGIC) {
+            throw new RuntimeException('The file is not a Parquet file.');
+        }
+
+        $length = unpack('V', $this->readAt($handle, $size - 8, 4))[1];
+
+        if ($length <= 0 || $length > $size - 12) {
+            throw new RuntimeException('The Parquet footer is corrupt.');
+        }
+
+        $offset = 0;
+
+        return $this->readStruct($this->readAt($handle, $size - 8 - $length, $length), $offset);
+    }
+
+    /**
+     * Resolve the leaf columns of a flat schema.
+     *
+     * @param array<int, mixed> $metadata
+     *
+     * @return list<array{name: string, type: int, length: int, optional: bool, converted: int|null, logical: array<int, mixed>|null, scale: int}>
+     */
+    private function columns(array $metadata): array
+    {
+        $schema = $metadata[2] ?? [];
+        $columns = [];
+
+        // The first element is the root group; every other element must be a top-level primitive column
+        foreach (array_slice($schema, 1) as $element) {
+            $name = (string) ($element[4] ?? '');
+
+            if (($element[5] ?? 0) > 0 || ! isset($element[1])) {
+                throw new RuntimeException(sprintf('Nested Parquet column "%s" is not supported.', $name));
+            }
+
+            if (($element[3] ?? 0) === self::REPETITION_REPEATED) {
+                throw new RuntimeException(sprintf('Repeated Parquet column "%s" is not supported.', $name));
+            }
+
+            $columns[] = [
+                'name' => $name,
+                'type' => (int) $element[1],
+                'length' => (int) ($element[2] ?? 0),
+                'optional' => ($element[3] ?? 0) === self::REPETITION_OPTIONAL,
+                'converted' => isset($element[6]) ? (int) $element[6] : null,
+                'logical' => is_array($element[10] ?? null) ? $element[10] : null,
+                'scale' => (int) ($element[7] ?? 0),
+            ];
+        }
+
+        return $columns;
+    }
+
+    /**
+     * Yield the values of one column chunk, reading and decoding a single page at a time.
+     *
+     * @param resource $handle
+     * @param array<int, mixed> $meta ColumnMetaData
+     * @param array{name: string, type: int, length: int, optional: bool, converted: int|null, logical: array<int, mixed>|null, scale: int} $column
+     *
+     * @return Generator<int, mixed>
+     */
+    private function columnValues($handle, array $meta, array $column, int $rowCount): Generator
+    {
+        $offset = (int) ($meta[9] ?? 0);
+
+        // The dictionary page, when there is one, precedes the data pages
+        if (isset($meta[11]) && $meta[11] > 0) {
+            $offset = min($offset, (int) $meta[11]);
+        }
+
+        $end = $offset + (int) ($meta[7] ?? 0);
+        $codec = (int) ($meta[4] ?? self::CODEC_UNCOMPRESSED);
+        $dictionary = null;
+        $read = 0;
+
+        while ($read < $rowCount && $offset < $end) {
+            $header = $this->readPageHeader($handle, $offset, $end);
+            $compressedSize = (int) ($header[3] ?? 0);
+            $page = $this->readAt($handle, $offset, $compressedSize);
+            $offset += $compressedSize;
+            $values = [];
+
+            switch ((int) ($header[1] ?? -1)) {
+                case self::PAGE_DICTIONARY:
+                    $data = $this->decompress($page, $codec);
+                    $position = 0;
+                    $dictionary = $this->readPlain($data, $position, $column, (int) ($header[7][1] ?? 0));
+                    break;
+
+                case self::PAGE_DATA:
+                    $data = $this->decompress($page, $codec);
+                    $pageHeader = $header[5] ?? [];
+                    $count = (int) ($pageHeader[1] ?? 0);
+                    $position = 0;
+                    $definitions = null;
+
+                    if ($column['optional']) {
+                        $length = unpack('V', substr($data, $position, 4))[1];
+                        $position += 4;
+                        $definitions = $this->readHybrid(substr($data, $position, $length), 1, $count);
+                        $position += $length;
+                    }
+
+                    $values = $this->readPageValues($data, $position, $column, (int) ($pageHeader[2] ?? 0), $count, $definitions, $dictionary);
+                    break;
+
+                case self::PAGE_DATA_V2:
+                    $pageHeader = $header[8] ?? [];
+                    $count = (int) ($pageHeader[1] ?? 0);
+                    $repetitionLength = (int) ($pageHeader[6] ?? 0);
+                    $definitionLength = (int) ($pageHeader[5] ?? 0);
+                    $levelsLength = $repetitionLength + $definitionLength;
+                    $definitions = $column['optional']
+                        ? $this->readHybrid(substr($page, $repetitionLength, $definitionLength), 1, $count)
+                        : null;
+                    $compressed = ($pageHeader[7] ?? true) !== false;
+                    $data = substr($page, $levelsLength);
+                    $data = $compressed ? $this->decompress($data, $codec) : $data;
+                    $position = 0;
+
+                    $values = $this->readPageValues($data, $position, $column, (int) ($pageHeader[4] ?? 0), $count, $definitions, $dictionary);
+                    break;
+
+                default:
+                    // Index pages and unknown page types carry no row values
+                    break;
+            }
+
+            foreach ($values as $value) {
+                $read++;
+
+                yield $value;
+            }
+        }
+    }
+
+    /**
+     * Decode the page header at $offset and advance past it, widening the read until the whole header fits.
+     *
+     * @param resource $handle
+     *
+     * @return array<int, mixed>
+     */
+    private function readPageHeader($handle, int &$offset, int $end): array
+    {
+        // Headers are usually a few dozen bytes, but page statistics can hold long byte-array values
+        $length = 1024;
+
+        while (true) {
+            $buffer = $this->readAt($handle, $offset, min($length, $end - $offset));
+            $position = 0;
+            $header = $this->readStruct($buffer, $position);
+
+            // Reading past the buffer yields zero bytes, which leaves the position beyond its end
+            if ($position <= strlen($buffer)) {
+                $offset += $position;
+
+                return $header;
+            }
+
+            if ($length >= $end - $offset) {
+                throw new RuntimeException('A Parquet page header is truncated.');
+            }
+
+            $length *= 8;
+        }
+    }
+
+    /**
+     * @param array{name: string, type: int, length: int, optional: bool, converted: int|null, logical: array<int, mixed>|null, scale: int} $column
+     * @param list<int>|null $definitions
+     * @param list<mixed>|null $dictionary
+     *
+     * @return list<mixed>
+     */
+    private function readPageValues(string $data, int $position, array $column, int $encoding, int $count, ?array $definitions, ?array $dictionary): array
+    {
+        $present = $definitions === null ? $count : count(array_filter($definitions, static fn (int $level) => $level === 1));
+
+        if ($encoding === self::ENCODING_PLAIN) {
+            $decoded = $this->readPlain($data, $position, $column, $present);
+        } elseif ($encoding === self::ENCODING_PLAIN_DICTIONARY || $encoding === self::ENCODING_RLE_DICTIONARY) {
+            if ($dictionary === null) {
+                throw new RuntimeException(sprintf('Parquet column "%s" references a missing dictionary.', $column['name']));
+            }
+
+            $bitWidth = ord($data[$position] ?? "\0");
+            $indexes = $this->readHybrid(substr($data, $position + 1), $bitWidth, $present);
+            $decoded = array_map(static fn (int $index) => $dictionary[$index] ?? null, $indexes);
+        } elseif ($encoding === self::ENCODING_RLE && $column['type'] === self::TYPE_BOOLEAN) {
+            $length = unpack('V', substr($data, $position, 4))[1];
+            $decoded = array_map(static fn (int $bit) => $bit === 1, $this->readHybrid(substr($data, $position + 4, $length), 1, $present));
+        } else {
+            throw new RuntimeException(sprintf('Parquet encoding %d used by column "%s" is not supported.', $encoding, $column['name']));
+        }
+
+        if ($definitions === null) {
+            return $decoded;
+        }
+
+        $values = [];
+        $next = 0;
+
+        foreach ($definitions as $level) {
+            $values[] = $level === 1 ? ($decoded[$next++] ?? null) : null;
+        }
+
+        return $values;
+    }
+
+    /**
+     * @param array{name: string, type: int, length: int, optional: bool, converted: int|null, logical: array<int, mixed>|null, scale: int} $column
+     *
+     * @return list<mixed>
+     */
+    private function readPlain(string $data, int &$position, array $column, int $count): array
+    {
+        $values = [];
+
+        if ($column['type'] === self::TYPE_BOOLEAN) {
+            for ($i = 0; $i < $count; $i++) {
+                $values[] = (ord($data[$position + intdiv($i, 8)] ?? "\0") >> ($i % 8) & 1) === 1;
+            }
+
+            $position += intdiv($count + 7, 8);
+
+            return $values;
+        }
+
+        for ($i = 0; $i < $count; $i++) {
+            switch ($column['type']) {
+                case self::TYPE_INT32:
+                    $raw = unpack('V', substr($data, $position, 4))[1];
+                    $value = $raw >= 0x80000000 ? $raw - 0x100000000 : $raw;
+                    $position += 4;
+                    break;
+                case self::TYPE_INT64:
+                    $value = unpack('P', substr($data, $position, 8))[1];
+                    $position += 8;
+                    break;
+                case self::TYPE_INT96:
+                    $value = $this->int96Timestamp(substr($data, $position, 12));
+                    $position += 12;
+                    break;
+                case self::TYPE_FLOAT:
+                    $value = unpack('g', substr($data, $position, 4))[1];
+                    $position += 4;
+                    break;
+                case self::TYPE_DOUBLE:
+                    $value = unpack('e', substr($data, $position, 8))[1];
+                    $position += 8;
+                    break;
+                case self::TYPE_BYTE_ARRAY:
+                    $length = unpack('V', substr($data, $position, 4))[1];
+                    $value = substr($data, $position + 4, $length);
+                    $position += 4 + $length;
+                    break;
+                case self::TYPE_FIXED_LEN_BYTE_ARRAY:
+                    $value = substr($data, $position, $column['length']);
+                    $position += $column['length'];
+                    break;
+                default:
+                    throw new RuntimeException(sprintf('Parquet type %d used by column "%s" is not supported.', $column['type'], $column['name']));
+            }
+
+            $values[] = $this->convert($value, $column);
+        }
+
+        return $values;
+    }
+
+    /**
+     * Apply the column's logical or converted type to a physical value.
+     *
+     * @param array{name: string, type: int, length: int, optional: bool, converted: int|null, logical: array<int, mixed>|null, scale: int} $column
+     */
+    private function convert(mixed $value, array $column): mixed
+    {
+        $logical = $column['logical'];
+        $converted = $column['converted'];
+
+        if (isset($logical[6]) || $converted === self::CONVERTED_DATE) {
+            return CarbonImmutable::createFromTimestampUTC(0)->addDays((int) $value)->format('Y-m-d');
+        }
+
+        if (isset($logical[8]) || $converted === self::CONVERTED_TIMESTAMP_MILLIS || $converted === self::CONVERTED_TIMESTAMP_MICROS) {
+            $unit = isset($logical[8]) ? array_key_first($logical[8][2] ?? [1 => []]) : ($converted === self::CONVERTED_TIMESTAMP_MILLIS ? 1 : 2);
+            $perSecond = match ($unit) {
+                2 => 1_000_000,
+                3 => 1_000_000_000,
+                default => 1_000,
+            };
+
+            return $this->formatTimestamp(
+                intdiv((int) $value, $perSecond),
+                intdiv((int) $value % $perSecond * 1_000_000, $perSecond)
+            );
+        }
+
+        if (isset($logical[5]) || $converted === self::CONVERTED_DECIMAL) {
+            $scale = isset($logical[5][1]) ? (int) $logical[5][1] : $column['scale'];
+            $unscaled = is_string($value) ? $this->bigEndianInteger($value) : (int) $value;
+
+            return $unscaled / (10 ** $scale);
+        }
+
+        return $value;
+    }
+
+    private function int96Timestamp(string $bytes): string
+    {
+        $nanos = unpack('P', substr($bytes, 0, 8))[1];
+        $julianDay = unpack('V', substr($bytes, 8, 4))[1];
+        $seconds = ($julianDay - self::JULIAN_UNIX_EPOCH) * 86400 + intdiv($nanos, 1_000_000_000);
+
+        return $this->formatTimestamp($seconds, intdiv($nanos % 1_000_000_000, 1_000));
+    }
+
+    private function formatTimestamp(int $seconds, int $microseconds): string
+    {
+        if ($microseconds < 0) {
+            $seconds--;
+            $microseconds += 1_000_000;
+        }
+
+        $timestamp = CarbonImmutable::createFromTimestampUTC($seconds);
+
+        return $microseconds > 0
+            ? $timestamp->setMicrosecond($microseconds)->format('Y-m-d H:i:s.u')
+            : $timestamp->format('Y-m-d H:i:s');
+    }
+
+    private function bigEndianInteger(string $bytes): int
+    {
+        if ($bytes === '') {
+            return 0;
+        }
+
+        if (strlen($bytes) > 8) {
+            throw new RuntimeException('Parquet decimals wider than 64 bits are not supported.');
+        }
+
+        $value = 0;
+
+        foreach (str_split($bytes) as $byte) {
+            $value = ($value << 8) | ord($byte);
+        }
+
+        // Sign-extend two's complement values narrower than 64 bits
+        $bits = strlen($bytes) * 8;
+
+        if ($bits < 64 && ($value >> ($bits - 1)) & 1) {
+            $value -= 1 << $bits;
+        }
+
+        return $value;
+    }
+
+    /**
+     * Decode the RLE / bit-packed hybrid encoding used for levels and dictionary indexes.
+     *
+     * @return list<int>
+     */
+    private function readHybrid(string $data, int $bitWidth, int $count): array
+    {
+        $values = [];
+        $position = 0;
+        $length = strlen($data);
+        $byteWidth = intdiv($bitWidth + 7, 8);
+        $mask = (1 << $bitWidth) - 1;
+
+        while (count($values) < $count && $position < $length) {
+            $header = $this->readVarint($data, $position);
+
+            if (($header & 1) === 1) {
+                $groups = $header >> 1;
+                $buffer = 0;
+                $bufferedBits = 0;
+
+                for ($i = 0; $i < $groups * 8; $i++) {
+                    while ($bufferedBits < $bitWidth) {
+                        $buffer |= ord($data[$position++] ?? "\0") << $bufferedBits;
+                        $bufferedBits += 8;
+                    }
+
+                    $values[] = $buffer & $mask;
+                    $buffer >>= $bitWidth;
+                    $bufferedBits -= $bitWidth;
+                }
+            } else {
+                $run = $header >> 1;
+                $value = 0;
+
+                for ($i = 0; $i < $byteWidth; $i++) {
+                    $value |= ord($data[$position++] ?? "\0") << (8 * $i);
+                }
+
+                array_push($values, ...array_fill(0, $run, $value));
+            }
+        }
+
+        return array_slice($values, 0, $count);
+    }
+
+    private function decompress(string $data, int $codec): string
+    {
+        $result = match ($codec) {
+            self::CODEC_UNCOMPRESSED => $data,
+            self::CODEC_SNAPPY => $this->snappyDecompress($data),
+            self::CODEC_GZIP => @gzdecode($data),
+            self::CODEC_ZSTD => function_exists('zstd_uncompress') ? zstd_uncompress($data) : throw new RuntimeException('Zstandard-compressed Parquet files require the zstd PHP extension.'),
+            default => throw new RuntimeException(sprintf('Parquet compression codec %d is not supported.', $codec)),
+        };
+
+        if (! is_string($result)) {
+            throw new RuntimeException('Unable to decompress a Parquet page.');
+        }
+
+        return $result;
+    }
+
+    /**
+     * Decode a raw (unframed) Snappy block.
+     */
+    private function snappyDecompress(string $data): string
+    {
+        $position = 0;
+        $expected = $this->readVarint($data, $position);
+        $length = strlen($data);
+        $output = '';
+
+        while ($position < $length) {
+            $tag = ord($data[$position++]);
+
+            if (($tag & 3) === 0) {
+                $literal = $tag >> 2;
+
+                if ($literal >= 60) {
+                    $bytes = $literal - 59;
+                    $literal = 0;
+
+                    for ($i = 0; $i < $bytes; $i++) {
+                        $literal |= ord($data[$position++]) << (8 * $i);
+                    }
+                }
+
+                $output .= substr($data, $position, $literal + 1);
+                $position += $literal + 1;
+
+                continue;
+            }
+
+            if (($tag & 3) === 1) {
+                $copy = (($tag >> 2) & 7) + 4;
+                $distance = (($tag >> 5) << 8) | ord($data[$position++]);
+            } elseif (($tag & 3) === 2) {
+                $copy = ($tag >> 2) + 1;
+                $distance = unpack('v', substr($data, $position, 2))[1];
+                $position += 2;
+            } else {
+                $copy = ($tag >> 2) + 1;
+                $distance = unpack('V', substr($data, $position, 4))[1];
+                $position += 4;
+            }
+
+            if ($distance <= 0 || $distance > strlen($output)) {
+                throw new RuntimeException('The Snappy stream is corrupt.');
+            }
+
+            // Copies may overlap the bytes they produce, so repeat the available window
+            while ($copy > 0) {
+                $chunk = substr($output, -$distance, min($distance, $copy));
+                $output .= $chunk;
+                $copy -= strlen($chunk);
+            }
+        }
+
+        if (strlen($output) !== $expected) {
+            throw new RuntimeException('The Snappy stream is corrupt.');
+        }
+
+        return $output;
+    }
+
+    /**
+     * Read a Thrift compact-protocol struct into an array keyed by field id.
+     *
+     * @return array<int, mixed>
+     */
+    private function readStruct(string $data, int &$position): array
+    {
+        $fields = [];
+        $fieldId = 0;
+
+        while (true) {
+            $byte = ord($data[$position++] ?? "\0");
+
+            if ($byte === 0) {
+                return $fields;
+            }
+
+            $delta = $byte >> 4;
+            $type = $byte & 0x0f;
+            $fieldId = $delta === 0 ? $this->zigzag($this->readVarint($data, $position)) : $fieldId + $delta;
+
+            $fields[$fieldId] = match ($type) {
+                1 => true,
+                2 => false,
+                default => $this->readValue($data, $position, $type),
+            };
+        }
+    }
+
+    private function readValue(string $data, int &$position, int $type): mixed
+    {
+        switch ($type) {
+            case 1:
+            case 2:
+                // Booleans inside collections take a whole byte
+                return ord($data[$position++] ?? "\0") === 1;
+            case 3:
+                $value = ord($data[$position++] ?? "\0");
+
+                return $value >= 128 ? $value - 256 : $value;
+            case 4:
+            case 5:
+            case 6:
+                return $this->zigzag($this->readVarint($data, $position));
+            case 7:
+                $value = unpack('e', substr($data, $position, 8))[1];
+                $position += 8;
+
+                return $value;
+            case 8:
+                $length = $this->readVarint($data, $position);
+                $value = substr($data, $position, $length);
+                $position += $length;
+
+                return $value;
+            case 9:
+            case 10:
+                $header = ord($data[$position++] ?? "\0");
+                $size = $header >> 4;
+                $elementType = $header & 0x0f;
+
+                if ($size === 15) {
+                    $size = $this->readVarint($data, $position);
+                }
+
+                $items = [];
+
+                for ($i = 0; $i < $size; $i++) {
+                    $items[] = $this->readValue($data, $position, $elementType);
+                }
+
+                return $items;
+            case 11:
+                $size = $this->readVarint($data, $position);
+                $map = [];
+
+                if ($size > 0) {
+                    $types = ord($data[$position++] ?? "\0");
+
+                    for ($i = 0; $i < $size; $i++) {
+                        $key = $this->readValue($data, $position, $types >> 4);
+                        $map[is_scalar($key) ? (string) $key : $i] = $this->readValue($data, $position, $types & 0x0f);
+                    }
+                }
+
+                return $map;
+            case 12:
+                return $this->readStruct($data, $position);
+            default:
+                throw new RuntimeException(sprintf('Unexpected Thrift type %d in Parquet metadata.', $type));
+        }
+    }
+
+    private function readVarint(string $data, int &$position): int
+    {
+        $result = 0;
+        $shift = 0;
+
+        do {
+            $byte = ord($data[$position++] ?? "\0");
+            $result |= ($byte & 0x7f) << $shift;
+            $shift += 7;
+        } while (($byte & 0x80) !== 0 && $shift < 64);
+
+        return $result;
+    }
+
+    private function zigzag(int $value): int
+    {
+        return (($value >> 1) & PHP_INT_MAX) ^ -($value & 1);
+    }
+
+    /**
+     * @param resource $handle
+     */
+    private function readAt($handle, int $offset, int $length): string
+    {
+        if ($length <= 0) {
+            return '';
+        }
+
+        fseek($handle, $offset);
+        $data = '';
+
+        while (strlen($data) < $length && ! feof($handle)) {
+            $chunk = fread($handle, $length - strlen($data));
+
+            if ($chunk === false || $chunk === '') {
+                break;
+            }
+
+            $data .= $chunk;
+        }
+
+        return $data;
+    }
+}
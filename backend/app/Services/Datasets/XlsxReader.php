@@ -0,0 +1,310 @@
+<?php
+
+namespace App\Services\Datasets;
+
+use Carbon\CarbonImmutable;
+use DOMElement;
+use Generator;
+use RuntimeException;
+use SimpleXMLElement;
+use XMLReader;
+use ZipArchive;
+
+class XlsxReader
+{
+    private const MAIN_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    private const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+    /**
+     * Built-in number formats that Excel renders as dates or times.
+     */
+    private const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+    /**
+     * List the worksheet names in workbook order.
+     *
+     * @return list<string>
+     */
+    public function sheetNames(string $path): array
+    {
+        $zip = $this->open($path);
+
+        try {
+            return array_keys($this->sheetPaths($zip));
+        } finally {
+            $zip->close();
+        }
+    }
+
+    /**
+     * Stream the cell values of a worksheet row by row. Rows are lists indexed by column position, with gaps
+     * filled by null. Dates are returned as "Y-m-d H:i:s" strings. Defaults to the first sheet.
+     *
+     * @return Generator<int, list<string|null>>
+     */
+    public function readRows(string $path, ?string $sheet = null): Generator
+    {
+        $zip = $this->open($path);
+
+        try {
+            $sheets = $this->sheetPaths($zip);
+
+            if ($sheets === []) {
+                return;
+            }
+
+            if ($sheet !== null && $sheet !== '' && ! array_key_exists($sheet, $sheets)) {
+                throw new RuntimeException(sprintf('The workbook has no sheet named "%s".', $sheet));
+            }
+
+            $sheetPath = $sheet !== null && $sheet !== '' ? $sheets[$sheet] : reset($sheets);
+            $sharedStrings = $this->sharedStrings($zip);
+            [$dateStyles, $date1904] = $this->dateStyles($zip);
+        } finally {
+            $zip->close();
+        }
+
+        $reader = new XMLReader();
+
+        if (! $reader->open(sprintf('zip://%s#%s', $path, $sheetPath))) {
+            throw new RuntimeException(sprintf('Unable to read worksheet "%s".', $sheetPath));
+        }
+
+        try {
+            $row = null;
+            $column = 0;
+
+            while ($reader->read()) {
+                if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'row') {
+                    $row = [];
+                    $column = 0;
+
+                    if ($reader->isEmptyElement) {
+                        $row = null;
+                    }
+
+                    continue;
+                }
+
+                if ($reader->nodeType === XMLReader::END_ELEMENT && $reader->localName === 'row') {
+                    if ($row !== null && $row !== []) {
+                        $width = max(array_keys($row)) + 1;
+                        yield array_replace(array_fill(0, $width, null), $row);
+                    }
+
+                    $row = null;
+
+                    continue;
+                }
+
+                if ($row === null || $reader->nodeType !== XMLReader::ELEMENT || $reader->localName !== 'c') {
+                    continue;
+                }
+
+                $reference = $reader->getAttribute('r');
+                $column = $reference !== null ? $this->columnIndex($reference) : $column;
+                $type = $reader->getAttribute('t') ?? 'n';
+                $style = (int) ($reader->getAttribute('s') ?? 0);
+
+                $cell = $reader->isEmptyElement ? null : $reader->expand();
+                $value = $cell instanceof DOMElement
+                    ? $this->cellValue($cell, $type, $sharedStrings, isset($dateStyles[$style]), $date1904)
+                    : null;
+
+                if ($value !== null && $value !== '') {
+                    $row[$column] = $value;
+                }
+
+                $column++;
+            }
+        } finally {
+            $reader->close();
+        }
+    }
+
+    private function open(string $path): ZipArchive
+    {
+        $zip = new ZipArchive();
+
+        if ($zip->open($path, ZipArchive::RDONLY) !== true) {
+            throw new RuntimeException(sprintf('Unable to open spreadsheet "%s".', $path));
+        }
+
+        return $zip;
+    }
+
+    /**
+     * Map sheet names to their worksheet part inside the archive.
+     *
+     * @return array<string, string>
+     */
+    private function sheetPaths(ZipArchive $zip): array
+    {
+        $workbook = $this->readXml($zip, 'xl/workbook.xml');
+        $relationships = $this->readXml($zip, 'xl/_rels/workbook.xml.rels');
+
+        if ($workbook === null || $relationships === null) {
+            throw new RuntimeException('The spreadsheet is missing its workbook definition.');
+        }
+
+        $targets = [];
+
+        foreach ($relationships->children() as $relationship) {
+            $target = ltrim((string) $relationship['Target'], '/');
+            $targets[(string) $relationship['Id']] = str_starts_with($target, 'xl/') ? $target : 'xl/' . $target;
+        }
+
+        $sheets = [];
+
+        foreach ($workbook->children(self::MAIN_NAMESPACE)->sheets->sheet ?? [] as $sheet) {
+            $id = (string) $sheet->attributes(self::RELATIONSHIP_NAMESPACE)['id'];
+
+            if (isset($targets[$id])) {
+                $sheets[(string) $sheet->attributes()['name']] = $targets[$id];
+            }
+        }
+
+        return $sheets;
+    }
+
+    /**
+     * @return list<string>
+     */
+    private function sharedStrings(ZipArchive $zip): array
+    {
+        $xml = $this->readXml($zip, 'xl/sharedStrings.xml');
+
+        if ($xml === null) {
+            return [];
+        }
+
+        $strings = [];
+
+        foreach ($xml->children(self::MAIN_NAMESPACE)->si as $item) {
+            $strings[] = $this->inlineText($item);
+        }
+
+        return $strings;
+    }
+
+    /**
+     * Collect the cell style indexes that apply a date or time number format.
+     *
+     * @return array{0: array<int, true>, 1: bool}
+     */
+    private function dateStyles(ZipArchive $zip): array
+    {
+        $workbook = $this->readXml($zip, 'xl/workbook.xml');
+        $properties = $workbook?->children(self::MAIN_NAMESPACE)->workbookPr;
+        $date1904 = in_array((string) ($properties?->attributes()['date1904'] ?? ''), ['1', 'true'], true);
+
+        $styles = $this->readXml($zip, 'xl/styles.xml');
+
+        if ($styles === null) {
+            return [[], $date1904];
+        }
+
+        $root = $styles->children(self::MAIN_NAMESPACE);
+        $dateFormats = array_fill_keys(self::DATE_FORMAT_IDS, true);
+
+        foreach ($root->numFmts->numFmt ?? [] as $format) {
+            // Strip quoted literals and colour/locale blocks before looking for date tokens
+            $code = preg_replace('/"[^"]*"|\[[^\]]*\]/', '', (string) $format->attributes()['formatCode']);
+
+            if (preg_match('/[dmyhs]/i', (string) $code) === 1) {
+                $dateFormats[(int) $format->attributes()['numFmtId']] = true;
+            }
+        }
+
+        $dateStyles = [];
+        $index = 0;
+
+        foreach ($root->cellXfs->xf ?? [] as $xf) {
+            if (isset($dateFormats[(int) $xf->attributes()['numFmtId']])) {
+                $dateStyles[$index] = true;
+            }
+
+            $index++;
+        }
+
+        return [$dateStyles, $date1904];
+    }
+
+    /**
+     * @param list<string> $sharedStrings
+     */
+    private function cellValue(DOMElement $cell, string $type, array $sharedStrings, bool $isDate, bool $date1904): ?string
+    {
+        $raw = null;
+        $inline = null;
+
+        foreach ($cell->childNodes as $child) {
+            if ($child instanceof DOMElement && $child->localName === 'v') {
+                $raw = $child->textContent;
+            } elseif ($child instanceof DOMElement && $child->localName === 'is') {
+                $inline = $child->textContent;
+            }
+        }
+
+        return match ($type) {
+            's' => $raw !== null ? ($sharedStrings[(int) $raw] ?? null) : null,
+            'inlineStr' => $inline,
+            'b' => $raw === null ? null : ($raw === '1' ? 'true' : 'false'),
+            'e' => null,
+            'n' => $raw !== null && $isDate && is_numeric($raw) ? $this->excelDate((float) $raw, $date1904) : $raw,
+            default => $raw,
+        };
+    }
+
+    private function inlineText(SimpleXMLElement $item): string
+    {
+        $children = $item->children(self::MAIN_NAMESPACE);
+
+        if (isset($children->t)) {
+            return (string) $children->t;
+        }
+
+        // Rich text is split into runs, each with its own <t>
+        $text = '';
+
+        foreach ($children->r as $run) {
+            $text .= (string) $run->children(self::MAIN_NAMESPACE)->t;
+        }
+
+        return $text;
+    }
+
+    private function excelDate(float $serial, bool $date1904): string
+    {
+        // Serial 0 is 1899-12-30 in the default system (absorbing Excel's 1900 leap-year bug) and 1904-01-01 otherwise
+        $epoch = $date1904 ? CarbonImmutable::create(1904, 1, 1, 0, 0, 0, 'UTC') : CarbonImmutable::create(1899, 12, 30, 0, 0, 0, 'UTC');
+        $seconds = (int) round($serial * 86400);
+
+        return $epoch->addSeconds($seconds)->format('Y-m-d H:i:s');
+    }
+
+    private function columnIndex(string $reference): int
+    {
+        $letters = strtoupper((string) preg_replace('/[^A-Za-z]/', '', $reference));
+        $index = 0;
+
+        foreach (str_split($letters) as $letter) {
+            $index = $index * 26 + (ord($letter) - 64);
+        }
+
+        return max($index - 1, 0);
+    }
+
+    private function readXml(ZipArchive $zip, string $name): ?SimpleXMLElement
+    {
+        $contents = $zip->getFromName($name);
+
+        if ($contents === false) {
+            return null;
+        }
+
+        $xml = simplexml_load_string($contents);
+
+        return $xml === false ? null : $xml;
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services\Geocoding;
+
+use App\Models\Feature;
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * Builds a lightweight gazetteer of named places from ingested dataset features.
+ *
+ * The list is consumed by the SPA so location search keeps working on deployments without outbound access.
+ */
+class GazetteerService
+{
+    private const CACHE_TTL_MINUTES = 10;
+
+    /**
+     * @return list<array{label: string, lat: float, lng: float, postcode: string|null, dataset_id: string|null}>
+     */
+    public function places(?string $datasetId = null, int $limit = 2000): array
+    {
+        $cacheKey = sprintf('geocoder:gazetteer:%s:%d', $datasetId ?? 'all', $limit);
+
+        return Cache::remember(
+            $cacheKey,
+            now()->addMinutes(self::CACHE_TTL_MINUTES),
+            fn (): array => $this->build($datasetId, $limit)
+        );
+    }
+
+    /**
+     * @return list<array{label: string, lat: float, lng: float, postcode: string|null, dataset_id: string|null}>
+     */
+    private function build(?string $datasetId, int $limit): array
+    {
+        $query = Feature::query()
+            ->select(['id', 'dataset_id', 'name', 'geometry', 'properties'])
+            ->whereNotNull('geometry')
+            ->where('name', '!=', '')
+            ->orderBy('name');
+
+        if ($datasetId !== null) {
+            $query->where('dataset_id', $datasetId);
+        }
+
+        $places = [];
+
+        foreach ($query->cursor() as $feature) {
+            $key = mb_strtolower(trim((string) $feature->name));
+
+            if ($key === '' || isset($places[$key])) {
+                continue;
+            }
+
+            $centroid = $this->centroid($feature->geometry ?? []);
+
+            if ($centroid === null) {
+                continue;
+            }
+
+            $properties = is_array($feature->properties) ? $feature->properties : [];
+            $postcode = $properties['postcode'] ?? $properties['postal_code'] ?? null;
+
+            $places[$key] = [
+                'label' => trim((string) $feature->name),
+                'lat' => $centroid[1],
+                'lng' => $centroid[0],
+                'postcode' => is_string($postcode) && $postcode !== '' ? $postcode : null,
+                'dataset_id' => $feature->dataset_id,
+            ];
+
+            if (count($places) >= $limit) {
+                break;
+            }
+        }
+
+        return array_values($places);
+    }
+
+    /**
+     * Average the vertices of a GeoJSON geometry to obtain a representative [lng, lat] point.
+     *
+     * @param array<string, mixed> $geometry
+     *
+     * @return array{0: float, 1: float}|null
+     */
+    private function centroid(array $geometry): ?array
+    {
+        $coordinates = $geometry['coordinates'] ?? null;
+
+        if (! is_array($coordinates)) {
+            return null;
+        }
+
+        $sumLng = 0.0;
+        $sumLat = 0.0;
+        $count = 0;
+
+        $stack = [$coordinates];
+
+        while ($stack !== []) {
+            $current = array_pop($stack);
+
+            if (count($current) >= 2 && is_numeric($current[0] ?? null) && is_numeric($current[1] ?? null)) {
+                $sumLng += (float) $current[0];
+                $sumLat += (float) $current[1];
+                $count++;
+
+                continue;
+            }
+
+            foreach ($current as $child) {
+                if (is_array($child)) {
+                    $stack[] = $child;
+                }
+            }
+        }
+
+        if ($count === 0) {
+            return null;
+        }
+
+        return [$sumLng / $count, $sumLat / $count];
+    }
+}
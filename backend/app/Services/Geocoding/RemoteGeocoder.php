@@ -0,0 +1,128 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Services\Geocoding;
+
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Http\Client\RequestException;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Proxies place and postcode lookups to a Nominatim-compatible geocoder.
+ *
+ * Successful responses are cached so repeated searches from the prediction form do not hit the upstream
+ * service. Failed lookups are not cached, so the next search retries once the upstream recovers.
+ */
+class RemoteGeocoder
+{
+    private const CACHE_PREFIX = 'geocoder:remote:';
+
+    public function enabled(): bool
+    {
+        return (bool) config('services.geocoder.enabled', true)
+            && trim((string) config('services.geocoder.url', '')) !== '';
+    }
+
+    /**
+     * Returns null when the upstream lookup fails, so callers can tell an outage apart from a search with no matches.
+     *
+     * @return list<array{label: string, lat: float, lng: float, type: string, source: string, bbox: array<int, float>|null}>|null
+     */
+    public function search(string $query, string $type = 'place', int $limit = 8): ?array
+    {
+        $cacheKey = self::CACHE_PREFIX.sha1(implode('|', [$type, $limit, mb_strtolower($query)]));
+        $ttl = now()->addSeconds((int) config('services.geocoder.cache_ttl', 86_400));
+
+        $cached = Cache::get($cacheKey);
+
+        if (is_array($cached)) {
+            return $cached;
+        }
+
+        $results = $this->fetch($query, $type, $limit);
+
+        if ($results === null) {
+            return null;
+        }
+
+        Cache::put($cacheKey, $results, $ttl);
+
+        return $results;
+    }
+
+    /**
+     * Returns null when the upstream request fails, as opposed to an empty list for a search with no matches.
+     *
+     * @return list<array{label: string, lat: float, lng: float, type: string, source: string, bbox: array<int, float>|null}>|null
+     */
+    private function fetch(string $query, string $type, int $limit): ?array
+    {
+        $params = [
+            'format' => 'jsonv2',
+            'limit' => $limit,
+        ];
+
+        if ($type === 'postcode') {
+            $params['postalcode'] = $query;
+        } else {
+            $params['q'] = $query;
+        }
+
+        $countryCodes = trim((string) config('services.geocoder.country_codes', ''));
+        if ($countryCodes !== '') {
+            $params['countrycodes'] = $countryCodes;
+        }
+
+        try {
+            $response = Http::timeout((int) config('services.geocoder.timeout', 5))
+                ->withHeaders([
+                    'User-Agent' => (string) config('services.geocoder.user_agent', 'PredictivePatternsBot/1.0'),
+                    'Accept-Language' => 'en',
+                ])
+                ->get(rtrim((string) config('services.geocoder.url'), '/').'/search', $params)
+                ->throw();
+        } catch (ConnectionException|RequestException $exception) {
+            Log::warning('Remote geocoder lookup failed', [
+                'type' => $type,
+                'error' => $exception->getMessage(),
+            ]);
+
+            return null;
+        }
+
+        $payload = $response->json();
+
+        if (! is_array($payload)) {
+            Log::warning('Remote geocoder returned an unexpected response', ['type' => $type]);
+
+            return null;
+        }
+
+        $results = [];
+
+        foreach ($payload as $entry) {
+            if (! is_array($entry) || ! is_numeric($entry['lat'] ?? null) || ! is_numeric($entry['lon'] ?? null)) {
+                continue;
+            }
+
+            $bbox = null;
+            if (is_array($entry['boundingbox'] ?? null) && count($entry['boundingbox']) === 4) {
+                $bbox = array_map('floatval', array_values($entry['boundingbox']));
+            }
+
+            $results[] = [
+                'label' => (string) ($entry['display_name'] ?? $entry['name'] ?? $query),
+                'lat' => (float) $entry['lat'],
+                'lng' => (float) $entry['lon'],
+                'type' => $type,
+                'source' => 'remote',
+                'bbox' => $bbox,
+            ];
+        }
+
+        return $results;
+    }
+}
@@ -43,20 +43,15 @@ public function aggregate(
         ?int $timeOfDayEnd,
         ?string $severity,
     ): array {
-        [$west, $south, $east, $north] = $boundingBox;
-
-        $query = DatasetRecord::query()
-            ->whereBetween('lng', [$west, $east])
-            ->whereBetween('lat', [$south, $north]);
-
-        $this->applyTemporalFilters($query, $from, $to);
-        $this->applyTimeOfDayFilter($query, $timeOfDayStart, $timeOfDayEnd);
-
-        if ($category) {
-            $query->where('category', $category);
-        }
-
-        $this->applySeverityFilter($query, $severity);
+        $query = $this->filteredQuery(
+            $boundingBox,
+            $from,
+            $to,
+            $category,
+            $timeOfDayStart,
+            $timeOfDayEnd,
+            $severity,
+        );
 
         $column = sprintf('h3_res%d', $resolution);
 
@@ -97,6 +92,94 @@ static function (Collection $rows) {
             ->all();
     }
 
+    /**
+     * Fetch the most recent individual records matching the aggregation filters.
+     *
+     * @param array{0: float, 1: float, 2: float, 3: float} $boundingBox
+     * @param int $resolution H3 resolution level used to label each record
+     * @param int $limit Maximum number of records to return
+     * @param string|null $cell Only return records indexed to this cell at the given resolution
+     *
+     * @return list<array<string, mixed>>
+     */
+    public function records(
+        array $boundingBox,
+        int $resolution,
+        ?CarbonInterface $from,
+        ?CarbonInterface $to,
+        ?string $category,
+        ?int $timeOfDayStart,
+        ?int $timeOfDayEnd,
+        ?string $severity,
+        int $limit,
+        ?string $cell = null,
+    ): array {
+        $column = sprintf('h3_res%d', $resolution);
+
+        $query = $this->filteredQuery(
+            $boundingBox,
+            $from,
+            $to,
+            $category,
+            $timeOfDayStart,
+            $timeOfDayEnd,
+            $severity,
+        );
+
+        if ($cell !== null) {
+            $query->where($column, $cell);
+        }
+
+        return $query
+            ->orderByDesc('occurred_at')
+            ->limit($limit)
+            ->get()
+            ->map(static fn (DatasetRecord $record): array => [
+                'id' => $record->id,
+                'h3' => $record->{$column},
+                'category' => $record->category,
+                'severity' => $record->severity,
+                'occurred_at' => $record->occurred_at?->toIso8601String(),
+                'risk_score' => $record->risk_score,
+                'lat' => (float) $record->lat,
+                'lng' => (float) $record->lng,
+                'raw' => $record->raw,
+            ])
+            ->all();
+    }
+
+    /**
+     * Build the base record query constrained to the bounding box and filters.
+     *
+     * @param array{0: float, 1: float, 2: float, 3: float} $boundingBox
+     */
+    private function filteredQuery(
+        array $boundingBox,
+        ?CarbonInterface $from,
+        ?CarbonInterface $to,
+        ?string $category,
+        ?int $timeOfDayStart,
+        ?int $timeOfDayEnd,
+        ?string $severity,
+    ): Builder {
+        [$west, $south, $east, $north] = $boundingBox;
+
+        $query = DatasetRecord::query()
+            ->whereBetween('lng', [$west, $east])
+            ->whereBetween('lat', [$south, $north]);
+
+        $this->applyTemporalFilters($query, $from, $to);
+        $this->applyTimeOfDayFilter($query, $timeOfDayStart, $timeOfDayEnd);
+
+        if ($category) {
+            $query->where('category', $category);
+        }
+
+        $this->applySeverityFilter($query, $severity);
+
+        return $query;
+    }
+
     /**
      * Apply from/to constraints onto the aggregate query if they are supplied.
      */
@@ -139,6 +139,46 @@ public function aggregateByBbox(
         return $result;
     }
 
+    /**
+     * Return the most recent raw records behind the aggregates for a string bounding box.
+     *
+     * Records are not cached because they are only requested when drilling into a single cell.
+     * Pass the cell to filter on it before the limit is applied.
+     *
+     * @return list<array<string, mixed>>
+     */
+    public function recordsByBbox(
+        string $bboxString,
+        int $resolution,
+        CarbonInterface|string|null $from = null,
+        CarbonInterface|string|null $to = null,
+        ?string $category = null,
+        ?int $timeOfDayStart = null,
+        ?int $timeOfDayEnd = null,
+        ?string $severity = null,
+        int $limit = 50,
+        ?string $cell = null,
+    ): array {
+        if (! in_array($resolution, self::SUPPORTED_RESOLUTIONS, true)) {
+            throw new InvalidArgumentException('Unsupported resolution supplied.');
+        }
+
+        [$timeOfDayStart, $timeOfDayEnd] = $this->parameterNormalizer->normaliseTimeOfDayRange($timeOfDayStart, $timeOfDayEnd);
+
+        return $this->queryBuilder->records(
+            $this->parameterNormalizer->parseBoundingBox($bboxString),
+            $resolution,
+            $from instanceof CarbonInterface ? $from : $this->parameterNormalizer->parseDate($from),
+            $to instanceof CarbonInterface ? $to : $this->parameterNormalizer->parseDate($to),
+            $this->parameterNormalizer->normaliseCategory($category),
+            $timeOfDayStart,
+            $timeOfDayEnd,
+            $this->parameterNormalizer->normaliseSeverity($severity),
+            $limit,
+            $cell,
+        );
+    }
+
     /**
      * Increment the cache version so downstream caches pick up fresh aggregates.
      *
@@ -10,6 +10,11 @@
 
 class ModelRegistry
 {
+    /**
+     * Maximum number of lineage events retained in a model's metadata.
+     */
+    public const LINEAGE_LIMIT = 50;
+
     public function __construct(private readonly PredictiveModelRepositoryInterface $models)
     {
     }
@@ -31,13 +36,24 @@ public function findActive(string $tag, ?string $area = null): ?PredictiveModel
     public function activate(PredictiveModel $model): void
     {
         DatabaseTransactionHelper::runWithoutNestedTransaction(function () use ($model): void {
-            $this->models->query()
+            $siblings = $this->models->query()
                 ->where('tag', $model->tag)
                 ->when($model->area !== null, fn ($query) => $query->where('area', $model->area))
-                ->whereKeyNot($model->getKey())
-                ->update(['status' => ModelStatus::Inactive->value]);
+                ->whereKeyNot($model->getKey());
+
+            (clone $siblings)
+                ->where('status', ModelStatus::Active->value)
+                ->get()
+                ->each(function (PredictiveModel $previous) use ($model): void {
+                    $previous->status = ModelStatus::Inactive;
+                    $this->recordEvent($previous, 'deactivated', ['superseded_by' => $model->getKey()]);
+                    $previous->save();
+                });
+
+            $siblings->update(['status' => ModelStatus::Inactive->value]);
 
             $model->status = ModelStatus::Active;
+            $this->recordEvent($model, 'activated');
             $model->save();
         });
     }
@@ -45,6 +61,29 @@ public function activate(PredictiveModel $model): void
     public function deactivate(PredictiveModel $model): void
     {
         $model->status = ModelStatus::Inactive;
+        $this->recordEvent($model, 'deactivated');
         $model->save();
     }
+
+    /**
+     * Append an event to the model's lineage history. The caller is responsible for saving the model.
+     *
+     * @param PredictiveModel $model
+     * @param string $event
+     * @param array<string, mixed> $context
+     */
+    public function recordEvent(PredictiveModel $model, string $event, array $context = []): void
+    {
+        $metadata = is_array($model->metadata) ? $model->metadata : [];
+        $lineage = isset($metadata['lineage']) && is_array($metadata['lineage']) ? $metadata['lineage'] : [];
+
+        $lineage[] = array_merge([
+            'event' => $event,
+            'at' => now()->toIso8601String(),
+            'version' => $model->version,
+        ], $context);
+
+        $metadata['lineage'] = array_slice($lineage, -self::LINEAGE_LIMIT);
+        $model->metadata = $metadata;
+    }
 }
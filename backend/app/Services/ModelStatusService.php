@@ -41,6 +41,11 @@ public function markFailed(string $modelId, ?string $message = null): array
         return $this->store($modelId, 'failed', null, $message);
     }
 
+    public function markCancelled(string $modelId, ?string $message = null): array
+    {
+        return $this->store($modelId, 'cancelled', null, $message);
+    }
+
     public function forget(string $modelId): void
     {
         try {
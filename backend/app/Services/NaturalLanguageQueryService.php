@@ -21,21 +21,70 @@ public function __construct(private readonly H3AggregationService $aggregationSe
     /**
      * Translate a natural language question into a structured answer.
      *
+     * Earlier questions from the same conversation fill in whatever the follow-up leaves out,
+     * so "and last month?" reuses the previous intent and category with a new time range.
+     *
+     * @param list<string> $context Earlier questions in the thread, oldest first
+     *
      * @return array{answer: string, query: array<string, mixed>, data: array<string, mixed>}
      */
-    public function answer(string $question): array
+    public function answer(string $question, array $context = []): array
     {
         $normalized = Str::lower(trim($question));
+        $previous = array_reverse(array_map(static fn (string $turn): string => Str::lower(trim($turn)), $context));
+        $inherited = [];
+
         $timeRange = $this->detectTimeRange($normalized);
-        $datasetType = $this->detectDatasetType($normalized);
-        $limit = $this->detectLimit($normalized);
-        $resolution = $this->detectResolution($normalized);
+        if (! $this->hasTimeRange($normalized)) {
+            $timeRange = $this->inherit(
+                $previous,
+                fn (string $turn) => $this->hasTimeRange($turn) ? $this->detectTimeRange($turn) : null,
+                $timeRange,
+                'time_range',
+                $inherited,
+            );
+        }
 
-        if ($this->isHotspotQuestion($normalized)) {
-            return $this->buildHotspotResponse($question, $timeRange, $datasetType, $limit, $resolution);
+        $datasetType = $this->detectDatasetType($normalized)
+            ?? $this->inherit($previous, fn (string $turn) => $this->detectDatasetType($turn), null, 'dataset_type', $inherited);
+        $limit = $this->detectLimit($normalized)
+            ?? $this->inherit($previous, fn (string $turn) => $this->detectLimit($turn), self::DEFAULT_LIMIT, 'limit', $inherited);
+        $resolution = $this->detectResolution($normalized)
+            ?? $this->inherit($previous, fn (string $turn) => $this->detectResolution($turn), self::DEFAULT_RESOLUTION, 'resolution', $inherited);
+
+        $intent = $this->detectIntent($normalized)
+            ?? $this->inherit($previous, fn (string $turn) => $this->detectIntent($turn), 'count', 'intent', $inherited);
+
+        $response = $intent === 'hotspot'
+            ? $this->buildHotspotResponse($question, $timeRange, $datasetType, $limit, $resolution)
+            : $this->buildCountResponse($question, $timeRange, $datasetType);
+
+        if ($inherited !== []) {
+            $response['query']['inherited'] = $inherited;
         }
 
-        return $this->buildCountResponse($question, $timeRange, $datasetType);
+        return $response;
+    }
+
+    /**
+     * Walk earlier questions from most recent to oldest and return the first value the detector finds.
+     *
+     * @param list<string> $previous
+     * @param callable(string): mixed $detector
+     * @param list<string> $inherited
+     */
+    private function inherit(array $previous, callable $detector, mixed $default, string $field, array &$inherited): mixed
+    {
+        foreach ($previous as $turn) {
+            $value = $detector($turn);
+            if ($value !== null) {
+                $inherited[] = $field;
+
+                return $value;
+            }
+        }
+
+        return $default;
     }
 
     /**
@@ -273,7 +322,14 @@ private function detectDatasetType(string $question): ?string
         return null;
     }
 
-    private function detectLimit(string $question): int
+    private function hasTimeRange(string $question): bool
+    {
+        $range = $this->detectTimeRange($question);
+
+        return $range['from'] !== null || $range['to'] !== null;
+    }
+
+    private function detectLimit(string $question): ?int
     {
         if (preg_match('/top\s+(\d+)/', $question, $matches)) {
             return max(1, (int) $matches[1]);
@@ -283,10 +339,10 @@ private function detectLimit(string $question): int
             return max(1, (int) $matches[1]);
         }
 
-        return self::DEFAULT_LIMIT;
+        return null;
     }
 
-    private function detectResolution(string $question): int
+    private function detectResolution(string $question): ?int
     {
         if (preg_match('/res(olution)?\s*(\d+)/', $question, $matches)) {
             $resolution = (int) $matches[2];
@@ -295,7 +351,7 @@ private function detectResolution(string $question): int
             }
         }
 
-        return self::DEFAULT_RESOLUTION;
+        return null;
     }
 
     private function isHotspotQuestion(string $question): bool
@@ -306,6 +362,22 @@ private function isHotspotQuestion(string $question): bool
             || str_contains($question, 'risk');
     }
 
+    private function isCountQuestion(string $question): bool
+    {
+        return str_contains($question, 'how many')
+            || str_contains($question, 'count')
+            || str_contains($question, 'number of');
+    }
+
+    private function detectIntent(string $question): ?string
+    {
+        if ($this->isHotspotQuestion($question)) {
+            return 'hotspot';
+        }
+
+        return $this->isCountQuestion($question) ? 'count' : null;
+    }
+
     private function buildContextPhrase(?string $datasetType, string $label): string
     {
         $parts = [];
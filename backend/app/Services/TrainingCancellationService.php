@@ -0,0 +1,34 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * Flags running training jobs for cancellation. The job polls the flag between
+ * stages and from its progress callback, so cancellation is cooperative.
+ */
+class TrainingCancellationService
+{
+    private const TTL_SECONDS = 7200;
+
+    public function request(string $trainingRunId): void
+    {
+        Cache::put($this->key($trainingRunId), true, self::TTL_SECONDS);
+    }
+
+    public function isRequested(string $trainingRunId): bool
+    {
+        return (bool) Cache::get($this->key($trainingRunId), false);
+    }
+
+    public function clear(string $trainingRunId): void
+    {
+        Cache::forget($this->key($trainingRunId));
+    }
+
+    private function key(string $trainingRunId): string
+    {
+        return sprintf('training.cancel.%s', $trainingRunId);
+    }
+}
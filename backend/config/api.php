@@ -20,16 +20,24 @@
     'ingest_rate_limit' => (int) env('API_RATE_LIMIT_INGEST', 5),
     'model_training_rate_limit' => (int) env('API_RATE_LIMIT_MODEL_TRAIN', 5),
     'model_evaluation_rate_limit' => (int) env('API_RATE_LIMIT_MODEL_EVALUATE', 5),
+    'model_tuning_max_trials' => (int) env('API_MODEL_TUNING_MAX_TRIALS', 24),
     'idempotency_ttl' => (int) env('API_IDEMPOTENCY_TTL', 300),
     'payload_limits' => [
         'ingest' => (int) env('API_PAYLOAD_MAX_KB', 204_800),
         'predict' => (int) env('API_PREDICT_MAX_KB', 10_240),
     ],
+    'chunked_uploads' => [
+        'chunk_size_kb' => (int) env('API_UPLOAD_CHUNK_KB', 8_192),
+        'max_size_kb' => (int) env('API_UPLOAD_MAX_KB', 4_194_304),
+        'ttl_hours' => (int) env('API_UPLOAD_TTL_HOURS', 24),
+    ],
     'allowed_ingest_mimes' => array_values(array_unique(array_filter(array_map(
         static fn (string $mime): string => trim($mime),
         explode(',', (string) env(
             'API_ALLOWED_INGEST_MIMES',
-            'text/csv,text/plain,application/vnd.ms-excel,application/json,application/geo+json'
+            'text/csv,text/plain,application/vnd.ms-excel,application/json,application/geo+json,'
+            . 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/zip,'
+            . 'application/vnd.apache.parquet,application/x-parquet,application/octet-stream'
         ))
     )))),
 ];
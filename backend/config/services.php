@@ -28,6 +28,15 @@
         'region' => env('AWS_DEFAULT_REGION', 'us-east-1'),
     ],
 
+    'geocoder' => [
+        'enabled' => (bool) env('GEOCODER_ENABLED', true),
+        'url' => env('GEOCODER_URL', 'https://nominatim.openstreetmap.org'),
+        'user_agent' => env('GEOCODER_USER_AGENT', 'PredictivePatternsBot/1.0'),
+        'country_codes' => env('GEOCODER_COUNTRY_CODES'),
+        'timeout' => (int) env('GEOCODER_TIMEOUT', 5),
+        'cache_ttl' => (int) env('GEOCODER_CACHE_TTL', 86400),
+    ],
+
     'slack' => [
         'notifications' => [
             'bot_user_oauth_token' => env('SLACK_BOT_USER_OAUTH_TOKEN'),
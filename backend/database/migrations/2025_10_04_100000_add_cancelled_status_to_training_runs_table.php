@@ -0,0 +1,36 @@
+<?php
+
+use App\Enums\TrainingStatus;
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class () extends Migration {
+    public function up(): void
+    {
+        Schema::table('training_runs', function (Blueprint $table): void {
+            $table->enum('status', array_map(static fn (TrainingStatus $status): string => $status->value, TrainingStatus::cases()))
+                ->default(TrainingStatus::Queued->value)
+                ->change();
+        });
+    }
+
+    public function down(): void
+    {
+        DB::table('training_runs')
+            ->where('status', TrainingStatus::Cancelled->value)
+            ->update(['status' => TrainingStatus::Failed->value]);
+
+        Schema::table('training_runs', function (Blueprint $table): void {
+            $table->enum('status', [
+                TrainingStatus::Queued->value,
+                TrainingStatus::Running->value,
+                TrainingStatus::Completed->value,
+                TrainingStatus::Failed->value,
+            ])
+                ->default(TrainingStatus::Queued->value)
+                ->change();
+        });
+    }
+};
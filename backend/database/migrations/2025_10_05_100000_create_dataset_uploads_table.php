@@ -0,0 +1,29 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class () extends Migration {
+    public function up(): void
+    {
+        Schema::create('dataset_uploads', function (Blueprint $table): void {
+            $table->uuid('id')->primary();
+            $table->foreignId('user_id')->nullable()->constrained('users')->cascadeOnDelete();
+            $table->string('filename');
+            $table->string('mime_type')->nullable();
+            $table->unsignedBigInteger('size');
+            $table->unsignedInteger('chunk_size');
+            $table->unsignedInteger('total_chunks');
+            $table->string('checksum', 64)->nullable();
+            $table->timestampTz('completed_at')->nullable();
+            $table->timestampTz('expires_at')->index();
+            $table->timestampsTz();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('dataset_uploads');
+    }
+};
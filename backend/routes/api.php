@@ -2,7 +2,9 @@
 
 use App\Http\Controllers\Api\v1\AuthController;
 use App\Http\Controllers\Api\v1\DatasetController;
+use App\Http\Controllers\Api\v1\DatasetUploadController;
 use App\Http\Controllers\Api\v1\ExportController;
+use App\Http\Controllers\Api\v1\GeocodeController;
 use App\Http\Controllers\Api\v1\HealthController;
 use App\Http\Controllers\Api\v1\HeatmapTileController;
 use App\Http\Controllers\Api\v1\HexController;
@@ -45,30 +47,42 @@
         Route::get('/datasets/runs', [DatasetController::class, 'runs']);
         Route::post('/datasets/ingest', [DatasetController::class, 'ingest'])
             ->middleware('throttle:ingest');
+        Route::post('/datasets/uploads', [DatasetUploadController::class, 'store']);
+        Route::get('/datasets/uploads/{upload}', [DatasetUploadController::class, 'show']);
+        Route::post('/datasets/uploads/{upload}/chunks', [DatasetUploadController::class, 'chunk']);
+        Route::delete('/datasets/uploads/{upload}', [DatasetUploadController::class, 'destroy']);
         Route::get('/datasets/{dataset}', [DatasetController::class, 'show']);
         Route::get('/datasets/{dataset}/analysis', [DatasetController::class, 'analysis']);
 
         Route::get('/hexes', [HexController::class, 'index']);
         Route::get('/hexes/geojson', [HexController::class, 'geoJson']);
+        Route::get('/hexes/records', [HexController::class, 'records']);
         Route::get('/heatmap/{z}/{x}/{y}', HeatmapTileController::class);
 
         Route::get('/export', ExportController::class);
 
+        Route::get('/geocode', [GeocodeController::class, 'search']);
+        Route::get('/geocode/gazetteer', [GeocodeController::class, 'gazetteer']);
+
         Route::post('/nlq', NlqController::class);
 
         Route::get('/models', [ModelController::class, 'index']);
         Route::post('/models', [ModelController::class, 'store']);
         Route::get('/models/{id}', [ModelController::class, 'show']);
         Route::get('/models/{id}/artifacts', [ModelController::class, 'artifacts']);
+        Route::get('/models/{id}/artifacts/{version}', [ModelController::class, 'downloadArtifact']);
         Route::get('/models/{id}/metrics', [ModelController::class, 'metrics']);
         Route::get('/models/{id}/status', [ModelController::class, 'status']);
         Route::post('/models/train', [ModelController::class, 'train'])
             ->middleware('throttle:model-train');
+        Route::post('/models/tune', [ModelController::class, 'tune'])
+            ->middleware('throttle:model-train');
         Route::post('/models/{id}/evaluate', [ModelController::class, 'evaluate'])
             ->middleware('throttle:model-evaluate');
         Route::post('/models/{id}/activate', [ModelController::class, 'activate']);
         Route::post('/models/{id}/deactivate', [ModelController::class, 'deactivate']);
         Route::post('/models/{id}/rollback', [ModelController::class, 'rollback']);
+        Route::post('/models/{id}/cancel', [ModelController::class, 'cancelTraining']);
 
         Route::get('/predictions', [PredictionController::class, 'index']);
         Route::post('/predictions', [PredictionController::class, 'store']);
@@ -0,0 +1,102 @@
+<?php
+
+namespace Tests\Concerns;
+
+use DateTimeInterface;
+use RuntimeException;
+use ZipArchive;
+
+trait BuildsWorkbooks
+{
+    /**
+     * Write a minimal .xlsx workbook. Strings are stored as shared strings and DateTimeInterface values
+     * as date-formatted serial numbers, matching what Excel produces.
+     *
+     * @param array<string, list<list<string|int|float|DateTimeInterface|null>>> $sheets rows keyed by sheet name
+     */
+    protected function buildWorkbook(array $sheets): string
+    {
+        $base = tempnam(sys_get_temp_dir(), 'workbook-');
+        unlink($base);
+        $path = $base . '.xlsx';
+        $zip = new ZipArchive();
+
+        if ($zip->open($path, ZipArchive::CREATE | ZipArchive::OVERWRITE) !== true) {
+            throw new RuntimeException('Unable to create test workbook.');
+        }
+
+        $main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        $relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        $sharedStrings = [];
+        $sheetEntries = '';
+        $relationshipEntries = '';
+        $index = 0;
+
+        foreach ($sheets as $name => $rows) {
+            $index++;
+            $sheetEntries .= sprintf('<sheet name="%s" sheetId="%d" r:id="rId%d"/>', htmlspecialchars($name), $index, $index);
+            $relationshipEntries .= sprintf(
+                '<Relationship Id="rId%d" Type="%s/worksheet" Target="worksheets/sheet%d.xml"/>',
+                $index,
+                $relationships,
+                $index
+            );
+
+            $rowXml = '';
+
+            foreach ($rows as $rowIndex => $row) {
+                $cells = '';
+
+                foreach ($row as $columnIndex => $value) {
+                    $reference = chr(65 + $columnIndex) . ($rowIndex + 1);
+
+                    if ($value === null) {
+                        continue;
+                    }
+
+                    if ($value instanceof DateTimeInterface) {
+                        $serial = $value->getTimestamp() / 86400 + 25569;
+                        $cells .= sprintf('<c r="%s" s="1"><v>%s</v></c>', $reference, $serial);
+                    } elseif (is_string($value)) {
+                        $sharedStrings[] = $value;
+                        $cells .= sprintf('<c r="%s" t="s"><v>%d</v></c>', $reference, count($sharedStrings) - 1);
+                    } else {
+                        $cells .= sprintf('<c r="%s"><v>%s</v></c>', $reference, $value);
+                    }
+                }
+
+                $rowXml .= sprintf('<row r="%d">%s</row>', $rowIndex + 1, $cells);
+            }
+
+            $zip->addFromString(
+                sprintf('xl/worksheets/sheet%d.xml', $index),
+                sprintf('<?xml version="1.0" encoding="UTF-8"?><worksheet xmlns="%s"><sheetData>%s</sheetData></worksheet>', $main, $rowXml)
+            );
+        }
+
+        $zip->addFromString('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>');
+        $zip->addFromString(
+            'xl/workbook.xml',
+            sprintf('<?xml version="1.0" encoding="UTF-8"?><workbook xmlns="%s" xmlns:r="%s"><sheets>%s</sheets></workbook>', $main, $relationships, $sheetEntries)
+        );
+        $zip->addFromString(
+            'xl/_rels/workbook.xml.rels',
+            sprintf('<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">%s</Relationships>', $relationshipEntries)
+        );
+        $zip->addFromString(
+            'xl/sharedStrings.xml',
+            sprintf(
+                '<?xml version="1.0" encoding="UTF-8"?><sst xmlns="%s">%s</sst>',
+                $main,
+                implode('', array_map(static fn (string $value) => '<si><t>' . htmlspecialchars($value) . '</t></si>', $sharedStrings))
+            )
+        );
+        $zip->addFromString(
+            'xl/styles.xml',
+            sprintf('<?xml version="1.0" encoding="UTF-8"?><styleSheet xmlns="%s"><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="22"/></cellXfs></styleSheet>', $main)
+        );
+        $zip->close();
+
+        return $path;
+    }
+}
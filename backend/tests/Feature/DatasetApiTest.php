@@ -20,10 +20,12 @@
 use Illuminate\Support\Facades\RateLimiter;
 use Illuminate\Support\Facades\Queue;
 use Illuminate\Support\Facades\Notification;
+use Tests\Concerns\BuildsWorkbooks;
 use Tests\TestCase;
 
 class DatasetApiTest extends TestCase
 {
+    use BuildsWorkbooks;
     use RefreshDatabase;
 
     public function test_dataset_ingest_dispatches_finalisation_job(): void
@@ -406,6 +408,68 @@ public function test_dataset_ingest_accepts_geojson_with_wgs84_coordinates(): vo
         ]);
     }
 
+    public function test_dataset_ingest_reads_selected_excel_sheet(): void
+    {
+        Storage::fake('local');
+        Bus::fake();
+        Notification::fake();
+
+        config()->set('queue.default', 'null');
+
+        $workbook = $this->buildWorkbook([
+            'Notes' => [['Exported by the partner portal']],
+            'Incidents' => [
+                ['Category', 'Latitude', 'Longitude'],
+                ['Burglary', 51.5074, -0.1278],
+                ['Robbery', 53.4808, -2.2426],
+            ],
+        ]);
+
+        try {
+            $file = UploadedFile::fake()->createWithContent(
+                'incidents.xlsx',
+                (string) file_get_contents($workbook),
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+            $tokens = $this->issueTokensForRole(Role::Admin);
+
+            $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])->postJson('/api/v1/datasets/ingest', [
+                'name' => 'Excel Dataset',
+                'source_type' => 'file',
+                'file' => $file,
+                'metadata' => ['source_options' => ['sheet' => 'Incidents']],
+            ]);
+
+            $response->assertCreated();
+
+            $metadata = $response->json('data.metadata');
+
+            $this->assertSame(2, $metadata['row_count']);
+            $this->assertSame(['Category', 'Latitude', 'Longitude'], $metadata['headers']);
+            $this->assertSame('Burglary', $metadata['preview_rows'][0]['Category']);
+        } finally {
+            @unlink($workbook);
+            config()->set('queue.default', 'sync');
+        }
+    }
+
+    public function test_dataset_ingest_rejects_parquet_upload_without_parquet_magic(): void
+    {
+        Storage::fake('local');
+
+        $file = UploadedFile::fake()->createWithContent('dataset.parquet', "id,name\n1,Alice\n", 'application/octet-stream');
+        $tokens = $this->issueTokensForRole(Role::Admin);
+
+        $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])->postJson('/api/v1/datasets/ingest', [
+            'name' => 'Broken Parquet',
+            'source_type' => 'file',
+            'file' => $file,
+        ]);
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['file']);
+    }
+
     public function test_dataset_show_returns_dataset_payload(): void
     {
         $tokens = $this->issueTokensForRole(Role::Admin);
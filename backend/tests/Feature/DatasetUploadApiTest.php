@@ -0,0 +1,222 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Enums\Role;
+use App\Models\Dataset;
+use App\Models\DatasetUpload;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Notification;
+use Illuminate\Support\Facades\Storage;
+use Illuminate\Testing\TestResponse;
+use Tests\TestCase;
+
+class DatasetUploadApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Storage::fake('local');
+        config()->set('api.chunked_uploads.chunk_size_kb', 1);
+    }
+
+    public function test_chunked_upload_is_assembled_and_ingested(): void
+    {
+        Bus::fake();
+        Notification::fake();
+        config()->set('queue.default', 'null');
+
+        $csv = $this->buildCsv(60);
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $headers = ['Authorization' => 'Bearer '.$tokens['accessToken']];
+
+        $created = $this->withHeaders($headers)->postJson('/api/v1/datasets/uploads', [
+            'filename' => 'incidents.csv',
+            'size' => strlen($csv),
+            'mime_type' => 'text/csv',
+        ]);
+
+        $created->assertCreated();
+        $uploadId = $created->json('data.id');
+        $totalChunks = $created->json('data.total_chunks');
+        $this->assertSame(1024, $created->json('data.chunk_size'));
+        $this->assertSame((int) ceil(strlen($csv) / 1024), $totalChunks);
+        $this->assertSame([], $created->json('data.received_chunks'));
+
+        // Send the chunks out of order, as a resumed upload would
+        foreach (array_reverse(range(0, $totalChunks - 1)) as $index) {
+            $this->sendChunk($headers, $uploadId, $index, substr($csv, $index * 1024, 1024))->assertOk();
+        }
+
+        $status = $this->withHeaders($headers)->getJson('/api/v1/datasets/uploads/'.$uploadId);
+        $status->assertOk();
+        $this->assertSame(range(0, $totalChunks - 1), $status->json('data.received_chunks'));
+
+        $response = $this->withHeaders($headers)->postJson('/api/v1/datasets/ingest', [
+            'name' => 'Chunked Dataset',
+            'source_type' => 'file',
+            'upload_id' => $uploadId,
+        ]);
+
+        $response->assertCreated();
+
+        $dataset = Dataset::query()->findOrFail($response->json('data.id'));
+        $this->assertSame(hash('sha256', $csv), $dataset->checksum);
+        $this->assertSame(['incidents.csv'], $dataset->metadata['source_files']);
+        Storage::disk('local')->assertExists($dataset->file_path);
+        $this->assertSame($csv, Storage::disk('local')->get($dataset->file_path));
+
+        $upload = DatasetUpload::query()->findOrFail($uploadId);
+        $this->assertNotNull($upload->completed_at);
+        Storage::disk('local')->assertMissing($upload->chunkDirectory());
+
+        config()->set('queue.default', 'sync');
+    }
+
+    public function test_chunk_with_mismatched_checksum_is_rejected(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $headers = ['Authorization' => 'Bearer '.$tokens['accessToken']];
+
+        $uploadId = $this->withHeaders($headers)->postJson('/api/v1/datasets/uploads', [
+            'filename' => 'incidents.csv',
+            'size' => 10,
+        ])->json('data.id');
+
+        $response = $this->withHeaders($headers)->post('/api/v1/datasets/uploads/'.$uploadId.'/chunks', [
+            'index' => 0,
+            'checksum' => hash('sha256', 'something else'),
+            'chunk' => UploadedFile::fake()->createWithContent('blob', '0123456789'),
+        ], ['Accept' => 'application/json']);
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['checksum']);
+        $this->assertSame([], DatasetUpload::query()->findOrFail($uploadId)->receivedChunks());
+    }
+
+    public function test_ingest_rejects_incomplete_upload(): void
+    {
+        $csv = $this->buildCsv(60);
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $headers = ['Authorization' => 'Bearer '.$tokens['accessToken']];
+
+        $uploadId = $this->withHeaders($headers)->postJson('/api/v1/datasets/uploads', [
+            'filename' => 'incidents.csv',
+            'size' => strlen($csv),
+        ])->json('data.id');
+
+        $this->sendChunk($headers, $uploadId, 0, substr($csv, 0, 1024))->assertOk();
+
+        $response = $this->withHeaders($headers)->postJson('/api/v1/datasets/ingest', [
+            'name' => 'Partial Dataset',
+            'source_type' => 'file',
+            'upload_id' => $uploadId,
+        ]);
+
+        $response->assertUnprocessable();
+        $response->assertJsonValidationErrors(['upload_id']);
+        $this->assertSame(0, Dataset::query()->count());
+    }
+
+    public function test_upload_belongs_to_the_user_who_started_it(): void
+    {
+        $owner = $this->issueTokensForRole(Role::Admin);
+        $other = $this->issueTokensForRole(Role::Admin);
+
+        $uploadId = $this->withHeader('Authorization', 'Bearer '.$owner['accessToken'])
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.csv', 'size' => 10])
+            ->json('data.id');
+
+        $this->withHeader('Authorization', 'Bearer '.$other['accessToken'])
+            ->getJson('/api/v1/datasets/uploads/'.$uploadId)
+            ->assertForbidden();
+
+        $this->withHeader('Authorization', 'Bearer '.$other['accessToken'])
+            ->postJson('/api/v1/datasets/ingest', [
+                'name' => 'Borrowed upload',
+                'source_type' => 'file',
+                'upload_id' => $uploadId,
+            ])
+            ->assertJsonValidationErrors(['upload_id']);
+    }
+
+    public function test_only_streamed_formats_may_exceed_the_ingest_limit(): void
+    {
+        config()->set('api.payload_limits.ingest', 1);
+
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $headers = ['Authorization' => 'Bearer '.$tokens['accessToken']];
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.geojson', 'size' => 2048])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['size']);
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.xlsx', 'size' => 2048])
+            ->assertJsonValidationErrors(['size']);
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.csv', 'size' => 2048])
+            ->assertCreated();
+
+        $this->withHeaders($headers)
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.parquet', 'size' => 2048])
+            ->assertCreated();
+    }
+
+    public function test_viewer_cannot_start_upload(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson('/api/v1/datasets/uploads', ['filename' => 'incidents.csv', 'size' => 10])
+            ->assertForbidden();
+    }
+
+    public function test_discarding_upload_removes_chunks(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Analyst);
+        $headers = ['Authorization' => 'Bearer '.$tokens['accessToken']];
+
+        $uploadId = $this->withHeaders($headers)->postJson('/api/v1/datasets/uploads', [
+            'filename' => 'incidents.csv',
+            'size' => 10,
+        ])->json('data.id');
+
+        $this->sendChunk($headers, $uploadId, 0, '0123456789')->assertOk();
+
+        $this->withHeaders($headers)->deleteJson('/api/v1/datasets/uploads/'.$uploadId)->assertNoContent();
+
+        $this->assertNull(DatasetUpload::query()->find($uploadId));
+        Storage::disk('local')->assertMissing('dataset-uploads/'.$uploadId);
+    }
+
+    /**
+     * @param array<string, string> $headers
+     */
+    private function sendChunk(array $headers, string $uploadId, int $index, string $bytes): TestResponse
+    {
+        return $this->withHeaders($headers)->post('/api/v1/datasets/uploads/'.$uploadId.'/chunks', [
+            'index' => $index,
+            'checksum' => hash('sha256', $bytes),
+            'chunk' => UploadedFile::fake()->createWithContent('blob', $bytes),
+        ], ['Accept' => 'application/json']);
+    }
+
+    private function buildCsv(int $rows): string
+    {
+        $lines = ['Type,Date,Latitude,Longitude'];
+
+        for ($row = 1; $row <= $rows; $row++) {
+            $lines[] = sprintf('Burglary,2024-04-%02dT10:00:00+00:00,51.%04d,-0.%04d', ($row % 28) + 1, $row, $row);
+        }
+
+        return implode("\n", $lines)."\n";
+    }
+}
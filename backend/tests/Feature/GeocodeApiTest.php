@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Enums\Role;
+use App\Models\Dataset;
+use App\Models\Feature;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class GeocodeApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_search_proxies_the_configured_geocoder(): void
+    {
+        config(['services.geocoder.url' => 'https://geocoder.test', 'services.geocoder.enabled' => true]);
+
+        Http::fake([
+            'geocoder.test/*' => Http::response([
+                [
+                    'display_name' => 'Liverpool, Merseyside, England',
+                    'lat' => '53.4071991',
+                    'lon' => '-2.99168',
+                    'boundingbox' => ['53.3', '53.5', '-3.0', '-2.8'],
+                ],
+            ]),
+        ]);
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $response = $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/geocode?q=Liverpool');
+
+        $response->assertOk()
+            ->assertJsonPath('data.remote_enabled', true)
+            ->assertJsonPath('data.results.0.label', 'Liverpool, Merseyside, England')
+            ->assertJsonPath('data.results.0.source', 'remote');
+
+        Http::assertSent(static fn ($request): bool => str_contains($request->url(), 'q=Liverpool'));
+    }
+
+    public function test_failed_lookup_is_reported_and_retried_without_caching(): void
+    {
+        config(['services.geocoder.url' => 'https://geocoder.test', 'services.geocoder.enabled' => true]);
+
+        Http::fakeSequence('geocoder.test/*')
+            ->push('Service unavailable', 503)
+            ->push([
+                ['display_name' => 'Leeds, West Yorkshire, England', 'lat' => '53.7974', 'lon' => '-1.5438'],
+            ]);
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/geocode?q=Leeds')
+            ->assertStatus(502)
+            ->assertJsonPath('success', false);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/geocode?q=Leeds')
+            ->assertOk()
+            ->assertJsonPath('data.results.0.label', 'Leeds, West Yorkshire, England');
+
+        Http::assertSentCount(2);
+    }
+
+    public function test_search_returns_no_results_when_the_remote_geocoder_is_disabled(): void
+    {
+        config(['services.geocoder.enabled' => false]);
+        Http::fake();
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/geocode?q=Liverpool')
+            ->assertOk()
+            ->assertJsonPath('data.remote_enabled', false)
+            ->assertJsonPath('data.results', []);
+
+        Http::assertNothingSent();
+    }
+
+    public function test_gazetteer_lists_named_features_with_centroids(): void
+    {
+        $dataset = Dataset::factory()->create();
+
+        Feature::query()->create([
+            'dataset_id' => $dataset->id,
+            'name' => 'Anfield',
+            'geometry' => ['type' => 'Point', 'coordinates' => [-2.9608, 53.4308]],
+            'properties' => ['postcode' => 'L4 0TH'],
+        ]);
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/geocode/gazetteer')
+            ->assertOk()
+            ->assertJsonPath('data.places.0.label', 'Anfield')
+            ->assertJsonPath('data.places.0.postcode', 'L4 0TH')
+            ->assertJsonPath('data.places.0.lat', 53.4308);
+    }
+}
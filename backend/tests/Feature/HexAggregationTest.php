@@ -242,6 +242,80 @@ public function test_severity_filter_limits_results(): void
             ->assertJsonPath('data.cells.0.statistics.mean_risk_score', 0.9);
     }
 
+    public function test_records_are_included_when_requested(): void
+    {
+        Cache::flush();
+
+        DatasetRecord::factory()->create([
+            'category' => 'burglary',
+            'occurred_at' => Carbon::parse('2024-03-01 10:00:00'),
+            'risk_score' => 0.2,
+            'lat' => 53.4,
+            'lng' => -2.9,
+            'h3_res6' => '86052c07fffffff',
+        ]);
+
+        DatasetRecord::factory()->create([
+            'category' => 'burglary',
+            'occurred_at' => Carbon::parse('2024-03-02 10:00:00'),
+            'risk_score' => 0.6,
+            'lat' => 53.41,
+            'lng' => -2.91,
+            'h3_res6' => '86052c07fffffff',
+        ]);
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/hexes?bbox=-3,53,0,55&resolution=6')
+            ->assertOk()
+            ->assertJsonMissingPath('data.records');
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/hexes?bbox=-3,53,0,55&resolution=6&include_records=1&records_limit=1')
+            ->assertOk()
+            ->assertJsonCount(1, 'data.records')
+            ->assertJsonPath('data.records.0.h3', '86052c07fffffff')
+            ->assertJsonPath('data.records.0.category', 'burglary')
+            ->assertJsonPath('data.records.0.risk_score', 0.6);
+    }
+
+    public function test_cell_records_are_filtered_before_the_limit(): void
+    {
+        DatasetRecord::factory()->create([
+            'category' => 'burglary',
+            'occurred_at' => Carbon::parse('2024-03-01 10:00:00'),
+            'lat' => 53.4,
+            'lng' => -2.9,
+            'h3_res6' => '86052c07fffffff',
+        ]);
+
+        // A busier neighbouring cell with more recent records inside the same bounding box
+        DatasetRecord::factory()->count(3)->create([
+            'category' => 'theft',
+            'occurred_at' => Carbon::parse('2024-03-05 10:00:00'),
+            'lat' => 53.45,
+            'lng' => -2.95,
+            'h3_res6' => '86052c0f7ffffff',
+        ]);
+
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/hexes/records?bbox=-3,53,0,55&resolution=6&cell=86052C07FFFFFFF&records_limit=1')
+            ->assertOk()
+            ->assertJsonPath('data.cell', '86052c07fffffff')
+            ->assertJsonMissingPath('data.cells')
+            ->assertJsonCount(1, 'data.records')
+            ->assertJsonPath('data.records.0.h3', '86052c07fffffff')
+            ->assertJsonPath('data.records.0.category', 'burglary');
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/hexes/records?bbox=-3,53,0,55&resolution=6')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['cell']);
+    }
+
     public function test_validation_errors_are_returned_for_invalid_input(): void
     {
         $tokens = $this->issueTokensForRole(Role::Viewer);
@@ -257,6 +331,10 @@ public function test_validation_errors_are_returned_for_invalid_input(): void
         $this->withToken($tokens['accessToken'])
             ->getJson('/api/v1/hexes?bbox=-3,53,0,55&from=2024-05-01&to=2024-04-01')
             ->assertStatus(422);
+
+        $this->withToken($tokens['accessToken'])
+            ->getJson('/api/v1/hexes?bbox=-3,53,0,55&include_records=1&records_limit=500')
+            ->assertStatus(422);
     }
 
     public function test_requests_without_token_are_rejected(): void
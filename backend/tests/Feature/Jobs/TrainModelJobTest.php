@@ -8,6 +8,7 @@
 use App\Models\TrainingRun;
 use App\Services\ModelStatusService;
 use App\Services\ModelTrainingService;
+use App\Services\TrainingCancellationService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Queue;
@@ -72,6 +73,10 @@ public function test_job_updates_model_status_on_completion(): void
         $statusService->shouldReceive('markProgress')->atLeast()->once();
         $statusService->shouldReceive('markIdle')->once();
 
+        $cancellations = Mockery::mock(TrainingCancellationService::class);
+        $cancellations->shouldReceive('isRequested')->andReturn(false);
+        $cancellations->shouldReceive('clear');
+
         // Mock Cache to prevent Redis connection issues in CI
         Cache::shouldReceive('put')->zeroOrMoreTimes();
         Cache::shouldReceive('get')->zeroOrMoreTimes()->andReturn(null);
@@ -79,7 +84,7 @@ public function test_job_updates_model_status_on_completion(): void
             return $callback();
         });
 
-        (new TrainModelJob($run->id))->handle($trainingService, $statusService);
+        (new TrainModelJob($run->id))->handle($trainingService, $statusService, $cancellations);
 
         $this->assertEquals(
             ModelStatus::Active,
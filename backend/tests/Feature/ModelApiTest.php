@@ -11,12 +11,16 @@
 use App\Models\Dataset;
 use App\Models\PredictiveModel;
 use App\Models\TrainingRun;
+use App\Enums\TrainingStatus;
+use App\Services\TrainingCancellationService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Event;
 use Illuminate\Support\Facades\Redis;
 use Illuminate\Support\Facades\RateLimiter;
+use Illuminate\Support\Facades\Storage;
 use Illuminate\Support\Facades\Bus;
+use RuntimeException;
 use Tests\TestCase;
 
 class ModelApiTest extends TestCase
@@ -249,6 +253,103 @@ public function test_model_training_is_rate_limited(): void
         RateLimiter::clear('model-train|'.$tokens['user']->getAuthIdentifier());
     }
 
+    public function test_tuning_queues_every_trial_in_one_request(): void
+    {
+        Bus::fake();
+        Event::fake([ModelStatusUpdated::class]);
+        Redis::shouldReceive('setex')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('publish')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('get')->zeroOrMoreTimes()->andReturn(null);
+        Redis::shouldReceive('del')->zeroOrMoreTimes()->andReturnTrue();
+
+        config(['api.model_training_rate_limit' => 5]);
+
+        $dataset = Dataset::factory()->create();
+        $tokens = $this->issueTokensForRole(Role::Admin);
+
+        $trials = array_map(
+            static fn (int $depth): array => ['hyperparameters' => ['max_depth' => $depth]],
+            range(1, 8)
+        );
+
+        $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson('/api/v1/models/tune', [
+                'name' => 'Burglary search',
+                'dataset_id' => $dataset->id,
+                'trials' => $trials,
+            ]);
+
+        $response->assertAccepted();
+        $response->assertJsonCount(8, 'data.trials');
+        $response->assertJsonPath('data.trials.2.model.name', 'Burglary search · trial 3');
+
+        Bus::assertDispatchedTimes(TrainModelJob::class, 8);
+        $this->assertSame(8, PredictiveModel::query()->count());
+        $this->assertSame(8, TrainingRun::query()->where('status', TrainingStatus::Queued->value)->count());
+
+        RateLimiter::clear('model-train|'.$tokens['user']->getAuthIdentifier());
+    }
+
+    public function test_failed_trial_keeps_no_models_and_queues_no_jobs(): void
+    {
+        Bus::fake();
+        Event::fake([ModelStatusUpdated::class]);
+        Redis::shouldReceive('setex')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('publish')->zeroOrMoreTimes()->andReturnTrue();
+
+        config(['api.model_training_rate_limit' => 5]);
+
+        PredictiveModel::creating(static function (PredictiveModel $model): void {
+            if (str_ends_with($model->name, 'trial 3')) {
+                throw new RuntimeException('Unable to store trial.');
+            }
+        });
+
+        $dataset = Dataset::factory()->create();
+        $tokens = $this->issueTokensForRole(Role::Admin);
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson('/api/v1/models/tune', [
+                'name' => 'Burglary search',
+                'dataset_id' => $dataset->id,
+                'trials' => array_map(
+                    static fn (int $depth): array => ['hyperparameters' => ['max_depth' => $depth]],
+                    range(1, 4)
+                ),
+            ])
+            ->assertServerError();
+
+        Bus::assertNotDispatched(TrainModelJob::class);
+        $this->assertSame(0, PredictiveModel::query()->count());
+        $this->assertSame(0, TrainingRun::query()->count());
+
+        RateLimiter::clear('model-train|'.$tokens['user']->getAuthIdentifier());
+    }
+
+    public function test_rate_limited_tuning_creates_no_models(): void
+    {
+        Bus::fake();
+
+        config(['api.model_training_rate_limit' => 1]);
+
+        $dataset = Dataset::factory()->create();
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        RateLimiter::hit('model-train|'.$tokens['user']->getAuthIdentifier());
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson('/api/v1/models/tune', [
+                'name' => 'Burglary search',
+                'dataset_id' => $dataset->id,
+                'trials' => [['hyperparameters' => ['max_depth' => 4]]],
+            ])
+            ->assertStatus(429);
+
+        $this->assertSame(0, PredictiveModel::query()->count());
+        Bus::assertNotDispatched(TrainModelJob::class);
+
+        RateLimiter::clear('model-train|'.$tokens['user']->getAuthIdentifier());
+    }
+
     public function test_admin_can_activate_model(): void
     {
         $adminTokens = $this->issueTokensForRole(Role::Admin);
@@ -342,6 +443,171 @@ public function test_deactivation_requires_admin_role(): void
         ]);
     }
 
+    public function test_activation_records_lineage_events(): void
+    {
+        $adminTokens = $this->issueTokensForRole(Role::Admin);
+
+        $currentActive = PredictiveModel::factory()->create([
+            'tag' => 'baseline',
+            'area' => 'Downtown',
+            'status' => ModelStatus::Active,
+        ]);
+
+        $candidate = PredictiveModel::factory()->create([
+            'tag' => 'baseline',
+            'area' => 'Downtown',
+            'status' => ModelStatus::Inactive,
+        ]);
+
+        $this->withHeader('Authorization', 'Bearer '.$adminTokens['accessToken'])
+            ->postJson("/api/v1/models/{$candidate->id}/activate")
+            ->assertOk();
+
+        $candidateLineage = $candidate->fresh()->metadata['lineage'];
+        $this->assertSame('activated', end($candidateLineage)['event']);
+
+        $previousLineage = $currentActive->fresh()->metadata['lineage'];
+        $this->assertSame('deactivated', end($previousLineage)['event']);
+        $this->assertSame($candidate->id, end($previousLineage)['superseded_by']);
+    }
+
+    public function test_artifacts_can_be_listed_and_downloaded(): void
+    {
+        Storage::fake('local');
+
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $model = PredictiveModel::factory()->create();
+
+        Storage::disk('local')->put("models/{$model->id}/20240101000000.json", json_encode([
+            'trained_at' => '2024-01-01T00:00:00+00:00',
+            'model_type' => 'logistic_regression',
+            'metrics' => ['accuracy' => 0.8],
+            'hyperparameters' => ['learning_rate' => 0.1],
+        ], JSON_THROW_ON_ERROR));
+
+        $list = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->getJson("/api/v1/models/{$model->id}/artifacts");
+
+        $list->assertOk();
+        $list->assertJsonPath('data.artifacts.0.version', '20240101000000');
+
+        $download = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->get("/api/v1/models/{$model->id}/artifacts/20240101000000");
+
+        $download->assertOk();
+        $download->assertDownload();
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->getJson("/api/v1/models/{$model->id}/artifacts/missing")
+            ->assertNotFound();
+    }
+
+    public function test_rollback_restores_artifact_and_records_lineage(): void
+    {
+        Storage::fake('local');
+
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $model = PredictiveModel::factory()->create([
+            'version' => '20240201000000',
+            'metrics' => ['accuracy' => 0.9],
+        ]);
+
+        Storage::disk('local')->put("models/{$model->id}/20240101000000.json", json_encode([
+            'metrics' => ['accuracy' => 0.8],
+            'hyperparameters' => ['learning_rate' => 0.1],
+        ], JSON_THROW_ON_ERROR));
+
+        $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$model->id}/rollback", ['version' => '20240101000000']);
+
+        $response->assertOk();
+        $response->assertJsonPath('data.model.version', '20240101000000');
+
+        $lineage = $model->fresh()->metadata['lineage'];
+        $event = end($lineage);
+
+        $this->assertSame('rolled_back', $event['event']);
+        $this->assertSame('20240101000000', $event['version']);
+        $this->assertSame('20240201000000', $event['from_version']);
+    }
+
+    public function test_rollback_rejects_path_like_versions(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $model = PredictiveModel::factory()->create();
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$model->id}/rollback", ['version' => '../secrets'])
+            ->assertUnprocessable();
+    }
+
+    public function test_cancelling_queued_training_run_marks_it_cancelled(): void
+    {
+        Event::fake([ModelStatusUpdated::class]);
+        Redis::shouldReceive('setex')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('publish')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('get')->zeroOrMoreTimes()->andReturn(null);
+
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $run = TrainingRun::factory()->create(['status' => TrainingStatus::Queued]);
+
+        $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$run->model_id}/cancel");
+
+        $response->assertOk();
+        $response->assertJsonPath('data.status', TrainingStatus::Cancelled->value);
+
+        $this->assertDatabaseHas('training_runs', [
+            'id' => $run->id,
+            'status' => TrainingStatus::Cancelled->value,
+        ]);
+
+        Event::assertDispatched(ModelStatusUpdated::class, function (ModelStatusUpdated $event) use ($run): bool {
+            return $event->modelId === $run->model_id && $event->status === 'cancelled';
+        });
+    }
+
+    public function test_cancelling_running_training_run_requests_cancellation(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $run = TrainingRun::factory()->create([
+            'status' => TrainingStatus::Running,
+            'started_at' => now(),
+        ]);
+
+        $response = $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$run->model_id}/cancel");
+
+        $response->assertAccepted();
+        $response->assertJsonPath('data.training_run_id', $run->id);
+
+        $this->assertTrue(app(TrainingCancellationService::class)->isRequested($run->id));
+        $this->assertDatabaseHas('training_runs', [
+            'id' => $run->id,
+            'status' => TrainingStatus::Running->value,
+        ]);
+    }
+
+    public function test_cancel_returns_conflict_without_active_training_run(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Admin);
+        $model = PredictiveModel::factory()->create();
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$model->id}/cancel")
+            ->assertStatus(409);
+    }
+
+    public function test_cancel_requires_training_permission(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+        $run = TrainingRun::factory()->create(['status' => TrainingStatus::Queued]);
+
+        $this->withHeader('Authorization', 'Bearer '.$tokens['accessToken'])
+            ->postJson("/api/v1/models/{$run->model_id}/cancel")
+            ->assertForbidden();
+    }
+
     public function test_evaluation_request_dispatches_job(): void
     {
         Bus::fake();
@@ -0,0 +1,99 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Feature;
+
+use App\Enums\Role;
+use App\Models\DatasetRecord;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Carbon;
+use Illuminate\Support\Facades\Cache;
+use Tests\TestCase;
+
+class NlqApiTest extends TestCase
+{
+    use RefreshDatabase;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        Cache::flush();
+        Carbon::setTestNow(Carbon::parse('2024-05-15 12:00:00'));
+
+        DatasetRecord::factory()->create([
+            'category' => 'burglary',
+            'occurred_at' => Carbon::parse('2024-05-10 10:00:00'),
+        ]);
+        DatasetRecord::factory()->count(2)->create([
+            'category' => 'burglary',
+            'occurred_at' => Carbon::parse('2024-04-12 10:00:00'),
+        ]);
+        DatasetRecord::factory()->create([
+            'category' => 'assault',
+            'occurred_at' => Carbon::parse('2024-04-20 10:00:00'),
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        Carbon::setTestNow();
+
+        parent::tearDown();
+    }
+
+    public function test_single_question_is_answered_without_context(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->postJson('/api/v1/nlq', ['question' => 'How many burglary incidents this month?'])
+            ->assertOk()
+            ->assertJsonPath('data.query.type', 'count')
+            ->assertJsonPath('data.data.total', 1)
+            ->assertJsonMissingPath('data.query.inherited');
+    }
+
+    public function test_follow_up_question_inherits_intent_and_category_from_context(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $response = $this->withToken($tokens['accessToken'])
+            ->postJson('/api/v1/nlq', [
+                'question' => 'and last month?',
+                'context' => [
+                    ['question' => 'How many burglary incidents this month?', 'answer' => 'There were 1 recorded incidents.'],
+                ],
+            ]);
+
+        $response->assertOk()
+            ->assertJsonPath('data.query.type', 'count')
+            ->assertJsonPath('data.data.total', 2)
+            ->assertJsonPath('data.data.filters.dataset_type', 'burglary');
+
+        $this->assertEqualsCanonicalizing(['dataset_type', 'intent'], $response->json('data.query.inherited'));
+    }
+
+    public function test_context_must_be_a_list_of_questions(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->postJson('/api/v1/nlq', [
+                'question' => 'and last month?',
+                'context' => [['answer' => 'Missing the question']],
+            ])
+            ->assertStatus(422);
+    }
+
+    public function test_question_longer_than_the_context_limit_is_rejected(): void
+    {
+        $tokens = $this->issueTokensForRole(Role::Viewer);
+
+        $this->withToken($tokens['accessToken'])
+            ->postJson('/api/v1/nlq', ['question' => str_repeat('How many burglaries? ', 30)])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['question']);
+    }
+}
@@ -871,4 +871,42 @@ public function test_handle_broadcasts_failure_status_updates(): void
             });
         }
     }
+
+    public function test_filter_entries_restricts_to_area_of_interest(): void
+    {
+        $job = new GenerateHeatmapJob('unused', []);
+        $timestamp = CarbonImmutable::parse('2024-01-10T00:00:00Z');
+        $entry = static fn (float $lat, float $lng): array => [
+            'timestamp' => $timestamp,
+            'latitude' => $lat,
+            'longitude' => $lng,
+            'category' => 'burglary',
+            'features' => [],
+        ];
+
+        $entries = LazyCollection::make([
+            $entry(51.505, -0.125),
+            $entry(51.515, -0.125),
+            $entry(51.501, -0.11),
+        ]);
+
+        $method = new ReflectionMethod(GenerateHeatmapJob::class, 'filterEntries');
+        $method->setAccessible(true);
+
+        /** @var LazyCollection<int, array<string, mixed>> $filtered */
+        $filtered = $method->invoke($job, $entries, [
+            'center' => ['lat' => 51.505, 'lng' => -0.125],
+            'radius_km' => 0.1,
+            'area' => [
+                'name' => 'Triangle',
+                'polygon' => [[-0.13, 51.50], [-0.10, 51.50], [-0.13, 51.51], [-0.13, 51.50]],
+            ],
+        ]);
+
+        $kept = $filtered->all();
+
+        $this->assertCount(2, $kept);
+        $this->assertEqualsWithDelta(51.505, $kept[0]['latitude'], 0.0001);
+        $this->assertEqualsWithDelta(-0.11, $kept[1]['longitude'], 0.0001);
+    }
 }
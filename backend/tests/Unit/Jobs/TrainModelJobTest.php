@@ -14,6 +14,7 @@
 use App\Models\User;
 use App\Services\ModelStatusService;
 use App\Services\ModelTrainingService;
+use App\Services\TrainingCancellationService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Event;
 use Illuminate\Support\Facades\Redis;
@@ -69,6 +70,7 @@ public function test_handle_persists_metrics_and_artifact_reference(): void
         $job->handle(
             app(ModelTrainingService::class),
             app(ModelStatusService::class),
+            app(TrainingCancellationService::class),
         );
 
         $run->refresh();
@@ -147,6 +149,7 @@ public function test_handle_trains_svc_without_type_errors(): void
         $job->handle(
             app(ModelTrainingService::class),
             app(ModelStatusService::class),
+            app(TrainingCancellationService::class),
         );
 
         $run->refresh();
@@ -196,6 +199,7 @@ public function test_handle_marks_run_failed_when_training_service_throws(): voi
             $job->handle(
                 app(ModelTrainingService::class),
                 app(ModelStatusService::class),
+                app(TrainingCancellationService::class),
             );
             $this->fail('Expected RuntimeException to be thrown.');
         } catch (RuntimeException $exception) {
@@ -211,6 +215,45 @@ public function test_handle_marks_run_failed_when_training_service_throws(): voi
         $this->assertNotNull($run->finished_at);
     }
 
+    public function test_handle_stops_when_cancellation_is_requested(): void
+    {
+        Event::fake();
+        Redis::shouldReceive('setex')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('publish')->zeroOrMoreTimes()->andReturnTrue();
+        Redis::shouldReceive('get')->zeroOrMoreTimes()->andReturn(null);
+
+        $model = PredictiveModel::factory()->create([
+            'status' => ModelStatus::Active,
+            'metadata' => [],
+        ]);
+
+        $user = User::factory()->create();
+
+        $run = TrainingRun::query()->create([
+            'model_id' => $model->id,
+            'status' => TrainingStatus::Queued,
+            'queued_at' => now(),
+            'initiated_by' => $user->id,
+        ]);
+
+        $cancellations = app(TrainingCancellationService::class);
+        $cancellations->request($run->id);
+
+        $trainingService = $this->createMock(ModelTrainingService::class);
+        $trainingService->expects($this->never())->method('train');
+
+        $job = new TrainModelJob($run->id, null, null, $user->id);
+        $job->handle($trainingService, app(ModelStatusService::class), $cancellations);
+
+        $run->refresh();
+        $model->refresh();
+
+        $this->assertEquals(TrainingStatus::Cancelled, $run->status);
+        $this->assertEquals(ModelStatus::Active, $model->status);
+        $this->assertNotNull($run->finished_at);
+        $this->assertFalse($cancellations->isRequested($run->id));
+    }
+
     public function test_middleware_includes_notify_webhook(): void
     {
         $job = new TrainModelJob(
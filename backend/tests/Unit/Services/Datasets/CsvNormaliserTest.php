@@ -0,0 +1,69 @@
+<?php
+
+namespace Tests\Unit\Services\Datasets;
+
+use App\Models\Dataset;
+use App\Services\Datasets\CsvNormaliser;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Storage;
+use Tests\TestCase;
+
+class CsvNormaliserTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_semicolon_windows_1252_file_is_rewritten_once(): void
+    {
+        Storage::fake('local');
+        Storage::disk('local')->put('datasets/council.csv', "Type;Date;Lat;Lng\nCaf\xE9 theft;2024-04-01;51,5;-0,1\n");
+
+        $dataset = Dataset::factory()->create([
+            'file_path' => 'datasets/council.csv',
+            'mime_type' => 'text/csv',
+            'metadata' => ['source_options' => ['delimiter' => ';', 'encoding' => 'windows-1252', 'has_header' => true]],
+        ]);
+
+        $normaliser = new CsvNormaliser();
+
+        $this->assertTrue($normaliser->normalise($dataset));
+        $this->assertSame(
+            "Type,Date,Lat,Lng\n\"Café theft\",2024-04-01,\"51,5\",\"-0,1\"\n",
+            Storage::disk('local')->get('datasets/council.csv')
+        );
+
+        $dataset->refresh();
+        $this->assertSame([], $dataset->csvOptions());
+        $this->assertSame(['delimiter' => ';', 'encoding' => 'windows-1252'], $dataset->metadata['normalised_from']);
+        $this->assertFalse($normaliser->normalise($dataset));
+    }
+
+    public function test_headerless_file_gets_generated_headers(): void
+    {
+        Storage::fake('local');
+        Storage::disk('local')->put('datasets/headerless.csv', "1\tAlice\n2\tBob\n");
+
+        $dataset = Dataset::factory()->create([
+            'file_path' => 'datasets/headerless.csv',
+            'mime_type' => 'text/csv',
+            'metadata' => ['source_options' => ['delimiter' => "\t", 'encoding' => 'utf-8', 'has_header' => false]],
+        ]);
+
+        (new CsvNormaliser())->normalise($dataset);
+
+        $this->assertSame("column_1,column_2\n1,Alice\n2,Bob\n", Storage::disk('local')->get('datasets/headerless.csv'));
+    }
+
+    public function test_comma_separated_utf8_file_is_left_alone(): void
+    {
+        Storage::fake('local');
+        Storage::disk('local')->put('datasets/plain.csv', "id,name\n1,Alice\n");
+
+        $dataset = Dataset::factory()->create([
+            'file_path' => 'datasets/plain.csv',
+            'mime_type' => 'text/csv',
+            'metadata' => ['source_options' => ['delimiter' => ',', 'encoding' => 'utf-8', 'has_header' => true]],
+        ]);
+
+        $this->assertFalse((new CsvNormaliser())->normalise($dataset));
+    }
+}
@@ -18,9 +18,28 @@ protected function setUp(): void
 
     public function test_normalise_headers_trims_values(): void
     {
-        $headers = $this->parser->normaliseHeaders(["\xEF\xBB\xBF id ", null, ' name']);
+        $headers = $this->parser->normaliseHeaders(["\xEF\xBB\xBF id ", ' name']);
 
-        $this->assertSame(['id', '', 'name'], $headers);
+        $this->assertSame(['id', 'name'], $headers);
+    }
+
+    public function test_normalise_headers_names_blank_and_duplicate_columns_like_the_preview(): void
+    {
+        // Mirrors buildHeaders in frontend/tests/unit/csvParser.spec.js
+        $this->assertSame(['id', 'id_2', 'column_3'], $this->parser->normaliseHeaders(['id', ' id ', '']));
+        $this->assertSame(['column_1', 'name', 'name_2', 'name_3'], $this->parser->normaliseHeaders([null, 'name', 'name', 'name']));
+    }
+
+    public function test_read_csv_rows_keeps_blank_and_duplicate_header_columns(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'csv-parser-');
+        file_put_contents($path, "Type,,Type\nBurglary,51.5,Theft\n");
+
+        $rows = iterator_to_array($this->parser->readCsvRows($path), false);
+
+        unlink($path);
+
+        $this->assertSame([['Type' => 'Burglary', 'column_2' => '51.5', 'Type_2' => 'Theft']], $rows);
     }
 
     public function test_is_empty_row_detects_content(): void
@@ -50,4 +69,43 @@ public function test_read_csv_rows_streams_associative_rows(): void
             ['id' => '2', 'name' => 'Bob'],
         ], $rows);
     }
+
+    public function test_read_csv_rows_honours_delimiter_and_encoding(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'csv-parser-');
+        file_put_contents($path, "id;name\n1;\"Caf\xE9; bar\"\n");
+
+        $rows = iterator_to_array($this->parser->readCsvRows($path, ['delimiter' => ';', 'encoding' => 'windows-1252']));
+
+        unlink($path);
+
+        $this->assertSame([['id' => '1', 'name' => 'Café; bar']], $rows);
+    }
+
+    public function test_read_csv_rows_decodes_utf16_with_byte_order_mark(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'csv-parser-');
+        file_put_contents($path, "\xFF\xFE".mb_convert_encoding("id\tname\r\n1\tZoë\r\n", 'UTF-16LE', 'UTF-8'));
+
+        $rows = iterator_to_array($this->parser->readCsvRows($path, ['delimiter' => "\t", 'encoding' => 'utf-16le']));
+
+        unlink($path);
+
+        $this->assertSame([['id' => '1', 'name' => 'Zoë']], $rows);
+    }
+
+    public function test_read_csv_rows_names_columns_of_headerless_files(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'csv-parser-');
+        file_put_contents($path, "1|Alice\n2|Bob\n");
+
+        $rows = iterator_to_array($this->parser->readCsvRows($path, ['delimiter' => '|', 'has_header' => false]));
+
+        unlink($path);
+
+        $this->assertSame([
+            ['column_1' => '1', 'column_2' => 'Alice'],
+            ['column_1' => '2', 'column_2' => 'Bob'],
+        ], $rows);
+    }
 }
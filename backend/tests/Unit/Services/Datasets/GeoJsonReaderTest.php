@@ -0,0 +1,76 @@
+<?php
+
+namespace Tests\Unit\Services\Datasets;
+
+use App\Services\Datasets\GeoJsonReader;
+use PHPUnit\Framework\TestCase;
+
+class GeoJsonReaderTest extends TestCase
+{
+    private GeoJsonReader $reader;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->reader = new GeoJsonReader();
+    }
+
+    public function test_point_features_map_coordinates_to_latitude_and_longitude(): void
+    {
+        $row = $this->reader->flattenFeature([
+            'type' => 'Feature',
+            'id' => 7,
+            'properties' => ['category' => 'Burglary', 'tags' => ['night']],
+            'geometry' => ['type' => 'Point', 'coordinates' => [-0.1278, 51.5074]],
+        ]);
+
+        $this->assertSame([
+            'feature_id' => 7,
+            'category' => 'Burglary',
+            'tags' => '["night"]',
+            'longitude' => -0.1278,
+            'latitude' => 51.5074,
+            'geometry_type' => 'Point',
+        ], $row);
+    }
+
+    public function test_polygon_centroid_accounts_for_holes(): void
+    {
+        $square = [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]];
+        $hole = [[2, 0], [4, 0], [4, 4], [2, 4], [2, 0]];
+
+        $this->assertEqualsWithDelta([2.0, 2.0], $this->reader->centroid(['type' => 'Polygon', 'coordinates' => [$square]]), 1e-9);
+        $this->assertEqualsWithDelta([1.0, 2.0], $this->reader->centroid(['type' => 'Polygon', 'coordinates' => [$square, $hole]]), 1e-9);
+    }
+
+    public function test_line_centroid_is_length_weighted(): void
+    {
+        $centroid = $this->reader->centroid([
+            'type' => 'LineString',
+            'coordinates' => [[0, 0], [3, 0], [3, 1]],
+        ]);
+
+        $this->assertEqualsWithDelta([1.875, 0.125], $centroid, 1e-9);
+    }
+
+    public function test_read_rows_streams_feature_collection(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'geojson-');
+        file_put_contents($path, json_encode([
+            'type' => 'FeatureCollection',
+            'features' => [
+                ['type' => 'Feature', 'properties' => ['name' => 'A'], 'geometry' => ['type' => 'Point', 'coordinates' => [1, 2]]],
+                ['type' => 'Feature', 'properties' => null, 'geometry' => null],
+            ],
+        ]));
+
+        $rows = $this->reader->readRows($path)->all();
+
+        unlink($path);
+
+        $this->assertSame([
+            ['name' => 'A', 'longitude' => 1.0, 'latitude' => 2.0, 'geometry_type' => 'Point'],
+        ], $rows);
+    }
+}
@@ -0,0 +1,113 @@
+<?php
+
+namespace Tests\Unit\Services\Datasets;
+
+use App\Services\Datasets\CsvParser;
+use App\Services\Datasets\ParquetReader;
+use PHPUnit\Framework\TestCase;
+use RuntimeException;
+
+class ParquetReaderTest extends TestCase
+{
+    private const FIXTURE = __DIR__ . '/../../../Fixtures/datasets/incidents.parquet';
+
+    // The remaining fixtures are written by pyarrow, one per reader code path
+    private const FIXTURES = __DIR__ . '/../../../Fixtures/datasets/';
+
+    public function test_column_names_are_read_from_the_footer(): void
+    {
+        $this->assertSame(['occurred_at', 'lat', 'lng', 'category'], (new ParquetReader())->columnNames(self::FIXTURE));
+    }
+
+    public function test_read_rows_decodes_snappy_pages_timestamps_and_nulls(): void
+    {
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURE), false);
+
+        $this->assertSame([
+            ['occurred_at' => '2024-03-01 10:15:00', 'lat' => 51.5074, 'lng' => -0.1278, 'category' => 'Burglary'],
+            ['occurred_at' => '2024-03-02 11:30:00', 'lat' => 53.4808, 'lng' => -2.2426, 'category' => null],
+        ], $rows);
+    }
+
+    public function test_read_rows_decodes_dictionary_pages_across_several_data_pages(): void
+    {
+        // id and category hold a dictionary page and five RLE_DICTIONARY data pages; flagged is a single PLAIN page
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURES . 'incidents-dictionary.parquet'), false);
+
+        $this->assertCount(20, $rows);
+        $this->assertSame(['id' => 1, 'category' => 'Burglary', 'flagged' => true], $rows[0]);
+        $this->assertSame(['id' => 4, 'category' => null, 'flagged' => false], $rows[3]);
+        $this->assertSame(['id' => 17, 'category' => 'Theft', 'flagged' => true], $rows[16]);
+        $this->assertSame(['id' => 20, 'category' => 'Theft', 'flagged' => false], $rows[19]);
+        $this->assertSame(range(1, 20), array_column($rows, 'id'));
+    }
+
+    public function test_read_rows_decodes_gzip_v2_pages_across_row_groups(): void
+    {
+        // Three row groups of at most two rows, with RLE-encoded booleans
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURES . 'incidents-v2-gzip.parquet'), false);
+
+        $this->assertSame([
+            ['lat' => 51.5074, 'lng' => -0.1278, 'category' => 'Burglary', 'flagged' => true],
+            ['lat' => 53.4808, 'lng' => -2.2426, 'category' => null, 'flagged' => false],
+            ['lat' => 52.4862, 'lng' => -1.8904, 'category' => 'Theft', 'flagged' => true],
+            ['lat' => 55.9533, 'lng' => -3.1883, 'category' => 'Robbery', 'flagged' => true],
+            ['lat' => null, 'lng' => null, 'category' => 'Theft', 'flagged' => false],
+        ], $rows);
+    }
+
+    public function test_read_rows_decodes_int96_timestamps_and_fixed_length_decimals(): void
+    {
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURES . 'incidents-int96-decimal.parquet'), false);
+
+        $this->assertSame([
+            ['occurred_at' => '2024-03-01 10:15:00', 'risk_score' => 0.125, 'loss' => 1234567.89],
+            ['occurred_at' => '2024-03-02 23:59:59.250000', 'risk_score' => -1.5, 'loss' => -0.01],
+            ['occurred_at' => '1969-12-31 23:00:00', 'risk_score' => null, 'loss' => 0],
+        ], $rows);
+    }
+
+    public function test_read_rows_decodes_decimals_stored_as_integers(): void
+    {
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURES . 'incidents-decimal-integer.parquet'), false);
+
+        $this->assertSame([
+            ['risk_score' => 0.125, 'loss' => 1234567.89],
+            ['risk_score' => -1.5, 'loss' => -0.01],
+            ['risk_score' => null, 'loss' => 0],
+        ], $rows);
+    }
+
+    public function test_read_rows_reads_page_headers_larger_than_the_initial_buffer(): void
+    {
+        // The notes page header carries min/max statistics of about 6KB
+        $rows = iterator_to_array((new ParquetReader())->readRows(self::FIXTURES . 'incidents-long-text.parquet'), false);
+
+        $this->assertSame([
+            ['id' => 1, 'notes' => str_repeat('a', 3000)],
+            ['id' => 2, 'notes' => str_repeat('b', 3000)],
+        ], $rows);
+    }
+
+    public function test_csv_parser_dispatches_parquet_files_by_extension(): void
+    {
+        $rows = (new CsvParser())->readDatasetRows(self::FIXTURE, 'application/octet-stream')->all();
+
+        $this->assertCount(2, $rows);
+        $this->assertSame('Burglary', $rows[0]['category']);
+    }
+
+    public function test_non_parquet_files_are_rejected(): void
+    {
+        $path = tempnam(sys_get_temp_dir(), 'parquet-');
+        file_put_contents($path, "id,name\n1,Alice\n");
+
+        try {
+            $this->expectException(RuntimeException::class);
+
+            iterator_to_array((new ParquetReader())->readRows($path));
+        } finally {
+            unlink($path);
+        }
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Tests\Unit\Services\Datasets;
+
+use App\Services\Datasets\CsvParser;
+use App\Services\Datasets\XlsxReader;
+use DateTimeImmutable;
+use DateTimeZone;
+use PHPUnit\Framework\TestCase;
+use RuntimeException;
+use Tests\Concerns\BuildsWorkbooks;
+
+class XlsxReaderTest extends TestCase
+{
+    use BuildsWorkbooks;
+
+    private string $path;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->path = $this->buildWorkbook([
+            'Summary' => [
+                ['Notes'],
+                ['Generated by the partner export'],
+            ],
+            'Incidents' => [
+                ['Occurred', 'Lat', 'Lng', 'Category'],
+                [new DateTimeImmutable('2024-03-01 10:15:00', new DateTimeZone('UTC')), 51.5074, -0.1278, 'Burglary'],
+                [],
+                [new DateTimeImmutable('2024-03-02 11:30:00', new DateTimeZone('UTC')), 53.4808, null, 'Robbery'],
+            ],
+        ]);
+    }
+
+    protected function tearDown(): void
+    {
+        @unlink($this->path);
+
+        parent::tearDown();
+    }
+
+    public function test_sheet_names_are_listed_in_workbook_order(): void
+    {
+        $this->assertSame(['Summary', 'Incidents'], (new XlsxReader())->sheetNames($this->path));
+    }
+
+    public function test_read_rows_resolves_shared_strings_dates_and_gaps(): void
+    {
+        $rows = iterator_to_array((new XlsxReader())->readRows($this->path, 'Incidents'), false);
+
+        $this->assertSame([
+            ['Occurred', 'Lat', 'Lng', 'Category'],
+            ['2024-03-01 10:15:00', '51.5074', '-0.1278', 'Burglary'],
+            ['2024-03-02 11:30:00', '53.4808', null, 'Robbery'],
+        ], $rows);
+    }
+
+    public function test_read_rows_rejects_unknown_sheet(): void
+    {
+        $this->expectException(RuntimeException::class);
+
+        iterator_to_array((new XlsxReader())->readRows($this->path, 'Missing'));
+    }
+
+    public function test_csv_parser_reads_selected_sheet_as_associative_rows(): void
+    {
+        $rows = (new CsvParser())->readDatasetRows($this->path, null, ['sheet' => 'Incidents'])->all();
+
+        $this->assertCount(2, $rows);
+        $this->assertSame('Burglary', $rows[0]['Category']);
+        $this->assertNull($rows[1]['Lng']);
+
+        $firstSheet = (new CsvParser())->readDatasetRows($this->path, null)->all();
+
+        $this->assertSame([['Notes' => 'Generated by the partner export']], $firstSheet);
+    }
+
+    public function test_csv_parser_names_blank_and_duplicate_sheet_headers_like_the_preview(): void
+    {
+        $path = $this->buildWorkbook([
+            'Incidents' => [
+                ['Category', null, 'Category', ' '],
+                ['Burglary', '51.5074', 'Residential', 'Yes'],
+            ],
+        ]);
+
+        try {
+            $rows = (new CsvParser())->readDatasetRows($path, null)->all();
+        } finally {
+            @unlink($path);
+        }
+
+        $this->assertSame([[
+            'Category' => 'Burglary',
+            'column_2' => '51.5074',
+            'Category_2' => 'Residential',
+            'column_4' => 'Yes',
+        ]], $rows);
+    }
+}
@@ -10,6 +10,7 @@
 use App\Models\TrainingRun;
 use App\Services\ModelStatusService;
 use App\Services\ModelTrainingService;
+use App\Services\TrainingCancellationService;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Event;
@@ -92,7 +93,7 @@ protected function updateProgress(int $progress, string $message, ?array $metric
     $statusService->shouldReceive('markIdle')->once()->andReturn([]);
     $statusService->shouldReceive('markFailed')->never();
 
-    $job->handle($trainingService, $statusService);
+    $job->handle($trainingService, $statusService, app(TrainingCancellationService::class));
 
     $progresses = array_column($job->progressEvents, 'progress');
     expect($progresses)->toContain(0, 5, 15, 25, 35, 45, 55, 75, 95, 100);
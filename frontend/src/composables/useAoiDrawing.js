@@ -0,0 +1,197 @@
+import { onBeforeUnmount, ref, shallowRef, watch } from 'vue'
+import { useAoiStore } from '../stores/aoi'
+import { aoiToRing } from '../utils/aoiGeometry'
+
+const DRAFT_STYLE = { color: '#7c3aed', weight: 2, dashArray: '6 4', fillOpacity: 0.1 }
+const SAVED_STYLE = { color: '#7c3aed', weight: 1.5, fillOpacity: 0.05, interactive: false }
+
+function latLngOf(event) {
+    return { lat: event.latlng.lat, lng: event.latlng.lng }
+}
+
+function boundsFrom(a, b) {
+    return {
+        south: Math.min(a.lat, b.lat),
+        west: Math.min(a.lng, b.lng),
+        north: Math.max(a.lat, b.lat),
+        east: Math.max(a.lng, b.lng),
+    }
+}
+
+// Click-driven drawing: polygons collect vertices until double-click, rectangles and circles take two clicks
+export function useAoiDrawing({ map, leaflet }) {
+    const aoiStore = useAoiStore()
+    const drawMode = ref(null)
+    const draft = ref(null)
+
+    const previewLayer = shallowRef(null)
+    const savedLayer = shallowRef(null)
+    let anchor = null
+    let vertices = []
+    let attachedMap = null
+
+    function clearPreview() {
+        previewLayer.value?.remove()
+        previewLayer.value = null
+    }
+
+    function showPreview(type, geometry) {
+        const L = leaflet()
+        if (!L || !attachedMap) return
+        clearPreview()
+        const ring = aoiToRing({ type, geometry })
+        if (type === 'polygon' && ring.length < 4) {
+            const path = (geometry.vertices ?? []).map((vertex) => [vertex.lat, vertex.lng])
+            previewLayer.value = L.polyline(path, DRAFT_STYLE).addTo(attachedMap)
+            return
+        }
+        previewLayer.value = L.polygon(ring, DRAFT_STYLE).addTo(attachedMap)
+    }
+
+    function renderSavedAreas() {
+        const L = leaflet()
+        if (!L || !attachedMap) return
+        if (!savedLayer.value) {
+            savedLayer.value = L.layerGroup().addTo(attachedMap)
+        }
+        savedLayer.value.clearLayers()
+        aoiStore.areas.forEach((area) => {
+            const ring = aoiToRing(area)
+            if (ring.length < 4) return
+            L.polygon(ring, SAVED_STYLE)
+                .bindTooltip(area.name, { sticky: true })
+                .addTo(savedLayer.value)
+        })
+    }
+
+    function resetInteraction() {
+        anchor = null
+        vertices = []
+        attachedMap?.doubleClickZoom.enable()
+        if (attachedMap) attachedMap.getContainer().style.cursor = ''
+    }
+
+    function finish(type, geometry) {
+        drawMode.value = null
+        resetInteraction()
+        draft.value = { type, geometry }
+        showPreview(type, geometry)
+    }
+
+    function handleClick(event) {
+        const point = latLngOf(event)
+        switch (drawMode.value) {
+            case 'polygon':
+                vertices = [...vertices, point]
+                showPreview('polygon', { vertices })
+                break
+            case 'rectangle':
+                if (!anchor) {
+                    anchor = point
+                } else {
+                    finish('rectangle', { bounds: boundsFrom(anchor, point) })
+                }
+                break
+            case 'circle':
+                if (!anchor) {
+                    anchor = point
+                } else {
+                    finish('circle', { center: anchor, radiusM: attachedMap.distance(anchor, point) })
+                }
+                break
+            default:
+                break
+        }
+    }
+
+    function handleMouseMove(event) {
+        if (!anchor) return
+        const point = latLngOf(event)
+        if (drawMode.value === 'rectangle') {
+            showPreview('rectangle', { bounds: boundsFrom(anchor, point) })
+        } else if (drawMode.value === 'circle') {
+            showPreview('circle', { center: anchor, radiusM: attachedMap.distance(anchor, point) })
+        }
+    }
+
+    function handleDoubleClick() {
+        if (drawMode.value !== 'polygon') return
+        // The double-click also fired a click, so drop the duplicated final vertex
+        const unique = vertices.filter(
+            (vertex, index) => index === 0 || vertex.lat !== vertices[index - 1].lat || vertex.lng !== vertices[index - 1].lng
+        )
+        if (unique.length >= 3) {
+            finish('polygon', { vertices: unique })
+        }
+    }
+
+    function handleKeydown(event) {
+        if (event.key === 'Escape' && drawMode.value) {
+            cancel()
+        }
+    }
+
+    function start(mode) {
+        if (!attachedMap) return
+        discardDraft()
+        drawMode.value = mode
+        anchor = null
+        vertices = []
+        attachedMap.doubleClickZoom.disable()
+        attachedMap.getContainer().style.cursor = 'crosshair'
+    }
+
+    function cancel() {
+        drawMode.value = null
+        resetInteraction()
+        clearPreview()
+    }
+
+    function discardDraft() {
+        draft.value = null
+        clearPreview()
+    }
+
+    function saveDraft(name) {
+        if (!draft.value) return null
+        const area = aoiStore.saveArea({ name, ...draft.value })
+        discardDraft()
+        return area
+    }
+
+    function attach(instance) {
+        attachedMap = instance
+        instance.on('click', handleClick)
+        instance.on('mousemove', handleMouseMove)
+        instance.on('dblclick', handleDoubleClick)
+        document.addEventListener('keydown', handleKeydown)
+        renderSavedAreas()
+    }
+
+    function detach() {
+        if (!attachedMap) return
+        attachedMap.off('click', handleClick)
+        attachedMap.off('mousemove', handleMouseMove)
+        attachedMap.off('dblclick', handleDoubleClick)
+        document.removeEventListener('keydown', handleKeydown)
+        clearPreview()
+        savedLayer.value?.remove()
+        savedLayer.value = null
+        attachedMap = null
+    }
+
+    watch(
+        map,
+        (instance) => {
+            detach()
+            if (instance) attach(instance)
+        },
+        { immediate: true }
+    )
+
+    watch(() => aoiStore.areas, () => renderSavedAreas(), { deep: true })
+
+    onBeforeUnmount(detach)
+
+    return { drawMode, draft, start, cancel, saveDraft, discardDraft }
+}
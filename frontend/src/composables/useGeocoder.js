@@ -0,0 +1,94 @@
+import { onBeforeUnmount, ref, watch } from 'vue'
+import { geocoder as defaultGeocoder } from '../services/geocoder'
+
+const MIN_QUERY_LENGTH = 2
+
+export function useGeocoder({ geocoder = defaultGeocoder, debounceMs = 300 } = {}) {
+    const query = ref('')
+    const suggestions = ref([])
+    const searching = ref(false)
+    const error = ref('')
+
+    let timer = null
+    let controller = null
+    let suppressNext = false
+
+    function cancelPending() {
+        if (timer) {
+            clearTimeout(timer)
+            timer = null
+        }
+        if (controller) {
+            controller.abort()
+            controller = null
+        }
+    }
+
+    async function run(value, { reportEmpty = false } = {}) {
+        cancelPending()
+        const current = new AbortController()
+        controller = current
+        searching.value = true
+        error.value = ''
+
+        try {
+            const { results, failed, aborted } = await geocoder.search(value, { signal: current.signal })
+            if (aborted || current.signal.aborted) return
+
+            suggestions.value = results
+            if (failed) {
+                error.value = 'Unable to complete the search right now.'
+            } else if (!results.length && reportEmpty) {
+                error.value = 'No results found for that query.'
+            }
+        } finally {
+            if (controller === current) {
+                controller = null
+                searching.value = false
+            }
+        }
+    }
+
+    function searchNow() {
+        if (!query.value) {
+            error.value = 'Enter a location to search.'
+            return Promise.resolve()
+        }
+        return run(query.value, { reportEmpty: true })
+    }
+
+    function select(result) {
+        cancelPending()
+        searching.value = false
+        suggestions.value = []
+        error.value = ''
+        if (query.value !== result.label) {
+            suppressNext = true
+            query.value = result.label
+        }
+    }
+
+    watch(query, (value) => {
+        if (suppressNext) {
+            suppressNext = false
+            return
+        }
+
+        cancelPending()
+        searching.value = false
+        error.value = ''
+        if (!value || value.trim().length < MIN_QUERY_LENGTH) {
+            suggestions.value = []
+            return
+        }
+
+        timer = setTimeout(() => {
+            timer = null
+            run(value)
+        }, debounceMs)
+    })
+
+    onBeforeUnmount(cancelPending)
+
+    return { query, suggestions, searching, error, searchNow, select }
+}
@@ -0,0 +1,31 @@
+import { computed, onMounted, ref } from 'vue'
+import { usePredictionStore } from '../stores/prediction'
+
+// Falls back to the newest completed run in history when nothing has been generated this session
+export function useLatestPrediction() {
+    const predictionStore = usePredictionStore()
+    const fallback = ref(null)
+    const loading = ref(false)
+    const error = ref('')
+
+    const prediction = computed(() => predictionStore.currentPrediction ?? fallback.value)
+
+    async function load() {
+        if (predictionStore.currentPrediction) return
+        loading.value = true
+        error.value = ''
+        try {
+            await predictionStore.hydrateHistory()
+            const latest = predictionStore.history.find((entry) => entry.status === 'completed')
+            fallback.value = latest ? await predictionStore.loadPredictionDetails(latest.id) : null
+        } catch (err) {
+            error.value = err?.response?.data?.message ?? 'Unable to load the latest prediction.'
+        } finally {
+            loading.value = false
+        }
+    }
+
+    onMounted(load)
+
+    return { prediction, loading, error, reload: load }
+}
@@ -0,0 +1,31 @@
+export const widgetSizes = Object.freeze([
+    { id: 'sm', label: 'Small' },
+    { id: 'md', label: 'Medium' },
+    { id: 'lg', label: 'Wide' },
+]);
+
+// `framed: false` widgets already render their own card and only need the layout controls around them
+export const dashboardWidgets = Object.freeze([
+    { type: 'nlq-console', title: 'Data assistant', description: 'Ask questions about the data in plain English.', size: 'md', framed: false },
+    { type: 'saved-queries', title: 'Saved queries', description: 'Live answers to questions saved from the assistant.', size: 'lg', framed: false },
+    { type: 'recent-configuration', title: 'Recent configuration', description: 'Filters from the last prediction request.', size: 'sm', framed: false },
+    { type: 'active-model', title: 'Active model', description: 'Which model is serving predictions and how it scored.', size: 'sm', framed: true },
+    { type: 'latest-prediction', title: 'Latest prediction', description: 'Risk, confidence and horizon of the newest forecast.', size: 'sm', framed: true },
+    { type: 'ingest-health', title: 'Dataset ingest health', description: 'Outcome of recent dataset ingestion runs.', size: 'sm', framed: true },
+    { type: 'risk-map', title: 'Risk map', description: 'Hotspots from the latest prediction.', size: 'md', framed: true },
+    { type: 'recent-answers', title: 'Recent answers', description: 'The last questions answered by the assistant.', size: 'md', framed: true },
+    { type: 'realtime-status', title: 'Realtime connection', description: 'Status of the live update channel.', size: 'sm', framed: true },
+]);
+
+export const defaultDashboardLayout = Object.freeze([
+    'saved-queries',
+    'nlq-console',
+    'recent-configuration',
+    'active-model',
+    'latest-prediction',
+    'ingest-health',
+]);
+
+export function widgetDefinition(type) {
+    return dashboardWidgets.find((widget) => widget.type === type) ?? null;
+}
@@ -5,6 +5,10 @@ export const acceptedTypes = Object.freeze([
     'text/plain',
     'application/csv',
     'text/comma-separated-values',
+    'application/geo+json',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.apache.parquet',
+    'application/x-parquet',
 ]);
 
 export const csvMimeTypes = Object.freeze([
@@ -14,3 +18,22 @@ export const csvMimeTypes = Object.freeze([
     'text/comma-separated-values',
     'text/plain',
 ]);
+
+export const spreadsheetMimeTypes = Object.freeze([
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+]);
+
+export const parquetMimeTypes = Object.freeze([
+    'application/vnd.apache.parquet',
+    'application/x-parquet',
+]);
+
+export const datasetFileExtensions = Object.freeze({
+    csv: 'csv',
+    txt: 'csv',
+    json: 'json',
+    geojson: 'geojson',
+    xlsx: 'xlsx',
+    parquet: 'parquet',
+    pq: 'parquet',
+});
@@ -0,0 +1,282 @@
+// Mirrors the defaults and clamping bounds in the backend HyperparameterResolver; values outside these ranges are silently clamped there
+export const modelTypes = Object.freeze([
+    { value: 'logistic_regression', label: 'Logistic regression', description: 'Fast linear baseline with calibrated probabilities.' },
+    { value: 'svc', label: 'Support vector machine', description: 'Kernel-based classifier for non-linear boundaries.' },
+    { value: 'knn', label: 'k-nearest neighbours', description: 'Votes among the closest training examples.' },
+    { value: 'naive_bayes', label: 'Naive Bayes', description: 'Probabilistic model with no tunable parameters.' },
+    { value: 'decision_tree', label: 'Decision tree', description: 'Interpretable rules learned from the features.' },
+    { value: 'mlp', label: 'Neural network (MLP)', description: 'Multi-layer perceptron for complex interactions.' },
+]);
+
+export const defaultModelType = 'logistic_regression';
+
+const allModelTypes = modelTypes.map((type) => type.value);
+
+export const hyperparameterFields = Object.freeze([
+    {
+        key: 'learning_rate',
+        label: 'Learning rate',
+        type: 'number',
+        min: 0.0001,
+        max: 1,
+        step: 0.0001,
+        default: 0.3,
+        help: 'Step size for each gradient update. Lower values train more slowly but more stably.',
+        modelTypes: ['logistic_regression', 'mlp'],
+    },
+    {
+        key: 'iterations',
+        label: 'Iterations',
+        type: 'integer',
+        min: 100,
+        max: 5000,
+        step: 50,
+        default: 600,
+        help: 'Number of training passes over the data.',
+        modelTypes: ['logistic_regression', 'mlp'],
+    },
+    {
+        key: 'l2_penalty',
+        label: 'L2 penalty',
+        type: 'number',
+        min: 0,
+        max: 10,
+        step: 0.001,
+        default: 0.01,
+        help: 'Regularisation strength; raise it when the model overfits.',
+        modelTypes: ['logistic_regression'],
+    },
+    {
+        key: 'lambda',
+        label: 'Lambda',
+        type: 'number',
+        min: 0,
+        max: 1,
+        step: 0.0001,
+        default: 0.0001,
+        help: 'Weight decay applied to the network weights.',
+        modelTypes: ['mlp'],
+    },
+    {
+        key: 'hidden_layers',
+        label: 'Hidden layers',
+        type: 'integerList',
+        min: 1,
+        max: 512,
+        default: [16],
+        help: 'Comma-separated neurons per hidden layer, e.g. "16, 8".',
+        modelTypes: ['mlp'],
+    },
+    {
+        key: 'cost',
+        label: 'Cost (C)',
+        type: 'number',
+        min: 0.0001,
+        max: 1000,
+        step: 0.1,
+        default: 1,
+        help: 'Penalty for misclassified points; higher values fit the training data more tightly.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'kernel',
+        label: 'Kernel',
+        type: 'select',
+        options: [
+            { value: 'rbf', label: 'RBF' },
+            { value: 'linear', label: 'Linear' },
+            { value: 'polynomial', label: 'Polynomial' },
+            { value: 'sigmoid', label: 'Sigmoid' },
+        ],
+        default: 'rbf',
+        help: 'Shape of the decision boundary.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'kernel_options.gamma',
+        label: 'Gamma',
+        type: 'number',
+        min: 0.0001,
+        max: 10,
+        step: 0.01,
+        default: 0.5,
+        help: 'Reach of a single training example; higher values give more local boundaries.',
+        modelTypes: ['svc'],
+        when: { kernel: ['rbf', 'polynomial', 'sigmoid'] },
+    },
+    {
+        key: 'kernel_options.degree',
+        label: 'Degree',
+        type: 'integer',
+        min: 1,
+        max: 10,
+        step: 1,
+        default: 3,
+        help: 'Degree of the polynomial kernel.',
+        modelTypes: ['svc'],
+        when: { kernel: ['polynomial'] },
+    },
+    {
+        key: 'kernel_options.coef0',
+        label: 'Coef0',
+        type: 'number',
+        min: -10,
+        max: 10,
+        step: 0.1,
+        default: 0,
+        help: 'Independent term of the polynomial and sigmoid kernels.',
+        modelTypes: ['svc'],
+        when: { kernel: ['polynomial', 'sigmoid'] },
+    },
+    {
+        key: 'tolerance',
+        label: 'Tolerance',
+        type: 'number',
+        min: 0.000001,
+        max: 0.1,
+        step: 0.0001,
+        default: 0.001,
+        help: 'Stopping criterion for the optimiser.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'cache_size',
+        label: 'Cache size (MB)',
+        type: 'number',
+        min: 1,
+        max: 4096,
+        step: 1,
+        default: 100,
+        help: 'Kernel cache memory; raise it for large datasets.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'shrinking',
+        label: 'Use shrinking heuristics',
+        type: 'boolean',
+        default: true,
+        help: 'Usually speeds up training without changing the result.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'probability_estimates',
+        label: 'Estimate probabilities',
+        type: 'boolean',
+        default: true,
+        help: 'Required for risk scores and ROC curves.',
+        modelTypes: ['svc'],
+    },
+    {
+        key: 'k',
+        label: 'Neighbours (k)',
+        type: 'integer',
+        min: 1,
+        max: 21,
+        step: 1,
+        default: 5,
+        help: 'How many neighbours vote on each prediction. Odd values avoid ties.',
+        modelTypes: ['knn'],
+    },
+    {
+        key: 'max_depth',
+        label: 'Maximum depth',
+        type: 'integer',
+        min: 2,
+        max: 20,
+        step: 1,
+        default: 5,
+        help: 'Deeper trees capture more detail but overfit more easily.',
+        modelTypes: ['decision_tree'],
+    },
+    {
+        key: 'min_samples_split',
+        label: 'Minimum samples to split',
+        type: 'integer',
+        min: 2,
+        max: 20,
+        step: 1,
+        default: 2,
+        help: 'Smallest node the tree may split further.',
+        modelTypes: ['decision_tree'],
+    },
+    {
+        key: 'validation_split',
+        label: 'Validation split',
+        type: 'number',
+        min: 0.1,
+        max: 0.5,
+        step: 0.05,
+        default: 0.2,
+        help: 'Share of rows held back to score the trained model.',
+        modelTypes: allModelTypes,
+        group: 'data',
+    },
+    {
+        key: 'normalization',
+        label: 'Normalisation',
+        type: 'select',
+        options: [
+            { value: 'l2', label: 'L2' },
+            { value: 'l1', label: 'L1' },
+            { value: 'max', label: 'Max' },
+            { value: 'std', label: 'Standard score' },
+        ],
+        default: 'l2',
+        help: 'How feature values are rescaled before training.',
+        modelTypes: allModelTypes,
+        group: 'data',
+    },
+    {
+        key: 'imputation_strategy',
+        label: 'Missing values',
+        type: 'select',
+        options: [
+            { value: 'mean', label: 'Column mean' },
+            { value: 'median', label: 'Column median' },
+            { value: 'most_frequent', label: 'Most frequent value' },
+        ],
+        default: 'mean',
+        help: 'How empty feature values are filled in.',
+        modelTypes: allModelTypes,
+        group: 'data',
+    },
+    {
+        key: 'cv_folds',
+        label: 'Cross-validation folds',
+        type: 'integer',
+        min: 2,
+        max: 10,
+        step: 1,
+        default: 3,
+        help: 'Folds used while searching for the best parameters.',
+        modelTypes: allModelTypes,
+        group: 'data',
+    },
+    {
+        key: 'cv_validation_split',
+        label: 'Cross-validation split',
+        type: 'number',
+        min: 0.1,
+        max: 0.5,
+        step: 0.05,
+        default: 0.25,
+        help: 'Share of each fold held back during the parameter search.',
+        modelTypes: allModelTypes,
+        group: 'data',
+    },
+    {
+        key: 'log_interval',
+        label: 'Log interval',
+        type: 'integer',
+        min: 1,
+        max: 5000,
+        step: 10,
+        default: 200,
+        help: 'Iterations between progress updates.',
+        modelTypes: ['logistic_regression', 'mlp'],
+        group: 'data',
+    },
+]);
+
+// Accepted by the backend but only editable as raw JSON
+export const rawOnlyHyperparameterKeys = Object.freeze(['grid', 'search_grid']);
@@ -22,12 +22,24 @@ const router = createRouter({
             component: () => import('../views/PredictView.vue'),
             meta: { requiresAuth: true },
         },
+        {
+            path: '/predict/:id/brief',
+            name: 'prediction-brief',
+            component: () => import('../views/PredictionBriefView.vue'),
+            meta: { requiresAuth: true, layout: 'print' },
+        },
         {
             path: '/admin/models',
             name: 'admin-models',
             component: () => import('../views/admin/AdminModelsView.vue'),
             meta: { requiresAuth: true, requiresAdmin: true },
         },
+        {
+            path: '/admin/models/compare',
+            name: 'admin-models-compare',
+            component: () => import('../views/admin/AdminModelCompareView.vue'),
+            meta: { requiresAuth: true, requiresAdmin: true },
+        },
         {
             path: '/admin/datasets',
             name: 'admin-datasets',
@@ -108,7 +108,7 @@ apiClient.interceptors.response.use(
     (res) => res,
     async (error) => {
         const { response, config } = error
-        if (!config) return Promise.reject(error)
+        if (!config || axios.isCancel(error)) return Promise.reject(error)
 
         const auth = useAuthStore()
 
@@ -177,7 +177,7 @@ apiClient.interceptors.response.use(
             return apiClient(config)
         }
 
-        if (!config.__notified && !isValidation) {
+        if (!config.__notified && !isValidation && !config.metadata?.silent) {
             config.__notified = true
             if (!error.requestId && config.metadata?.requestId) {
                 error.requestId = config.metadata.requestId
@@ -0,0 +1,136 @@
+import apiClient from './apiClient'
+
+const CHUNK_ATTEMPTS = 4
+const CHUNK_TIMEOUT_MS = 120000
+const RETRY_BASE_MS = 1000
+
+// Identifies a local file across page reloads, where the File object itself is lost
+export function uploadFingerprint(file) {
+    return [file?.name ?? '', file?.size ?? 0, file?.lastModified ?? 0].join(':')
+}
+
+export async function sha256Hex(buffer) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error('This browser cannot checksum uploads. Use a secure (HTTPS) connection and try again.')
+    }
+    const digest = await crypto.subtle.digest('SHA-256', buffer)
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('')
+}
+
+function abortError() {
+    const error = new Error('Upload paused.')
+    error.name = 'AbortError'
+    return error
+}
+
+export function isAbortError(error) {
+    return error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED'
+}
+
+// Network failures, timeouts, throttling, server errors and chunks corrupted in transit are worth another attempt
+function isRetryable(error) {
+    const status = error?.response?.status
+    if (status === 422) return Boolean(error.response.data?.errors?.checksum)
+    return !status || status === 408 || status === 429 || status >= 500
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms)
+        signal?.addEventListener(
+            'abort',
+            () => {
+                clearTimeout(timer)
+                reject(abortError())
+            },
+            { once: true }
+        )
+    })
+}
+
+export async function createUpload(file) {
+    const { data } = await apiClient.post('/datasets/uploads', {
+        filename: file.name,
+        size: file.size,
+        mime_type: file.type || null,
+    })
+    return data?.data ?? data
+}
+
+// Resolves to null when the server no longer has the upload (expired, discarded or owned by someone else)
+export async function fetchUpload(id) {
+    try {
+        const { data } = await apiClient.get(`/datasets/uploads/${id}`, { metadata: { silent: true } })
+        return data?.data ?? data
+    } catch (error) {
+        if ([403, 404].includes(error?.response?.status)) {
+            return null
+        }
+        throw error
+    }
+}
+
+export async function discardUpload(id) {
+    try {
+        await apiClient.delete(`/datasets/uploads/${id}`, { metadata: { silent: true } })
+    } catch (error) {
+        if (![403, 404].includes(error?.response?.status)) {
+            throw error
+        }
+    }
+}
+
+async function sendChunk(upload, index, blob, checksum, { signal, onUploadProgress }) {
+    for (let attempt = 1; ; attempt += 1) {
+        const formData = new FormData()
+        formData.append('index', String(index))
+        formData.append('checksum', checksum)
+        formData.append('chunk', blob, `${index}.part`)
+        try {
+            const { data } = await apiClient.post(`/datasets/uploads/${upload.id}/chunks`, formData, {
+                signal,
+                timeout: CHUNK_TIMEOUT_MS,
+                onUploadProgress,
+                metadata: { silent: true },
+            })
+            return data?.data ?? data
+        } catch (error) {
+            if (isAbortError(error) || signal?.aborted) throw abortError()
+            if (attempt >= CHUNK_ATTEMPTS || !isRetryable(error)) throw error
+            await wait(RETRY_BASE_MS * 2 ** (attempt - 1), signal)
+        }
+    }
+}
+
+/**
+ * Sends every chunk the server has not acknowledged yet, each with its SHA-256 checksum, and retries
+ * transient failures with backoff. `onProgress` receives the uploaded fraction of the whole file as bytes go out,
+ * `onChunk` the same fraction once each chunk is acknowledged.
+ * Aborting `signal` pauses the upload; calling this again with the refreshed upload resumes it.
+ */
+export async function sendMissingChunks(file, upload, { signal, onProgress, onChunk } = {}) {
+    const received = new Set(upload.received_chunks ?? [])
+    const chunkBytes = (index) => Math.min(upload.chunk_size, file.size - index * upload.chunk_size)
+    let uploadedBytes = [...received].reduce((total, index) => total + chunkBytes(index), 0)
+    onProgress?.(file.size ? uploadedBytes / file.size : 1)
+
+    for (let index = 0; index < upload.total_chunks; index += 1) {
+        if (received.has(index)) continue
+        if (signal?.aborted) throw abortError()
+
+        const start = index * upload.chunk_size
+        const blob = file.slice(start, start + upload.chunk_size)
+        const checksum = await sha256Hex(await blob.arrayBuffer())
+        await sendChunk(upload, index, blob, checksum, {
+            signal,
+            onUploadProgress: (event) => {
+                if (typeof event.loaded === 'number' && file.size) {
+                    onProgress?.(Math.min(uploadedBytes + Math.min(event.loaded, blob.size), file.size) / file.size)
+                }
+            },
+        })
+        uploadedBytes += chunkBytes(index)
+        onProgress?.(file.size ? uploadedBytes / file.size : 1)
+        onChunk?.(file.size ? uploadedBytes / file.size : 1)
+    }
+}
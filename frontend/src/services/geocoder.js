@@ -0,0 +1,235 @@
+import { cellToLatLng, getResolution, isValidCell } from 'h3-js'
+import apiClient from './apiClient'
+
+const COORDINATE_PATTERN = /^\s*([-+]?\d{1,2}(?:\.\d+)?)\s*[,;\s]\s*([-+]?\d{1,3}(?:\.\d+)?)\s*$/
+const H3_PATTERN = /^[0-9a-f]{15}$/i
+const POSTCODE_PATTERN = /^([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i
+const OUTCODE_PATTERN = /^[A-Z]{1,2}\d[A-Z\d]?$/i
+const DEFAULT_PROVIDERS = 'gazetteer,backend'
+const CACHE_LIMIT = 50
+
+export function normalisePostcode(value) {
+    const match = String(value ?? '').trim().match(POSTCODE_PATTERN)
+    if (!match) return null
+    return `${match[1].toUpperCase()} ${match[2].toUpperCase()}`
+}
+
+export function classifyLocationQuery(input) {
+    const query = String(input ?? '').trim()
+    if (!query) {
+        return { kind: 'empty', query }
+    }
+
+    const coordinates = query.match(COORDINATE_PATTERN)
+    if (coordinates) {
+        const lat = Number(coordinates[1])
+        const lng = Number(coordinates[2])
+        if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+            return { kind: 'coordinates', query, lat, lng }
+        }
+    }
+
+    if (H3_PATTERN.test(query) && isValidCell(query.toLowerCase())) {
+        const cell = query.toLowerCase()
+        const [lat, lng] = cellToLatLng(cell)
+        return { kind: 'h3', query: cell, lat, lng, resolution: getResolution(cell) }
+    }
+
+    const postcode = normalisePostcode(query)
+    if (postcode) {
+        return { kind: 'postcode', query: postcode }
+    }
+
+    if (OUTCODE_PATTERN.test(query)) {
+        return { kind: 'postcode', query: query.toUpperCase() }
+    }
+
+    return { kind: 'place', query }
+}
+
+function directResult(classified) {
+    if (classified.kind === 'coordinates') {
+        return {
+            id: `coordinates:${classified.lat},${classified.lng}`,
+            label: `${classified.lat.toFixed(5)}, ${classified.lng.toFixed(5)}`,
+            lat: classified.lat,
+            lng: classified.lng,
+            type: 'coordinates',
+            source: 'input',
+        }
+    }
+
+    return {
+        id: `h3:${classified.query}`,
+        label: `H3 cell ${classified.query} (res ${classified.resolution})`,
+        lat: classified.lat,
+        lng: classified.lng,
+        type: 'h3',
+        source: 'input',
+    }
+}
+
+function normaliseResult(entry, source, index) {
+    const lat = Number(entry?.lat)
+    const lng = Number(entry?.lng ?? entry?.lon)
+    const label = entry?.label ?? entry?.display_name
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || !label) {
+        return null
+    }
+
+    return {
+        id: `${source}:${entry.id ?? index}:${lat.toFixed(5)},${lng.toFixed(5)}`,
+        label: String(label),
+        lat,
+        lng,
+        type: entry.type ?? 'place',
+        source,
+    }
+}
+
+export function createBackendProvider() {
+    return {
+        id: 'backend',
+        async search(classified, { limit, signal } = {}) {
+            const { data } = await apiClient.get('/geocode', {
+                params: {
+                    q: classified.query,
+                    type: classified.kind === 'postcode' ? 'postcode' : 'place',
+                    limit,
+                },
+                signal,
+                metadata: { silent: true },
+            })
+
+            const results = data?.data?.results ?? []
+            return results.map((entry, index) => normaliseResult(entry, 'remote', index)).filter(Boolean)
+        },
+    }
+}
+
+export function createGazetteerProvider() {
+    let placesPromise = null
+
+    function loadPlaces() {
+        if (!placesPromise) {
+            placesPromise = apiClient
+                .get('/geocode/gazetteer', { metadata: { silent: true } })
+                .then(({ data }) => (Array.isArray(data?.data?.places) ? data.data.places : []))
+                .catch((error) => {
+                    placesPromise = null
+                    throw error
+                })
+        }
+        return placesPromise
+    }
+
+    return {
+        id: 'gazetteer',
+        async search(classified, { limit } = {}) {
+            const places = await loadPlaces()
+            const needle = classified.query.toLowerCase()
+            const matches = []
+
+            places.forEach((place, index) => {
+                const label = String(place?.label ?? '').toLowerCase()
+                const postcode = String(place?.postcode ?? '').toUpperCase()
+                let rank = null
+
+                if (classified.kind === 'postcode' && postcode) {
+                    if (postcode === classified.query) rank = 0
+                    else if (postcode.startsWith(classified.query)) rank = 1
+                }
+                if (rank === null && label) {
+                    if (label.startsWith(needle)) rank = 2
+                    else if (label.includes(needle)) rank = 3
+                }
+                if (rank === null) return
+
+                const result = normaliseResult({ ...place, type: postcode ? 'postcode' : 'place' }, 'gazetteer', index)
+                if (result) {
+                    if (postcode && !result.label.toUpperCase().includes(postcode)) {
+                        result.label = `${result.label} (${postcode})`
+                    }
+                    matches.push({ rank, result })
+                }
+            })
+
+            return matches
+                .sort((a, b) => a.rank - b.rank || a.result.label.localeCompare(b.result.label))
+                .slice(0, limit)
+                .map(({ result }) => result)
+        },
+    }
+}
+
+const PROVIDER_FACTORIES = {
+    backend: createBackendProvider,
+    gazetteer: createGazetteerProvider,
+}
+
+export function resolveProviders(setting = import.meta.env.VITE_GEOCODER_PROVIDERS) {
+    const names = String(setting || DEFAULT_PROVIDERS)
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter((name) => name in PROVIDER_FACTORIES)
+
+    return [...new Set(names)].map((name) => PROVIDER_FACTORIES[name]())
+}
+
+function dedupe(results) {
+    const seen = new Set()
+    return results.filter((result) => {
+        const key = `${result.label.toLowerCase()}|${result.lat.toFixed(3)},${result.lng.toFixed(3)}`
+        if (seen.has(key)) return false
+        seen.add(key)
+        return true
+    })
+}
+
+export function createGeocoder({ providers = resolveProviders(), limit = 8 } = {}) {
+    const cache = new Map()
+
+    async function search(input, { signal } = {}) {
+        const classified = classifyLocationQuery(input)
+        if (classified.kind === 'empty') {
+            return { results: [], failed: false }
+        }
+        if (classified.kind === 'coordinates' || classified.kind === 'h3') {
+            return { results: [directResult(classified)], failed: false }
+        }
+
+        const cacheKey = `${classified.kind}:${classified.query.toLowerCase()}`
+        if (cache.has(cacheKey)) {
+            const cached = cache.get(cacheKey)
+            cache.delete(cacheKey)
+            cache.set(cacheKey, cached)
+            return { results: cached, failed: false }
+        }
+
+        const settled = await Promise.allSettled(
+            providers.map((provider) => provider.search(classified, { limit, signal }))
+        )
+
+        if (signal?.aborted) {
+            return { results: [], failed: false, aborted: true }
+        }
+
+        const results = dedupe(
+            settled.flatMap((outcome) => (outcome.status === 'fulfilled' ? outcome.value : []))
+        ).slice(0, limit)
+        const failed = settled.length > 0 && settled.every((outcome) => outcome.status === 'rejected')
+
+        if (settled.every((outcome) => outcome.status === 'fulfilled')) {
+            cache.set(cacheKey, results)
+            if (cache.size > CACHE_LIMIT) {
+                cache.delete(cache.keys().next().value)
+            }
+        }
+
+        return { results, failed }
+    }
+
+    return { search }
+}
+
+export const geocoder = createGeocoder()
@@ -0,0 +1,43 @@
+import { defineStore } from 'pinia'
+import { generateId } from '../utils/ids'
+
+export const AOI_TYPES = ['polygon', 'rectangle', 'circle']
+
+export const useAoiStore = defineStore('aoi', {
+    state: () => ({
+        areas: [],
+    }),
+    getters: {
+        areaById: (state) => (id) => state.areas.find((area) => area.id === id) ?? null,
+        hasAreas: (state) => state.areas.length > 0,
+    },
+    actions: {
+        saveArea({ name, type, geometry }) {
+            const trimmed = typeof name === 'string' ? name.trim() : ''
+            if (!trimmed) {
+                throw new Error('Give the area of interest a name before saving it.')
+            }
+            if (!AOI_TYPES.includes(type)) {
+                throw new Error(`Unsupported area type "${type}".`)
+            }
+
+            const area = {
+                id: generateId('aoi'),
+                name: trimmed,
+                type,
+                geometry,
+                createdAt: new Date().toISOString(),
+            }
+            this.areas = [...this.areas, area]
+            return area
+        },
+        renameArea(id, name) {
+            const trimmed = typeof name === 'string' ? name.trim() : ''
+            if (!trimmed) return
+            this.areas = this.areas.map((area) => (area.id === id ? { ...area, name: trimmed } : area))
+        },
+        removeArea(id) {
+            this.areas = this.areas.filter((area) => area.id !== id)
+        },
+    },
+})
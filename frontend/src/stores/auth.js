@@ -148,3 +148,9 @@ export const useAuthStore = defineStore('auth', () => {
         hasRefreshSession
     }
 })
+
+// Browser-persisted state is keyed by the signed-in user's id so people sharing a browser keep their data apart
+export function currentUserKey() {
+    const auth = useAuthStore()
+    return String(auth.user?.id ?? auth.user?.email ?? 'anonymous')
+}
@@ -0,0 +1,55 @@
+import { defineStore } from 'pinia'
+import { currentUserKey } from './auth'
+import { dashboardWidgets, defaultDashboardLayout, widgetDefinition, widgetSizes } from '../dicts/dashboardWidgets'
+import { generateId } from '../utils/ids'
+
+const createWidget = (type, id = generateId('widget')) => ({ id, type, size: widgetDefinition(type)?.size ?? 'md' })
+
+// Stable ids keep the default layout from remounting widgets before the user first customises it
+const defaultLayout = () => defaultDashboardLayout.map((type) => createWidget(type, `default-${type}`))
+
+export const useDashboardStore = defineStore('dashboard', {
+    state: () => ({
+        layoutsByUser: {},
+        editing: false,
+    }),
+    getters: {
+        // Widgets whose type has since been retired are dropped rather than rendered empty
+        widgets: (state) => (state.layoutsByUser[currentUserKey()] ?? defaultLayout()).filter((widget) => widgetDefinition(widget.type)),
+        availableWidgets() {
+            const used = new Set(this.widgets.map((widget) => widget.type))
+            return dashboardWidgets.filter((widget) => !used.has(widget.type))
+        },
+    },
+    actions: {
+        updateLayout(mutate) {
+            this.layoutsByUser = { ...this.layoutsByUser, [currentUserKey()]: mutate([...this.widgets]) }
+        },
+        toggleEditing(value = !this.editing) {
+            this.editing = Boolean(value)
+        },
+        addWidget(type) {
+            if (!widgetDefinition(type) || this.widgets.some((widget) => widget.type === type)) return
+            this.updateLayout((widgets) => [...widgets, createWidget(type)])
+        },
+        removeWidget(id) {
+            this.updateLayout((widgets) => widgets.filter((widget) => widget.id !== id))
+        },
+        moveWidget(id, toIndex) {
+            this.updateLayout((widgets) => {
+                const fromIndex = widgets.findIndex((widget) => widget.id === id)
+                if (fromIndex === -1) return widgets
+                const [widget] = widgets.splice(fromIndex, 1)
+                widgets.splice(Math.max(0, Math.min(widgets.length, toIndex)), 0, widget)
+                return widgets
+            })
+        },
+        resizeWidget(id, size) {
+            if (!widgetSizes.some((entry) => entry.id === size)) return
+            this.updateLayout((widgets) => widgets.map((widget) => (widget.id === id ? { ...widget, size } : widget)))
+        },
+        resetLayout() {
+            this.updateLayout(() => defaultLayout())
+        },
+    },
+})
@@ -1,26 +1,31 @@
 import {defineStore} from 'pinia'
 import apiClient from '../services/apiClient'
 import {subscribeToChannel, unsubscribeFromChannel} from '../services/realtime'
+import {createUpload, discardUpload, fetchUpload, isAbortError, sendMissingChunks, uploadFingerprint} from '../services/chunkedUpload'
 import {notifyError, notifySuccess} from '../utils/notifications'
+import {currentUserKey} from './auth'
+import {DEFAULT_PREVIEW_ROWS, parseCsvPreview} from '../utils/csvParser'
+import {detectDatasetFormat, iterateDatasetRows, parseDatasetFilePreview} from '../utils/datasetFiles'
+import {createQualityReport} from '../utils/dataQuality'
+import {AUTO_APPLY_CONFIDENCE, headerSignature, normaliseHeader, suggestSchemaMapping} from '../utils/schemaSuggestions'
+import {generateId} from '../utils/ids'
 
 export const MAX_FILE_SIZE_BYTES = 200 * 1024 * 1024 // 200MB
 export const MAX_FILE_SIZE_MB = Math.round(MAX_FILE_SIZE_BYTES / (1024 * 1024))
-const ACCEPTED_TYPES = [
-    'text/csv',
-    'application/vnd.ms-excel',
-    'application/json',
-    'text/plain',
-    'application/csv',
-    'text/comma-separated-values',
-]
-
-const CSV_MIME_TYPES = [
-    'text/csv',
-    'application/vnd.ms-excel',
-    'application/csv',
-    'text/comma-separated-values',
-    'text/plain',
-]
+// Single CSV and Parquet files go up in resumable chunks and are read in batches, so they may exceed the usual limit.
+// JSON, GeoJSON and Excel files are parsed whole in the browser and on the server, so they keep it.
+export const CHUNKED_FORMATS = ['csv', 'parquet']
+export const MAX_CHUNKED_FILE_SIZE_BYTES = 4 * 1024 * 1024 * 1024 // 4GB
+export const MAX_CHUNKED_FILE_SIZE_GB = Math.round(MAX_CHUNKED_FILE_SIZE_BYTES / (1024 * 1024 * 1024))
+const MAX_MAPPING_TEMPLATES = 20
+
+const defaultPreviewOptions = () => ({
+    delimiter: 'auto',
+    encoding: 'auto',
+    header: 'auto',
+    rows: DEFAULT_PREVIEW_ROWS,
+    sheet: '',
+})
 
 export const useDatasetStore = defineStore('dataset', {
     state: () => ({
@@ -31,7 +36,21 @@ export const useDatasetStore = defineStore('dataset', {
         uploadFiles: [],
         validationErrors: [],
         schemaMapping: {},
+        schemaSuggestions: {},
+        mappingTemplatesByUser: {},
+        appliedTemplateId: null,
+        resumableUploadsByUser: {},
+        uploadAbortController: null,
         previewRows: [],
+        previewHeaders: [],
+        previewMeta: null,
+        previewOptions: defaultPreviewOptions(),
+        previewLoading: false,
+        qualityReport: null,
+        qualityReportKey: null,
+        qualityStatus: 'idle',
+        qualityProgress: 0,
+        qualityError: '',
         submitting: false,
         uploadState: 'idle',
         uploadProgress: 0,
@@ -69,6 +88,39 @@ export const useDatasetStore = defineStore('dataset', {
                 return typeof value === 'string' && value.trim() !== ''
             })
         },
+        // Sent with the upload so the server parses the file the way the preview did: the same sheet, or the same
+        // CSV delimiter, encoding and header row the mapping and quality report were built from
+        sourceOptions: (state) => {
+            const meta = state.previewMeta
+            if (meta?.format === 'xlsx') {
+                return meta.sheet ? {sheet: meta.sheet} : null
+            }
+            if (meta?.format === 'csv' && meta.delimiter) {
+                return {delimiter: meta.delimiter, encoding: meta.encoding, has_header: meta.hasHeader}
+            }
+            return null
+        },
+        mappingTemplates: (state) => state.mappingTemplatesByUser[currentUserKey()] ?? [],
+        // Interrupted uploads saved for this user, keyed by file fingerprint so they survive a page reload
+        resumableUploads: (state) => state.resumableUploadsByUser[currentUserKey()] ?? {},
+        // The most recently saved template whose headers match the file being uploaded
+        matchingTemplate() {
+            const signature = headerSignature(this.previewHeaders)
+            if (!signature) {
+                return null
+            }
+            return this.mappingTemplates
+                .filter((template) => template.signature === signature)
+                .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] ?? null
+        },
+        // Changes whenever the file, its parse settings or the mapping change, so a stale report can be detected
+        qualityInputKey: (state) => {
+            const file = state.uploadFiles[0]
+            if (!file || !state.previewMeta) {
+                return null
+            }
+            return JSON.stringify([file.name, file.size, file.lastModified, state.previewHeaders, state.previewMeta, state.schemaMapping])
+        },
         sourceUriProvided: (state) => state.sourceUri.trim().length > 0,
         sourceUriValid: (state) => {
             if (state.sourceType !== 'url') {
@@ -110,6 +162,7 @@ export const useDatasetStore = defineStore('dataset', {
     actions: {
         reset() {
             this.stopRealtimeTracking()
+            this.pauseUpload()
             this.name = ''
             this.description = ''
             this.sourceType = 'file'
@@ -117,7 +170,9 @@ export const useDatasetStore = defineStore('dataset', {
             this.uploadFiles = []
             this.validationErrors = []
             this.schemaMapping = {}
-            this.previewRows = []
+            this.appliedTemplateId = null
+            this.clearPreview()
+            this.previewOptions = defaultPreviewOptions()
             this.step = 1
             this.uploadState = 'idle'
             this.uploadProgress = 0
@@ -152,14 +207,17 @@ export const useDatasetStore = defineStore('dataset', {
                 this.uploadFiles = []
                 this.validationErrors = []
                 this.schemaMapping = {}
-                this.previewRows = []
+                this.appliedTemplateId = null
+                this.clearPreview()
             }
         },
         setSourceUri(value) {
             this.sourceUri = value
         },
         validateFiles(files) {
-            this.previewRows = []
+            this.clearPreview()
+            this.previewOptions = {...this.previewOptions, sheet: ''}
+            this.appliedTemplateId = null
             this.validationErrors = []
             const selected = Array.isArray(files) ? files.filter(Boolean) : []
 
@@ -171,18 +229,29 @@ export const useDatasetStore = defineStore('dataset', {
             const allowMultiple = selected.length > 1
 
             for (const file of selected) {
+                const format = detectDatasetFormat(file)
                 if (allowMultiple) {
-                    if (!CSV_MIME_TYPES.includes(file.type)) {
+                    if (format !== 'csv') {
                         this.validationErrors.push('Multiple file uploads currently support CSV files only.')
                         break
                     }
-                } else if (!ACCEPTED_TYPES.includes(file.type)) {
-                    this.validationErrors.push('Unsupported file type. Upload CSV or JSON files.')
+                } else if (!format) {
+                    this.validationErrors.push('Unsupported file type. Upload CSV, JSON, GeoJSON, Excel (.xlsx) or Parquet files.')
+                    break
+                }
+
+                if (allowMultiple && file.size > MAX_FILE_SIZE_BYTES) {
+                    this.validationErrors.push(`Each file in a multi-file upload must be under ${MAX_FILE_SIZE_MB}MB.`)
                     break
                 }
 
-                if (file.size > MAX_FILE_SIZE_BYTES) {
-                    this.validationErrors.push(`File exceeds the ${MAX_FILE_SIZE_MB}MB upload limit.`)
+                if (!CHUNKED_FORMATS.includes(format) && file.size > MAX_FILE_SIZE_BYTES) {
+                    this.validationErrors.push(`JSON, GeoJSON and Excel files must be under ${MAX_FILE_SIZE_MB}MB.`)
+                    break
+                }
+
+                if (file.size > MAX_CHUNKED_FILE_SIZE_BYTES) {
+                    this.validationErrors.push(`File exceeds the ${MAX_CHUNKED_FILE_SIZE_GB}GB upload limit.`)
                     break
                 }
             }
@@ -198,29 +267,296 @@ export const useDatasetStore = defineStore('dataset', {
             this.uploadFiles = []
             return false
         },
-        async parsePreview(file) {
+        clearPreview() {
             this.previewRows = []
+            this.previewHeaders = []
+            this.previewMeta = null
+            this.schemaSuggestions = {}
+            this.clearQualityReport()
+        },
+        clearQualityReport() {
+            this.qualityReport = null
+            this.qualityReportKey = null
+            this.qualityStatus = 'idle'
+            this.qualityProgress = 0
+            this.qualityError = ''
+        },
+        // Checks every row of the primary file, not just the preview sample, so bad data surfaces before ingestion
+        async runQualityReport() {
+            const file = this.primaryUploadFile
+            const key = this.qualityInputKey
+            if (!file || !key) {
+                return null
+            }
+            this.qualityReport = null
+            this.qualityReportKey = key
+            this.qualityStatus = 'running'
+            this.qualityProgress = 0
+            this.qualityError = ''
+
+            const meta = this.previewMeta
+            const report = createQualityReport({headers: this.previewHeaders, mapping: this.schemaMapping})
+            try {
+                const rows = iterateDatasetRows(file, {
+                    format: meta.format,
+                    sheet: meta.sheet,
+                    csv: {delimiter: meta.delimiter, encoding: meta.encoding, hasHeader: meta.hasHeader, headers: this.previewHeaders},
+                })
+                for await (const batch of rows) {
+                    // Another run, a new file or a mapping change supersedes this one
+                    if (this.qualityReportKey !== key) {
+                        return null
+                    }
+                    report.add(batch.rows, batch.errors)
+                    this.qualityProgress = batch.progress
+                    await new Promise((resolve) => setTimeout(resolve, 0))
+                }
+            } catch (error) {
+                if (this.qualityReportKey === key) {
+                    this.qualityStatus = 'error'
+                    this.qualityError = error?.message || 'The file could not be checked in the browser.'
+                }
+                return null
+            }
+
+            if (this.qualityReportKey !== key) {
+                return null
+            }
+            this.qualityReport = report.finish()
+            this.qualityProgress = 1
+            this.qualityStatus = 'done'
+            return this.qualityReport
+        },
+        // The usual fix for swapped coordinates is a mapping mix-up rather than bad data
+        swapCoordinateMapping() {
+            const {latitude, longitude} = this.schemaMapping
+            this.setSchemaMapping({...this.schemaMapping, latitude: longitude, longitude: latitude})
+        },
+        async parsePreview(file) {
+            this.clearPreview()
             if (!file) {
                 return
             }
-            const text = await file.text()
-            if (file.type === 'application/json') {
-                const parsed = JSON.parse(text)
-                this.previewRows = Array.isArray(parsed) ? parsed.slice(0, 5) : []
-            } else {
-                const [headerLine, ...rows] = text.split(/\r?\n/)
-                const headers = headerLine.split(',')
-                this.previewRows = rows
-                    .filter(Boolean)
-                    .slice(0, 5)
-                    .map((row) => {
-                        const values = row.split(',')
-                        return headers.reduce((acc, header, index) => {
-                            acc[header] = values[index]
-                            return acc
-                        }, {})
+            this.previewLoading = true
+            try {
+                const format = detectDatasetFormat(file)
+                if (format !== 'csv') {
+                    const result = await parseDatasetFilePreview(file, {
+                        format,
+                        rows: this.previewOptions.rows,
+                        sheet: this.previewOptions.sheet,
                     })
+                    if (file !== this.primaryUploadFile) {
+                        return
+                    }
+                    this.previewRows = result.rows
+                    this.previewHeaders = result.headers
+                    this.previewMeta = {
+                        format: result.format,
+                        sheets: result.sheets ?? [],
+                        sheet: result.sheet ?? '',
+                        truncated: result.truncated,
+                        errors: result.errors,
+                    }
+                    this.refreshSchemaSuggestions()
+                    return
+                }
+
+                const {delimiter, encoding, header, rows} = this.previewOptions
+                const result = await parseCsvPreview(file, {
+                    delimiter,
+                    encoding,
+                    rows,
+                    hasHeader: header === 'auto' ? 'auto' : header === 'yes',
+                })
+                // A newer file may have been selected while this one was being read
+                if (file !== this.primaryUploadFile) {
+                    return
+                }
+                this.previewRows = result.rows
+                this.previewHeaders = result.headers
+                this.previewMeta = {
+                    format,
+                    delimiter: result.delimiter,
+                    encoding: result.encoding,
+                    hasHeader: result.hasHeader,
+                    truncated: result.truncated,
+                    errors: result.errors,
+                }
+                this.refreshSchemaSuggestions()
+            } catch (error) {
+                notifyError(error, 'Unable to read a preview of the selected file.')
+            } finally {
+                this.previewLoading = false
+            }
+        },
+        async updatePreviewOptions(options) {
+            this.previewOptions = {...this.previewOptions, ...options}
+            await this.parsePreview(this.primaryUploadFile)
+        },
+        refreshSchemaSuggestions() {
+            // Drop mappings that point at columns the new parse no longer produces
+            const columns = new Set(this.previewHeaders)
+            const mapping = Object.fromEntries(
+                Object.entries(this.schemaMapping).filter(([, column]) => columns.has(column))
+            )
+            if (Object.keys(mapping).length !== Object.keys(this.schemaMapping).length) {
+                this.setSchemaMapping(mapping)
+            }
+
+            this.schemaSuggestions = suggestSchemaMapping(this.previewHeaders, this.previewRows)
+
+            // Only fill an untouched mapping so re-parsing never overrides the user's choices
+            if (this.mappedFields > 0) {
+                return
+            }
+            if (this.matchingTemplate) {
+                this.applyMappingTemplate(this.matchingTemplate.id)
+                return
+            }
+            this.applySchemaSuggestions()
+        },
+        applySchemaSuggestions({minConfidence = AUTO_APPLY_CONFIDENCE} = {}) {
+            const mapping = {...this.schemaMapping}
+            Object.entries(this.schemaSuggestions).forEach(([field, suggestion]) => {
+                if (!mapping[field] && suggestion.confidence >= minConfidence) {
+                    mapping[field] = suggestion.column
+                }
+            })
+            this.setSchemaMapping(mapping)
+        },
+        updateMappingTemplates(mutate) {
+            const key = currentUserKey()
+            this.mappingTemplatesByUser = {...this.mappingTemplatesByUser, [key]: mutate(this.mappingTemplatesByUser[key] ?? [])}
+        },
+        saveMappingTemplate(name) {
+            const trimmedName = typeof name === 'string' ? name.trim().slice(0, 120) : ''
+            if (!trimmedName) {
+                throw new Error('Give the mapping template a name.')
+            }
+            if (!this.hasRequiredSchemaFields) {
+                throw new Error('Map every required field before saving a template.')
+            }
+
+            const existing = this.mappingTemplates.find(
+                (template) => template.name.toLowerCase() === trimmedName.toLowerCase()
+            )
+            if (!existing && this.mappingTemplates.length >= MAX_MAPPING_TEMPLATES) {
+                throw new Error(`You can save up to ${MAX_MAPPING_TEMPLATES} mapping templates. Remove one to add another.`)
+            }
+
+            const now = new Date().toISOString()
+            const template = {
+                id: existing?.id ?? generateId('mapping'),
+                name: trimmedName,
+                signature: headerSignature(this.previewHeaders),
+                headers: [...this.previewHeaders],
+                mapping: {...this.schemaMapping},
+                createdAt: existing?.createdAt ?? now,
+                updatedAt: now,
+            }
+            this.updateMappingTemplates((templates) =>
+                existing ? templates.map((entry) => (entry.id === existing.id ? template : entry)) : [...templates, template]
+            )
+            this.appliedTemplateId = template.id
+            return template
+        },
+        applyMappingTemplate(id) {
+            const template = this.mappingTemplates.find((entry) => entry.id === id)
+            if (!template) {
+                return false
+            }
+
+            // Templates match headers loosely (case, spacing, order), so resolve each column against this file
+            const columns = new Map(this.previewHeaders.map((header) => [normaliseHeader(header), header]))
+            const mapping = {}
+            Object.entries(template.mapping ?? {}).forEach(([field, column]) => {
+                const resolved = this.previewHeaders.includes(column) ? column : columns.get(normaliseHeader(column))
+                if (resolved) {
+                    mapping[field] = resolved
+                }
+            })
+            this.setSchemaMapping(mapping)
+            this.appliedTemplateId = template.id
+            return true
+        },
+        removeMappingTemplate(id) {
+            this.updateMappingTemplates((templates) => templates.filter((template) => template.id !== id))
+            if (this.appliedTemplateId === id) {
+                this.appliedTemplateId = null
+            }
+        },
+        updateResumableUploads(mutate) {
+            const key = currentUserKey()
+            this.resumableUploadsByUser = {...this.resumableUploadsByUser, [key]: mutate({...(this.resumableUploadsByUser[key] ?? {})})}
+        },
+        rememberResumableUpload(file, upload, progress) {
+            this.updateResumableUploads((uploads) => ({
+                ...uploads,
+                [uploadFingerprint(file)]: {
+                    uploadId: upload.id,
+                    fileName: file.name,
+                    size: file.size,
+                    progress,
+                    updatedAt: new Date().toISOString(),
+                },
+            }))
+        },
+        forgetResumableUpload(fingerprint) {
+            this.updateResumableUploads((uploads) => {
+                delete uploads[fingerprint]
+                return uploads
+            })
+        },
+        async discardResumableUpload(fingerprint) {
+            const entry = this.resumableUploads[fingerprint]
+            if (!entry) {
+                return
+            }
+            try {
+                await discardUpload(entry.uploadId)
+            } catch (error) {
+                notifyError(error, 'Unable to discard the interrupted upload.')
+                return
+            }
+            this.forgetResumableUpload(fingerprint)
+        },
+        pauseUpload() {
+            this.uploadAbortController?.abort()
+            this.uploadAbortController = null
+        },
+        // Sends the primary file in checksummed chunks, resuming a saved upload of the same file when the server still has it
+        async uploadPrimaryFileInChunks() {
+            const file = this.primaryUploadFile
+            const fingerprint = uploadFingerprint(file)
+            const saved = this.resumableUploads[fingerprint]
+
+            let upload = saved ? await fetchUpload(saved.uploadId) : null
+            if (!upload || upload.completed_at) {
+                upload = await createUpload(file)
+            }
+            this.rememberResumableUpload(file, upload, saved?.uploadId === upload.id ? saved.progress : 0)
+
+            const controller = new AbortController()
+            // The wizard may have been closed while the upload was being set up
+            if (this.uploadState !== 'uploading') {
+                controller.abort()
+            }
+            this.uploadAbortController = controller
+            try {
+                await sendMissingChunks(file, upload, {
+                    signal: controller.signal,
+                    onProgress: (fraction) => {
+                        this.uploadProgress = Math.min(100, Math.round(fraction * 100))
+                    },
+                    onChunk: (fraction) => this.rememberResumableUpload(file, upload, fraction),
+                })
+            } finally {
+                if (this.uploadAbortController === controller) {
+                    this.uploadAbortController = null
+                }
             }
+            return {uploadId: upload.id, fingerprint}
         },
         setSchemaMapping(mapping) {
             if (!mapping || typeof mapping !== 'object') {
@@ -285,10 +621,16 @@ export const useDatasetStore = defineStore('dataset', {
             this.stopRealtimeTracking()
 
             const hasFileUploads = this.sourceType === 'file'
+            const chunked = hasFileUploads && this.uploadFiles.length === 1
             this.uploadState = hasFileUploads ? 'uploading' : 'processing'
             this.uploadProgress = 0
+            let chunkedUpload = null
 
             try {
+                if (chunked) {
+                    chunkedUpload = await this.uploadPrimaryFileInChunks()
+                }
+
                 const formData = new FormData()
                 formData.append('name', this.name.trim())
                 if (this.description.trim()) {
@@ -297,8 +639,8 @@ export const useDatasetStore = defineStore('dataset', {
                 formData.append('source_type', this.sourceType)
 
                 if (this.sourceType === 'file') {
-                    if (this.uploadFiles.length === 1) {
-                        formData.append('file', this.uploadFiles[0])
+                    if (chunkedUpload) {
+                        formData.append('upload_id', chunkedUpload.uploadId)
                     } else {
                         this.uploadFiles.forEach((file) => {
                             formData.append('files[]', file)
@@ -311,12 +653,16 @@ export const useDatasetStore = defineStore('dataset', {
                 }
 
                 formData.append('schema', JSON.stringify(this.schemaMapping))
-                if (payload && Object.keys(payload).length > 0) {
-                    formData.append('metadata', JSON.stringify(payload))
+                const metadata = {...(payload ?? {})}
+                if (this.sourceType === 'file' && this.sourceOptions) {
+                    metadata.source_options = this.sourceOptions
+                }
+                if (Object.keys(metadata).length > 0) {
+                    formData.append('metadata', JSON.stringify(metadata))
                 }
                 const { data } = await apiClient.post('/datasets/ingest', formData, {
                     onUploadProgress: (event) => {
-                        if (!hasFileUploads) {
+                        if (!hasFileUploads || chunked) {
                             return
                         }
                         const { loaded, total } = event
@@ -329,6 +675,9 @@ export const useDatasetStore = defineStore('dataset', {
                 if (hasFileUploads) {
                     this.uploadProgress = 100
                 }
+                if (chunkedUpload) {
+                    this.forgetResumableUpload(chunkedUpload.fingerprint)
+                }
 
                 const normalizedData = data && typeof data === 'object' ? data : null
                 const hasId = normalizedData?.id !== undefined && normalizedData?.id !== null
@@ -366,6 +715,19 @@ export const useDatasetStore = defineStore('dataset', {
                 notifySuccess({ title: 'Dataset queued', message: 'Ingestion pipeline started successfully.' })
                 return normalizedData
             } catch (error) {
+                // Chunks already sent stay on the server, so pauses and dropped connections resume rather than restart
+                if (chunked && !chunkedUpload && (isAbortError(error) || !error?.response)) {
+                    // Closing the wizard aborts the upload too, after reset() has already cleared the state
+                    if (this.uploadState === 'uploading') {
+                        this.uploadState = 'paused'
+                        this.uploadError = isAbortError(error) ? '' : error.message || 'The upload was interrupted.'
+                    }
+                    return false
+                }
+                if (chunkedUpload && error?.response?.status === 422) {
+                    // A rejected upload cannot be attached again, so the next attempt starts a fresh one
+                    this.forgetResumableUpload(chunkedUpload.fingerprint)
+                }
                 this.uploadState = 'error'
                 this.uploadError = error?.response?.data?.message || error.message || 'Dataset ingestion failed to start.'
                 notifyError(error, 'Dataset ingestion failed to start.')
@@ -1,13 +1,39 @@
+import { markRaw } from 'vue'
 import { defineStore } from 'pinia'
+import { parseBoundaryFile } from '../utils/boundaryFiles'
+import { generateId } from '../utils/ids'
+
+const OVERLAY_COLOURS = ['#7c3aed', '#db2777', '#0d9488', '#ea580c', '#4f46e5', '#65a30d']
+
+// Base map tiles shared by the live map and exported snapshots
+export const BASE_LAYERS = {
+    streets: {
+        label: 'Streets',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; OpenStreetMap contributors',
+    },
+    satellite: {
+        label: 'Satellite',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: '&copy; OpenStreetMap contributors &copy; CARTO',
+    },
+}
 
 export const useMapStore = defineStore('map', {
     state: () => ({
         selectedBaseLayer: 'streets',
         heatmapOpacity: 0.75,
         showHeatmap: true,
+        overlays: [],
+        overlayImporting: false,
+        focus: null,
     }),
     getters: {
-        baseLayerLabel: (state) => (state.selectedBaseLayer === 'streets' ? 'Streets' : 'Satellite'),
+        activeBaseLayer: (state) => BASE_LAYERS[state.selectedBaseLayer] ?? BASE_LAYERS.streets,
+        baseLayerLabel() {
+            return this.activeBaseLayer.label
+        },
+        visibleOverlays: (state) => state.overlays.filter((overlay) => overlay.visible),
     },
     actions: {
         toggleBaseLayer() {
@@ -22,5 +48,58 @@ export const useMapStore = defineStore('map', {
         toggleHeatmap() {
             this.showHeatmap = !this.showHeatmap
         },
+        async importOverlay(file) {
+            this.overlayImporting = true
+            try {
+                const { format, collection } = await parseBoundaryFile(file)
+                const overlay = {
+                    id: generateId('overlay'),
+                    name: file.name.replace(/\.(geojson|json|kml|zip)$/i, ''),
+                    format,
+                    visible: true,
+                    color: OVERLAY_COLOURS[this.overlays.length % OVERLAY_COLOURS.length],
+                    opacity: 0.8,
+                    featureCount: collection.features.length,
+                    data: markRaw(collection),
+                }
+                this.overlays = [...this.overlays, overlay]
+                return overlay
+            } finally {
+                this.overlayImporting = false
+            }
+        },
+        toggleOverlay(id) {
+            this.overlays = this.overlays.map((overlay) =>
+                overlay.id === id ? { ...overlay, visible: !overlay.visible } : overlay
+            )
+        },
+        setOverlayStyle(id, { color, opacity } = {}) {
+            this.overlays = this.overlays.map((overlay) => {
+                if (overlay.id !== id) return overlay
+                return {
+                    ...overlay,
+                    color: color ?? overlay.color,
+                    opacity: Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : overlay.opacity,
+                }
+            })
+        },
+        removeOverlay(id) {
+            this.overlays = this.overlays.filter((overlay) => overlay.id !== id)
+        },
+        // Cells and points handed over from elsewhere in the app (e.g. an NLQ answer) to highlight on the map
+        setFocus({ cells = [], points = [], areaNames = [], center = null, radiusKm = null, label = '' } = {}) {
+            this.focus = {
+                id: generateId('overlay'),
+                cells: [...cells],
+                points: points.map((point) => ({ ...point })),
+                areaNames: [...areaNames],
+                center: center ? { ...center } : null,
+                radiusKm,
+                label,
+            }
+        },
+        clearFocus() {
+            this.focus = null
+        },
     },
 })
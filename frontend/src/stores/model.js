@@ -1,8 +1,15 @@
 import { defineStore } from 'pinia'
 import apiClient from '../services/apiClient'
 import { onConnectionStateChange, subscribeToChannel, unsubscribeFromChannel } from '../services/realtime'
-import { notifyError, notifySuccess } from '../utils/notifications'
+import { notifyError, notifyInfo, notifySuccess } from '../utils/notifications'
+import { currentUserKey } from './auth'
 import { useRequestStore } from './request'
+import { comparisonKey, MAX_COMPARISON_ITEMS } from '../utils/modelComparison'
+import { extractCurveData } from '../utils/evaluationCurves'
+import { buildTrials } from '../utils/hyperparameterSearch'
+import { downloadBlob } from '../utils/predictionExport'
+import { appendProgressPoint, buildProgressPoint } from '../utils/trainingProgress'
+import { generateId } from '../utils/ids'
 
 const FALLBACK_STATUS_POLL_INTERVAL = 30000
 let connectivityListenersRegistered = false
@@ -51,11 +58,48 @@ export const useModelStore = defineStore('model', {
         statusLoading: {},
         statusOrigins: {},
         evaluationRefresh: {},
+        comparisonItems: [],
+        tuningJobsByUser: {},
+        trainingTimelines: {},
     }),
     getters: {
         activeModel: (state) => state.models.find((model) => model.status === 'active') ?? null,
+        isInComparison: (state) => (item) => state.comparisonItems.some((entry) => comparisonKey(entry) === comparisonKey(item)),
+        canAddToComparison: (state) => state.comparisonItems.length < MAX_COMPARISON_ITEMS,
+        tuningJobs: (state) => state.tuningJobsByUser[currentUserKey()] ?? [],
+        tuningModelIds() {
+            return this.tuningJobs.flatMap((job) => job.trials.map((trial) => trial.modelId).filter(Boolean))
+        },
     },
     actions: {
+        toggleComparison(item) {
+            if (this.isInComparison(item)) {
+                this.comparisonItems = this.comparisonItems.filter((entry) => comparisonKey(entry) !== comparisonKey(item))
+            } else if (this.canAddToComparison) {
+                this.comparisonItems = [...this.comparisonItems, { modelId: item.modelId, evaluationId: item.evaluationId ?? null }]
+            }
+        },
+        setComparison(items) {
+            this.comparisonItems = items.slice(0, MAX_COMPARISON_ITEMS)
+        },
+        clearComparison() {
+            this.comparisonItems = []
+        },
+        // Compared models may sit on another page of the table, so fetch any that are not loaded
+        async loadModelsById(ids) {
+            const loaded = new Map(this.models.map((model) => [String(model.id), model]))
+            const missing = [...new Set(ids.map(String))].filter((id) => !loaded.has(id))
+
+            const results = await Promise.allSettled(missing.map((id) => apiClient.get(`/models/${id}`)))
+            results.forEach((result, index) => {
+                const model = result.status === 'fulfilled' ? extractModel(result.value.data) : null
+                if (model) {
+                    loaded.set(missing[index], model)
+                }
+            })
+
+            return ids.map((id) => loaded.get(String(id))).filter(Boolean)
+        },
         async fetchModels(options = {}) {
             const {
                 page = 1,
@@ -129,7 +173,9 @@ export const useModelStore = defineStore('model', {
             this.clearStatusTracking()
         },
 
-        async createModel(payload) {
+        async createModel(payload, options = {}) {
+            const { notify = true } = options
+
             this.creating = true
 
             const body = sanitizeModelPayload(payload)
@@ -139,35 +185,79 @@ export const useModelStore = defineStore('model', {
                 const created = extractModel(data)
 
                 if (created) {
-                    const existingIndex = this.models.findIndex((model) => model.id === created.id)
-                    const remaining = existingIndex === -1 ? this.models : this.models.filter((model) => model.id !== created.id)
-
-                    this.models = [created, ...remaining]
-                    this.statusOrigins = {
-                        ...this.statusOrigins,
-                        [created.id]: created.status ?? null,
-                    }
-                    const currentTotal = Number(this.meta?.total ?? 0)
-                    this.meta = {
-                        ...this.meta,
-                        total: existingIndex === -1 ? currentTotal + 1 : currentTotal,
-                        current_page: 1,
-                    }
+                    this.addCreatedModel(created)
                     await this.fetchModelStatus(created.id, { silent: true })
-                    notifySuccess({ title: 'Model created', message: 'The model has been added to governance.' })
+                    if (notify) {
+                        notifySuccess({ title: 'Model created', message: 'The model has been added to governance.' })
+                    }
                 }
 
                 return { model: created, errors: null }
             } catch (error) {
-                notifyError(error, 'Unable to create the model. Review the form and try again.')
-                return { model: null, errors: error?.validationErrors ?? null }
+                if (notify) {
+                    notifyError(error, 'Unable to create the model. Review the form and try again.')
+                }
+                return { model: null, errors: error?.validationErrors ?? null, error }
             } finally {
                 this.creating = false
             }
         },
 
-        async trainModel(modelId, hyperparameters = null) {
+        addCreatedModel(created) {
+            const existingIndex = this.models.findIndex((model) => model.id === created.id)
+            const remaining = existingIndex === -1 ? this.models : this.models.filter((model) => model.id !== created.id)
+
+            this.models = [created, ...remaining]
+            this.statusOrigins = {
+                ...this.statusOrigins,
+                [created.id]: created.status ?? null,
+            }
+            const currentTotal = Number(this.meta?.total ?? 0)
+            this.meta = {
+                ...this.meta,
+                total: existingIndex === -1 ? currentTotal + 1 : currentTotal,
+                current_page: 1,
+            }
+        },
+
+        async trainModel(modelId, hyperparameters = null, options = {}) {
+            const { notify = true } = options
             this.actionState = { ...this.actionState, [modelId]: 'training' }
+            this.markTrainingStarted(modelId)
+            const payload = { model_id: modelId }
+
+            if (hyperparameters && Object.keys(hyperparameters).length > 0) {
+                payload.hyperparameters = hyperparameters
+            }
+
+            const requestStore = useRequestStore()
+            const idempotencyKey = requestStore.issueIdempotencyKey(
+                `model:train:${modelId}`,
+                payload
+            )
+
+            try {
+                await apiClient.post('/models/train', payload, {
+                    metadata: { idempotencyKey },
+                })
+                if (notify) {
+                    notifySuccess({ title: 'Training started', message: 'Model training pipeline initiated.' })
+                }
+                await this.fetchModelStatus(modelId, { silent: true })
+                return true
+            } catch (error) {
+                if (notify) {
+                    notifyError(error, 'Training could not be started. Please retry later.')
+                }
+                return false
+            } finally {
+                this.actionState = { ...this.actionState, [modelId]: 'idle' }
+            }
+        },
+
+        // Shows a freshly queued run as training straight away, before the first status event arrives
+        markTrainingStarted(modelId) {
+            this.trainingTimelines = { ...this.trainingTimelines, [modelId]: { startedAt: new Date().toISOString(), points: [] } }
             this.statusSnapshots = {
                 ...this.statusSnapshots,
                 [modelId]: {
@@ -198,28 +288,113 @@ export const useModelStore = defineStore('model', {
                 )
             }
             this.ensureRealtimeTracking(modelId)
-            const payload = { model_id: modelId }
+        },
 
-            if (hyperparameters && Object.keys(hyperparameters).length > 0) {
-                payload.hyperparameters = hyperparameters
+        // Each trial becomes its own model so it gets a training run, status channel and metrics like any other.
+        // The server creates and queues every trial in one request, so the search counts once against the training rate limit.
+        async tuneModel({ name, datasetId, tag = null, area = null, base = {}, space, strategy, count }) {
+            const trials = buildTrials({ base, space, strategy, count })
+            if (!trials.length) {
+                return null
             }
 
-            const requestStore = useRequestStore()
-            const idempotencyKey = requestStore.issueIdempotencyKey(
-                `model:train:${modelId}`,
-                payload
+            const payload = {
+                name,
+                dataset_id: datasetId,
+                trials: trials.map((trial) => ({ hyperparameters: trial.hyperparameters })),
+            }
+            if (tag) payload.tag = tag
+            if (area) payload.area = area
+
+            let queued
+            try {
+                const { data } = await apiClient.post('/models/tune', payload)
+                queued = (data?.data ?? data)?.trials ?? []
+            } catch (error) {
+                notifyError(error, 'The tuning runs could not be queued. Please retry later.')
+                return null
+            }
+
+            const job = {
+                id: generateId('tuning'),
+                name,
+                datasetId,
+                strategy,
+                createdAt: new Date().toISOString(),
+                trials: trials.map((trial, index) => ({
+                    index: index + 1,
+                    params: trial.params,
+                    hyperparameters: trial.hyperparameters,
+                    modelId: queued[index]?.model?.id ?? null,
+                    metrics: null,
+                    error: null,
+                    finishedAt: null,
+                })),
+            }
+            this.updateTuningJobs((jobs) => [job, ...jobs])
+
+            for (const entry of queued) {
+                const model = entry?.model ? normaliseModel(entry.model) : null
+                if (model) {
+                    this.addCreatedModel(model)
+                    this.markTrainingStarted(model.id)
+                }
+            }
+
+            notifySuccess({ title: 'Tuning started', message: `${queued.length} training runs queued.` })
+            return job.id
+        },
+
+        updateTuningJobs(mutate) {
+            const key = currentUserKey()
+            this.tuningJobsByUser = { ...this.tuningJobsByUser, [key]: mutate(this.tuningJobsByUser[key] ?? []) }
+        },
+
+        updateTuningTrial(jobId, index, changes) {
+            this.updateTuningJobs((jobs) =>
+                jobs.map((job) =>
+                    job.id === jobId
+                        ? { ...job, trials: job.trials.map((trial) => (trial.index === index ? { ...trial, ...changes } : trial)) }
+                        : job
+                )
             )
+        },
+
+        removeTuningJob(jobId) {
+            this.updateTuningJobs((jobs) => jobs.filter((job) => job.id !== jobId))
+        },
+
+        async syncTuningTrial(modelId, state) {
+            const job = this.tuningJobs.find((entry) => entry.trials.some((trial) => trial.modelId === modelId))
+            const trial = job?.trials.find((entry) => entry.modelId === modelId)
+            if (!trial || trial.finishedAt) {
+                return
+            }
+
+            if (state === 'failed') {
+                this.updateTuningTrial(job.id, trial.index, { error: 'Training failed.', finishedAt: new Date().toISOString() })
+                return
+            }
 
             try {
-                await apiClient.post('/models/train', payload, {
-                    metadata: { idempotencyKey },
-                })
-                notifySuccess({ title: 'Training started', message: 'Model training pipeline initiated.' })
-                await this.fetchModelStatus(modelId, { silent: true })
+                const { data } = await apiClient.get(`/models/${modelId}`, { metadata: { silent: true } })
+                const model = extractModel(data)
+                if (model) {
+                    this.updateTuningTrial(job.id, trial.index, { metrics: model.metrics ?? {}, finishedAt: new Date().toISOString() })
+                }
             } catch (error) {
-                notifyError(error, 'Training could not be started. Please retry later.')
-            } finally {
-                this.actionState = { ...this.actionState, [modelId]: 'idle' }
+                console.warn('Unable to load tuning trial metrics', error)
+            }
+        },
+
+        // Persisted jobs outlive the page, so pick their unfinished trials back up after a reload
+        resumeTuningTracking() {
+            for (const job of this.tuningJobs) {
+                for (const trial of job.trials) {
+                    if (trial.modelId && !trial.finishedAt && !trial.error) {
+                        void this.fetchModelStatus(trial.modelId, { silent: true })
+                    }
+                }
             }
         },
 
@@ -328,6 +503,61 @@ export const useModelStore = defineStore('model', {
             }
         },
 
+        async fetchLineage(modelId) {
+            try {
+                const [metricsResponse, artifactsResponse] = await Promise.all([
+                    apiClient.get(`/models/${modelId}/metrics`),
+                    apiClient.get(`/models/${modelId}/artifacts`),
+                ])
+                const history = metricsResponse.data?.data ?? {}
+                return {
+                    trainingRuns: Array.isArray(history.training_runs) ? history.training_runs : [],
+                    evaluations: normaliseEvaluations({ evaluations: history.evaluations }),
+                    lineage: Array.isArray(history.lineage) ? history.lineage : [],
+                    artifacts: artifactsResponse.data?.data?.artifacts ?? [],
+                }
+            } catch (error) {
+                notifyError(error, 'Unable to load the version history for this model.')
+                return null
+            }
+        },
+
+        async rollbackModel(modelId, version) {
+            this.actionState = { ...this.actionState, [modelId]: 'rollingBack' }
+
+            try {
+                const { data } = await apiClient.post(`/models/${modelId}/rollback`, { version })
+                const candidate = data?.data?.model
+
+                if (candidate) {
+                    this.models = replaceModelEntry(this.models, normaliseModel(candidate))
+                } else {
+                    await this.fetchModels()
+                }
+                notifySuccess({
+                    title: 'Model rolled back',
+                    message: `Version ${version} has been restored.`,
+                })
+                return true
+            } catch (error) {
+                notifyError(error, 'Unable to roll back the model right now.')
+                return false
+            } finally {
+                this.actionState = { ...this.actionState, [modelId]: 'idle' }
+            }
+        },
+
+        async downloadArtifact(modelId, version) {
+            try {
+                const { data } = await apiClient.get(`/models/${modelId}/artifacts/${encodeURIComponent(version)}`, {
+                    responseType: 'blob',
+                })
+                downloadBlob(data, `model-${modelId}-${version}.json`)
+            } catch (error) {
+                notifyError(error, 'Unable to download this artifact.')
+            }
+        },
+
         async refreshStatuses(modelIds = null) {
             const ids = Array.isArray(modelIds) && modelIds.length ? modelIds : this.models.map((model) => model.id)
             if (!ids.length) {
@@ -378,6 +608,7 @@ export const useModelStore = defineStore('model', {
                     ...this.statusSnapshots,
                     [modelId]: snapshot,
                 }
+                this.recordTrainingProgress(modelId, snapshot)
                 const modelIndex = this.models.findIndex((model) => model.id === modelId)
                 if (modelIndex !== -1) {
                     const current = this.models[modelIndex]
@@ -406,6 +637,7 @@ export const useModelStore = defineStore('model', {
                     this.unsubscribeRealtimeTracking(modelId)
                     this.stopStatusPolling(modelId)
                     await this.refreshEvaluationsIfNeeded(modelId, snapshot.state)
+                    await this.syncTuningTrial(modelId, snapshot.state)
                 }
                 return snapshot
             } catch (error) {
@@ -524,9 +756,9 @@ export const useModelStore = defineStore('model', {
 
         handleRealtimeStatus(modelId, payload = {}) {
             const snapshot = normaliseStatus({
-                state: payload?.state,
+                state: payload?.state ?? payload?.status,
                 progress: payload?.progress,
-                updated_at: payload?.updated_at,
+                updated_at: payload?.updated_at ?? payload?.timestamp,
                 message: payload?.message,
             })
 
@@ -534,6 +766,7 @@ export const useModelStore = defineStore('model', {
                 ...this.statusSnapshots,
                 [modelId]: snapshot,
             }
+            this.recordTrainingProgress(modelId, snapshot, payload)
 
             const modelIndex = this.models.findIndex((model) => model.id === modelId)
             if (modelIndex !== -1) {
@@ -560,6 +793,38 @@ export const useModelStore = defineStore('model', {
                 this.unsubscribeRealtimeTracking(modelId)
                 this.stopStatusPolling(modelId)
                 void this.refreshEvaluationsIfNeeded(modelId, snapshot.state)
+                void this.syncTuningTrial(modelId, snapshot.state)
+            }
+        },
+
+        // Keeps each update of a run so the progress drawer can chart it and list its stage messages
+        recordTrainingProgress(modelId, snapshot, details = {}) {
+            const current = this.trainingTimelines[modelId] ?? null
+            const next = appendProgressPoint(current, buildProgressPoint(snapshot, details), snapshot?.startedAt ?? null)
+            if (next !== current) {
+                this.trainingTimelines = { ...this.trainingTimelines, [modelId]: next }
+            }
+        },
+
+        async cancelTraining(modelId) {
+            this.actionState = { ...this.actionState, [modelId]: 'cancelling' }
+
+            try {
+                const { data } = await apiClient.post(`/models/${modelId}/cancel`)
+                const cancelled = data?.data?.status === 'cancelled'
+                notifyInfo({
+                    title: cancelled ? 'Training cancelled' : 'Cancelling training',
+                    message: cancelled
+                        ? 'The queued run was removed before it started.'
+                        : 'The run will stop at its next checkpoint.',
+                })
+                await this.fetchModelStatus(modelId, { silent: true })
+                return true
+            } catch (error) {
+                notifyError(error, 'Unable to cancel training right now.')
+                return false
+            } finally {
+                this.actionState = { ...this.actionState, [modelId]: 'idle' }
             }
         },
 
@@ -611,7 +876,7 @@ export const useModelStore = defineStore('model', {
         },
 
         syncStatusTracking() {
-            const activeIds = new Set(this.models.map((model) => model.id))
+            const activeIds = new Set([...this.models.map((model) => model.id), ...this.tuningModelIds])
 
             const pollingCopy = { ...this.statusPolling }
             for (const [modelId, handle] of Object.entries(pollingCopy)) {
@@ -714,6 +979,7 @@ function normaliseModel(model) {
         tag: model.tag ?? null,
         area: model.area ?? null,
         version: model.version ?? null,
+        hyperparameters: model.hyperparameters ?? {},
         lastTrainedAt: model.trained_at ?? model.updated_at ?? null,
         metadata,
         evaluations: normaliseEvaluations(metadata),
@@ -794,6 +1060,7 @@ function normaliseEvaluations(metadata) {
                 evaluatedAt,
                 metrics,
                 notes,
+                curves: extractCurveData(entry),
                 sortValue: sortValue ?? Number.NEGATIVE_INFINITY,
             }
         })
@@ -821,7 +1088,7 @@ function deriveRealtimeStatus(currentStatus, realtimeState, originStatus = null)
         return nextState === 'queued' ? 'training' : nextState
     }
 
-    if (nextState === 'idle') {
+    if (nextState === 'idle' || nextState === 'cancelled') {
         if (originStatus) {
             return originStatus
         }
@@ -938,6 +1205,7 @@ function normaliseStatus(snapshot = {}) {
         state,
         progress: typeof snapshot?.progress === 'number' ? snapshot.progress : null,
         updatedAt: snapshot?.updated_at ?? null,
+        startedAt: snapshot?.started_at ?? null,
         message: message ? message : null,
         error: snapshot?.error === true || stateValue === 'error',
     }
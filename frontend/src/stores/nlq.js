@@ -0,0 +1,234 @@
+import { defineStore } from 'pinia'
+import apiClient from '../services/apiClient'
+import { currentUserKey } from './auth'
+import { diffRuns } from '../utils/nlqChanges'
+import { generateId } from '../utils/ids'
+
+const MAX_THREADS = 50
+const MAX_TURNS_PER_THREAD = 50
+const CONTEXT_TURNS = 6
+const DEFAULT_THREAD_TITLE = 'New conversation'
+const MAX_SAVED_QUERIES = 20
+// Consecutive failures double the wait before the next scheduled run, up to a day
+const MAX_RETRY_DELAY_MINUTES = 1440
+
+export const SAVED_QUERY_INTERVALS = [
+    { minutes: 0, label: 'Manual only' },
+    { minutes: 15, label: 'Every 15 minutes' },
+    { minutes: 60, label: 'Hourly' },
+    { minutes: 360, label: 'Every 6 hours' },
+    { minutes: 1440, label: 'Daily' },
+]
+
+const titleFromQuestion = (question) => (question.length > 60 ? `${question.slice(0, 57)}…` : question)
+
+const describeError = (error) => {
+    if (error?.response?.status === 401) {
+        return 'Your session has expired. Please sign in again to ask questions.'
+    }
+    if (error?.response?.status === 422) {
+        return error?.response?.data?.message ?? 'The question could not be understood.'
+    }
+    return 'Unable to retrieve an answer right now. Please try again later.'
+}
+
+async function postQuestion(question, context = []) {
+    const { data } = await apiClient.post('/nlq', { question, context })
+    const payload = data?.data ?? data
+    return {
+        answer: payload?.answer ?? 'No answer returned.',
+        data: payload?.data ?? null,
+        query: payload?.query ?? null,
+    }
+}
+
+export const useNlqStore = defineStore('nlq', {
+    state: () => ({
+        threadsByUser: {},
+        activeThreadByUser: {},
+        savedQueriesByUser: {},
+        runningQueryIds: [],
+        asking: false,
+    }),
+    getters: {
+        threads: (state) => {
+            const threads = state.threadsByUser[currentUserKey()] ?? []
+            return [...threads].sort((a, b) => {
+                if (a.pinned !== b.pinned) return a.pinned ? -1 : 1
+                return new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime()
+            })
+        },
+        activeThread(state) {
+            const activeId = state.activeThreadByUser[currentUserKey()]
+            return this.threads.find((thread) => thread.id === activeId) ?? null
+        },
+        savedQueries: (state) => state.savedQueriesByUser[currentUserKey()] ?? [],
+    },
+    actions: {
+        contextFor(turns) {
+            return turns
+                .filter((turn) => !turn.error)
+                .slice(-CONTEXT_TURNS)
+                .map((turn) => ({ question: turn.question, answer: turn.answer }))
+        },
+        updateUserThreads(mutate) {
+            const key = currentUserKey()
+            this.threadsByUser = { ...this.threadsByUser, [key]: mutate(this.threadsByUser[key] ?? []) }
+        },
+        updateThread(id, patch) {
+            this.updateUserThreads((threads) =>
+                threads.map((thread) => (thread.id === id ? { ...thread, ...patch(thread) } : thread))
+            )
+        },
+        createThread() {
+            const now = new Date().toISOString()
+            const thread = {
+                id: generateId('nlq'),
+                title: DEFAULT_THREAD_TITLE,
+                pinned: false,
+                turns: [],
+                createdAt: now,
+                updatedAt: now,
+            }
+
+            // Drop the oldest unpinned threads once the cap is reached so storage stays bounded
+            this.updateUserThreads((threads) => {
+                const next = [thread, ...threads]
+                while (next.length > MAX_THREADS) {
+                    const index = next.map((entry) => entry.pinned).lastIndexOf(false)
+                    if (index <= 0) break
+                    next.splice(index, 1)
+                }
+                return next
+            })
+            this.selectThread(thread.id)
+            return thread
+        },
+        selectThread(id) {
+            this.activeThreadByUser = { ...this.activeThreadByUser, [currentUserKey()]: id }
+        },
+        renameThread(id, title) {
+            const trimmed = typeof title === 'string' ? title.trim() : ''
+            if (!trimmed) return
+            this.updateThread(id, () => ({ title: trimmed.slice(0, 120), renamed: true }))
+        },
+        togglePin(id) {
+            this.updateThread(id, (thread) => ({ pinned: !thread.pinned }))
+        },
+        deleteThread(id) {
+            const wasActive = this.activeThread?.id === id
+            this.updateUserThreads((threads) => threads.filter((thread) => thread.id !== id))
+            if (wasActive) {
+                this.selectThread(this.threads[0]?.id ?? null)
+            }
+        },
+        async ask(question) {
+            const trimmed = typeof question === 'string' ? question.trim() : ''
+            if (!trimmed || this.asking) return null
+
+            const thread = this.activeThread ?? this.createThread()
+            const context = this.contextFor(thread.turns)
+
+            const turn = {
+                id: generateId('nlq'),
+                question: trimmed,
+                answer: '',
+                data: null,
+                query: null,
+                error: null,
+                askedAt: new Date().toISOString(),
+            }
+
+            this.asking = true
+            try {
+                Object.assign(turn, await postQuestion(trimmed, context))
+            } catch (error) {
+                console.error('NLQ request failed', error)
+                turn.error = describeError(error)
+            } finally {
+                this.asking = false
+            }
+
+            this.updateThread(thread.id, (current) => ({
+                title: current.renamed || current.turns.length ? current.title : titleFromQuestion(trimmed),
+                turns: [...current.turns, turn].slice(-MAX_TURNS_PER_THREAD),
+                updatedAt: turn.askedAt,
+            }))
+
+            return turn
+        },
+        updateSavedQueries(mutate) {
+            const key = currentUserKey()
+            this.savedQueriesByUser = { ...this.savedQueriesByUser, [key]: mutate(this.savedQueriesByUser[key] ?? []) }
+        },
+        saveQuery({ name, question, intervalMinutes = 0, turn = null, context = [] }) {
+            const trimmedQuestion = typeof question === 'string' ? question.trim() : ''
+            if (!trimmedQuestion) return null
+            if (this.savedQueries.length >= MAX_SAVED_QUERIES) {
+                throw new Error(`You can save up to ${MAX_SAVED_QUERIES} queries. Remove one to add another.`)
+            }
+
+            // Seed the card with the answer already on screen so the first scheduled run can show what changed
+            const lastRun = turn && !turn.error
+                ? { answer: turn.answer, data: turn.data, query: turn.query, error: null, ranAt: turn.askedAt }
+                : null
+            const saved = {
+                id: generateId('nlq'),
+                name: (typeof name === 'string' && name.trim() ? name.trim() : titleFromQuestion(trimmedQuestion)).slice(0, 120),
+                question: trimmedQuestion,
+                context,
+                intervalMinutes: Number(intervalMinutes) || 0,
+                lastRun,
+                changes: null,
+                createdAt: new Date().toISOString(),
+            }
+            this.updateSavedQueries((queries) => [...queries, saved])
+            return saved
+        },
+        updateSavedQuery(id, patch) {
+            this.updateSavedQueries((queries) => queries.map((query) => (query.id === id ? { ...query, ...patch } : query)))
+        },
+        removeSavedQuery(id) {
+            this.updateSavedQueries((queries) => queries.filter((query) => query.id !== id))
+        },
+        isSavedQueryDue(id, now = Date.now()) {
+            const saved = this.savedQueries.find((query) => query.id === id)
+            if (!saved?.intervalMinutes) return false
+            const lastRunAt = saved.lastRun ? new Date(saved.lastRun.ranAt).getTime() : 0
+            const lastAttemptAt = saved.lastAttemptAt ? new Date(saved.lastAttemptAt).getTime() : 0
+            const failures = saved.lastError ? Math.max(1, saved.failureCount ?? 1) : 0
+            const delayMinutes = failures
+                ? Math.min(saved.intervalMinutes * 2 ** (failures - 1), Math.max(saved.intervalMinutes, MAX_RETRY_DELAY_MINUTES))
+                : saved.intervalMinutes
+            return now - Math.max(lastRunAt, lastAttemptAt) >= delayMinutes * 60_000
+        },
+        async runSavedQuery(id) {
+            const saved = this.savedQueries.find((query) => query.id === id)
+            if (!saved || this.runningQueryIds.includes(id)) return null
+
+            this.runningQueryIds = [...this.runningQueryIds, id]
+            const run = { answer: '', data: null, query: null, error: null, ranAt: new Date().toISOString() }
+            try {
+                Object.assign(run, await postQuestion(saved.question, saved.context ?? []))
+            } catch (error) {
+                console.error('Saved NLQ query failed', error)
+                run.error = describeError(error)
+            } finally {
+                this.runningQueryIds = this.runningQueryIds.filter((entry) => entry !== id)
+            }
+
+            // A failed run keeps the last good result so the comparison baseline is not lost
+            this.updateSavedQuery(id, run.error
+                ? { lastError: run.error, lastAttemptAt: run.ranAt, failureCount: (saved.failureCount ?? 0) + 1 }
+                : {
+                      lastRun: run,
+                      changes: diffRuns(saved.lastRun, run),
+                      compared: Boolean(saved.lastRun),
+                      lastError: null,
+                      lastAttemptAt: run.ranAt,
+                      failureCount: 0,
+                  })
+            return run
+        },
+    },
+})
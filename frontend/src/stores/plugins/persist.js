@@ -5,6 +5,28 @@ const STORAGE_PREFIX = 'predictive-patterns'
 const allowList = {
     prediction: ['lastFilters'],
     map: ['selectedBaseLayer', 'heatmapOpacity', 'showHeatmap'],
+    aoi: ['areas'],
+    nlq: [
+        // Turns keep their question, answer and query metadata; result rows are dropped to keep storage small
+        {
+            key: 'threadsByUser',
+            read: (store) =>
+                Object.fromEntries(
+                    Object.entries(store.threadsByUser ?? {}).map(([user, threads]) => [
+                        user,
+                        threads.map((thread) => ({
+                            ...thread,
+                            turns: thread.turns.map(({ data, ...turn }) => (data == null ? turn : { ...turn, dataOmitted: true })),
+                        })),
+                    ])
+                ),
+        },
+        'activeThreadByUser',
+        'savedQueriesByUser',
+    ],
+    dashboard: ['layoutsByUser'],
+    model: ['tuningJobsByUser'],
+    dataset: ['mappingTemplatesByUser', 'resumableUploadsByUser'],
     auth: [
         'token',
         'user',
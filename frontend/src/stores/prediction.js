@@ -4,17 +4,14 @@ import { subscribeToChannel, unsubscribeFromChannel } from '../services/realtime
 import { notifyError, notifyInfo, notifySuccess } from '../utils/notifications'
 import { useModelStore } from './model'
 import { useRequestStore } from './request'
-
-const generateId = () => {
-    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-        return crypto.randomUUID()
-    }
-    return `prediction-${Math.random().toString(36).slice(2, 10)}-${Date.now()}`
-}
+import { generateId } from '../utils/ids'
 
 const POLL_INTERVAL_MS = 2000
 const POLL_TIMEOUT_MS = 2 * 60 * 1000
 const DEFAULT_HISTORY_PAGE_SIZE = 10
+export const MAX_COMPARISON_PINS = 4
+export const MAX_SWEEP_RUNS = 24
+const SWEEP_POLL_TIMEOUT_MS = 10 * 60 * 1000
 
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
 
@@ -165,6 +162,31 @@ const normalizeHeatmapPoints = (payload) => {
         .filter(Boolean)
 }
 
+const normalizeArea = (value) => {
+    if (!value || typeof value !== 'object') {
+        return null
+    }
+
+    const ring = Array.isArray(value.ring)
+        ? value.ring
+        : Array.isArray(value.polygon)
+            ? value.polygon.map(([lng, lat]) => [lat, lng])
+            : []
+    if (ring.length < 4) {
+        return null
+    }
+
+    const cells = value.cells ?? value.h3_cells
+    return {
+        id: value.id ?? null,
+        name: typeof value.name === 'string' ? value.name : 'Area of interest',
+        type: value.type ?? 'polygon',
+        ring,
+        cells: Array.isArray(cells) ? cells : [],
+        resolution: coerceNumber(value.resolution, null),
+    }
+}
+
 const mergeFilters = (parameters = {}, fallback = {}) => {
     const center = normalizeCenter(parameters.center ?? parameters.location ?? parameters.centroid)
     const horizon = coerceNumber(
@@ -179,6 +201,7 @@ const mergeFilters = (parameters = {}, fallback = {}) => {
         timestamp: timestamp ?? fallback.timestamp ?? null,
         center: center ?? (fallback.center ? { ...fallback.center } : null),
         radiusKm: radius ?? fallback.radiusKm ?? null,
+        area: normalizeArea(parameters.area) ?? fallback.area ?? null,
         modelId: parameters.model_id ?? fallback.modelId ?? null,
         datasetId: parameters.dataset_id ?? fallback.datasetId ?? null,
     }
@@ -211,6 +234,99 @@ const buildSummary = (summary = {}, filters = {}, status = 'unknown') => {
     }
 }
 
+const uniqueValues = (values, normalise) => {
+    const seen = new Set()
+    const result = []
+    for (const value of Array.isArray(values) ? values : []) {
+        const normalised = normalise(value)
+        if (normalised === null || seen.has(normalised)) {
+            continue
+        }
+        seen.add(normalised)
+        result.push(normalised)
+    }
+    return result
+}
+
+const hasSweepDimensions = (sweep) => {
+    if (!sweep || typeof sweep !== 'object') {
+        return false
+    }
+    return ['horizons', 'radii', 'timestamps'].some(
+        (dimension) => Array.isArray(sweep[dimension]) && sweep[dimension].length > 0
+    )
+}
+
+const expandSweepGrid = (baseFilters, sweep = {}) => {
+    const horizons = uniqueValues(sweep.horizons, (value) => coerceNumber(value, null))
+    const radii = uniqueValues(sweep.radii, (value) => coerceNumber(value, null))
+    const timestamps = uniqueValues(sweep.timestamps, (value) =>
+        typeof value === 'string' && value.trim().length ? value.trim() : null
+    )
+
+    const runs = []
+    for (const timestamp of timestamps.length ? timestamps : [baseFilters.timestamp]) {
+        for (const horizon of horizons.length ? horizons : [baseFilters.horizon]) {
+            for (const radiusKm of radii.length ? radii : [baseFilters.radiusKm]) {
+                runs.push({
+                    key: `${timestamp}|${horizon}|${radiusKm}`,
+                    filters: {
+                        ...baseFilters,
+                        center: baseFilters.center ? { ...baseFilters.center } : null,
+                        timestamp,
+                        horizon,
+                        radiusKm,
+                    },
+                    predictionId: null,
+                    status: 'pending',
+                    progress: null,
+                    summary: null,
+                    errorMessage: null,
+                    realtime: false,
+                    prediction: null,
+                })
+            }
+        }
+    }
+
+    return runs
+}
+
+const buildPredictionPayload = (submissionFilters, origin = 'prediction-form') => {
+    const payload = {
+        model_id: submissionFilters.modelId,
+        parameters: {
+            center: submissionFilters.center,
+            horizon_hours: submissionFilters.horizon,
+            observed_at: submissionFilters.timestamp,
+            radius_km: submissionFilters.radiusKm,
+        },
+        metadata: {
+            request_origin: origin,
+        },
+    }
+
+    if (submissionFilters.area) {
+        const { id, name, type, ring, cells, resolution } = submissionFilters.area
+        payload.parameters.area = {
+            id,
+            name,
+            type,
+            polygon: ring.map(([lat, lng]) => [lng, lat]),
+            h3_cells: cells,
+            resolution,
+        }
+    }
+
+    if (submissionFilters.datasetId) {
+        payload.dataset_id = submissionFilters.datasetId
+    }
+
+    return payload
+}
+
+const isPendingStatus = (status) => status === 'pending' || status === 'queued' || status === 'running'
+
 const normalizePredictionResponse = (prediction = {}, fallbackFilters = {}) => {
     if (!prediction || typeof prediction !== 'object') {
         return null
@@ -291,7 +407,7 @@ const normalizePredictionResponse = (prediction = {}, fallbackFilters = {}) => {
     })()
 
     return {
-        id: prediction.id ?? generateId(),
+        id: prediction.id ?? generateId('prediction'),
         status,
         modelId: modelInfo?.id ?? prediction.model_id ?? filters.modelId ?? null,
         datasetId: prediction.dataset_id ?? filters.datasetId ?? null,
@@ -315,7 +431,7 @@ const normalizePredictionResponse = (prediction = {}, fallbackFilters = {}) => {
 const fallbackPrediction = (filters) => {
     const seededIntensity = Math.sin(Date.now() / 100000) * 0.5 + 0.5
     return {
-        id: generateId(),
+        id: generateId('prediction'),
         status: 'simulated',
         generatedAt: new Date().toISOString(),
         createdAt: new Date().toISOString(),
@@ -353,6 +469,7 @@ export const usePredictionStore = defineStore('prediction', {
             timestamp: new Date().toISOString().slice(0, 16),
             center: { lat: 51.5074, lng: -0.1278 },
             radiusKm: 1.5,
+            area: null,
             modelId: null,
             datasetId: null,
         },
@@ -362,6 +479,12 @@ export const usePredictionStore = defineStore('prediction', {
         historyLoading: false,
         historyError: null,
         historyHydrated: false,
+        comparisonIds: [],
+        comparisonEntries: {},
+        comparisonLoadingId: null,
+        sweep: null,
+        sweepSubscriptions: {},
+        sweepPollAbortController: null,
         pollAbortController: null,
         realtimeStatus: null,
         realtimeSubscription: null,
@@ -375,6 +498,23 @@ export const usePredictionStore = defineStore('prediction', {
         heatmapPoints: (state) => state.currentPrediction?.heatmap ?? [],
         featureBreakdown: (state) => state.currentPrediction?.topFeatures ?? [],
         summary: (state) => state.currentPrediction?.summary ?? null,
+        comparisonPredictions: (state) =>
+            state.comparisonIds.map((id) => state.comparisonEntries[id]).filter(Boolean),
+        isPinnedForComparison: (state) => (predictionId) => state.comparisonIds.includes(predictionId),
+        canPinMoreForComparison: (state) => state.comparisonIds.length < MAX_COMPARISON_PINS,
+        sweepProgress: (state) => {
+            const runs = state.sweep?.runs ?? []
+            const completed = runs.filter((run) => run.status === 'completed').length
+            const failed = runs.filter((run) => run.status === 'failed').length
+            const inFlight = runs
+                .filter((run) => isPendingStatus(run.status))
+                .reduce((total, run) => total + (Number.isFinite(run.progress) ? run.progress : 0), 0)
+            const percent = runs.length
+                ? Math.round(((completed + failed) * 100 + inFlight) / runs.length)
+                : 0
+
+            return { total: runs.length, completed, failed, percent: Math.min(100, percent) }
+        },
     },
     actions: {
         cancelPolling() {
@@ -614,6 +754,22 @@ export const usePredictionStore = defineStore('prediction', {
 
             return next
         },
+        async loadPredictionDetails(predictionId) {
+            if (this.currentPrediction?.id === predictionId) {
+                return this.currentPrediction
+            }
+            if (this.comparisonEntries[predictionId]) {
+                return this.comparisonEntries[predictionId]
+            }
+
+            const { data } = await apiClient.get(`/predictions/${predictionId}`)
+            const prediction = normalizePredictionResponse(data?.prediction ?? data, this.lastFilters)
+            if (!prediction) {
+                throw new Error('The selected prediction could not be loaded.')
+            }
+
+            return prediction
+        },
         updateLastFiltersFromPrediction(prediction) {
             if (!prediction || !prediction.filters) {
                 return
@@ -634,6 +790,7 @@ export const usePredictionStore = defineStore('prediction', {
                 radiusKm: Number.isFinite(filters.radiusKm)
                     ? filters.radiusKm
                     : this.lastFilters.radiusKm,
+                area: filters.area ?? null,
                 modelId: filters.modelId ?? this.lastFilters.modelId ?? null,
                 datasetId: filters.datasetId ?? this.lastFilters.datasetId ?? null,
             }
@@ -774,6 +931,51 @@ export const usePredictionStore = defineStore('prediction', {
                 this.loading = false
             }
         },
+        async pinComparison(predictionId) {
+            if (!predictionId || this.comparisonIds.includes(predictionId)) {
+                return this.comparisonEntries[predictionId] ?? null
+            }
+
+            if (this.comparisonIds.length >= MAX_COMPARISON_PINS) {
+                const error = new Error(`Up to ${MAX_COMPARISON_PINS} predictions can be compared at once.`)
+                error.code = 'COMPARISON_LIMIT'
+                throw error
+            }
+
+            this.comparisonLoadingId = predictionId
+
+            try {
+                const { data } = await apiClient.get(`/predictions/${predictionId}`)
+                const prediction = normalizePredictionResponse(data?.prediction ?? data, this.lastFilters)
+
+                if (!prediction) {
+                    throw new Error('The selected prediction could not be loaded for comparison.')
+                }
+
+                this.comparisonEntries = { ...this.comparisonEntries, [predictionId]: prediction }
+                if (!this.comparisonIds.includes(predictionId)) {
+                    this.comparisonIds = [...this.comparisonIds, predictionId]
+                }
+
+                return prediction
+            } finally {
+                this.comparisonLoadingId = null
+            }
+        },
+        unpinComparison(predictionId) {
+            if (!this.comparisonIds.includes(predictionId)) {
+                return
+            }
+
+            this.comparisonIds = this.comparisonIds.filter((id) => id !== predictionId)
+            const next = { ...this.comparisonEntries }
+            delete next[predictionId]
+            this.comparisonEntries = next
+        },
+        clearComparison() {
+            this.comparisonIds = []
+            this.comparisonEntries = {}
+        },
         async pollPredictionStatus(predictionId, submissionFilters, signal) {
             const startedAt = Date.now()
             let lastPrediction = this.currentPrediction
@@ -823,7 +1025,24 @@ export const usePredictionStore = defineStore('prediction', {
             timeoutError.prediction = lastPrediction
             throw timeoutError
         },
+        async resolveSubmissionModel(filters = {}) {
+            const modelStore = useModelStore()
+            let activeModel = modelStore.activeModel
+            if (!activeModel && !modelStore.loading) {
+                await modelStore.fetchModels()
+                activeModel = modelStore.activeModel ?? modelStore.models[0] ?? null
+            }
+
+            return {
+                modelId: filters.modelId ?? activeModel?.id ?? null,
+                datasetId: filters.datasetId ?? activeModel?.dataset_id ?? activeModel?.datasetId ?? null,
+            }
+        },
         async submitPrediction(filters) {
+            if (hasSweepDimensions(filters?.sweep)) {
+                return this.submitSweep(filters)
+            }
+
             this.loading = true
             this.cancelPolling()
             this.realtimeCompletionNotified = false
@@ -832,30 +1051,23 @@ export const usePredictionStore = defineStore('prediction', {
                 timestamp: this.lastFilters.timestamp,
                 center: this.lastFilters.center ? { ...this.lastFilters.center } : null,
                 radiusKm: this.lastFilters.radiusKm,
+                area: this.lastFilters.area ?? null,
                 modelId: this.lastFilters.modelId ?? null,
                 datasetId: this.lastFilters.datasetId ?? null,
             }
-            const modelStore = useModelStore()
-            let activeModel = modelStore.activeModel
-            if (!activeModel && !modelStore.loading) {
-                await modelStore.fetchModels()
-                activeModel = modelStore.activeModel ?? modelStore.models[0] ?? null
-            }
+            const { modelId, datasetId } = await this.resolveSubmissionModel(filters)
 
             const normalizeNumber = (value, fallback) => {
                 const parsed = Number(value)
                 return Number.isFinite(parsed) ? parsed : fallback
             }
 
-            const modelId = filters.modelId ?? activeModel?.id ?? null
-            const datasetId =
-                filters.datasetId ?? activeModel?.dataset_id ?? activeModel?.datasetId ?? null
-
             const submissionFilters = {
                 horizon: normalizeNumber(filters.horizon, previousFilters.horizon),
                 timestamp: filters.timestamp ?? previousFilters.timestamp,
                 center: filters.center ? { ...filters.center } : previousFilters.center,
                 radiusKm: normalizeNumber(filters.radiusKm, previousFilters.radiusKm),
+                area: filters.area ?? null,
                 modelId,
                 datasetId,
             }
@@ -873,22 +1085,7 @@ export const usePredictionStore = defineStore('prediction', {
                 return prediction
             }
 
-            const payload = {
-                model_id: modelId,
-                parameters: {
-                    center: submissionFilters.center,
-                    horizon_hours: submissionFilters.horizon,
-                    observed_at: submissionFilters.timestamp,
-                    radius_km: submissionFilters.radiusKm,
-                },
-                metadata: {
-                    request_origin: 'prediction-form',
-                },
-            }
-
-            if (datasetId) {
-                payload.dataset_id = datasetId
-            }
+            const payload = buildPredictionPayload(submissionFilters)
             const requestStore = useRequestStore()
             const idempotencyKey = requestStore.issueIdempotencyKey(
                 'prediction:submit',
@@ -1069,6 +1266,325 @@ export const usePredictionStore = defineStore('prediction', {
                 this.loading = false
             }
         },
+        async submitSweep(filters) {
+            this.clearSweep()
+
+            const baseFilters = {
+                horizon: coerceNumber(filters.horizon, this.lastFilters.horizon),
+                timestamp: filters.timestamp ?? this.lastFilters.timestamp,
+                center: filters.center ? { ...filters.center } : this.lastFilters.center,
+                radiusKm: coerceNumber(filters.radiusKm, this.lastFilters.radiusKm),
+                area: filters.area ?? null,
+                modelId: null,
+                datasetId: null,
+            }
+            const runs = expandSweepGrid(baseFilters, filters.sweep)
+
+            if (runs.length > MAX_SWEEP_RUNS) {
+                const error = new Error(`Scenario sweeps are limited to ${MAX_SWEEP_RUNS} combinations.`)
+                error.code = 'SWEEP_TOO_LARGE'
+                error.validationErrors = { sweep: [error.message] }
+                throw error
+            }
+
+            this.loading = true
+
+            try {
+                const { modelId, datasetId } = await this.resolveSubmissionModel(filters)
+
+                if (!modelId) {
+                    notifyError(
+                        new Error('Prediction model unavailable.'),
+                        'No active prediction model is available to run a scenario sweep.'
+                    )
+                    return null
+                }
+
+                for (const run of runs) {
+                    run.filters = { ...run.filters, modelId, datasetId }
+                }
+
+                this.lastFilters = { ...runs[0].filters }
+                this.sweep = {
+                    id: generateId('prediction'),
+                    createdAt: new Date().toISOString(),
+                    status: 'running',
+                    runs,
+                }
+
+                const requestStore = useRequestStore()
+
+                for (const [index, run] of runs.entries()) {
+                    const payload = buildPredictionPayload(run.filters, 'prediction-sweep')
+                    const idempotencyKey = requestStore.issueIdempotencyKey(`prediction:sweep:${run.key}`, payload)
+
+                    try {
+                        const { data } = await apiClient.post('/predictions', payload, {
+                            metadata: { idempotencyKey },
+                        })
+                        const prediction = normalizePredictionResponse(data?.prediction ?? data, run.filters)
+
+                        if (!prediction || !prediction.id) {
+                            throw new Error('Prediction request did not return a valid identifier.')
+                        }
+
+                        this.upsertHistory(prediction)
+                        this.updateSweepRun(run.key, {
+                            predictionId: prediction.id,
+                            status: prediction.status,
+                            progress: prediction.progress,
+                            summary: prediction.summary,
+                            prediction: prediction.status === 'completed' ? prediction : null,
+                        })
+
+                        if (isPendingStatus(prediction.status)) {
+                            this.trackSweepRun(run.key)
+                        }
+                    } catch (error) {
+                        if (index === 0 && error?.response?.status === 422 && error.validationErrors) {
+                            this.clearSweep()
+                            throw error
+                        }
+
+                        this.updateSweepRun(run.key, {
+                            status: 'failed',
+                            errorMessage: error?.response?.data?.message ?? error?.message ?? 'Submission failed.',
+                        })
+                    }
+                }
+
+                notifyInfo({
+                    title: 'Scenario sweep queued',
+                    message: `${runs.length} predictions submitted. Results will fill in as each run completes.`,
+                })
+
+                this.finalizeSweepIfSettled()
+
+                return this.sweep
+            } finally {
+                this.loading = false
+            }
+        },
+        updateSweepRun(key, patch) {
+            if (!this.sweep) {
+                return null
+            }
+
+            const index = this.sweep.runs.findIndex((run) => run.key === key)
+            if (index === -1) {
+                return null
+            }
+
+            const next = { ...this.sweep.runs[index], ...patch }
+            this.sweep.runs.splice(index, 1, next)
+            return next
+        },
+        trackSweepRun(key) {
+            const run = this.sweep?.runs.find((entry) => entry.key === key)
+            if (!run?.predictionId) {
+                return
+            }
+
+            const fallBackToPolling = () => {
+                this.stopSweepRunTracking(key)
+                this.updateSweepRun(key, { realtime: false })
+                this.ensureSweepPolling()
+            }
+
+            try {
+                const subscription = subscribeToChannel(`predictions.${run.predictionId}.status`, {
+                    events: ['PredictionStatusUpdated'],
+                    onEvent: (eventName, payload) => {
+                        if (eventName === 'PredictionStatusUpdated') {
+                            this.handleSweepRealtimeStatus(key, payload)
+                        }
+                    },
+                    onError: (error) => {
+                        console.warn('Sweep prediction status channel error', error)
+                        fallBackToPolling()
+                    },
+                })
+
+                this.sweepSubscriptions = { ...this.sweepSubscriptions, [key]: subscription }
+                this.updateSweepRun(key, { realtime: true })
+            } catch (error) {
+                console.warn('Unable to subscribe to sweep prediction status channel', error)
+                fallBackToPolling()
+            }
+        },
+        stopSweepRunTracking(key) {
+            const subscription = this.sweepSubscriptions[key]
+            if (!subscription) {
+                return
+            }
+
+            unsubscribeFromChannel(subscription)
+            const next = { ...this.sweepSubscriptions }
+            delete next[key]
+            this.sweepSubscriptions = next
+        },
+        handleSweepRealtimeStatus(key, payload = {}) {
+            const status = typeof payload?.status === 'string' ? payload.status.toLowerCase() : null
+            const patch = {}
+
+            if (status) {
+                patch.status = status === 'completed' ? 'running' : status
+            }
+
+            if (typeof payload?.progress === 'number' && Number.isFinite(payload.progress)) {
+                patch.progress = progressRatioToPercent(payload.progress)
+            }
+
+            if (status === 'failed') {
+                patch.errorMessage = typeof payload?.message === 'string' ? payload.message : 'Prediction failed.'
+            }
+
+            this.updateSweepRun(key, patch)
+
+            if (status === 'completed') {
+                this.stopSweepRunTracking(key)
+                void this.refreshSweepRun(key)
+                    .catch(() => {
+                        this.updateSweepRun(key, { realtime: false })
+                        this.ensureSweepPolling()
+                    })
+                return
+            }
+
+            if (status === 'failed') {
+                this.stopSweepRunTracking(key)
+                this.finalizeSweepIfSettled()
+            }
+        },
+        async refreshSweepRun(key, signal) {
+            const run = this.sweep?.runs.find((entry) => entry.key === key)
+            if (!run?.predictionId) {
+                return null
+            }
+
+            const { data } = await apiClient.get(`/predictions/${run.predictionId}`, { signal })
+            const prediction = normalizePredictionResponse(data?.prediction ?? data, run.filters)
+
+            if (!prediction) {
+                return null
+            }
+
+            this.upsertHistory(prediction)
+            this.updateSweepRun(key, {
+                status: prediction.status,
+                progress: prediction.status === 'completed' ? 100 : prediction.progress,
+                summary: prediction.summary,
+                errorMessage: prediction.errorMessage,
+                prediction: prediction.status === 'completed' ? prediction : null,
+            })
+            this.finalizeSweepIfSettled()
+
+            return prediction
+        },
+        async ensureSweepPolling() {
+            if (this.sweepPollAbortController || typeof AbortController === 'undefined') {
+                return
+            }
+
+            const controller = new AbortController()
+            this.sweepPollAbortController = controller
+            const startedAt = Date.now()
+
+            try {
+                while (Date.now() - startedAt < SWEEP_POLL_TIMEOUT_MS && !controller.signal.aborted) {
+                    const pollable = (this.sweep?.runs ?? []).filter(
+                        (run) => run.predictionId && !run.realtime && isPendingStatus(run.status)
+                    )
+
+                    if (!pollable.length) {
+                        return
+                    }
+
+                    for (const run of pollable) {
+                        try {
+                            await this.refreshSweepRun(run.key, controller.signal)
+                        } catch (error) {
+                            if (error?.name === 'AbortError' || error?.code === 'ERR_CANCELED') {
+                                return
+                            }
+                            console.warn('Unable to refresh sweep prediction', error)
+                        }
+                    }
+
+                    await wait(POLL_INTERVAL_MS)
+                }
+
+                if (controller.signal.aborted) {
+                    return
+                }
+
+                for (const run of this.sweep?.runs ?? []) {
+                    if (run.predictionId && !run.realtime && isPendingStatus(run.status)) {
+                        this.updateSweepRun(run.key, {
+                            status: 'failed',
+                            errorMessage: 'Timed out waiting for this prediction to finish.',
+                        })
+                    }
+                }
+                this.finalizeSweepIfSettled()
+            } finally {
+                if (this.sweepPollAbortController === controller) {
+                    this.sweepPollAbortController = null
+                }
+            }
+        },
+        finalizeSweepIfSettled() {
+            if (!this.sweep || this.sweep.status !== 'running') {
+                return
+            }
+
+            const runs = this.sweep.runs
+            if (runs.some((run) => isPendingStatus(run.status))) {
+                return
+            }
+
+            const failed = runs.filter((run) => run.status === 'failed').length
+            this.sweep = {
+                ...this.sweep,
+                status: failed === 0 ? 'completed' : failed === runs.length ? 'failed' : 'partial',
+                finishedAt: new Date().toISOString(),
+            }
+
+            if (failed === 0) {
+                notifySuccess({
+                    title: 'Scenario sweep complete',
+                    message: `All ${runs.length} predictions finished successfully.`,
+                })
+            } else {
+                notifyInfo({
+                    title: 'Scenario sweep finished',
+                    message: `${runs.length - failed} of ${runs.length} predictions completed; ${failed} failed.`,
+                })
+            }
+        },
+        viewSweepRun(key) {
+            const run = this.sweep?.runs.find((entry) => entry.key === key)
+            if (!run?.prediction) {
+                return null
+            }
+
+            this.cancelPolling()
+            this.currentPrediction = run.prediction
+            this.updateLastFiltersFromPrediction(run.prediction)
+            return run.prediction
+        },
+        clearSweep() {
+            if (this.sweepPollAbortController) {
+                this.sweepPollAbortController.abort()
+                this.sweepPollAbortController = null
+            }
+
+            for (const key of Object.keys(this.sweepSubscriptions)) {
+                this.stopSweepRunTracking(key)
+            }
+
+            this.sweep = null
+        },
         resetPrediction() {
             this.cancelPolling()
             this.currentPrediction = null
@@ -0,0 +1,136 @@
+import { latLngToCell } from 'h3-js'
+import { estimateCellCount, polygonRingToCells } from './h3Polygons'
+
+const EARTH_RADIUS_M = 6_371_000
+const CIRCLE_SEGMENTS = 64
+export const MAX_AOI_CELLS = 2000
+const MIN_AOI_RESOLUTION = 6
+const MAX_AOI_RESOLUTION = 10
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+const toDegrees = (radians) => (radians * 180) / Math.PI
+
+function closeRing(ring) {
+    if (ring.length < 3) return ring
+    const [firstLat, firstLng] = ring[0]
+    const [lastLat, lastLng] = ring[ring.length - 1]
+    return firstLat === lastLat && firstLng === lastLng ? ring : [...ring, ring[0]]
+}
+
+export function circleToRing(center, radiusM, segments = CIRCLE_SEGMENTS) {
+    const lat = toRadians(center.lat)
+    const lng = toRadians(center.lng)
+    const angular = radiusM / EARTH_RADIUS_M
+    const ring = []
+
+    for (let index = 0; index < segments; index += 1) {
+        const bearing = (2 * Math.PI * index) / segments
+        const pointLat = Math.asin(
+            Math.sin(lat) * Math.cos(angular) + Math.cos(lat) * Math.sin(angular) * Math.cos(bearing)
+        )
+        const pointLng = lng + Math.atan2(
+            Math.sin(bearing) * Math.sin(angular) * Math.cos(lat),
+            Math.cos(angular) - Math.sin(lat) * Math.sin(pointLat)
+        )
+        ring.push([toDegrees(pointLat), toDegrees(pointLng)])
+    }
+
+    return closeRing(ring)
+}
+
+export function rectangleToRing(bounds) {
+    return closeRing([
+        [bounds.south, bounds.west],
+        [bounds.south, bounds.east],
+        [bounds.north, bounds.east],
+        [bounds.north, bounds.west],
+    ])
+}
+
+// Rings are [lat, lng] pairs, matching what Leaflet and polygonRingToCells expect
+export function aoiToRing(area) {
+    const geometry = area?.geometry ?? {}
+    switch (area?.type) {
+        case 'circle':
+            return circleToRing(geometry.center, geometry.radiusM)
+        case 'rectangle':
+            return rectangleToRing(geometry.bounds)
+        case 'polygon':
+            return closeRing((geometry.vertices ?? []).map((vertex) => [vertex.lat, vertex.lng]))
+        default:
+            return []
+    }
+}
+
+export function ringAreaKm2(ring) {
+    if (ring.length < 4) return 0
+    const meanLat = toRadians(ring.reduce((sum, [lat]) => sum + lat, 0) / ring.length)
+    let twiceArea = 0
+
+    for (let index = 0; index < ring.length - 1; index += 1) {
+        const [lat1, lng1] = ring[index]
+        const [lat2, lng2] = ring[index + 1]
+        const x1 = toRadians(lng1) * Math.cos(meanLat)
+        const x2 = toRadians(lng2) * Math.cos(meanLat)
+        twiceArea += x1 * toRadians(lat2) - x2 * toRadians(lat1)
+    }
+
+    return (Math.abs(twiceArea) / 2) * (EARTH_RADIUS_M / 1000) ** 2
+}
+
+export function ringCentroid(ring) {
+    const vertices = ring.length > 1 ? ring.slice(0, -1) : ring
+    if (!vertices.length) return null
+    const lat = vertices.reduce((sum, [value]) => sum + value, 0) / vertices.length
+    const lng = vertices.reduce((sum, [, value]) => sum + value, 0) / vertices.length
+    return { lat, lng }
+}
+
+// Picks the finest resolution whose cells fit under MAX_AOI_CELLS. The area estimate only chooses where to start;
+// the actual cell count decides, and areas too large even at the coarsest resolution are refused with an error.
+export function resolveAoiCells(area, { maxCells = MAX_AOI_CELLS } = {}) {
+    const ring = aoiToRing(area)
+    if (ring.length < 4) {
+        return { ring, cells: [], resolution: null, error: null }
+    }
+
+    const areaKm2 = ringAreaKm2(ring)
+    let start = MIN_AOI_RESOLUTION
+    for (let candidate = MAX_AOI_RESOLUTION; candidate >= MIN_AOI_RESOLUTION; candidate -= 1) {
+        if (estimateCellCount(areaKm2, candidate) <= maxCells) {
+            start = candidate
+            break
+        }
+    }
+
+    for (let resolution = start; resolution >= MIN_AOI_RESOLUTION; resolution -= 1) {
+        let cells = polygonRingToCells(ring, resolution)
+        if (cells.length > maxCells) continue
+        if (!cells.length) {
+            // Areas smaller than a single cell still resolve to the cell under their centroid
+            const centroid = ringCentroid(ring)
+            cells = [latLngToCell(centroid.lat, centroid.lng, resolution)]
+        }
+        return { ring, cells, resolution, error: null }
+    }
+
+    return {
+        ring,
+        cells: [],
+        resolution: null,
+        error: `This area needs more than ${maxCells} H3 cells even at resolution ${MIN_AOI_RESOLUTION}. Draw a smaller area.`,
+    }
+}
+
+export function toPredictionArea(area) {
+    const { ring, cells, resolution, error } = resolveAoiCells(area)
+    return {
+        id: area.id,
+        name: area.name,
+        type: area.type,
+        ring,
+        cells,
+        resolution,
+        error,
+    }
+}
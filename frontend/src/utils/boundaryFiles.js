@@ -0,0 +1,157 @@
+import { parseShapefileZip } from './shapefile'
+
+export const MAX_BOUNDARY_FILE_BYTES = 20 * 1024 * 1024
+export const BOUNDARY_FILE_ACCEPT = '.geojson,.json,.kml,.zip'
+
+const GEOMETRY_TYPES = new Set([
+    'Point',
+    'MultiPoint',
+    'LineString',
+    'MultiLineString',
+    'Polygon',
+    'MultiPolygon',
+    'GeometryCollection',
+])
+
+export function detectBoundaryFormat(fileName = '') {
+    const lower = fileName.toLowerCase()
+    if (lower.endsWith('.geojson') || lower.endsWith('.json')) return 'geojson'
+    if (lower.endsWith('.kml')) return 'kml'
+    if (lower.endsWith('.zip')) return 'shapefile'
+    return null
+}
+
+export function parseGeoJson(text) {
+    let parsed
+    try {
+        parsed = JSON.parse(text)
+    } catch {
+        throw new Error('The GeoJSON file is not valid JSON.')
+    }
+
+    if (parsed?.type === 'FeatureCollection' && Array.isArray(parsed.features)) {
+        return { type: 'FeatureCollection', features: parsed.features.filter((feature) => feature?.geometry) }
+    }
+    if (parsed?.type === 'Feature' && parsed.geometry) {
+        return { type: 'FeatureCollection', features: [parsed] }
+    }
+    if (GEOMETRY_TYPES.has(parsed?.type)) {
+        return { type: 'FeatureCollection', features: [{ type: 'Feature', geometry: parsed, properties: {} }] }
+    }
+
+    throw new Error('The file does not contain GeoJSON features.')
+}
+
+function parseKmlCoordinates(element) {
+    const text = element?.getElementsByTagName('coordinates')[0]?.textContent ?? ''
+    return text
+        .trim()
+        .split(/\s+/)
+        .map((tuple) => tuple.split(',').slice(0, 2).map(Number))
+        .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+}
+
+function kmlGeometries(placemark) {
+    const geometries = []
+
+    for (const polygon of placemark.getElementsByTagName('Polygon')) {
+        const outer = polygon.getElementsByTagName('outerBoundaryIs')[0]
+        const rings = [parseKmlCoordinates(outer)]
+        for (const inner of polygon.getElementsByTagName('innerBoundaryIs')) {
+            rings.push(parseKmlCoordinates(inner))
+        }
+        if (rings[0].length >= 4) {
+            geometries.push({ type: 'Polygon', coordinates: rings.filter((ring) => ring.length >= 4) })
+        }
+    }
+    for (const line of placemark.getElementsByTagName('LineString')) {
+        const coordinates = parseKmlCoordinates(line)
+        if (coordinates.length >= 2) geometries.push({ type: 'LineString', coordinates })
+    }
+    for (const point of placemark.getElementsByTagName('Point')) {
+        const [coordinates] = parseKmlCoordinates(point)
+        if (coordinates) geometries.push({ type: 'Point', coordinates })
+    }
+
+    return geometries
+}
+
+function kmlProperties(placemark) {
+    const properties = {}
+    const name = placemark.getElementsByTagName('name')[0]?.textContent?.trim()
+    if (name) properties.name = name
+
+    for (const data of placemark.getElementsByTagName('Data')) {
+        const key = data.getAttribute('name')
+        if (key) properties[key] = data.getElementsByTagName('value')[0]?.textContent?.trim() ?? ''
+    }
+    for (const data of placemark.getElementsByTagName('SimpleData')) {
+        const key = data.getAttribute('name')
+        if (key) properties[key] = data.textContent?.trim() ?? ''
+    }
+
+    return properties
+}
+
+export function parseKml(text) {
+    const documentNode = new DOMParser().parseFromString(text, 'application/xml')
+    if (documentNode.getElementsByTagName('parsererror').length) {
+        throw new Error('The KML file is not valid XML.')
+    }
+
+    const features = []
+    for (const placemark of documentNode.getElementsByTagName('Placemark')) {
+        const geometries = kmlGeometries(placemark)
+        if (!geometries.length) continue
+        features.push({
+            type: 'Feature',
+            geometry: geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries },
+            properties: kmlProperties(placemark),
+        })
+    }
+
+    return { type: 'FeatureCollection', features }
+}
+
+function firstCoordinate(geometry) {
+    let coordinates = geometry?.type === 'GeometryCollection'
+        ? firstCoordinate(geometry.geometries?.[0])
+        : geometry?.coordinates
+    while (Array.isArray(coordinates) && Array.isArray(coordinates[0])) {
+        coordinates = coordinates[0]
+    }
+    return Array.isArray(coordinates) ? coordinates : null
+}
+
+// Leaflet needs WGS 84 longitude/latitude; projected eastings and northings fall far outside that range
+function assertGeographic(collection) {
+    const sample = collection.features.map((feature) => firstCoordinate(feature.geometry)).find(Boolean)
+    if (sample && (Math.abs(sample[0]) > 180 || Math.abs(sample[1]) > 90)) {
+        throw new Error('The boundary coordinates are not longitude/latitude. Re-export the file in WGS 84 (EPSG:4326).')
+    }
+}
+
+export async function parseBoundaryFile(file) {
+    const format = detectBoundaryFormat(file?.name)
+    if (!format) {
+        throw new Error('Unsupported boundary file. Upload GeoJSON, KML or a zipped Shapefile.')
+    }
+    if (file.size > MAX_BOUNDARY_FILE_BYTES) {
+        throw new Error('Boundary files are limited to 20 MB.')
+    }
+
+    let collection
+    if (format === 'shapefile') {
+        collection = await parseShapefileZip(await file.arrayBuffer())
+    } else {
+        const text = await file.text()
+        collection = format === 'kml' ? parseKml(text) : parseGeoJson(text)
+    }
+
+    if (!collection.features.length) {
+        throw new Error('No boundary features were found in the file.')
+    }
+    assertGeographic(collection)
+
+    return { format, collection }
+}
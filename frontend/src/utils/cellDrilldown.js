@@ -0,0 +1,70 @@
+import * as h3 from 'h3-js'
+
+export const MAX_CELL_HISTORY = 12
+export const RECORD_RESOLUTIONS = [6, 7, 8]
+
+// Records are only indexed at resolutions 6-8, so other cells are queried at the nearest indexed resolution
+export function recordResolutionFor(cell) {
+    const resolution = h3.getResolution(cell)
+    return Math.min(Math.max(resolution, RECORD_RESOLUTIONS[0]), RECORD_RESOLUTIONS[RECORD_RESOLUTIONS.length - 1])
+}
+
+// The cell whose records column can be filtered on the server: the cell itself at 6-8, its resolution 8 parent for
+// finer cells (narrowed again with recordsInCell), and null for coarser cells, which fall back to the bounding box
+export function recordQueryCellFor(cell) {
+    const resolution = h3.getResolution(cell)
+    if (resolution < RECORD_RESOLUTIONS[0]) return null
+    const maxResolution = RECORD_RESOLUTIONS[RECORD_RESOLUTIONS.length - 1]
+    return resolution > maxResolution ? h3.cellToParent(cell, maxResolution) : cell
+}
+
+export function cellBoundingBox(cell) {
+    const boundary = h3.cellToBoundary(cell)
+    const lats = boundary.map(([lat]) => lat)
+    const lngs = boundary.map(([, lng]) => lng)
+    return [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)]
+        .map((value) => value.toFixed(6))
+        .join(',')
+}
+
+export function isInCell(cell, lat, lng) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false
+    try {
+        return h3.latLngToCell(lat, lng, h3.getResolution(cell)) === cell
+    } catch {
+        return false
+    }
+}
+
+export function snapshotRiskForCell(prediction, cell) {
+    const points = (prediction?.heatmap ?? []).filter((point) => isInCell(cell, point.lat, point.lng))
+    if (!points.length) return null
+    return points.reduce((total, point) => total + point.intensity, 0) / points.length
+}
+
+export function recordsInCell(records, cell) {
+    return (records ?? []).filter((record) => isInCell(cell, Number(record.lat), Number(record.lng)))
+}
+
+export function neighbourScores(cell, riskByCell) {
+    return h3
+        .gridDisk(cell, 1)
+        .filter((neighbour) => neighbour !== cell)
+        .map((neighbour) => ({
+            cell: neighbour,
+            risk: Number.isFinite(riskByCell?.[neighbour]) ? riskByCell[neighbour] : null,
+        }))
+}
+
+export function normaliseCellFeatures(entry) {
+    const candidates = entry?.top_features ?? entry?.features ?? entry?.contributions
+    if (!Array.isArray(candidates)) return []
+
+    return candidates
+        .map((feature) => ({
+            name: feature?.name ?? feature?.feature ?? null,
+            contribution: Number(feature?.contribution ?? feature?.value ?? feature?.importance),
+        }))
+        .filter((feature) => feature.name && Number.isFinite(feature.contribution))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+}
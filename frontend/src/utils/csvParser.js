@@ -0,0 +1,303 @@
+export const DEFAULT_PREVIEW_ROWS = 10
+export const PREVIEW_ROW_OPTIONS = Object.freeze([5, 10, 25, 50])
+
+export const CSV_DELIMITERS = Object.freeze([
+    { value: ',', label: 'Comma' },
+    { value: ';', label: 'Semicolon' },
+    { value: '\t', label: 'Tab' },
+    { value: '|', label: 'Pipe' },
+])
+
+export const CSV_ENCODINGS = Object.freeze([
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Windows-1252' },
+    { value: 'iso-8859-1', label: 'ISO-8859-1' },
+])
+
+const SNIFF_BYTES = 64 * 1024
+const SNIFF_ROWS = 20
+const READ_CHUNK_BYTES = 256 * 1024
+
+/**
+ * Incremental RFC 4180 tokenizer. Feed text with push() in chunks of any size and call finish() at the end;
+ * onRow receives each record as an array of strings. Quoted fields may contain delimiters, doubled quotes
+ * and line breaks. Records end at CRLF, LF or a lone CR. Returning false from onRow stops parsing.
+ */
+export function createCsvParser({ delimiter = ',', quote = '"', onRow }) {
+    let field = ''
+    let row = []
+    let inQuotes = false
+    // A quote inside a quoted field is only known to be an escape once the next character arrives
+    let pendingQuote = false
+    let pendingCarriageReturn = false
+    let stopped = false
+    let line = 1
+    const errors = []
+
+    const emitRow = () => {
+        row.push(field)
+        field = ''
+        const record = row
+        row = []
+        if (!(record.length === 1 && record[0] === '') && onRow(record) === false) {
+            stopped = true
+        }
+    }
+
+    const push = (text) => {
+        for (let index = 0; index < text.length && !stopped; index += 1) {
+            const char = text[index]
+
+            if (pendingCarriageReturn) {
+                pendingCarriageReturn = false
+                if (char === '\n') continue
+            }
+
+            if (pendingQuote) {
+                pendingQuote = false
+                if (char === quote) {
+                    field += quote
+                    continue
+                }
+                inQuotes = false
+            }
+
+            if (inQuotes) {
+                if (char === quote) {
+                    pendingQuote = true
+                } else {
+                    if (char === '\n') line += 1
+                    field += char
+                }
+                continue
+            }
+
+            if (char === quote) {
+                if (field === '') {
+                    inQuotes = true
+                } else {
+                    // Stray quote in an unquoted field: keep it, as most spreadsheet exports expect
+                    field += char
+                }
+            } else if (char === delimiter) {
+                row.push(field)
+                field = ''
+            } else if (char === '\n' || char === '\r') {
+                emitRow()
+                line += 1
+                pendingCarriageReturn = char === '\r'
+            } else {
+                field += char
+            }
+        }
+        return !stopped
+    }
+
+    const finish = () => {
+        if (stopped) return errors
+        if (inQuotes && !pendingQuote) {
+            errors.push(`Unterminated quoted field starting before line ${line}.`)
+        }
+        if (field !== '' || row.length) emitRow()
+        return errors
+    }
+
+    return { push, finish, errors }
+}
+
+export function parseCsvText(text, options = {}) {
+    const rows = []
+    const limit = options.limit ?? Number.POSITIVE_INFINITY
+    const parser = createCsvParser({
+        delimiter: options.delimiter ?? ',',
+        onRow: (row) => {
+            rows.push(row)
+            return rows.length < limit
+        },
+    })
+    parser.push(text)
+    const errors = parser.finish()
+    return { rows, errors }
+}
+
+/**
+ * Picks the encoding from a byte-order mark, otherwise UTF-8 when the sample decodes cleanly and
+ * Windows-1252 when it does not (the usual fallback for spreadsheet exports).
+ */
+export function detectEncoding(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8'
+    if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le'
+    if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be'
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true })
+        return 'utf-8'
+    } catch {
+        return 'windows-1252'
+    }
+}
+
+// Scores each candidate on how many rows share the modal field count, weighted by that count
+export function sniffDelimiter(sample) {
+    let best = { delimiter: ',', score: 0 }
+    for (const { value } of CSV_DELIMITERS) {
+        const { rows } = parseCsvText(sample, { delimiter: value, limit: SNIFF_ROWS })
+        // The last sampled row may be cut off mid-record
+        const complete = rows.length > 1 ? rows.slice(0, -1) : rows
+        const counts = new Map()
+        for (const row of complete) counts.set(row.length, (counts.get(row.length) ?? 0) + 1)
+        let modalWidth = 1
+        let modalCount = 0
+        for (const [width, count] of counts) {
+            if (count > modalCount || (count === modalCount && width > modalWidth)) {
+                modalWidth = width
+                modalCount = count
+            }
+        }
+        const score = modalWidth > 1 ? (modalCount / complete.length) * modalWidth : 0
+        if (score > best.score) best = { delimiter: value, score }
+    }
+    return best.delimiter
+}
+
+function looksLikeValue(text) {
+    const trimmed = text.trim()
+    if (!trimmed) return false
+    return Number.isFinite(Number(trimmed)) || (/\d/.test(trimmed) && !Number.isNaN(Date.parse(trimmed)))
+}
+
+/**
+ * A first row counts as a header when its cells are non-empty, unique and not numbers or dates,
+ * and at least one column below it holds such values.
+ */
+export function detectHeader(rows) {
+    const [first, ...rest] = rows
+    if (!first || !rest.length) return true
+    const labels = first.map((cell) => cell.trim())
+    if (labels.some((label) => !label || looksLikeValue(label))) return false
+    if (new Set(labels).size !== labels.length) return false
+    return labels.some((_, column) => rest.some((row) => looksLikeValue(row[column] ?? '')))
+}
+
+export function buildHeaders(firstRow, hasHeader) {
+    const seen = new Map()
+    return firstRow.map((cell, index) => {
+        const base = (hasHeader ? cell.trim() : '') || `column_${index + 1}`
+        const count = (seen.get(base) ?? 0) + 1
+        seen.set(base, count)
+        return count > 1 ? `${base}_${count}` : base
+    })
+}
+
+async function* readChunks(file) {
+    if (typeof file.stream === 'function') {
+        const reader = file.stream().getReader()
+        try {
+            while (true) {
+                const { done, value } = await reader.read()
+                if (done) return
+                yield value
+            }
+        } finally {
+            // Stops the underlying read when the consumer breaks out early
+            await reader.cancel().catch(() => {})
+        }
+    }
+    for (let offset = 0; offset < file.size; offset += READ_CHUNK_BYTES) {
+        yield new Uint8Array(await file.slice(offset, offset + READ_CHUNK_BYTES).arrayBuffer())
+    }
+}
+
+/**
+ * Streams the start of a CSV file and returns up to `rows` records keyed by header.
+ * `delimiter`, `encoding` and `hasHeader` accept 'auto' to sniff from the first 64 KB.
+ */
+export async function parseCsvPreview(file, options = {}) {
+    const limit = Math.max(1, options.rows ?? DEFAULT_PREVIEW_ROWS)
+    const sampleBytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer())
+
+    const encoding = !options.encoding || options.encoding === 'auto' ? detectEncoding(sampleBytes) : options.encoding
+    // TextDecoder drops the byte-order mark by default
+    const sample = new TextDecoder(encoding).decode(sampleBytes)
+    const delimiter = !options.delimiter || options.delimiter === 'auto' ? sniffDelimiter(sample) : options.delimiter
+
+    const records = []
+    const decoder = new TextDecoder(encoding)
+    const parser = createCsvParser({
+        delimiter,
+        onRow: (row) => {
+            records.push(row)
+            // One extra record tells us whether the file continues beyond the preview
+            return records.length < limit + 2
+        },
+    })
+
+    let complete = true
+    for await (const chunk of readChunks(file)) {
+        if (!parser.push(decoder.decode(chunk, { stream: true }))) {
+            complete = false
+            break
+        }
+    }
+    if (complete) parser.push(decoder.decode())
+    const errors = complete ? parser.finish() : []
+
+    const hasHeader = options.hasHeader === true || options.hasHeader === false ? options.hasHeader : detectHeader(records.slice(0, SNIFF_ROWS))
+    const width = records.reduce((max, record) => Math.max(max, record.length), 0)
+    const firstRow = records[0] ?? []
+    const headers = buildHeaders([...firstRow, ...Array(Math.max(0, width - firstRow.length)).fill('')], hasHeader)
+    const body = hasHeader ? records.slice(1) : records
+
+    const rows = body.slice(0, limit).map((record) =>
+        headers.reduce((acc, header, index) => {
+            acc[header] = record[index] ?? ''
+            return acc
+        }, {})
+    )
+
+    const ragged = body.slice(0, limit).filter((record) => record.length !== headers.length).length
+    if (ragged) {
+        errors.push(`${ragged} preview ${ragged === 1 ? 'row has' : 'rows have'} a different number of fields than the header.`)
+    }
+
+    return { headers, rows, delimiter, encoding, hasHeader, truncated: body.length > limit, errors }
+}
+
+/**
+ * Streams every record of a CSV file with settings already resolved by parseCsvPreview, yielding batches
+ * of rows keyed by `headers` together with the number of bytes read so far.
+ */
+export async function* iterateCsvRows(file, { delimiter = ',', encoding = 'utf-8', hasHeader = true, headers = [] } = {}) {
+    const decoder = new TextDecoder(encoding)
+    let skipHeader = hasHeader
+    let batch = []
+    const parser = createCsvParser({
+        delimiter,
+        onRow: (record) => {
+            if (skipHeader) {
+                skipHeader = false
+                return
+            }
+            batch.push(
+                headers.reduce((acc, header, index) => {
+                    acc[header] = record[index] ?? ''
+                    return acc
+                }, {})
+            )
+        },
+    })
+
+    let bytesRead = 0
+    for await (const chunk of readChunks(file)) {
+        bytesRead += chunk.byteLength
+        parser.push(decoder.decode(chunk, { stream: true }))
+        if (batch.length) {
+            yield { rows: batch, bytesRead }
+            batch = []
+        }
+    }
+    parser.push(decoder.decode())
+    const errors = parser.finish()
+    yield { rows: batch, bytesRead, errors }
+}
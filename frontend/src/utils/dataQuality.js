@@ -0,0 +1,206 @@
+export const MAX_REJECTED_ROWS = 10000
+const MAX_TRACKED_CATEGORIES = 10000
+const MAX_EXAMPLES = 5
+const TOP_CATEGORIES = 10
+
+const NULL_TOKENS = new Set(['null', 'na', 'n/a', 'nan', 'none'])
+const YEAR_MONTH = /^\d{4}-\d{2}$/
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([ T]\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i
+const LOCAL_DATE = /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}([ T]\d{1,2}:\d{2}(:\d{2})?)?$/
+
+export function isBlank(value) {
+    if (value === null || value === undefined) return true
+    const text = String(value).trim()
+    return text === '' || NULL_TOKENS.has(text.toLowerCase())
+}
+
+// Mirrors FeatureGenerator::toFloat, which only accepts numeric values after trimming
+function toCoordinate(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null
+    if (typeof value !== 'string' || value.trim() === '') return null
+    const parsed = Number(value.trim())
+    return Number.isFinite(parsed) ? parsed : null
+}
+
+// Approximates TimestampParser: typed numbers are epoch seconds, "YYYY-MM" is a month, anything else must parse as a date
+export function isParseableTimestamp(value) {
+    if (typeof value === 'number') return Number.isFinite(value)
+    if (typeof value !== 'string') return false
+    const trimmed = value.trim()
+    if (YEAR_MONTH.test(trimmed) || ISO_DATE.test(trimmed) || LOCAL_DATE.test(trimmed)) return true
+    return /\d/.test(trimmed) && !/^-?\d+(\.\d+)?$/.test(trimmed) && !Number.isNaN(Date.parse(trimmed))
+}
+
+// 53-bit string hash (cyrb53); keeps duplicate detection to one number per row instead of the row text
+function hashRow(text) {
+    let h1 = 0xdeadbeef
+    let h2 = 0x41c6ce57
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text.charCodeAt(index)
+        h1 = Math.imul(h1 ^ char, 2654435761)
+        h2 = Math.imul(h2 ^ char, 1597334677)
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+function issue() {
+    return { count: 0, examples: [] }
+}
+
+function record(entry, example) {
+    entry.count += 1
+    if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(example)
+}
+
+/**
+ * Accumulates data quality checks over batches of rows keyed by header. `mapping` is the schema mapping
+ * from the wizard; checks for unmapped fields are skipped. Call add() per batch and finish() for the report.
+ */
+export function createQualityReport({ headers = [], mapping = {} } = {}) {
+    const columns = new Map(headers.map((header) => [header, 0]))
+    const seenRows = new Map()
+    const categories = new Map()
+    const rejectedRows = []
+    const errors = []
+    let categoryCapped = false
+    let emptyCategories = 0
+    let totalRows = 0
+    let rejectedCount = 0
+
+    const issues = {
+        missingTimestamp: issue(),
+        unparseableTimestamp: issue(),
+        missingCoordinates: issue(),
+        outOfRange: issue(),
+        swapped: issue(),
+        duplicates: issue(),
+    }
+
+    const checkRow = (row, rowNumber) => {
+        const reasons = []
+
+        for (const column of Object.keys(row)) {
+            if (!columns.has(column)) {
+                // Rows seen before this column first appeared had no value for it
+                columns.set(column, rowNumber - 1)
+            }
+        }
+        for (const [column, nulls] of columns) {
+            if (isBlank(row[column])) columns.set(column, nulls + 1)
+        }
+
+        if (mapping.timestamp) {
+            const value = row[mapping.timestamp]
+            if (isBlank(value)) {
+                record(issues.missingTimestamp, rowNumber)
+                reasons.push('Missing timestamp')
+            } else if (!isParseableTimestamp(value)) {
+                record(issues.unparseableTimestamp, { row: rowNumber, value: String(value) })
+                reasons.push(`Unparseable timestamp "${value}"`)
+            }
+        }
+
+        if (mapping.latitude && mapping.longitude) {
+            const lat = toCoordinate(row[mapping.latitude])
+            const lng = toCoordinate(row[mapping.longitude])
+            const example = { row: rowNumber, latitude: row[mapping.latitude], longitude: row[mapping.longitude] }
+            if (lat === null || lng === null) {
+                record(issues.missingCoordinates, example)
+                reasons.push('Missing or non-numeric coordinates (row is skipped during ingestion)')
+            } else if (Math.abs(lat) > 90 && Math.abs(lat) <= 180 && Math.abs(lng) <= 90) {
+                record(issues.swapped, example)
+                reasons.push('Latitude and longitude look swapped')
+            } else if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                record(issues.outOfRange, example)
+                reasons.push('Coordinates out of range')
+            }
+        }
+
+        if (mapping.category) {
+            const value = row[mapping.category]
+            if (isBlank(value)) {
+                emptyCategories += 1
+            } else {
+                const key = String(value).trim()
+                if (categories.has(key)) {
+                    categories.set(key, categories.get(key) + 1)
+                } else if (categories.size < MAX_TRACKED_CATEGORIES) {
+                    categories.set(key, 1)
+                } else {
+                    categoryCapped = true
+                }
+            }
+        }
+
+        const hash = hashRow(JSON.stringify([...columns.keys()].map((column) => row[column] ?? null)))
+        if (seenRows.has(hash)) {
+            const first = seenRows.get(hash)
+            record(issues.duplicates, { row: rowNumber, duplicateOf: first })
+            reasons.push(`Duplicate of row ${first}`)
+        } else {
+            seenRows.set(hash, rowNumber)
+        }
+
+        if (reasons.length) {
+            rejectedCount += 1
+            if (rejectedRows.length < MAX_REJECTED_ROWS) {
+                rejectedRows.push({ row: rowNumber, reasons, values: row })
+            }
+        }
+    }
+
+    return {
+        add(rows, batchErrors = []) {
+            for (const row of rows) {
+                totalRows += 1
+                checkRow(row, totalRows)
+            }
+            errors.push(...batchErrors)
+        },
+        finish() {
+            const topCategories = [...categories.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, TOP_CATEGORIES)
+                .map(([value, count]) => ({ value, count }))
+
+            return {
+                totalRows,
+                rejectedCount,
+                rejectedRows,
+                rejectedTruncated: rejectedCount > rejectedRows.length,
+                headers: [...columns.keys()],
+                issues,
+                errors,
+                columns: [...columns.entries()].map(([name, nulls]) => ({
+                    name,
+                    nulls,
+                    nullRate: totalRows ? nulls / totalRows : 0,
+                })),
+                category: mapping.category
+                    ? {
+                          column: mapping.category,
+                          distinct: categories.size,
+                          capped: categoryCapped,
+                          empty: emptyCategories,
+                          top: topCategories,
+                      }
+                    : null,
+            }
+        },
+    }
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// The original columns follow a row number and the reasons the row was flagged
+export function buildRejectedRowsCsv(report) {
+    const lines = report.rejectedRows.map(({ row, reasons, values }) =>
+        [row, reasons.join('; '), ...report.headers.map((header) => values[header])].map(csvValue).join(',')
+    )
+    return [['row', 'reasons', ...report.headers].map(csvValue).join(','), ...lines].join('\r\n') + '\r\n'
+}
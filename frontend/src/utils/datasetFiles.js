@@ -0,0 +1,316 @@
+import { parquetMetadataAsync, parquetReadObjects, parquetSchema } from 'hyparquet'
+import { acceptedTypes, csvMimeTypes, datasetFileExtensions, parquetMimeTypes, spreadsheetMimeTypes } from '../dicts/filetypes'
+import { buildHeaders, iterateCsvRows } from './csvParser'
+import { readWorkbookRows } from './xlsx'
+
+export const DATASET_FILE_ACCEPT = '.csv,.json,.geojson,.xlsx,.parquet'
+
+const ROW_BATCH_SIZE = 5000
+
+export const DATASET_FORMAT_LABELS = Object.freeze({
+    csv: 'CSV',
+    json: 'JSON',
+    geojson: 'GeoJSON',
+    xlsx: 'Excel workbook',
+    parquet: 'Parquet',
+})
+
+// Browsers report Parquet (and sometimes CSV) with an empty or generic type, so the extension wins
+export function detectDatasetFormat(file) {
+    const name = typeof file?.name === 'string' ? file.name.toLowerCase() : ''
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : ''
+    if (datasetFileExtensions[extension]) return datasetFileExtensions[extension]
+
+    const type = file?.type ?? ''
+    if (!acceptedTypes.includes(type)) return null
+    if (spreadsheetMimeTypes.includes(type)) return 'xlsx'
+    if (parquetMimeTypes.includes(type)) return 'parquet'
+    if (type === 'application/geo+json') return 'geojson'
+    if (type === 'application/json') return 'json'
+    return csvMimeTypes.includes(type) ? 'csv' : null
+}
+
+function position(value) {
+    if (!Array.isArray(value) || !Number.isFinite(Number(value[0])) || !Number.isFinite(Number(value[1]))) return null
+    return [Number(value[0]), Number(value[1])]
+}
+
+function meanOf(points) {
+    if (!points.length) return null
+    const [x, y] = points.reduce(([sumX, sumY], [px, py]) => [sumX + px, sumY + py], [0, 0])
+    return [x / points.length, y / points.length]
+}
+
+function lineCentroid(lines) {
+    let length = 0
+    let x = 0
+    let y = 0
+    const vertices = []
+
+    for (const line of lines) {
+        let previous = null
+        for (const point of (Array.isArray(line) ? line : []).map(position).filter(Boolean)) {
+            vertices.push(point)
+            if (previous) {
+                const segment = Math.hypot(point[0] - previous[0], point[1] - previous[1])
+                length += segment
+                x += (segment * (point[0] + previous[0])) / 2
+                y += (segment * (point[1] + previous[1])) / 2
+            }
+            previous = point
+        }
+    }
+
+    return length > 0 ? [x / length, y / length] : meanOf(vertices)
+}
+
+// Unsigned shoelace area of a ring with its first moments (area × centroid)
+function ringMoments(points) {
+    let signedArea = 0
+    let x = 0
+    let y = 0
+    points.forEach(([x0, y0], index) => {
+        const [x1, y1] = points[(index + 1) % points.length]
+        const cross = x0 * y1 - x1 * y0
+        signedArea += cross
+        x += (x0 + x1) * cross
+        y += (y0 + y1) * cross
+    })
+    signedArea /= 2
+    if (signedArea === 0) return [0, 0, 0]
+    const direction = signedArea < 0 ? -1 : 1
+    return [Math.abs(signedArea), (direction * x) / 6, (direction * y) / 6]
+}
+
+function polygonCentroid(polygons) {
+    let area = 0
+    let x = 0
+    let y = 0
+    const vertices = []
+
+    for (const rings of polygons) {
+        const polygon = Array.isArray(rings) ? rings : []
+        polygon.forEach((ring, index) => {
+            const points = (Array.isArray(ring) ? ring : []).map(position).filter(Boolean)
+            vertices.push(...points)
+            const [ringArea, ringX, ringY] = ringMoments(points)
+            // The first ring is the exterior; any further rings are holes
+            const sign = index === 0 ? 1 : -1
+            area += sign * ringArea
+            x += sign * ringX
+            y += sign * ringY
+        })
+    }
+
+    return Math.abs(area) > 1e-12 ? [x / area, y / area] : meanOf(vertices)
+}
+
+// Mirrors the backend GeoJsonReader so previewed latitude/longitude match what is ingested
+export function geometryCentroid(geometry) {
+    if (geometry?.type === 'GeometryCollection') {
+        return meanOf((geometry.geometries ?? []).map(geometryCentroid).filter(Boolean))
+    }
+    const coordinates = geometry?.coordinates
+    if (!Array.isArray(coordinates)) return null
+
+    switch (geometry.type) {
+        case 'Point':
+            return position(coordinates)
+        case 'MultiPoint':
+            return meanOf(coordinates.map(position).filter(Boolean))
+        case 'LineString':
+            return lineCentroid([coordinates])
+        case 'MultiLineString':
+            return lineCentroid(coordinates)
+        case 'Polygon':
+            return polygonCentroid([coordinates])
+        case 'MultiPolygon':
+            return polygonCentroid(coordinates)
+        default:
+            return null
+    }
+}
+
+export function flattenFeature(feature) {
+    const row = {}
+    if (feature?.id !== undefined && feature.id !== null && typeof feature.id !== 'object') {
+        row.feature_id = feature.id
+    }
+    const properties = feature?.properties && typeof feature.properties === 'object' ? feature.properties : {}
+    Object.entries(properties).forEach(([key, value]) => {
+        row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value
+    })
+
+    const geometry = feature?.geometry && typeof feature.geometry === 'object' ? feature.geometry : null
+    const centroid = geometry ? geometryCentroid(geometry) : null
+    if (centroid) {
+        row.longitude = centroid[0]
+        row.latitude = centroid[1]
+    }
+    if (typeof geometry?.type === 'string') {
+        row.geometry_type = geometry.type
+    }
+    return Object.keys(row).length ? row : null
+}
+
+function unionHeaders(rows) {
+    const headers = new Set()
+    rows.forEach((row) => Object.keys(row).forEach((key) => headers.add(key)))
+    return [...headers]
+}
+
+function parseJsonPreview(text, limit) {
+    const parsed = JSON.parse(text)
+
+    if (parsed?.type === 'FeatureCollection' && Array.isArray(parsed.features)) {
+        const rows = []
+        let total = 0
+        for (const feature of parsed.features) {
+            const row = flattenFeature(feature)
+            if (!row) continue
+            total += 1
+            if (rows.length < limit) rows.push(row)
+        }
+        const errors = total === 0 ? ['The FeatureCollection does not contain any features with properties or geometry.'] : []
+        return { format: 'geojson', headers: unionHeaders(rows), rows, truncated: total > limit, errors }
+    }
+
+    const records = Array.isArray(parsed) ? parsed.filter((record) => record && typeof record === 'object') : []
+    const rows = records.slice(0, limit)
+    return { format: 'json', headers: unionHeaders(rows), rows, truncated: records.length > limit, errors: [] }
+}
+
+function workbookHeaders(first) {
+    return buildHeaders(Array.from(first, (value) => value ?? ''), true)
+}
+
+function workbookRecord(headers, values) {
+    return Object.fromEntries(headers.map((header, index) => [header, values[index] ?? null]))
+}
+
+async function parseWorkbookPreview(file, { limit, sheet }) {
+    // One extra row for the header and one to tell whether the sheet continues
+    const workbook = await readWorkbookRows(file, { sheet, limit: limit + 2 })
+    const [first = [], ...body] = workbook.rows
+    const headers = workbookHeaders(first)
+    const rows = body.slice(0, limit).map((values) => workbookRecord(headers, values))
+    const errors = workbook.rows.length ? [] : [`The sheet "${workbook.sheet}" is empty.`]
+
+    return { format: 'xlsx', headers, rows, truncated: body.length > limit, errors, sheets: workbook.sheets, sheet: workbook.sheet }
+}
+
+function formatParquetValue(value) {
+    if (typeof value === 'bigint') return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString()
+    if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ')
+    if (value instanceof Uint8Array) return new TextDecoder().decode(value)
+    return value
+}
+
+function parquetBuffer(file) {
+    return {
+        byteLength: file.size,
+        slice: (start, end) => file.slice(start, end).arrayBuffer(),
+    }
+}
+
+async function parseParquetPreview(file, { limit }) {
+    const buffer = parquetBuffer(file)
+    const metadata = await parquetMetadataAsync(buffer)
+    const headers = parquetSchema(metadata).children.map((child) => child.element.name)
+    const total = Number(metadata.num_rows)
+
+    try {
+        const records = await parquetReadObjects({ file: buffer, metadata, rowStart: 0, rowEnd: Math.min(limit, total) })
+        const rows = records.map((record) =>
+            Object.fromEntries(headers.map((header) => [header, formatParquetValue(record[header] ?? null)]))
+        )
+        return { format: 'parquet', headers, rows, truncated: total > limit, errors: [] }
+    } catch (error) {
+        // Codecs such as gzip or zstd have no browser decoder here; the server still reads them
+        return {
+            format: 'parquet',
+            headers,
+            rows: [],
+            truncated: false,
+            errors: [`Rows could not be previewed in the browser (${error.message}). They will be read during ingestion.`],
+        }
+    }
+}
+
+// Previews the non-CSV formats; CSV has its own streaming parser with delimiter and encoding options
+export async function parseDatasetFilePreview(file, { format = detectDatasetFormat(file), rows = 10, sheet = '' } = {}) {
+    const limit = Math.max(1, rows)
+
+    switch (format) {
+        case 'json':
+        case 'geojson':
+            return parseJsonPreview(await file.text(), limit)
+        case 'xlsx':
+            return parseWorkbookPreview(file, { limit, sheet })
+        case 'parquet':
+            return parseParquetPreview(file, { limit })
+        default:
+            throw new Error('Unsupported file type. Upload CSV, JSON, GeoJSON, Excel (.xlsx) or Parquet files.')
+    }
+}
+
+function* batchesOf(rows) {
+    for (let start = 0; start < rows.length; start += ROW_BATCH_SIZE) {
+        const end = Math.min(start + ROW_BATCH_SIZE, rows.length)
+        yield { rows: rows.slice(start, end), progress: end / rows.length }
+    }
+}
+
+function parseJsonRows(text) {
+    const parsed = JSON.parse(text)
+    if (parsed?.type === 'FeatureCollection' && Array.isArray(parsed.features)) {
+        return parsed.features.map(flattenFeature).filter(Boolean)
+    }
+    return Array.isArray(parsed) ? parsed.filter((record) => record && typeof record === 'object') : []
+}
+
+async function* iterateParquetRows(file) {
+    const buffer = parquetBuffer(file)
+    const metadata = await parquetMetadataAsync(buffer)
+    const headers = parquetSchema(metadata).children.map((child) => child.element.name)
+    const total = Number(metadata.num_rows)
+
+    for (let rowStart = 0; rowStart < total; rowStart += ROW_BATCH_SIZE) {
+        const rowEnd = Math.min(rowStart + ROW_BATCH_SIZE, total)
+        const records = await parquetReadObjects({ file: buffer, metadata, rowStart, rowEnd })
+        yield {
+            rows: records.map((record) => Object.fromEntries(headers.map((header) => [header, formatParquetValue(record[header] ?? null)]))),
+            progress: rowEnd / total,
+        }
+    }
+}
+
+/**
+ * Reads every row of a dataset file in batches of `{ rows, progress, errors? }`, with progress from 0 to 1.
+ * CSV files are streamed with the delimiter, encoding and headers resolved by the preview.
+ */
+export async function* iterateDatasetRows(file, { format = detectDatasetFormat(file), sheet = '', csv = {} } = {}) {
+    switch (format) {
+        case 'csv':
+            for await (const { rows, bytesRead, errors = [] } of iterateCsvRows(file, csv)) {
+                yield { rows, progress: file.size ? bytesRead / file.size : 1, errors }
+            }
+            return
+        case 'json':
+        case 'geojson':
+            yield* batchesOf(parseJsonRows(await file.text()))
+            return
+        case 'xlsx': {
+            const workbook = await readWorkbookRows(file, { sheet })
+            const [first = [], ...body] = workbook.rows
+            const headers = workbookHeaders(first)
+            yield* batchesOf(body.map((values) => workbookRecord(headers, values)))
+            return
+        }
+        case 'parquet':
+            yield* iterateParquetRows(file)
+            return
+        default:
+            throw new Error('Unsupported file type. Upload CSV, JSON, GeoJSON, Excel (.xlsx) or Parquet files.')
+    }
+}
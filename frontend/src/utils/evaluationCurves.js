@@ -0,0 +1,167 @@
+const CALIBRATION_BINS = 10
+
+const finite = (value) => typeof value === 'number' && Number.isFinite(value)
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value)
+
+function numericList(value) {
+    if (!Array.isArray(value)) return null
+    const list = value.map(toNumber)
+    return list.every(finite) ? list : null
+}
+
+function pointList(value, xKeys, yKeys) {
+    if (!Array.isArray(value)) return null
+    const pick = (point, keys) => {
+        for (const key of keys) {
+            const candidate = toNumber(point?.[key])
+            if (finite(candidate)) return candidate
+        }
+        return null
+    }
+    const points = value
+        .map((point) => {
+            const x = Array.isArray(point) ? toNumber(point[0]) : pick(point, xKeys)
+            const y = Array.isArray(point) ? toNumber(point[1]) : pick(point, yKeys)
+            if (!finite(x) || !finite(y)) return null
+            const threshold = Array.isArray(point) ? toNumber(point[2]) : pick(point, ['threshold'])
+            const count = Array.isArray(point) ? null : pick(point, ['count', 'support'])
+            return { x, y, threshold: finite(threshold) ? threshold : null, count }
+        })
+        .filter(Boolean)
+    return points.length >= 2 ? points : null
+}
+
+function confusionFrom(value) {
+    if (!value || typeof value !== 'object' || !Array.isArray(value.matrix)) return null
+    const matrix = value.matrix.map((row) => (Array.isArray(row) ? row.map((cell) => Number(cell) || 0) : []))
+    if (!matrix.length || matrix.some((row) => row.length !== matrix.length)) return null
+    const labels = Array.isArray(value.labels) && value.labels.length === matrix.length ? value.labels.map(String) : matrix.map((_, index) => String(index))
+    return { labels, matrix }
+}
+
+// Evaluations may carry raw score/label arrays, precomputed curve points, or both; collect whatever is present
+export function extractCurveData(entry) {
+    if (!entry || typeof entry !== 'object') return null
+    const sources = [entry, entry.curves, entry.metrics, entry.metrics?.curves].filter((source) => source && typeof source === 'object')
+    const first = (keys, read) => {
+        for (const source of sources) {
+            for (const key of keys) {
+                const value = read(source[key])
+                if (value) return value
+            }
+        }
+        return null
+    }
+
+    const scores = first(['scores', 'probabilities', 'y_score'], numericList)
+    const labels = first(['labels', 'y_true', 'targets'], numericList)
+    const hasSamples = Boolean(scores && labels && scores.length === labels.length && scores.length > 0)
+
+    const data = {
+        scores: hasSamples ? scores : null,
+        labels: hasSamples ? labels.map((label) => (label >= 1 ? 1 : 0)) : null,
+        roc: first(['roc', 'roc_curve'], (value) => pointList(value, ['fpr', 'false_positive_rate', 'x'], ['tpr', 'true_positive_rate', 'y'])),
+        pr: first(['pr', 'pr_curve', 'precision_recall', 'precision_recall_curve'], (value) => pointList(value, ['recall', 'x'], ['precision', 'y'])),
+        calibration: first(['calibration', 'reliability', 'calibration_curve'], (value) =>
+            pointList(value, ['predicted', 'mean_predicted', 'mean_predicted_value', 'x'], ['observed', 'fraction_positive', 'fraction_of_positives', 'y'])
+        ),
+        confusion: first(['confusion_matrix', 'confusion'], confusionFrom),
+    }
+
+    return data.roc || data.pr || data.calibration || data.confusion || hasSamples ? data : null
+}
+
+// Fill in any curve the evaluation did not ship precomputed from its raw samples
+export function completeCurves(data) {
+    if (!data?.scores) return data
+    const sweep = data.roc && data.pr ? null : sweepThresholds(data.scores, data.labels)
+    return {
+        ...data,
+        roc: data.roc ?? [{ x: 0, y: 0, threshold: null, count: null }, ...sweep.map((point) => ({ x: point.fpr, y: point.recall, threshold: point.threshold, count: null }))],
+        pr: data.pr ?? sweep.filter((point) => point.precision !== null).map((point) => ({ x: point.recall, y: point.precision, threshold: point.threshold, count: null })),
+        calibration: data.calibration ?? calibrationFromSamples(data.scores, data.labels),
+    }
+}
+
+export function confusionAtThreshold(scores, labels, threshold) {
+    let tp = 0
+    let fp = 0
+    let tn = 0
+    let fn = 0
+    scores.forEach((score, index) => {
+        const predicted = score >= threshold
+        if (labels[index] === 1) {
+            if (predicted) tp += 1
+            else fn += 1
+        } else if (predicted) {
+            fp += 1
+        } else {
+            tn += 1
+        }
+    })
+    const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null)
+    const precision = ratio(tp, tp + fp)
+    const recall = ratio(tp, tp + fn)
+    return {
+        tp,
+        fp,
+        tn,
+        fn,
+        precision,
+        recall,
+        fpr: ratio(fp, fp + tn),
+        accuracy: ratio(tp + tn, scores.length),
+        f1: precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null,
+    }
+}
+
+// Single pass over samples sorted by descending score, emitting one operating point per distinct threshold
+function sweepThresholds(scores, labels) {
+    const order = scores.map((score, index) => [score, labels[index]]).sort((a, b) => b[0] - a[0])
+    const positives = labels.reduce((sum, label) => sum + label, 0)
+    const negatives = labels.length - positives
+    const points = []
+    let tp = 0
+    let fp = 0
+    order.forEach(([score, label], index) => {
+        if (label === 1) tp += 1
+        else fp += 1
+        if (index < order.length - 1 && order[index + 1][0] === score) return
+        points.push({
+            threshold: score,
+            recall: positives > 0 ? tp / positives : 0,
+            fpr: negatives > 0 ? fp / negatives : 0,
+            precision: tp + fp > 0 ? tp / (tp + fp) : null,
+        })
+    })
+    return points
+}
+
+function calibrationFromSamples(scores, labels, bins = CALIBRATION_BINS) {
+    const buckets = Array.from({ length: bins }, () => ({ total: 0, positives: 0, scoreSum: 0 }))
+    scores.forEach((score, index) => {
+        const bucket = buckets[Math.min(bins - 1, Math.max(0, Math.floor(score * bins)))]
+        bucket.total += 1
+        bucket.positives += labels[index]
+        bucket.scoreSum += score
+    })
+    return buckets
+        .filter((bucket) => bucket.total > 0)
+        .map((bucket) => ({ x: bucket.scoreSum / bucket.total, y: bucket.positives / bucket.total, threshold: null, count: bucket.total }))
+}
+
+// Trapezoidal area under a curve sorted by x
+export function areaUnder(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x)
+    let area = 0
+    for (let index = 1; index < sorted.length; index += 1) {
+        area += ((sorted[index].x - sorted[index - 1].x) * (sorted[index].y + sorted[index - 1].y)) / 2
+    }
+    return area
+}
+
+export function nearestByThreshold(points, threshold) {
+    const candidates = (points ?? []).filter((point) => finite(point.threshold))
+    if (!candidates.length) return null
+    return candidates.reduce((best, point) => (Math.abs(point.threshold - threshold) < Math.abs(best.threshold - threshold) ? point : best))
+}
@@ -0,0 +1,33 @@
+import * as h3 from 'h3-js'
+
+// h3-js has accepted several ring layouts across releases, so try each until one yields cells
+export function polygonRingToCells(ringLatLng, resolution, { onError } = {}) {
+    const ringGeo = ringLatLng.map(([lat, lng]) => [lng, lat])
+    const attempts = [
+        () => h3.polygonToCells(ringLatLng, resolution),
+        () => h3.polygonToCells([ringLatLng], resolution),
+        () => h3.polygonToCells(ringGeo, resolution, { isGeoJson: true }),
+        () => h3.polygonToCells([ringGeo], resolution, { isGeoJson: true }),
+    ]
+
+    for (const attempt of attempts) {
+        try {
+            const result = attempt()
+            if (Array.isArray(result) && result.length > 0) {
+                return result
+            }
+        } catch (error) {
+            onError?.(error)
+        }
+    }
+
+    return []
+}
+
+export function estimateCellCount(areaKm2, resolution) {
+    const cellAreaKm2 = h3.getHexagonAreaAvg(resolution, 'km2')
+    if (!Number.isFinite(areaKm2) || !Number.isFinite(cellAreaKm2) || cellAreaKm2 <= 0) {
+        return 0
+    }
+    return areaKm2 / cellAreaKm2
+}
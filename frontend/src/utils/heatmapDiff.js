@@ -0,0 +1,80 @@
+const SYNTHETIC_ID_PATTERN = /^point-\d+$/
+
+function cellKey(point) {
+    const id = point?.id
+    if ((typeof id === 'string' && id.length && !SYNTHETIC_ID_PATTERN.test(id)) || typeof id === 'number') {
+        return `id:${id}`
+    }
+
+    return `ll:${point.lat.toFixed(4)},${point.lng.toFixed(4)}`
+}
+
+function indexPoints(points) {
+    const index = new Map()
+
+    for (const point of Array.isArray(points) ? points : []) {
+        if (!point || !Number.isFinite(point.lat) || !Number.isFinite(point.lng)) {
+            continue
+        }
+        index.set(cellKey(point), point)
+    }
+
+    return index
+}
+
+// Cells missing from one side are treated as zero intensity on that side
+export function diffHeatmapPoints(baseline, target) {
+    const baseIndex = indexPoints(baseline)
+    const targetIndex = indexPoints(target)
+    const keys = new Set([...baseIndex.keys(), ...targetIndex.keys()])
+    const cells = []
+
+    for (const key of keys) {
+        const before = baseIndex.get(key)
+        const after = targetIndex.get(key)
+        const anchor = after ?? before
+        const delta = Number(((after?.intensity ?? 0) - (before?.intensity ?? 0)).toFixed(3))
+
+        cells.push({
+            id: anchor.id,
+            lat: anchor.lat,
+            lng: anchor.lng,
+            before: before?.intensity ?? null,
+            after: after?.intensity ?? null,
+            delta,
+            intensity: Math.abs(delta),
+        })
+    }
+
+    return cells
+}
+
+export function summariseHeatmapDiff(cells) {
+    const list = Array.isArray(cells) ? cells : []
+    let increased = 0
+    let decreased = 0
+    let total = 0
+    let largestIncrease = null
+    let largestDecrease = null
+
+    for (const cell of list) {
+        total += cell.delta
+        if (cell.delta > 0) {
+            increased += 1
+            if (!largestIncrease || cell.delta > largestIncrease.delta) largestIncrease = cell
+        } else if (cell.delta < 0) {
+            decreased += 1
+            if (!largestDecrease || cell.delta < largestDecrease.delta) largestDecrease = cell
+        }
+    }
+
+    return {
+        cellCount: list.length,
+        increased,
+        decreased,
+        unchanged: list.length - increased - decreased,
+        meanDelta: list.length ? Number((total / list.length).toFixed(3)) : 0,
+        largestIncrease,
+        largestDecrease,
+    }
+}
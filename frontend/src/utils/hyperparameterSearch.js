@@ -0,0 +1,135 @@
+import { setPath } from './hyperparameters'
+
+export const MAX_TUNING_TRIALS = 24
+
+export const TUNING_STRATEGIES = Object.freeze([
+    { value: 'grid', label: 'Grid search', description: 'Train every combination of the listed values.' },
+    { value: 'random', label: 'Random search', description: 'Sample a fixed number of combinations from ranges.' },
+])
+
+// Ranking metric preference; the first one any trial reports is used
+export const LEADERBOARD_METRICS = Object.freeze(['macro_f1', 'f1', 'accuracy', 'auc', 'precision', 'recall'])
+
+const categoricalTypes = new Set(['select', 'boolean'])
+
+export function isCategorical(field) {
+    return categoricalTypes.has(field.type)
+}
+
+function parseScalar(field, raw) {
+    const value = Number(raw)
+    if (raw === '' || !Number.isFinite(value)) return { error: `"${raw}" is not a number.` }
+    if (field.type === 'integer' && !Number.isInteger(value)) return { error: `${field.label} needs whole numbers.` }
+    if (value < field.min || value > field.max) return { error: `${field.label} values must be between ${field.min} and ${field.max}.` }
+    return { value }
+}
+
+/**
+ * Turns the tune form's state for one field into a search dimension.
+ * Grid lists are comma separated (hidden layer sets use ";" between sets); random search takes a min/max range.
+ */
+export function parseDimension(field, state, strategy) {
+    if (isCategorical(field)) {
+        const values = field.type === 'boolean' ? state.options.map((option) => option === 'true') : [...state.options]
+        return values.length ? { dimension: { key: field.key, values } } : { error: `Pick at least one ${field.label.toLowerCase()} option.` }
+    }
+
+    if (field.type === 'integerList') {
+        const values = state.valuesText
+            .split(';')
+            .map((part) => part.split(',').map((item) => item.trim()).filter(Boolean).map(Number))
+            .filter((layers) => layers.length)
+        if (!values.length) return { error: `List at least one ${field.label.toLowerCase()} set.` }
+        if (values.some((layers) => layers.some((size) => !Number.isInteger(size) || size < field.min || size > field.max))) {
+            return { error: `${field.label} sizes must be whole numbers between ${field.min} and ${field.max}.` }
+        }
+        return { dimension: { key: field.key, values } }
+    }
+
+    if (strategy === 'random') {
+        const min = parseScalar(field, String(state.min).trim())
+        const max = parseScalar(field, String(state.max).trim())
+        if (min.error || max.error) return { error: min.error ?? max.error }
+        if (min.value >= max.value) return { error: `${field.label} minimum must be below the maximum.` }
+        return { dimension: { key: field.key, min: min.value, max: max.value, log: Boolean(state.log), integer: field.type === 'integer' } }
+    }
+
+    const values = []
+    for (const raw of state.valuesText.split(',').map((item) => item.trim()).filter(Boolean)) {
+        const parsed = parseScalar(field, raw)
+        if (parsed.error) return { error: parsed.error }
+        if (!values.includes(parsed.value)) values.push(parsed.value)
+    }
+    return values.length ? { dimension: { key: field.key, values } } : { error: `List at least one ${field.label.toLowerCase()} value.` }
+}
+
+export function gridCombinations(space) {
+    return space.reduce(
+        (combinations, dimension) => combinations.flatMap((combo) => dimension.values.map((value) => ({ ...combo, [dimension.key]: value }))),
+        [{}]
+    )
+}
+
+export function gridSize(space) {
+    return space.reduce((total, dimension) => total * dimension.values.length, 1)
+}
+
+function sampleDimension(dimension, random) {
+    if (dimension.values) {
+        return dimension.values[Math.floor(random() * dimension.values.length)]
+    }
+    const { min, max } = dimension
+    const value = dimension.log && min > 0 ? Math.exp(Math.log(min) + random() * (Math.log(max) - Math.log(min))) : min + random() * (max - min)
+    return dimension.integer ? Math.round(value) : Number(value.toPrecision(4))
+}
+
+export function randomCombinations(space, count, random = Math.random) {
+    const seen = new Set()
+    const combinations = []
+    // Small discrete spaces run out of unique draws, so stop after a bounded number of attempts
+    for (let attempt = 0; attempt < count * 20 && combinations.length < count; attempt += 1) {
+        const combo = Object.fromEntries(space.map((dimension) => [dimension.key, sampleDimension(dimension, random)]))
+        const key = JSON.stringify(combo)
+        if (!seen.has(key)) {
+            seen.add(key)
+            combinations.push(combo)
+        }
+    }
+    return combinations
+}
+
+/**
+ * Expands a search space into per-trial hyperparameters layered over the shared base settings.
+ * Each searched key is also pinned in `grid` so the backend's own parameter search keeps the trial value.
+ */
+export function buildTrials({ base = {}, space, strategy, count }) {
+    if (!space.length) return []
+    const combinations = strategy === 'random' ? randomCombinations(space, Math.min(count, MAX_TUNING_TRIALS)) : gridCombinations(space)
+    return combinations.slice(0, MAX_TUNING_TRIALS).map((combo) => {
+        let hyperparameters = { ...base }
+        const grid = { ...(base.grid ?? {}) }
+        for (const [key, value] of Object.entries(combo)) {
+            hyperparameters = setPath(hyperparameters, key, value)
+            if (!key.includes('.')) grid[key] = [value]
+        }
+        return { hyperparameters: { ...hyperparameters, grid }, params: combo }
+    })
+}
+
+export function describeParams(params) {
+    return Object.entries(params)
+        .map(([key, value]) => `${key.split('.').pop()}=${Array.isArray(value) ? `[${value.join(',')}]` : value}`)
+        .join(', ')
+}
+
+export function pickLeaderboardMetric(trials) {
+    return LEADERBOARD_METRICS.find((metric) => trials.some((trial) => typeof trial.metrics?.[metric] === 'number')) ?? null
+}
+
+export function rankTrials(trials, metric) {
+    const score = (trial) => {
+        const value = metric ? trial.metrics?.[metric] : undefined
+        return typeof value === 'number' && Number.isFinite(value) ? value : Number.NEGATIVE_INFINITY
+    }
+    return [...trials].sort((a, b) => score(b) - score(a))
+}
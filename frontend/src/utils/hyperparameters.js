@@ -0,0 +1,179 @@
+import { defaultModelType, hyperparameterFields, modelTypes, rawOnlyHyperparameterKeys } from '../dicts/hyperparameters'
+
+const knownTopLevelKeys = new Set(['model_type', ...rawOnlyHyperparameterKeys, ...hyperparameterFields.map((field) => field.key.split('.')[0])])
+const knownKernelOptionKeys = new Set(
+    hyperparameterFields.filter((field) => field.key.startsWith('kernel_options.')).map((field) => field.key.split('.')[1])
+)
+
+export function getPath(values, key) {
+    return key.split('.').reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), values)
+}
+
+// Returns a copy; clearing the last nested key drops the empty parent object too
+export function setPath(values, key, value) {
+    const [head, ...rest] = key.split('.')
+    const next = { ...values }
+    if (rest.length) {
+        const child = setPath(next[head] && typeof next[head] === 'object' ? next[head] : {}, rest.join('.'), value)
+        if (Object.keys(child).length) next[head] = child
+        else delete next[head]
+    } else if (value === undefined || value === '') {
+        delete next[head]
+    } else {
+        next[head] = value
+    }
+    return next
+}
+
+export function resolveModelType(values) {
+    const candidate = typeof values?.model_type === 'string' ? values.model_type.toLowerCase() : ''
+    return modelTypes.some((type) => type.value === candidate) ? candidate : defaultModelType
+}
+
+export function isFieldActive(field, values) {
+    if (!field.when) return true
+    return Object.entries(field.when).every(([key, allowed]) => {
+        const dependency = hyperparameterFields.find((candidate) => candidate.key === key)
+        return allowed.includes(getPath(values, key) ?? dependency?.default)
+    })
+}
+
+export function fieldsForModelType(modelType, values = {}) {
+    return hyperparameterFields.filter((field) => field.modelTypes.includes(modelType) && isFieldActive(field, values))
+}
+
+// Drop settings that only applied to the previous algorithm so they are not sent along by mistake
+export function switchModelType(values, modelType) {
+    let next = { ...values, model_type: modelType }
+    for (const field of hyperparameterFields) {
+        if (!field.modelTypes.includes(modelType) && getPath(next, field.key) !== undefined) {
+            next = setPath(next, field.key, undefined)
+        }
+    }
+    return next
+}
+
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+    for (let i = 1; i <= a.length; i += 1) {
+        let diagonal = previous[0]
+        previous[0] = i
+        for (let j = 1; j <= b.length; j += 1) {
+            const above = previous[j]
+            previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1))
+            diagonal = above
+        }
+    }
+    return previous[b.length]
+}
+
+export function suggestKey(key, candidates) {
+    const normalised = String(key).toLowerCase().replace(/[\s-]+/g, '_')
+    let best = null
+    for (const candidate of candidates) {
+        const distance = normalised === candidate ? 0 : editDistance(normalised, candidate)
+        if (distance <= Math.max(2, Math.floor(candidate.length / 4)) && (!best || distance < best.distance)) {
+            best = { candidate, distance }
+        }
+    }
+    return best?.candidate ?? null
+}
+
+function validateValue(field, value) {
+    const range = `between ${field.min} and ${field.max}`
+    switch (field.type) {
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'Enter a number.'
+            if (value < field.min || value > field.max) return `Must be ${range}.`
+            return ''
+        case 'integer':
+            if (!Number.isInteger(value)) return 'Enter a whole number.'
+            if (value < field.min || value > field.max) return `Must be ${range}.`
+            return ''
+        case 'integerList':
+            if (!Array.isArray(value) || !value.length) return 'Provide at least one layer size.'
+            if (value.some((item) => !Number.isInteger(item))) return 'Use whole numbers separated by commas.'
+            if (value.some((item) => item < field.min || item > field.max)) return `Each value must be ${range}.`
+            return ''
+        case 'boolean':
+            return typeof value === 'boolean' ? '' : 'Choose true or false.'
+        case 'select':
+            return field.options.some((option) => option.value === value)
+                ? ''
+                : `Choose one of: ${field.options.map((option) => option.value).join(', ')}.`
+        default:
+            return ''
+    }
+}
+
+/**
+ * Errors block submission (bad values, unknown keys); warnings flag settings the chosen algorithm ignores.
+ * Unknown keys that look like a typo of a known one get an entry in `suggestions`.
+ */
+export function validateHyperparameters(values) {
+    const errors = {}
+    const warnings = {}
+    const suggestions = {}
+    const modelType = resolveModelType(values)
+
+    if (values.model_type !== undefined && values.model_type !== modelType) {
+        errors.model_type = `Choose one of: ${modelTypes.map((type) => type.value).join(', ')}.`
+    }
+
+    const flagUnknown = (key, path, candidates, prefix = '') => {
+        const suggestion = suggestKey(key, candidates)
+        errors[path] = suggestion ? `Unknown hyperparameter "${key}". Did you mean "${suggestion}"?` : `Unknown hyperparameter "${key}".`
+        if (suggestion) suggestions[path] = `${prefix}${suggestion}`
+    }
+
+    for (const key of Object.keys(values)) {
+        if (!knownTopLevelKeys.has(key)) flagUnknown(key, key, knownTopLevelKeys)
+    }
+
+    const kernelOptions = values.kernel_options
+    if (kernelOptions !== undefined) {
+        if (!kernelOptions || typeof kernelOptions !== 'object' || Array.isArray(kernelOptions)) {
+            errors.kernel_options = 'Kernel options must be an object.'
+        } else {
+            for (const key of Object.keys(kernelOptions)) {
+                if (!knownKernelOptionKeys.has(key)) flagUnknown(key, `kernel_options.${key}`, knownKernelOptionKeys, 'kernel_options.')
+            }
+        }
+    }
+
+    for (const field of hyperparameterFields) {
+        const value = getPath(values, field.key)
+        if (value === undefined) continue
+        const message = validateValue(field, value)
+        if (message) {
+            errors[field.key] = message
+        } else if (!field.modelTypes.includes(modelType)) {
+            warnings[field.key] = `Ignored by ${modelTypes.find((type) => type.value === modelType)?.label ?? modelType}.`
+        } else if (!isFieldActive(field, values)) {
+            warnings[field.key] = 'Ignored with the selected kernel.'
+        }
+    }
+
+    return { errors, warnings, suggestions, valid: Object.keys(errors).length === 0 }
+}
+
+export function parseHyperparameterJson(text) {
+    if (!text.trim()) return { values: {}, error: '' }
+    try {
+        const parsed = JSON.parse(text)
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+            return { values: parsed, error: '' }
+        }
+        return { values: null, error: 'Provide a JSON object.' }
+    } catch (error) {
+        return { values: null, error: `Invalid JSON: ${error.message}` }
+    }
+}
+
+export function parseIntegerList(text) {
+    return String(text)
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map(Number)
+}
@@ -0,0 +1,8 @@
+// Ids for records created in the browser. The prefix only shows up where crypto.randomUUID is unavailable,
+// such as pages served over plain HTTP.
+export function generateId(prefix = 'id') {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID()
+    }
+    return `${prefix}-${Math.random().toString(36).slice(2, 10)}-${Date.now()}`
+}
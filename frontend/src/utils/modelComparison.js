@@ -0,0 +1,86 @@
+export const MAX_COMPARISON_ITEMS = 6
+
+const LOWER_IS_BETTER_PATTERN = /(loss|error|mae|mse|rmse|brier|ece|fpr|false_positive)/i
+
+export const isLowerBetter = (metric) => LOWER_IS_BETTER_PATTERN.test(metric)
+
+// Items travel through the route query as "m:<modelId>" or "e:<modelId>:<evaluationId>" so a comparison can be shared
+export function comparisonKey(item) {
+    return item.evaluationId ? `e:${item.modelId}:${item.evaluationId}` : `m:${item.modelId}`
+}
+
+export function parseComparisonKeys(value) {
+    const raw = Array.isArray(value) ? value : String(value ?? '').split(',')
+    const items = []
+    for (const entry of raw) {
+        const [kind, modelId, ...rest] = String(entry).split(':')
+        if (!modelId || (kind !== 'm' && kind !== 'e')) continue
+        const evaluationId = kind === 'e' ? rest.join(':') : null
+        if (kind === 'e' && !evaluationId) continue
+        const item = { modelId, evaluationId }
+        if (!items.some((existing) => comparisonKey(existing) === comparisonKey(item))) items.push(item)
+    }
+    return items.slice(0, MAX_COMPARISON_ITEMS)
+}
+
+// Resolve selected keys against loaded models; evaluation runs carry their own metrics
+export function resolveComparisonEntries(items, models) {
+    return items
+        .map((item) => {
+            const model = models.find((candidate) => String(candidate.id) === String(item.modelId))
+            if (!model) return null
+            if (!item.evaluationId) {
+                return {
+                    key: comparisonKey(item),
+                    label: model.name || model.id,
+                    detail: model.version ? `Version ${model.version}` : 'Current metrics',
+                    model,
+                    metrics: model.metrics ?? {},
+                }
+            }
+            const evaluation = (model.evaluations ?? []).find((entry) => entry.id === item.evaluationId)
+            if (!evaluation) return null
+            return {
+                key: comparisonKey(item),
+                label: model.name || model.id,
+                detail: evaluation.datasetId ? `Evaluation on ${evaluation.datasetId}` : 'Evaluation run',
+                evaluatedAt: evaluation.evaluatedAt,
+                model,
+                metrics: evaluation.metrics ?? {},
+            }
+        })
+        .filter(Boolean)
+}
+
+// One row per numeric metric with deltas against the baseline entry and the best value flagged
+export function buildMetricRows(entries, baselineKey = entries[0]?.key) {
+    const metricKeys = [...new Set(entries.flatMap((entry) => Object.keys(entry.metrics ?? {})))]
+        .filter((metric) => entries.some((entry) => typeof entry.metrics?.[metric] === 'number' && Number.isFinite(entry.metrics[metric])))
+        .sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }))
+
+    const baseline = entries.find((entry) => entry.key === baselineKey) ?? entries[0]
+
+    return metricKeys.map((metric) => {
+        const lowerIsBetter = isLowerBetter(metric)
+        const numeric = entries
+            .map((entry) => entry.metrics?.[metric])
+            .filter((value) => typeof value === 'number' && Number.isFinite(value))
+        const best = numeric.length ? (lowerIsBetter ? Math.min(...numeric) : Math.max(...numeric)) : null
+        const baselineValue = baseline?.metrics?.[metric]
+
+        return {
+            metric,
+            lowerIsBetter,
+            values: entries.map((entry) => {
+                const value = entry.metrics?.[metric]
+                const valid = typeof value === 'number' && Number.isFinite(value)
+                return {
+                    key: entry.key,
+                    value: valid ? value : null,
+                    delta: valid && typeof baselineValue === 'number' && entry.key !== baseline.key ? value - baselineValue : null,
+                    best: valid && numeric.length > 1 && value === best,
+                }
+            }),
+        }
+    })
+}
@@ -0,0 +1,103 @@
+export const LINEAGE_EVENT_LABELS = Object.freeze({
+    training: 'Training run',
+    artifact: 'Version saved',
+    evaluation: 'Evaluation',
+    activated: 'Activated',
+    deactivated: 'Deactivated',
+    rolled_back: 'Rolled back',
+})
+
+function toTime(value) {
+    const time = value ? new Date(value).getTime() : Number.NaN
+    return Number.isFinite(time) ? time : null
+}
+
+/**
+ * Merges training runs, saved artifacts, evaluations and activation events into one newest-first timeline.
+ * Artifacts are attached to the training run that produced them; older artifacts whose run is no longer
+ * returned by the API appear as standalone version entries.
+ */
+export function buildLineageTimeline({ model = null, trainingRuns = [], artifacts = [], evaluations = [], lineage = [] }) {
+    const currentVersion = model?.version ?? null
+    const artifactsByRun = new Map(artifacts.filter((artifact) => artifact.training_run_id).map((artifact) => [artifact.training_run_id, artifact]))
+    const attached = new Set()
+    const entries = []
+
+    for (const run of trainingRuns) {
+        const artifact = artifactsByRun.get(run.id) ?? null
+        if (artifact) attached.add(artifact.version)
+        entries.push({
+            id: `run-${run.id}`,
+            kind: 'training',
+            at: run.finished_at ?? run.created_at ?? null,
+            status: run.status ?? null,
+            version: artifact?.version ?? null,
+            datasetId: model?.datasetId ?? null,
+            metrics: run.metrics ?? artifact?.metrics ?? null,
+            hyperparameters: run.hyperparameters ?? artifact?.hyperparameters ?? null,
+            artifact,
+        })
+    }
+
+    for (const artifact of artifacts) {
+        if (attached.has(artifact.version)) continue
+        entries.push({
+            id: `artifact-${artifact.version}`,
+            kind: 'artifact',
+            at: artifact.trained_at ?? null,
+            status: null,
+            version: artifact.version,
+            datasetId: model?.datasetId ?? null,
+            metrics: artifact.metrics ?? null,
+            hyperparameters: artifact.hyperparameters ?? null,
+            artifact,
+        })
+    }
+
+    for (const evaluation of evaluations) {
+        entries.push({
+            id: `evaluation-${evaluation.id}`,
+            kind: 'evaluation',
+            at: evaluation.evaluatedAt ?? null,
+            status: null,
+            version: null,
+            datasetId: evaluation.datasetId ?? null,
+            metrics: evaluation.metrics ?? null,
+            hyperparameters: null,
+            artifact: null,
+        })
+    }
+
+    lineage.forEach((event, index) => {
+        if (!LINEAGE_EVENT_LABELS[event.event]) return
+        entries.push({
+            id: `event-${index}`,
+            kind: event.event,
+            at: event.at ?? null,
+            status: null,
+            version: event.version ?? null,
+            fromVersion: event.from_version ?? null,
+            supersededBy: event.superseded_by ?? null,
+            datasetId: null,
+            metrics: null,
+            hyperparameters: null,
+            artifact: null,
+        })
+    })
+
+    return entries
+        .map((entry) => ({ ...entry, isCurrent: Boolean(entry.artifact && entry.artifact.version === currentVersion) }))
+        .sort((a, b) => (toTime(b.at) ?? Number.NEGATIVE_INFINITY) - (toTime(a.at) ?? Number.NEGATIVE_INFINITY))
+}
+
+// Pairs each hyperparameter with the value from the previous run so the timeline can highlight what changed
+export function diffHyperparameters(current, previous) {
+    const keys = [...new Set([...Object.keys(current ?? {}), ...Object.keys(previous ?? {})])].filter((key) => key !== 'grid')
+    return keys
+        .map((key) => {
+            const value = current?.[key]
+            const before = previous?.[key]
+            return { key, value, before, changed: previous !== null && JSON.stringify(value) !== JSON.stringify(before) }
+        })
+        .filter((item) => item.value !== undefined || item.changed)
+}
@@ -0,0 +1,65 @@
+import { inferColumnTypes } from './nlqChart'
+
+const MAX_LISTED_CHANGES = 10
+
+// Mirrors NlqAnswer's table extraction so saved queries compare the same rows users see
+export function tabularRows(payload) {
+    let rows = null
+    if (Array.isArray(payload)) {
+        rows = payload
+    } else if (payload && typeof payload === 'object') {
+        rows = Object.values(payload).find((value) => Array.isArray(value) && value.length > 0) ?? null
+    }
+    if (!rows) return null
+
+    return rows.map((row) => (row && typeof row === 'object' && !Array.isArray(row) ? row : { value: row }))
+}
+
+function rowKeyFor(rows) {
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+    const types = inferColumnTypes(rows, columns)
+    const keyColumn = columns.find((column) => ['h3', 'category', 'date'].includes(types[column]))
+    const numeric = columns.filter((column) => types[column] === 'number' && column !== keyColumn)
+    return { key: keyColumn ? (row) => String(row[keyColumn]) : (row, index) => `#${index + 1}`, numeric }
+}
+
+// Compare two runs of the same saved query; returns null when nothing meaningful changed
+export function diffRuns(previous, next) {
+    if (!previous || !next || previous.error || next.error) return null
+
+    const changes = { answerChanged: previous.answer !== next.answer, added: [], removed: [], changed: [] }
+    const before = tabularRows(previous.data) ?? []
+    const after = tabularRows(next.data) ?? []
+
+    if (before.length || after.length) {
+        const { key, numeric } = rowKeyFor([...before, ...after])
+        const beforeByKey = new Map(before.map((row, index) => [key(row, index), row]))
+        const afterByKey = new Map(after.map((row, index) => [key(row, index), row]))
+
+        afterByKey.forEach((row, rowKey) => {
+            const old = beforeByKey.get(rowKey)
+            if (!old) {
+                changes.added.push(rowKey)
+                return
+            }
+            numeric.forEach((column) => {
+                const from = Number(old[column])
+                const to = Number(row[column])
+                if (Number.isFinite(from) && Number.isFinite(to) && from !== to) {
+                    changes.changed.push({ key: rowKey, column, from, to, delta: to - from })
+                }
+            })
+        })
+        beforeByKey.forEach((_, rowKey) => {
+            if (!afterByKey.has(rowKey)) changes.removed.push(rowKey)
+        })
+    }
+
+    changes.changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    changes.added = changes.added.slice(0, MAX_LISTED_CHANGES)
+    changes.removed = changes.removed.slice(0, MAX_LISTED_CHANGES)
+    changes.changed = changes.changed.slice(0, MAX_LISTED_CHANGES)
+
+    const hasChanges = changes.answerChanged || changes.added.length || changes.removed.length || changes.changed.length
+    return hasChanges ? changes : null
+}
@@ -0,0 +1,99 @@
+import * as h3 from 'h3-js'
+
+export const CHART_TYPES = [
+    { id: 'bar', label: 'Bar' },
+    { id: 'line', label: 'Line' },
+    { id: 'timeseries', label: 'Time series' },
+]
+
+const LAT_NAMES = new Set(['lat', 'latitude', 'y'])
+const LNG_NAMES = new Set(['lng', 'lon', 'long', 'longitude', 'x'])
+const DATE_NAME_PATTERN = /(date|time|_at$|day|week|month|period|bucket)/i
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+const isNumeric = (value) =>
+    (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)))
+
+const isDateLike = (value, column) => {
+    if (value instanceof Date) return true
+    if (typeof value === 'string') return ISO_DATE_PATTERN.test(value.trim())
+    // Epoch numbers only count as dates when the column name says so
+    return typeof value === 'number' && DATE_NAME_PATTERN.test(column) && value > 1e9
+}
+
+function classify(column, values) {
+    const present = values.filter((value) => value !== null && value !== undefined && value !== '')
+    if (!present.length) return 'empty'
+
+    const name = column.toLowerCase()
+    if (present.every((value) => typeof value === 'string' && h3.isValidCell(value))) return 'h3'
+    if (present.every((value) => isDateLike(value, column))) return 'date'
+    if (present.every(isNumeric)) {
+        if (LAT_NAMES.has(name) && present.every((value) => Math.abs(Number(value)) <= 90)) return 'lat'
+        if (LNG_NAMES.has(name) && present.every((value) => Math.abs(Number(value)) <= 180)) return 'lng'
+        return 'number'
+    }
+    if (present.some((value) => typeof value === 'object')) return 'object'
+    return 'category'
+}
+
+export function inferColumnTypes(rows, columns) {
+    return Object.fromEntries(columns.map((column) => [column, classify(column, rows.map((row) => row?.[column]))]))
+}
+
+export function toDate(value) {
+    const date = typeof value === 'number' && value < 1e12 ? new Date(value * 1000) : new Date(value)
+    return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Pick axes and chart types from column types; returns null when nothing is plottable
+export function recommendChart(rows, columns) {
+    if (!Array.isArray(rows) || rows.length < 1) return null
+
+    const types = inferColumnTypes(rows, columns)
+    const byType = (type) => columns.filter((column) => types[column] === type)
+    const numbers = byType('number')
+    const dates = byType('date')
+    const labels = [...byType('category'), ...byType('h3')]
+
+    let geo = null
+    const h3Column = byType('h3')[0]
+    const latColumn = byType('lat')[0]
+    const lngColumn = byType('lng')[0]
+    if (h3Column) {
+        geo = { kind: 'h3', column: h3Column, value: numbers[0] ?? null }
+    } else if (latColumn && lngColumn) {
+        geo = { kind: 'latlng', lat: latColumn, lng: lngColumn, value: numbers[0] ?? null }
+    }
+
+    if (!numbers.length) {
+        return geo ? { types, available: [], defaultType: null, x: null, y: null, geo } : null
+    }
+
+    const available = []
+    let defaultType
+    let x
+
+    if (dates.length) {
+        x = dates[0]
+        available.push('timeseries', 'bar')
+        defaultType = 'timeseries'
+    } else if (labels.length) {
+        x = labels[0]
+        available.push('bar', 'line')
+        defaultType = 'bar'
+    } else if (numbers.length >= 2) {
+        x = numbers[0]
+        available.push('line', 'bar')
+        defaultType = 'line'
+    } else {
+        x = null
+        available.push('bar', 'line')
+        defaultType = 'bar'
+    }
+
+    const y = numbers.find((column) => column !== x) ?? numbers[0]
+
+    return { types, available, defaultType, x, y, geo }
+}
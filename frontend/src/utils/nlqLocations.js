@@ -0,0 +1,83 @@
+import { cellToBoundary, cellToLatLng } from 'h3-js'
+import { inferColumnTypes } from './nlqChart'
+
+const AREA_NAME_PATTERN = /(area|name|neighbou?rhood|district|ward|borough|region|place|location)/i
+const MAX_FOCUS_CELLS = 500
+const MIN_RADIUS_KM = 0.5
+const MAX_RADIUS_KM = 5
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+export function distanceKm(from, to) {
+    const dLat = toRadians(to.lat - from.lat)
+    const dLng = toRadians(to.lng - from.lng)
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+}
+
+// Snap to the half-kilometre steps PredictForm's radius slider accepts
+const clampRadius = (km) => Math.min(MAX_RADIUS_KM, Math.max(MIN_RADIUS_KM, Math.ceil(km * 2) / 2))
+
+// Collect H3 cells, coordinates and area names from NLQ rows; returns null when nothing is mappable
+export function extractMapFocus(rows, columns) {
+    if (!Array.isArray(rows) || !rows.length) return null
+
+    const types = inferColumnTypes(rows, columns)
+    const h3Columns = columns.filter((column) => types[column] === 'h3')
+    const latColumn = columns.find((column) => types[column] === 'lat')
+    const lngColumn = columns.find((column) => types[column] === 'lng')
+    const nameColumn = columns.find((column) => types[column] === 'category' && AREA_NAME_PATTERN.test(column))
+
+    const cells = new Set()
+    const points = []
+    const areaNames = new Set()
+
+    for (const row of rows) {
+        h3Columns.forEach((column) => {
+            if (row?.[column] && cells.size < MAX_FOCUS_CELLS) cells.add(row[column])
+        })
+        if (latColumn && lngColumn) {
+            const lat = Number(row?.[latColumn])
+            const lng = Number(row?.[lngColumn])
+            if (Number.isFinite(lat) && Number.isFinite(lng) && points.length < MAX_FOCUS_CELLS) {
+                points.push({ lat, lng, label: nameColumn ? String(row?.[nameColumn] ?? '') : '' })
+            }
+        }
+        if (nameColumn && typeof row?.[nameColumn] === 'string' && row[nameColumn].trim()) {
+            areaNames.add(row[nameColumn].trim())
+        }
+    }
+
+    if (!cells.size && !points.length && !areaNames.size) return null
+
+    const anchors = [
+        ...[...cells].map((cell) => {
+            const [lat, lng] = cellToLatLng(cell)
+            return { lat, lng }
+        }),
+        ...points,
+    ]
+
+    let center = null
+    let radiusKm = null
+    if (anchors.length) {
+        center = {
+            lat: anchors.reduce((sum, anchor) => sum + anchor.lat, 0) / anchors.length,
+            lng: anchors.reduce((sum, anchor) => sum + anchor.lng, 0) / anchors.length,
+        }
+        // Measure to cell edges rather than centroids so a single hexagon still gets a sensible extent
+        const extentPoints = [
+            ...[...cells].flatMap((cell) => cellToBoundary(cell).map(([lat, lng]) => ({ lat, lng }))),
+            ...points,
+        ]
+        radiusKm = clampRadius(Math.max(0, ...extentPoints.map((point) => distanceKm(center, point))))
+    }
+
+    return {
+        cells: [...cells],
+        points,
+        areaNames: [...areaNames],
+        center,
+        radiusKm,
+    }
+}
@@ -0,0 +1,65 @@
+const DEFAULT_HORIZON_STEPS = 6
+
+function formatFrameTime(value) {
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) return null
+    return new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeStyle: 'short' }).format(date)
+}
+
+function frameTimestamp(timestamp, horizon) {
+    const start = new Date(timestamp)
+    if (Number.isNaN(start.getTime())) return null
+    return new Date(start.getTime() + horizon * 60 * 60 * 1000).toISOString()
+}
+
+// Completed sweep runs become frames; when several radii were swept only the preferred radius is kept
+export function buildSweepFrames(runs, preferredRadiusKm = null) {
+    const completed = (Array.isArray(runs) ? runs : []).filter(
+        (run) => run?.status === 'completed' && run.prediction
+    )
+    if (!completed.length) return []
+
+    const radii = [...new Set(completed.map((run) => run.filters.radiusKm))]
+    const radiusKm = radii.includes(preferredRadiusKm) ? preferredRadiusKm : Math.min(...radii)
+
+    return completed
+        .filter((run) => run.filters.radiusKm === radiusKm)
+        .map((run) => ({
+            id: run.key,
+            label: `+${run.filters.horizon}h`,
+            timestamp: frameTimestamp(run.filters.timestamp, run.filters.horizon),
+            points: run.prediction.heatmap ?? [],
+            tileOptions: { tsStart: run.filters.timestamp, horizon: run.filters.horizon },
+        }))
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+        .map((frame) => ({
+            ...frame,
+            label: frame.timestamp ? `${frame.label} · ${formatFrameTime(frame.timestamp)}` : frame.label,
+        }))
+}
+
+// Horizon frames drop the prediction's own points so the heatmap tiles are drawn for each step
+export function buildHorizonFrames({ timestamp, horizon, steps = DEFAULT_HORIZON_STEPS } = {}) {
+    const total = Number(horizon)
+    if (!timestamp || !Number.isFinite(total) || total <= 0) return []
+
+    const count = Math.max(2, Math.min(steps, Math.round(total)))
+    const frames = []
+
+    for (let index = 1; index <= count; index += 1) {
+        const hours = Math.round((total * index) / count)
+        if (frames.some((frame) => frame.horizon === hours)) continue
+
+        const at = frameTimestamp(timestamp, hours)
+        frames.push({
+            id: `horizon-${hours}`,
+            horizon: hours,
+            label: at ? `+${hours}h · ${formatFrameTime(at)}` : `+${hours}h`,
+            timestamp: at,
+            points: [],
+            tileOptions: { tsStart: timestamp, horizon: hours },
+        })
+    }
+
+    return frames
+}
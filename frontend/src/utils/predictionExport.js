@@ -0,0 +1,319 @@
+import * as h3 from 'h3-js'
+import { BASE_LAYERS } from '../stores/map'
+
+export const EXPORT_FORMATS = [
+    { id: 'geojson', label: 'GeoJSON' },
+    { id: 'csv', label: 'CSV' },
+    { id: 'png', label: 'PNG snapshot' },
+]
+
+const DEFAULT_CELL_RESOLUTION = 8
+const SNAPSHOT_WIDTH = 1200
+const SNAPSHOT_HEIGHT = 800
+const SNAPSHOT_PADDING = 48
+const TILE_SIZE = 256
+const TILE_TIMEOUT_MS = 5000
+
+// Same blue ramp as the prediction map so exported snapshots read like the on-screen view
+export function intensityColour(normalized) {
+    const clamped = Math.max(0, Math.min(1, normalized))
+    const start = [37, 99, 235]
+    const end = [14, 165, 233]
+    const mix = (from, to) => Math.round(from + (to - from) * clamped)
+    const alpha = Math.min(0.85, 0.25 + clamped * 0.55)
+    return `rgba(${mix(start[0], end[0])}, ${mix(start[1], end[1])}, ${mix(start[2], end[2])}, ${alpha})`
+}
+
+export function exportBaseName(prediction) {
+    const generated = new Date(prediction?.generatedAt ?? Date.now())
+    const stamp = Number.isNaN(generated.getTime())
+        ? 'undated'
+        : generated.toISOString().slice(0, 16).replace(/[:T]/g, '-')
+    return `prediction-${String(prediction?.id ?? 'local').slice(0, 8)}-${stamp}`
+}
+
+export function predictionCells(prediction) {
+    const resolution = Number(prediction?.filters?.area?.resolution) || DEFAULT_CELL_RESOLUTION
+    const cells = new Map()
+
+    for (const point of prediction?.heatmap ?? []) {
+        const candidate = String(point.id ?? '')
+        let cell = h3.isValidCell(candidate) ? candidate : null
+        if (!cell) {
+            try {
+                cell = h3.latLngToCell(point.lat, point.lng, resolution)
+            } catch {
+                continue
+            }
+        }
+
+        // Several points can land in one cell when the payload is point based, so keep the strongest reading
+        const existing = cells.get(cell)
+        if (!existing || point.intensity > existing.intensity) {
+            cells.set(cell, { cell, lat: point.lat, lng: point.lng, intensity: point.intensity })
+        }
+    }
+
+    return [...cells.values()]
+}
+
+export function buildSidecar(prediction) {
+    return {
+        id: prediction?.id ?? null,
+        status: prediction?.status ?? null,
+        generated_at: prediction?.generatedAt ?? null,
+        model: prediction?.model ?? (prediction?.modelId ? { id: prediction.modelId } : null),
+        filters: prediction?.filters ?? {},
+        summary: prediction?.summary ?? {},
+        top_features: prediction?.topFeatures ?? [],
+        cell_count: predictionCells(prediction).length,
+        exported_at: new Date().toISOString(),
+    }
+}
+
+export function buildGeoJson(prediction) {
+    return {
+        type: 'FeatureCollection',
+        features: predictionCells(prediction).map(({ cell, lat, lng, intensity }) => ({
+            type: 'Feature',
+            properties: { h3: cell, intensity, lat, lng },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [h3.cellToBoundary(cell, true)],
+            },
+        })),
+    }
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function buildCsv(prediction) {
+    const rows = predictionCells(prediction).map(({ cell, lat, lng, intensity }) =>
+        [cell, lat, lng, intensity].map(csvValue).join(',')
+    )
+    return ['h3,lat,lng,intensity', ...rows].join('\r\n') + '\r\n'
+}
+
+function project(lat, lng, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom
+    const sinLat = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999)
+    return [
+        ((lng + 180) / 360) * scale,
+        (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+    ]
+}
+
+function snapshotViewport(rings) {
+    const vertices = rings.flat()
+    if (!vertices.length) return null
+
+    for (let zoom = 18; zoom >= 1; zoom -= 1) {
+        const projected = vertices.map(([lat, lng]) => project(lat, lng, zoom))
+        const xs = projected.map(([x]) => x)
+        const ys = projected.map(([, y]) => y)
+        const width = Math.max(...xs) - Math.min(...xs)
+        const height = Math.max(...ys) - Math.min(...ys)
+        if (width <= SNAPSHOT_WIDTH - SNAPSHOT_PADDING * 2 && height <= SNAPSHOT_HEIGHT - SNAPSHOT_PADDING * 2) {
+            return {
+                zoom,
+                originX: (Math.min(...xs) + Math.max(...xs)) / 2 - SNAPSHOT_WIDTH / 2,
+                originY: (Math.min(...ys) + Math.max(...ys)) / 2 - SNAPSHOT_HEIGHT / 2,
+            }
+        }
+    }
+
+    return null
+}
+
+// Fill a Leaflet URL template for one tile, always using the first subdomain so repeat exports hit the browser cache
+function tileUrl(template, zoom, x, y) {
+    return template
+        .replace('{s}', 'a')
+        .replace('{z}', zoom)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{r}', '')
+}
+
+function plainAttribution(attribution) {
+    return String(attribution ?? '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&copy;/g, '©')
+        .replace(/&amp;/g, '&')
+        .trim()
+}
+
+function loadTile(url) {
+    return new Promise((resolve) => {
+        const image = new Image()
+        const timer = setTimeout(() => resolve(null), TILE_TIMEOUT_MS)
+        image.crossOrigin = 'anonymous'
+        image.onload = () => {
+            clearTimeout(timer)
+            resolve(image)
+        }
+        image.onerror = () => {
+            clearTimeout(timer)
+            resolve(null)
+        }
+        image.src = url
+    })
+}
+
+async function drawBaseTiles(context, viewport, template) {
+    const { zoom, originX, originY } = viewport
+    const maxTile = 2 ** zoom
+    const tiles = []
+
+    for (let x = Math.floor(originX / TILE_SIZE); x <= Math.floor((originX + SNAPSHOT_WIDTH) / TILE_SIZE); x += 1) {
+        for (let y = Math.floor(originY / TILE_SIZE); y <= Math.floor((originY + SNAPSHOT_HEIGHT) / TILE_SIZE); y += 1) {
+            if (y < 0 || y >= maxTile) continue
+            const wrappedX = ((x % maxTile) + maxTile) % maxTile
+            tiles.push(loadTile(tileUrl(template, zoom, wrappedX, y)).then((image) => ({ image, x, y })))
+        }
+    }
+
+    // Tiles that fail to load are skipped so the export still succeeds offline
+    for (const { image, x, y } of await Promise.all(tiles)) {
+        if (image) context.drawImage(image, x * TILE_SIZE - originX, y * TILE_SIZE - originY)
+    }
+}
+
+function drawLegend(context, max) {
+    const width = 220
+    const height = 64
+    const left = SNAPSHOT_WIDTH - width - 16
+    const top = SNAPSHOT_HEIGHT - height - 32
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.92)'
+    context.fillRect(left, top, width, height)
+    context.fillStyle = '#1c1917'
+    context.font = '600 13px system-ui, sans-serif'
+    context.fillText('Predicted intensity', left + 12, top + 20)
+
+    const gradient = context.createLinearGradient(left + 12, 0, left + width - 12, 0)
+    gradient.addColorStop(0, intensityColour(0))
+    gradient.addColorStop(1, intensityColour(1))
+    context.fillStyle = gradient
+    context.fillRect(left + 12, top + 28, width - 24, 10)
+
+    context.fillStyle = '#44403c'
+    context.font = '12px system-ui, sans-serif'
+    context.textAlign = 'left'
+    context.fillText('0.00', left + 12, top + 54)
+    context.textAlign = 'right'
+    context.fillText(max.toFixed(2), left + width - 12, top + 54)
+    context.textAlign = 'left'
+}
+
+export async function renderSnapshotPng(
+    prediction,
+    { title = 'Prediction snapshot', subtitle = '', baseLayer = BASE_LAYERS.streets } = {}
+) {
+    const cells = predictionCells(prediction)
+    const rings = cells.map(({ cell }) => h3.cellToBoundary(cell))
+    const viewport = snapshotViewport(rings)
+    if (!viewport) {
+        throw new Error('This prediction has no mapped cells to render.')
+    }
+
+    const canvas = document.createElement('canvas')
+    canvas.width = SNAPSHOT_WIDTH
+    canvas.height = SNAPSHOT_HEIGHT
+    const context = canvas.getContext('2d')
+    context.fillStyle = '#f5f5f4'
+    context.fillRect(0, 0, SNAPSHOT_WIDTH, SNAPSHOT_HEIGHT)
+
+    await drawBaseTiles(context, viewport, baseLayer.url)
+
+    const max = Math.max(0, ...cells.map((cell) => cell.intensity))
+
+    cells.forEach((cell, index) => {
+        context.beginPath()
+        rings[index].forEach(([lat, lng], vertex) => {
+            const [x, y] = project(lat, lng, viewport.zoom)
+            const method = vertex === 0 ? 'moveTo' : 'lineTo'
+            context[method](x - viewport.originX, y - viewport.originY)
+        })
+        context.closePath()
+        context.fillStyle = intensityColour(max > 0 ? cell.intensity / max : 0)
+        context.fill()
+        context.strokeStyle = 'rgba(30, 64, 175, 0.45)'
+        context.lineWidth = 1
+        context.stroke()
+    })
+
+    if (title) {
+        context.fillStyle = 'rgba(255, 255, 255, 0.92)'
+        context.fillRect(16, 16, 420, subtitle ? 56 : 36)
+        context.fillStyle = '#1c1917'
+        context.font = '600 16px system-ui, sans-serif'
+        context.fillText(title, 28, 40)
+        if (subtitle) {
+            context.fillStyle = '#57534e'
+            context.font = '13px system-ui, sans-serif'
+            context.fillText(subtitle, 28, 60)
+        }
+    }
+
+    drawLegend(context, max)
+
+    const attribution = plainAttribution(baseLayer.attribution)
+    if (attribution) {
+        context.font = '11px system-ui, sans-serif'
+        const width = Math.ceil(context.measureText(attribution).width) + 16
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)'
+        context.fillRect(SNAPSHOT_WIDTH - width, SNAPSHOT_HEIGHT - 20, width, 20)
+        context.fillStyle = '#57534e'
+        context.fillText(attribution, SNAPSHOT_WIDTH - width + 8, SNAPSHOT_HEIGHT - 6)
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The map snapshot could not be encoded.'))), 'image/png')
+    })
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export async function exportPrediction(prediction, format, options = {}) {
+    const baseName = exportBaseName(prediction)
+    let blob
+    let extension
+
+    switch (format) {
+        case 'geojson':
+            blob = new Blob([JSON.stringify(buildGeoJson(prediction))], { type: 'application/geo+json' })
+            extension = 'geojson'
+            break
+        case 'csv':
+            blob = new Blob([buildCsv(prediction)], { type: 'text/csv;charset=utf-8' })
+            extension = 'csv'
+            break
+        case 'png':
+            blob = await renderSnapshotPng(prediction, options)
+            extension = 'png'
+            break
+        default:
+            throw new Error(`Unsupported export format "${format}".`)
+    }
+
+    downloadBlob(blob, `${baseName}.${extension}`)
+    downloadBlob(
+        new Blob([JSON.stringify(buildSidecar(prediction), null, 2)], { type: 'application/json' }),
+        `${baseName}.json`
+    )
+
+    return `${baseName}.${extension}`
+}
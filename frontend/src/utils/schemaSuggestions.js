@@ -0,0 +1,182 @@
+export const SCHEMA_FIELDS = ['timestamp', 'latitude', 'longitude', 'category', 'risk', 'label']
+
+const FIELD_ALIASES = {
+    timestamp: ['timestamp', 'datetime', 'date_time', 'occurred_at', 'occurred', 'occurred_on', 'event_time', 'event_date', 'reported_at', 'recorded_at', 'incident_date', 'date', 'time', 'ts'],
+    latitude: ['latitude', 'lat', 'point_y', 'y'],
+    longitude: ['longitude', 'lng', 'lon', 'long', 'point_x', 'x'],
+    category: ['category', 'crime_type', 'incident_type', 'event_type', 'offence', 'offense', 'classification', 'class', 'type'],
+    risk: ['risk_score', 'risk', 'severity', 'priority', 'score', 'weight'],
+    label: ['label', 'name', 'title', 'description', 'summary', 'location_name'],
+}
+
+const MIN_CONFIDENCE = 0.35
+export const AUTO_APPLY_CONFIDENCE = 0.55
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+const LOCAL_DATE = /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}([ T]\d{1,2}:\d{2}(:\d{2})?)?$/
+const MONTH_NAME = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i
+
+export function confidenceLevel(confidence) {
+    if (confidence >= 0.8) return 'high'
+    if (confidence >= AUTO_APPLY_CONFIDENCE) return 'medium'
+    return 'low'
+}
+
+export function normaliseHeader(header) {
+    return String(header ?? '')
+        .trim()
+        .replace(/([a-z])([A-Z])/g, '$1_$2')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+}
+
+function nameScore(field, header) {
+    const normalised = normaliseHeader(header)
+    if (!normalised) return { score: 0, reason: null }
+    const tokens = normalised.split('_')
+
+    for (const alias of FIELD_ALIASES[field]) {
+        if (normalised === alias) {
+            return { score: 1, reason: `Header matches "${alias}"` }
+        }
+    }
+    for (const alias of FIELD_ALIASES[field]) {
+        // Single-letter aliases such as x/y are too ambiguous to match as part of a longer header
+        const partial = alias.includes('_') ? normalised.includes(alias) : alias.length > 1 && tokens.includes(alias)
+        if (partial) {
+            return { score: 0.7, reason: `Header contains "${alias}"` }
+        }
+    }
+    return { score: 0, reason: null }
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null
+    if (typeof value !== 'string' || value.trim() === '') return null
+    const parsed = Number(value.trim())
+    return Number.isFinite(parsed) ? parsed : null
+}
+
+function isDateLike(value) {
+    const number = toNumber(value)
+    if (number !== null) {
+        // Unix epochs in seconds or milliseconds between 2001 and 2096
+        return (number >= 1e9 && number < 4e9) || (number >= 1e12 && number < 4e12)
+    }
+    if (typeof value !== 'string') return false
+    const trimmed = value.trim()
+    if (ISO_DATE.test(trimmed) || LOCAL_DATE.test(trimmed)) return true
+    // Looser forms such as "1 March 2024" must name a month, since Date.parse accepts almost anything with a number in it
+    return /\d/.test(trimmed) && MONTH_NAME.test(trimmed) && !Number.isNaN(Date.parse(trimmed))
+}
+
+const fraction = (count, total) => (total ? count / total : 0)
+const percent = (value) => `${Math.round(value * 100)}%`
+
+function valueScore(field, values) {
+    const total = values.length
+    if (!total) return { score: 0, reason: null }
+
+    const numbers = values.map(toNumber)
+    const numeric = numbers.filter((number) => number !== null)
+    const numericShare = fraction(numeric.length, total)
+    const hasDecimals = numeric.some((number) => !Number.isInteger(number))
+
+    switch (field) {
+        case 'timestamp': {
+            const share = fraction(values.filter(isDateLike).length, total)
+            return { score: share, reason: share > 0 ? `${percent(share)} of sampled values are dates` : null }
+        }
+        case 'latitude':
+        case 'longitude': {
+            const limit = field === 'latitude' ? 90 : 180
+            const share = fraction(numeric.filter((number) => Math.abs(number) <= limit).length, total)
+            // Whole numbers in range are more often counts or codes than coordinates
+            const score = share * (hasDecimals ? 1 : 0.5)
+            return { score, reason: share > 0 ? `${percent(share)} of sampled values are between -${limit} and ${limit}` : null }
+        }
+        case 'category':
+        case 'label': {
+            const text = values.filter((value, index) => numbers[index] === null && !isDateLike(value))
+            const distinct = new Set(text.map((value) => String(value).trim().toLowerCase())).size
+            const textShare = fraction(text.length, total)
+            if (!text.length) return { score: 0, reason: null }
+            const ratio = distinct / text.length
+            // Categories repeat across rows; labels are mostly unique
+            const cardinality = field === 'category'
+                ? (ratio <= 0.5 ? 1 : ratio < 1 ? 0.7 : 0.4)
+                : (ratio >= 0.8 ? 1 : 0.5)
+            return {
+                score: textShare * cardinality,
+                reason: `${distinct} distinct ${distinct === 1 ? 'value' : 'values'} in ${text.length} sampled rows`,
+            }
+        }
+        case 'risk': {
+            const bounded = numeric.every((number) => number >= 0 && number <= 100)
+            return {
+                score: numericShare * (bounded ? 1 : 0.5),
+                reason: numericShare > 0 ? `${percent(numericShare)} of sampled values are numeric` : null,
+            }
+        }
+        default:
+            return { score: 0, reason: null }
+    }
+}
+
+function scoreColumn(field, header, values) {
+    const name = nameScore(field, header)
+    const sample = valueScore(field, values)
+    let confidence
+    if (!values.length) {
+        confidence = name.score * 0.9
+    } else if (name.score === 0) {
+        // Values alone never reach high confidence; too many columns look alike
+        confidence = sample.score * 0.5
+    } else {
+        confidence = name.score * 0.6 + sample.score * 0.4
+    }
+    return { column: header, confidence, reasons: [name.reason, sample.reason].filter(Boolean) }
+}
+
+/**
+ * Suggests a column for each schema field from header names and the sampled preview rows.
+ * Each column is suggested for at most one field, strongest matches first.
+ */
+export function suggestSchemaMapping(headers = [], rows = []) {
+    const candidates = []
+
+    for (const header of headers) {
+        const values = rows
+            .map((row) => row?.[header])
+            .filter((value) => value !== null && value !== undefined && String(value).trim() !== '')
+        for (const field of SCHEMA_FIELDS) {
+            const candidate = scoreColumn(field, header, values)
+            if (candidate.confidence >= MIN_CONFIDENCE) {
+                candidates.push({ field, ...candidate })
+            }
+        }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence)
+    const suggestions = {}
+    const usedColumns = new Set()
+
+    for (const { field, column, confidence, reasons } of candidates) {
+        if (suggestions[field] || usedColumns.has(column)) continue
+        suggestions[field] = {
+            column,
+            confidence: Math.round(confidence * 100) / 100,
+            level: confidenceLevel(confidence),
+            reasons,
+        }
+        usedColumns.add(column)
+    }
+
+    return suggestions
+}
+
+// Order-insensitive fingerprint so a re-exported file with shuffled columns still matches its template
+export function headerSignature(headers = []) {
+    return [...new Set(headers.map(normaliseHeader).filter(Boolean))].sort().join('|')
+}
@@ -0,0 +1,262 @@
+const EOCD_SIGNATURE = 0x06054b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const LOCAL_SIGNATURE = 0x04034b50
+
+function inflateRawStream(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot unpack zip archives. Upload the boundary as GeoJSON or KML instead.')
+    }
+    return new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+}
+
+async function inflateRaw(bytes) {
+    return new Uint8Array(await new Response(inflateRawStream(bytes)).arrayBuffer())
+}
+
+// Minimal zip reader: only stored and deflated entries, which covers archives produced by GIS tools
+export async function readZipEntries(buffer) {
+    const view = new DataView(buffer)
+    let eocd = -1
+    for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset -= 1) {
+        if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+            eocd = offset
+            break
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('The file is not a valid zip archive.')
+    }
+
+    const entryCount = view.getUint16(eocd + 10, true)
+    let cursor = view.getUint32(eocd + 16, true)
+    const decoder = new TextDecoder()
+    const entries = new Map()
+
+    for (let index = 0; index < entryCount; index += 1) {
+        if (view.getUint32(cursor, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('The zip archive directory is corrupt.')
+        }
+        const method = view.getUint16(cursor + 10, true)
+        const compressedSize = view.getUint32(cursor + 20, true)
+        const nameLength = view.getUint16(cursor + 28, true)
+        const extraLength = view.getUint16(cursor + 30, true)
+        const commentLength = view.getUint16(cursor + 32, true)
+        const localOffset = view.getUint32(cursor + 42, true)
+        const name = decoder.decode(new Uint8Array(buffer, cursor + 46, nameLength))
+        cursor += 46 + nameLength + extraLength + commentLength
+
+        if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+            throw new Error(`The zip entry "${name}" is corrupt.`)
+        }
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+        const raw = new Uint8Array(buffer, dataStart, compressedSize)
+        entries.set(name, { method, raw })
+    }
+
+    return {
+        names: [...entries.keys()],
+        async read(name) {
+            const entry = entries.get(name)
+            if (!entry) return null
+            if (entry.method === 0) return entry.raw.slice()
+            if (entry.method === 8) return inflateRaw(entry.raw)
+            throw new Error(`The zip entry "${name}" uses an unsupported compression method.`)
+        },
+        // Lets callers stop early on large entries instead of inflating them whole
+        stream(name) {
+            const entry = entries.get(name)
+            if (!entry) return null
+            if (entry.method === 0) return new Blob([entry.raw]).stream()
+            if (entry.method === 8) return inflateRawStream(entry.raw)
+            throw new Error(`The zip entry "${name}" uses an unsupported compression method.`)
+        },
+    }
+}
+
+function readPoints(view, offset, count) {
+    const points = []
+    for (let index = 0; index < count; index += 1) {
+        const base = offset + index * 16
+        points.push([view.getFloat64(base, true), view.getFloat64(base + 8, true)])
+    }
+    return points
+}
+
+function readParts(view, offset) {
+    const partCount = view.getInt32(offset + 36, true)
+    const pointCount = view.getInt32(offset + 40, true)
+    const partsOffset = offset + 44
+    const pointsOffset = partsOffset + partCount * 4
+    const points = readPoints(view, pointsOffset, pointCount)
+    const parts = []
+
+    for (let index = 0; index < partCount; index += 1) {
+        const start = view.getInt32(partsOffset + index * 4, true)
+        const end = index + 1 < partCount ? view.getInt32(partsOffset + (index + 1) * 4, true) : pointCount
+        parts.push(points.slice(start, end))
+    }
+
+    return parts
+}
+
+function isClockwise(ring) {
+    let sum = 0
+    for (let index = 0; index < ring.length - 1; index += 1) {
+        const [x1, y1] = ring[index]
+        const [x2, y2] = ring[index + 1]
+        sum += (x2 - x1) * (y2 + y1)
+    }
+    return sum > 0
+}
+
+// Shapefile outer rings are clockwise and holes counter-clockwise; holes attach to the preceding outer ring
+function ringsToGeometry(rings) {
+    const polygons = []
+    for (const ring of rings) {
+        if (isClockwise(ring) || !polygons.length) {
+            polygons.push([ring])
+        } else {
+            polygons[polygons.length - 1].push(ring)
+        }
+    }
+    return polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons }
+}
+
+function parseShapeRecord(view, offset) {
+    const shapeType = view.getInt32(offset, true)
+    switch (shapeType) {
+        case 0:
+            return null
+        case 1:
+        case 11:
+        case 21:
+            return { type: 'Point', coordinates: [view.getFloat64(offset + 4, true), view.getFloat64(offset + 12, true)] }
+        case 8:
+        case 18:
+        case 28:
+            return { type: 'MultiPoint', coordinates: readPoints(view, offset + 40, view.getInt32(offset + 36, true)) }
+        case 3:
+        case 13:
+        case 23: {
+            const parts = readParts(view, offset)
+            return parts.length === 1
+                ? { type: 'LineString', coordinates: parts[0] }
+                : { type: 'MultiLineString', coordinates: parts }
+        }
+        case 5:
+        case 15:
+        case 25:
+            return ringsToGeometry(readParts(view, offset))
+        default:
+            throw new Error(`Shape type ${shapeType} is not supported.`)
+    }
+}
+
+export function parseShp(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    if (view.getInt32(0, false) !== 9994) {
+        throw new Error('The .shp file header is invalid.')
+    }
+
+    const length = Math.min(bytes.byteLength, view.getInt32(24, false) * 2)
+    const geometries = []
+    let cursor = 100
+
+    while (cursor + 8 <= length) {
+        const contentLength = view.getInt32(cursor + 4, false) * 2
+        geometries.push(parseShapeRecord(view, cursor + 8))
+        cursor += 8 + contentLength
+    }
+
+    return geometries
+}
+
+export function parseDbf(bytes, encoding = 'utf-8') {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    const recordCount = view.getUint32(4, true)
+    const headerLength = view.getUint16(8, true)
+    const recordLength = view.getUint16(10, true)
+    let decoder
+    try {
+        decoder = new TextDecoder(encoding)
+    } catch {
+        decoder = new TextDecoder('utf-8')
+    }
+
+    const fields = []
+    for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+        const rawName = bytes.subarray(offset, offset + 11)
+        const nameEnd = rawName.indexOf(0)
+        fields.push({
+            name: decoder.decode(rawName.subarray(0, nameEnd === -1 ? 11 : nameEnd)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            length: bytes[offset + 16],
+        })
+    }
+
+    const records = []
+    for (let index = 0; index < recordCount; index += 1) {
+        let offset = headerLength + index * recordLength
+        const deleted = bytes[offset] === 0x2a
+        offset += 1
+        const record = {}
+
+        for (const field of fields) {
+            const text = decoder.decode(bytes.subarray(offset, offset + field.length)).trim()
+            offset += field.length
+            if (field.type === 'N' || field.type === 'F') {
+                record[field.name] = text === '' ? null : Number(text)
+            } else if (field.type === 'L') {
+                record[field.name] = /^[YyTt]$/.test(text) ? true : /^[NnFf]$/.test(text) ? false : null
+            } else {
+                record[field.name] = text
+            }
+        }
+
+        records.push(deleted ? null : record)
+    }
+
+    return records
+}
+
+export async function parseShapefileZip(buffer) {
+    const zip = await readZipEntries(buffer)
+    const shpNames = zip.names.filter((name) => name.toLowerCase().endsWith('.shp'))
+    if (!shpNames.length) {
+        throw new Error('The zip archive does not contain a .shp file.')
+    }
+
+    const features = []
+    const decoder = new TextDecoder()
+
+    for (const shpName of shpNames) {
+        const base = shpName.slice(0, -4)
+        const sibling = (extension) =>
+            zip.names.find((name) => name.toLowerCase() === `${base}.${extension}`.toLowerCase())
+
+        const prjName = sibling('prj')
+        if (prjName) {
+            const prj = decoder.decode(await zip.read(prjName))
+            if (/PROJCS\[/i.test(prj)) {
+                throw new Error(`"${shpName}" uses a projected coordinate system. Re-export it in WGS 84 (EPSG:4326).`)
+            }
+        }
+
+        const cpgName = sibling('cpg')
+        const encoding = cpgName ? decoder.decode(await zip.read(cpgName)).trim() || 'utf-8' : 'utf-8'
+        const dbfName = sibling('dbf')
+        const geometries = parseShp(await zip.read(shpName))
+        const records = dbfName ? parseDbf(await zip.read(dbfName), encoding) : []
+
+        geometries.forEach((geometry, index) => {
+            if (!geometry || records[index] === null) return
+            features.push({ type: 'Feature', geometry, properties: records[index] ?? {} })
+        })
+    }
+
+    return { type: 'FeatureCollection', features }
+}
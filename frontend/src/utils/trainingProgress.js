@@ -0,0 +1,78 @@
+export const MAX_PROGRESS_POINTS = 200
+
+const activeStates = new Set(['queued', 'training'])
+
+export function isTrainingState(state) {
+    return activeStates.has(typeof state === 'string' ? state.toLowerCase() : '')
+}
+
+function toNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+export function buildProgressPoint(snapshot, details = {}) {
+    const metrics = details?.training_metrics ?? details?.metrics ?? {}
+    return {
+        at: snapshot?.updatedAt ?? new Date().toISOString(),
+        state: typeof snapshot?.state === 'string' ? snapshot.state.toLowerCase() : 'unknown',
+        progress: toNumber(snapshot?.progress),
+        message: snapshot?.message ?? null,
+        epoch: toNumber(metrics?.current_epoch),
+        totalEpochs: toNumber(metrics?.total_epochs),
+        loss: toNumber(metrics?.loss),
+        accuracy: toNumber(metrics?.accuracy),
+    }
+}
+
+/**
+ * Appends a progress point to a model's training timeline, starting a fresh timeline when a
+ * new run begins after the previous one finished. Returns the existing timeline when nothing changed.
+ */
+export function appendProgressPoint(timeline, point, startedAt = null) {
+    const points = timeline?.points ?? []
+    const last = points[points.length - 1] ?? null
+
+    if (last && !isTrainingState(last.state) && isTrainingState(point.state)) {
+        return { startedAt: startedAt ?? point.at, points: [point] }
+    }
+    if (!timeline && !isTrainingState(point.state)) {
+        return null
+    }
+    if (last && last.state === point.state && last.progress === point.progress && last.message === point.message) {
+        return timeline
+    }
+
+    return {
+        startedAt: startedAt ?? timeline?.startedAt ?? point.at,
+        points: [...points, point].slice(-MAX_PROGRESS_POINTS),
+    }
+}
+
+/**
+ * Linear ETA from the average rate since progress first moved off zero.
+ * Returns milliseconds, or null until there are two distinct readings to extrapolate from.
+ */
+export function estimateRemaining(points, now = Date.now()) {
+    const readings = points.filter((point) => point.progress !== null && isTrainingState(point.state))
+    const first = readings.find((point) => point.progress > 0)
+    const last = readings[readings.length - 1]
+    if (!first || !last || last.progress <= first.progress || last.progress >= 100) return null
+
+    const elapsed = new Date(last.at).getTime() - new Date(first.at).getTime()
+    if (!Number.isFinite(elapsed) || elapsed <= 0) return null
+
+    const rate = (last.progress - first.progress) / elapsed
+    const sinceLast = Math.max(0, now - new Date(last.at).getTime())
+    return Math.max(0, (100 - last.progress) / rate - sinceLast)
+}
+
+export function formatDuration(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms) || ms < 0) return '—'
+    const totalSeconds = Math.round(ms / 1000)
+    const hours = Math.floor(totalSeconds / 3600)
+    const minutes = Math.floor((totalSeconds % 3600) / 60)
+    const seconds = totalSeconds % 60
+    if (hours) return `${hours}h ${String(minutes).padStart(2, '0')}m`
+    if (minutes) return `${minutes}m ${String(seconds).padStart(2, '0')}s`
+    return `${seconds}s`
+}
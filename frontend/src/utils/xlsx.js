@@ -0,0 +1,204 @@
+import { readZipEntries } from './shapefile'
+
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+// Built-in number formats that Excel renders as dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47])
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30)
+const EXCEL_1904_EPOCH_MS = Date.UTC(1904, 0, 1)
+
+function parseXml(text) {
+    const document = new DOMParser().parseFromString(text, 'application/xml')
+    if (document.getElementsByTagName('parsererror').length) {
+        throw new Error('The workbook contains malformed XML.')
+    }
+    return document
+}
+
+function childElements(node, name) {
+    return Array.from(node.getElementsByTagNameNS('*', name))
+}
+
+async function readXmlEntry(zip, name) {
+    const bytes = await zip.read(name)
+    return bytes ? parseXml(new TextDecoder().decode(bytes)) : null
+}
+
+function columnIndex(reference) {
+    const letters = reference.replace(/[^A-Za-z]/g, '').toUpperCase()
+    let index = 0
+    for (const letter of letters) {
+        index = index * 26 + (letter.charCodeAt(0) - 64)
+    }
+    return Math.max(index - 1, 0)
+}
+
+function stringItemText(item) {
+    const direct = Array.from(item.children).find((child) => child.localName === 't')
+    if (direct) return direct.textContent
+    // Rich text is split into runs, each with its own <t>; phonetic hints are skipped
+    return Array.from(item.children)
+        .filter((child) => child.localName === 'r')
+        .map((run) => childElements(run, 't')[0]?.textContent ?? '')
+        .join('')
+}
+
+function excelDate(serial, date1904) {
+    const epoch = date1904 ? EXCEL_1904_EPOCH_MS : EXCEL_EPOCH_MS
+    const date = new Date(epoch + Math.round(serial * 86400) * 1000)
+    return date.toISOString().slice(0, 19).replace('T', ' ')
+}
+
+async function readSharedStrings(zip) {
+    const document = await readXmlEntry(zip, 'xl/sharedStrings.xml')
+    return document ? childElements(document, 'si').map(stringItemText) : []
+}
+
+async function readDateStyles(zip) {
+    const document = await readXmlEntry(zip, 'xl/styles.xml')
+    const dateStyles = new Set()
+    if (!document) return dateStyles
+
+    const dateFormats = new Set(DATE_FORMAT_IDS)
+    for (const format of childElements(document, 'numFmt')) {
+        // Strip quoted literals and colour/locale blocks before looking for date tokens
+        const code = (format.getAttribute('formatCode') ?? '').replace(/"[^"]*"|\[[^\]]*\]/g, '')
+        if (/[dmyhs]/i.test(code)) {
+            dateFormats.add(Number(format.getAttribute('numFmtId')))
+        }
+    }
+
+    const cellFormats = childElements(document, 'cellXfs')[0]
+    const formats = cellFormats ? Array.from(cellFormats.children).filter((child) => child.localName === 'xf') : []
+    formats.forEach((xf, index) => {
+        if (dateFormats.has(Number(xf.getAttribute('numFmtId')))) {
+            dateStyles.add(index)
+        }
+    })
+    return dateStyles
+}
+
+// Reads the worksheet XML only as far as the requested number of rows, then closes the document by hand
+async function readSheetXml(stream, rowLimit) {
+    const reader = stream.getReader()
+    const decoder = new TextDecoder()
+    let text = ''
+    let searchFrom = 0
+    let rowCount = 0
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read()
+            if (done) return text + decoder.decode()
+            text += decoder.decode(value, { stream: true })
+
+            let index = text.indexOf('</', searchFrom)
+            while (index !== -1) {
+                const end = text.indexOf('>', index)
+                if (end === -1) break
+                if (/^<\/(?:\w+:)?row$/.test(text.slice(index, end))) {
+                    rowCount += 1
+                    if (rowCount >= rowLimit) {
+                        const prefix = text.match(/<(\w+:)?sheetData[\s>]/)?.[1] ?? ''
+                        return `${text.slice(0, end + 1)}</${prefix}sheetData></${prefix}worksheet>`
+                    }
+                }
+                searchFrom = end + 1
+                index = text.indexOf('</', searchFrom)
+            }
+        }
+    } finally {
+        await reader.cancel().catch(() => {})
+    }
+}
+
+function cellValue(cell, sharedStrings, dateStyles, date1904) {
+    const type = cell.getAttribute('t') ?? 'n'
+    const raw = childElements(cell, 'v')[0]?.textContent ?? null
+
+    switch (type) {
+        case 's':
+            return raw === null ? null : sharedStrings[Number(raw)] ?? null
+        case 'inlineStr': {
+            const inline = childElements(cell, 'is')[0]
+            return inline ? stringItemText(inline) : null
+        }
+        case 'b':
+            return raw === null ? null : raw === '1' ? 'true' : 'false'
+        case 'e':
+            return null
+        case 'n':
+            if (raw !== null && raw !== '' && dateStyles.has(Number(cell.getAttribute('s') ?? 0)) && Number.isFinite(Number(raw))) {
+                return excelDate(Number(raw), date1904)
+            }
+            return raw
+        default:
+            return raw
+    }
+}
+
+function rowValues(row, sharedStrings, dateStyles, date1904) {
+    const values = []
+    let column = 0
+    for (const cell of Array.from(row.children).filter((child) => child.localName === 'c')) {
+        const reference = cell.getAttribute('r')
+        column = reference ? columnIndex(reference) : column
+        const value = cellValue(cell, sharedStrings, dateStyles, date1904)
+        if (value !== null && value !== '') {
+            while (values.length < column) values.push(null)
+            values[column] = value
+        }
+        column += 1
+    }
+    return values
+}
+
+export async function openWorkbook(file) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read Excel workbooks. Export the sheet as CSV instead.')
+    }
+
+    const zip = await readZipEntries(await file.arrayBuffer())
+    const workbook = await readXmlEntry(zip, 'xl/workbook.xml')
+    const relationships = await readXmlEntry(zip, 'xl/_rels/workbook.xml.rels')
+    if (!workbook || !relationships) {
+        throw new Error('The file is not a valid Excel workbook.')
+    }
+
+    const targets = new Map(
+        childElements(relationships, 'Relationship').map((relationship) => {
+            const target = (relationship.getAttribute('Target') ?? '').replace(/^\//, '')
+            return [relationship.getAttribute('Id'), target.startsWith('xl/') ? target : `xl/${target}`]
+        })
+    )
+    const sheets = childElements(workbook, 'sheet')
+        .map((sheet) => ({
+            name: sheet.getAttribute('name') ?? '',
+            path: targets.get(sheet.getAttributeNS(RELATIONSHIP_NAMESPACE, 'id')),
+        }))
+        .filter((sheet) => sheet.path)
+    const date1904 = ['1', 'true'].includes(childElements(workbook, 'workbookPr')[0]?.getAttribute('date1904'))
+
+    return { zip, sheets, date1904 }
+}
+
+// Returns positional rows from one sheet (the first when no name is given), skipping rows without values
+export async function readWorkbookRows(file, { sheet = '', limit = Infinity } = {}) {
+    const { zip, sheets, date1904 } = await openWorkbook(file)
+    if (!sheets.length) {
+        throw new Error('The workbook does not contain any sheets.')
+    }
+
+    const selected = sheets.find((candidate) => candidate.name === sheet) ?? sheets[0]
+    const [sharedStrings, dateStyles] = await Promise.all([readSharedStrings(zip), readDateStyles(zip)])
+    const stream = zip.stream(selected.path)
+    if (!stream) {
+        throw new Error(`The sheet "${selected.name}" could not be found in the workbook.`)
+    }
+
+    const document = parseXml(await readSheetXml(stream, limit))
+    const rows = childElements(document, 'row')
+        .map((row) => rowValues(row, sharedStrings, dateStyles, date1904))
+        .filter((values) => values.length > 0)
+
+    return { sheets: sheets.map((candidate) => candidate.name), sheet: selected.name, rows }
+}
@@ -0,0 +1,183 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+    buildHeaders,
+    createCsvParser,
+    detectEncoding,
+    detectHeader,
+    iterateCsvRows,
+    parseCsvPreview,
+    parseCsvText,
+    sniffDelimiter,
+} from '../../src/utils/csvParser'
+
+// UTF-16 LE with a byte-order mark, as Excel's "Unicode text" export writes it
+function utf16le(text) {
+    const bytes = new Uint8Array(2 + text.length * 2)
+    bytes.set([0xff, 0xfe])
+    for (let index = 0; index < text.length; index += 1) {
+        const code = text.charCodeAt(index)
+        bytes[2 + index * 2] = code & 0xff
+        bytes[3 + index * 2] = code >> 8
+    }
+    return bytes
+}
+
+describe('createCsvParser', () => {
+    it('keeps line breaks and delimiters inside quoted fields', () => {
+        const { rows, errors } = parseCsvText('id,notes\n1,"first line\nsecond, line"\n2,plain\n')
+
+        expect(rows).toEqual([
+            ['id', 'notes'],
+            ['1', 'first line\nsecond, line'],
+            ['2', 'plain'],
+        ])
+        expect(errors).toEqual([])
+    })
+
+    it('unescapes doubled quotes', () => {
+        const { rows } = parseCsvText('a,b\n"say ""hi""",""""\n')
+
+        expect(rows[1]).toEqual(['say "hi"', '"'])
+    })
+
+    it('ends records at CRLF, LF and a lone CR', () => {
+        const { rows } = parseCsvText('a,b\r\n1,2\r3,4\n5,6')
+
+        expect(rows).toEqual([
+            ['a', 'b'],
+            ['1', '2'],
+            ['3', '4'],
+            ['5', '6'],
+        ])
+    })
+
+    it('skips blank lines but keeps empty fields', () => {
+        const { rows } = parseCsvText('a,b\n\n,\n1,\n')
+
+        expect(rows).toEqual([
+            ['a', 'b'],
+            ['', ''],
+            ['1', ''],
+        ])
+    })
+
+    it('handles quotes and CRLF split across pushed chunks', () => {
+        const rows = []
+        const parser = createCsvParser({ onRow: (row) => rows.push(row) })
+        for (const chunk of ['a,"x"', '"y"\r', '\nb,c']) parser.push(chunk)
+        parser.finish()
+
+        expect(rows).toEqual([
+            ['a', 'x"y'],
+            ['b', 'c'],
+        ])
+    })
+
+    it('reports an unterminated quoted field', () => {
+        const { rows, errors } = parseCsvText('a,b\n1,"open\n2,3\n')
+
+        expect(rows).toHaveLength(2)
+        expect(errors).toEqual(['Unterminated quoted field starting before line 4.'])
+    })
+
+    it('stops when onRow returns false', () => {
+        const { rows } = parseCsvText('1\n2\n3\n', { limit: 2 })
+
+        expect(rows).toEqual([['1'], ['2']])
+    })
+})
+
+describe('sniffDelimiter', () => {
+    it.each([
+        ['semicolon', 'Type;Date;Lat\nTheft;2024-04-01;51,5\nBurglary;2024-04-02;51,6\n', ';'],
+        ['tab', 'Type\tDate\tLat\nTheft\t2024-04-01\t51.5\nBurglary\t2024-04-02\t51.6\n', '\t'],
+        ['pipe', 'Type|Date|Lat\nTheft|2024-04-01|51.5\nBurglary|2024-04-02|51.6\n', '|'],
+        ['comma', 'Type,Date,Lat\nTheft,2024-04-01,51.5\nBurglary,2024-04-02,51.6\n', ','],
+    ])('detects a %s delimiter', (_, sample, expected) => {
+        expect(sniffDelimiter(sample)).toBe(expected)
+    })
+
+    it('ignores delimiters inside quoted fields', () => {
+        expect(sniffDelimiter('a;b\n"x,y,z";1\n"p,q,r";2\n')).toBe(';')
+    })
+})
+
+describe('detectEncoding', () => {
+    it('reads byte-order marks', () => {
+        expect(detectEncoding(new Uint8Array([0xef, 0xbb, 0xbf, 0x61]))).toBe('utf-8')
+        expect(detectEncoding(new Uint8Array([0xff, 0xfe, 0x61, 0x00]))).toBe('utf-16le')
+        expect(detectEncoding(new Uint8Array([0xfe, 0xff, 0x00, 0x61]))).toBe('utf-16be')
+    })
+
+    it('falls back to Windows-1252 when the bytes are not valid UTF-8', () => {
+        expect(detectEncoding(new TextEncoder().encode('Café'))).toBe('utf-8')
+        expect(detectEncoding(new Uint8Array([0x43, 0x61, 0x66, 0xe9, 0x0a]))).toBe('windows-1252')
+        // A sequence cut off by the end of the sample is not evidence of another encoding
+        expect(detectEncoding(new Uint8Array([0x43, 0x61, 0x66, 0xc3]))).toBe('utf-8')
+    })
+})
+
+describe('detectHeader and buildHeaders', () => {
+    it('treats a row of labels above values as a header', () => {
+        expect(detectHeader([['Type', 'Lat'], ['Theft', '51.5']])).toBe(true)
+        expect(detectHeader([['Theft', '51.5'], ['Burglary', '51.6']])).toBe(false)
+    })
+
+    it('names headerless and duplicate columns', () => {
+        expect(buildHeaders(['a', 'b'], false)).toEqual(['column_1', 'column_2'])
+        expect(buildHeaders(['id', ' id ', ''], true)).toEqual(['id', 'id_2', 'column_3'])
+    })
+})
+
+describe('parseCsvPreview', () => {
+    it('strips a UTF-8 byte-order mark from the first header', async () => {
+        const file = new File([new Uint8Array([0xef, 0xbb, 0xbf]), 'id,name\r\n1,Alice\r\n'], 'bom.csv')
+
+        const preview = await parseCsvPreview(file)
+
+        expect(preview.encoding).toBe('utf-8')
+        expect(preview.headers).toEqual(['id', 'name'])
+        expect(preview.rows).toEqual([{ id: '1', name: 'Alice' }])
+    })
+
+    it('decodes a UTF-16 semicolon export', async () => {
+        const file = new File([utf16le('Type;Lat\r\nCafé theft;51,5\r\nBurglary;51,6\r\n')], 'council.csv')
+
+        const preview = await parseCsvPreview(file)
+
+        expect(preview.encoding).toBe('utf-16le')
+        expect(preview.delimiter).toBe(';')
+        expect(preview.rows[0]).toEqual({ Type: 'Café theft', Lat: '51,5' })
+    })
+
+    it('decodes Windows-1252 and detects a missing header row', async () => {
+        const file = new File([new Uint8Array([0x31, 0x7c, 0x43, 0x61, 0x66, 0xe9, 0x0a, 0x32, 0x7c, 0x42, 0x0a])], 'headerless.csv')
+
+        const preview = await parseCsvPreview(file)
+
+        expect(preview.encoding).toBe('windows-1252')
+        expect(preview.delimiter).toBe('|')
+        expect(preview.hasHeader).toBe(false)
+        expect(preview.rows).toEqual([
+            { column_1: '1', column_2: 'Café' },
+            { column_1: '2', column_2: 'B' },
+        ])
+    })
+})
+
+describe('iterateCsvRows', () => {
+    it('streams every record keyed by the resolved headers', async () => {
+        const file = new File(['a;b\n1;"x\ny"\n2;z\n'], 'rows.csv')
+        const rows = []
+
+        for await (const batch of iterateCsvRows(file, { delimiter: ';', headers: ['a', 'b'] })) {
+            rows.push(...batch.rows)
+        }
+
+        expect(rows).toEqual([
+            { a: '1', b: 'x\ny' },
+            { a: '2', b: 'z' },
+        ])
+    })
+})